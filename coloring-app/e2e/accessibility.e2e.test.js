@@ -46,21 +46,25 @@ describe('Screen Reader and Accessibility E2E Tests (Performance Optimized)', ()
       const resourceType = request.resourceType()
       if (resourceType === 'image' || resourceType === 'stylesheet' || resourceType === 'font') {
         request.abort()
-      } else if (request.url().includes('/api/generate') || request.url().includes('/api/refine-prompt')) {
+      } else if (request.url().includes('/api/generate') || request.url().includes('/api/jobs') || request.url().includes('/api/refine-prompt')) {
+        // Generation jobs resolve immediately with the same mock result
+        const mockResult = {
+          success: true,
+          imageUrl: 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8/5+hHgAHggJ/PchI7wAAAABJRU5ErkJggg==',
+          refinedPrompt: 'A cute test image for coloring',
+          originalPrompt: 'test',
+          metadata: {
+            category: 'animals',
+            complexity: 'simple',
+            ageGroup: 'kids'
+          }
+        }
         request.respond({
           status: 200,
           contentType: 'application/json',
-          body: JSON.stringify({
-            success: true,
-            imageUrl: 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8/5+hHgAHggJ/PchI7wAAAABJRU5ErkJggg==',
-            refinedPrompt: 'A cute test image for coloring',
-            originalPrompt: 'test',
-            metadata: {
-              category: 'animals',
-              complexity: 'simple',
-              ageGroup: 'kids'
-            }
-          })
+          body: JSON.stringify(request.url().includes('/api/jobs')
+            ? { success: true, jobId: 'job_e2e', status: 'done', statusUrl: '/api/jobs/job_e2e', result: mockResult }
+            : mockResult)
         })
       } else {
         request.continue()
@@ -74,24 +74,28 @@ describe('Performance and Network E2E Tests', () => {
       requestTimes.set(request.url(), Date.now())
       
       // Allow real API calls for performance testing
-      if (process.env.OPENAI_API_KEY && (request.url().includes('/api/generate') || request.url().includes('/api/refine-prompt'))) {
+      if (process.env.OPENAI_API_KEY && (request.url().includes('/api/generate') || request.url().includes('/api/jobs') || request.url().includes('/api/refine-prompt'))) {
         request.continue()
-      } else if (request.url().includes('/api/generate') || request.url().includes('/api/refine-prompt')) {
+      } else if (request.url().includes('/api/generate') || request.url().includes('/api/jobs') || request.url().includes('/api/refine-prompt')) {
         // Mock response for tests without API key
+        // Generation jobs resolve immediately with the same mock result
+        const mockResult = {
+          success: true,
+          imageUrl: 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8/5+hHgAHggJ/PchI7wAAAABJRU5ErkJggg==',
+          refinedPrompt: 'A performance test image for coloring',
+          originalPrompt: 'performance test',
+          metadata: {
+            category: 'test',
+            complexity: 'simple',
+            ageGroup: 'kids'
+          }
+        }
         request.respond({
           status: 200,
           contentType: 'application/json',
-          body: JSON.stringify({
-            success: true,
-            imageUrl: 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8/5+hHgAHggJ/PchI7wAAAABJRU5ErkJggg==',
-            refinedPrompt: 'A performance test image for coloring',
-            originalPrompt: 'performance test',
-            metadata: {
-              category: 'test',
-              complexity: 'simple',
-              ageGroup: 'kids'
-            }
-          })
+          body: JSON.stringify(request.url().includes('/api/jobs')
+            ? { success: true, jobId: 'job_e2e', status: 'done', statusUrl: '/api/jobs/job_e2e', result: mockResult }
+            : mockResult)
         })
       } else {
         request.continue()
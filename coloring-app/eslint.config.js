@@ -34,7 +34,7 @@ export default defineConfig([
   
   // Backend/Server configuration
   {
-    files: ['server/**/*.js', 'firebase-config.js'],
+    files: ['server/**/*.js', 'shared/**/*.js', 'firebase-config.js'],
     extends: [js.configs.recommended],
     languageOptions: {
       ecmaVersion: 2020,
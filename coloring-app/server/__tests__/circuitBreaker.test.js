@@ -0,0 +1,131 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { CircuitBreaker, CIRCUIT_STATE } from '../services/circuitBreaker.js'
+import { OpenAIImageService } from '../services/openaiService.js'
+
+// openaiService.js builds its OpenAI client at load; the SDK refuses to under jsdom
+vi.mock('openai', () => ({ default: class OpenAI {} }))
+
+const upstreamError = () => Object.assign(new Error('Service unavailable'), { status: 503 })
+
+describe('CircuitBreaker', () => {
+  let breaker
+
+  beforeEach(() => {
+    vi.useFakeTimers()
+    breaker = new CircuitBreaker({ name: 'openai:gpt-image-1', failureThreshold: 3, cooldownMs: 30000 })
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  const fail = (times) => {
+    for (let i = 0; i < times; i++) {
+      breaker.allowRequest()
+      breaker.recordFailure(upstreamError())
+    }
+  }
+
+  it('opens after consecutive upstream failures', () => {
+    fail(2)
+    expect(breaker.state).toBe(CIRCUIT_STATE.CLOSED)
+
+    fail(1)
+    expect(breaker.state).toBe(CIRCUIT_STATE.OPEN)
+    expect(breaker.isOpen()).toBe(true)
+    expect(breaker.allowRequest()).toBe(false)
+  })
+
+  it('resets the failure count on success', () => {
+    fail(2)
+    breaker.recordSuccess()
+    fail(2)
+
+    expect(breaker.state).toBe(CIRCUIT_STATE.CLOSED)
+  })
+
+  it('does not count errors the provider answered deliberately', () => {
+    fail(2)
+    breaker.recordFailure(Object.assign(new Error('content_policy_violation'), { status: 400 }))
+    fail(2)
+
+    expect(breaker.state).toBe(CIRCUIT_STATE.CLOSED)
+    expect(CircuitBreaker.isUpstreamFailure(new Error('socket hang up'))).toBe(true)
+    expect(CircuitBreaker.isUpstreamFailure({ status: 429 })).toBe(true)
+  })
+
+  it('lets a single probe through after the cooldown', () => {
+    fail(3)
+    vi.advanceTimersByTime(30000)
+
+    expect(breaker.isOpen()).toBe(false)
+    expect(breaker.allowRequest()).toBe(true)
+    expect(breaker.state).toBe(CIRCUIT_STATE.HALF_OPEN)
+    expect(breaker.allowRequest()).toBe(false)
+  })
+
+  it('closes when the probe succeeds', () => {
+    fail(3)
+    vi.advanceTimersByTime(30000)
+    breaker.allowRequest()
+    breaker.recordSuccess()
+
+    expect(breaker.state).toBe(CIRCUIT_STATE.CLOSED)
+    expect(breaker.allowRequest()).toBe(true)
+  })
+
+  it('re-opens for another cooldown when the probe fails', () => {
+    const onStateChange = vi.fn()
+    breaker.onStateChange = onStateChange
+
+    fail(3)
+    vi.advanceTimersByTime(30000)
+    fail(1)
+
+    expect(breaker.state).toBe(CIRCUIT_STATE.OPEN)
+    expect(breaker.isOpen()).toBe(true)
+    expect(breaker.getState()).toMatchObject({ trips: 2, lastError: { status: 503 } })
+    expect(onStateChange.mock.calls.map(([, from, to]) => `${from}->${to}`))
+      .toEqual(['closed->open', 'open->half-open', 'half-open->open'])
+  })
+
+  it('frees the probe slot when the probe is released', () => {
+    fail(3)
+    vi.advanceTimersByTime(30000)
+    breaker.allowRequest()
+    breaker.releaseProbe()
+
+    expect(breaker.state).toBe(CIRCUIT_STATE.HALF_OPEN)
+    expect(breaker.allowRequest()).toBe(true)
+  })
+})
+
+describe('OpenAIImageService breakers', () => {
+  it('lets the next request probe after a cancelled half-open probe', async () => {
+    const service = new OpenAIImageService()
+    const controller = new AbortController()
+    const provider = {
+      id: 'test:model',
+      model: 'model',
+      isMock: () => false,
+      resolveSize: () => '1024x1024',
+      generate: async () => {
+        controller.abort()
+        throw new Error('Request was aborted')
+      }
+    }
+
+    const breaker = service.getBreaker(provider)
+    for (let i = 0; i < breaker.failureThreshold; i++) {
+      breaker.allowRequest()
+      breaker.recordFailure(upstreamError())
+    }
+    breaker.openedAt -= breaker.cooldownMs
+
+    await expect(service.generateWithProvider(provider, 'a cat', { signal: controller.signal }, 'req-1', Date.now()))
+      .rejects.toMatchObject({ code: 'CANCELLED' })
+
+    expect(breaker.getState()).toMatchObject({ state: CIRCUIT_STATE.HALF_OPEN, consecutiveFailures: breaker.failureThreshold })
+    expect(breaker.allowRequest()).toBe(true)
+  })
+})
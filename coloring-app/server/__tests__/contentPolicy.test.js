@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest'
+import { checkContent, describeViolation, profileFor, tokenize, CONTENT_POLICY_VERSION } from '../../shared/contentPolicy.js'
+
+describe('tokenize', () => {
+  it('splits text into lowercase words', () => {
+    expect(tokenize("Don't pet the Café's cat!")).toEqual(['dont', 'pet', 'the', 'cafes', 'cat'])
+    expect(tokenize('self-harm, 18+')).toEqual(['self', 'harm', '18+'])
+  })
+})
+
+describe('checkContent', () => {
+  it.each([
+    'a skill tree with leaves',
+    'a swine in a field',
+    'a cozy adult coloring mandala for adults',
+    'a heroine princess',
+    'a firefighter rescuing a kitten',
+    'kids having a pillow fight',
+    'a killer whale jumping'
+  ])('allows %j', (text) => {
+    expect(checkContent(text)).toEqual({ allowed: true, version: CONTENT_POLICY_VERSION, profile: 'kids', reasons: [] })
+  })
+
+  it.each([
+    ['a knight with a sword', 'violence', 'sword'],
+    ['two men killing each other', 'violence', 'kill'],
+    ['a bottle of wines', 'substances', 'wine'],
+    ['adult themes only', 'adult', 'adult theme'],
+    ['a Dark  Magic ritual', 'scary', 'dark magic'],
+    ['stabbing', 'violence', 'stab']
+  ])('blocks %j', (text, category, term) => {
+    const result = checkContent(text)
+
+    expect(result.allowed).toBe(false)
+    expect(result.reasons).toMatchObject([{ category, term }])
+  })
+
+  it('reports each blocked term once with the words that matched', () => {
+    const result = checkContent('Guns, more guns and a pillow fight with a gun')
+
+    expect(result.reasons).toEqual([{ category: 'violence', term: 'gun', match: 'guns' }])
+    expect(describeViolation(result)).toBe('Coloring pages for kids must be family-friendly. Please try different words than "guns".')
+  })
+
+  it('only exempts words inside an allowed phrase', () => {
+    expect(checkContent('a water gun fight').reasons.map(reason => reason.term)).toEqual(['fight'])
+  })
+})
+
+describe('audience profiles', () => {
+  it('falls back to the kids profile for unknown age groups', () => {
+    expect(profileFor('adults')).toBe('adults')
+    expect(profileFor('toddlers')).toBe('kids')
+    expect(profileFor(undefined)).toBe('kids')
+  })
+
+  it.each([
+    ['a knight with a sword', { kids: false, teens: true, adults: true }],
+    ['a haunted house full of ghosts', { kids: false, teens: true, adults: true }],
+    ['a still life with a glass of wine', { kids: false, teens: false, adults: true }],
+    ['a pirate skull flag', { kids: false, teens: true, adults: true }],
+    ['a naked figure', { kids: false, teens: false, adults: false }],
+    ['a bloody battlefield', { kids: false, teens: false, adults: false }]
+  ])('decides %j per audience', (text, expected) => {
+    for (const [ageGroup, allowed] of Object.entries(expected)) {
+      expect(checkContent(text, { ageGroup }).allowed).toBe(allowed)
+    }
+  })
+
+  it('words the rejection for the audience', () => {
+    const result = checkContent('a sexy vampire', { ageGroup: 'adults' })
+
+    expect(result.profile).toBe('adults')
+    expect(describeViolation(result)).toBe('Pages must stay printable and safe to share. Please try different words than "sexy".')
+  })
+})
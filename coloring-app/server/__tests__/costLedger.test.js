@@ -0,0 +1,69 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { CostLedger } from '../services/costLedger.js'
+
+const costs = (totalCost) => ({ imageCost: totalCost, tokenCost: 0, totalCost })
+
+describe('CostLedger', () => {
+  let ledger
+
+  beforeEach(() => {
+    ledger = new CostLedger({ userMonthlyBudget: 0.5, globalMonthlyBudget: 1 })
+  })
+
+  it('buckets by user ID, falling back to client IP', () => {
+    expect(CostLedger.bucketFor({ user: { uid: 'abc' }, clientIp: '10.0.0.1' })).toBe('user:abc')
+    expect(CostLedger.bucketFor({ user: null, clientIp: '10.0.0.1' })).toBe('ip:10.0.0.1')
+  })
+
+  it('records actual spend per bucket', () => {
+    const reservation = ledger.authorize('user:abc', 0.167)
+    ledger.record(reservation, costs(0.17), { requestId: 'req-1', model: 'gpt-image-1' })
+
+    expect(ledger.getBucketSummary('user:abc')).toMatchObject({ spent: 0.17, remaining: 0.33, generations: 1 })
+    expect(ledger.getStats()).toMatchObject({ spent: 0.17, pending: 0, buckets: 1, entries: 1 })
+    expect(ledger.entries[0]).toMatchObject({ bucket: 'user:abc', requestId: 'req-1', totalCost: 0.17 })
+  })
+
+  it('rejects a generation that would exceed the user budget', () => {
+    ledger.record(ledger.authorize('user:abc', 0.167), costs(0.4))
+
+    expect(() => ledger.authorize('user:abc', 0.167)).toThrow(expect.objectContaining({
+      status: 402,
+      code: 'BUDGET_EXCEEDED',
+      details: expect.objectContaining({ scope: 'user', budget: 0.5 })
+    }))
+    expect(() => ledger.authorize('user:other', 0.167)).not.toThrow()
+  })
+
+  it('counts pending reservations toward the budget', () => {
+    ledger.authorize('ip:10.0.0.1', 0.3)
+
+    expect(() => ledger.authorize('ip:10.0.0.1', 0.3)).toThrow(/monthly image budget/)
+  })
+
+  it('frees the reservation when a generation is released', () => {
+    const reservation = ledger.authorize('ip:10.0.0.1', 0.3)
+    ledger.release(reservation)
+    ledger.release(reservation)
+
+    expect(ledger.getStats().pending).toBe(0)
+    expect(() => ledger.authorize('ip:10.0.0.1', 0.3)).not.toThrow()
+  })
+
+  it('enforces the global budget across buckets', () => {
+    ledger.record(ledger.authorize('user:a', 0.45), costs(0.45))
+    ledger.record(ledger.authorize('user:b', 0.45), costs(0.45))
+
+    expect(() => ledger.authorize('user:c', 0.167)).toThrow(expect.objectContaining({
+      details: expect.objectContaining({ scope: 'global' })
+    }))
+  })
+
+  it('treats a zero budget as unlimited', () => {
+    const unlimited = new CostLedger()
+    unlimited.record(unlimited.authorize('user:abc', 100), costs(100))
+
+    expect(() => unlimited.authorize('user:abc', 100)).not.toThrow()
+    expect(unlimited.getBucketSummary('user:abc')).toMatchObject({ budget: null, remaining: null })
+  })
+})
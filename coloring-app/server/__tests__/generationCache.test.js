@@ -0,0 +1,64 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { GenerationCache, normalizePrompt } from '../services/generationCache.js'
+
+const request = {
+  refinedPrompt: 'A friendly puppy, coloring book style',
+  customizations: { complexity: 'medium', lineThickness: 'thick', border: 'with' },
+  model: 'openai:gpt-image-1',
+  variations: 1
+}
+
+describe('GenerationCache', () => {
+  let cache
+
+  beforeEach(() => {
+    cache = new GenerationCache({ maxSize: 2, ttlMs: 60000 })
+  })
+
+  it('normalizes case and whitespace in prompts', () => {
+    expect(normalizePrompt('  A   Friendly\nPuppy ')).toBe('a friendly puppy')
+    expect(cache.generateKey({ ...request, refinedPrompt: 'a friendly  PUPPY, coloring book style ' }))
+      .toBe(cache.generateKey(request))
+  })
+
+  it('ignores customization key order', () => {
+    const reordered = { border: 'with', lineThickness: 'thick', complexity: 'medium' }
+    expect(cache.generateKey({ ...request, customizations: reordered })).toBe(cache.generateKey(request))
+  })
+
+  it('keys on settings, model and variation count', () => {
+    const key = cache.generateKey(request)
+
+    expect(cache.generateKey({ ...request, customizations: { ...request.customizations, complexity: 'simple' } })).not.toBe(key)
+    expect(cache.generateKey({ ...request, model: 'openai:dall-e-3' })).not.toBe(key)
+    expect(cache.generateKey({ ...request, variations: 2 })).not.toBe(key)
+  })
+
+  it('evicts the least recently used result', () => {
+    cache.set('a', { imageUrl: 'a.png' })
+    cache.set('b', { imageUrl: 'b.png' })
+    cache.get('a')
+    cache.set('c', { imageUrl: 'c.png' })
+
+    expect(cache.get('a').result.imageUrl).toBe('a.png')
+    expect(cache.get('b')).toBeNull()
+    expect(cache.get('c').result.imageUrl).toBe('c.png')
+  })
+
+  it('expires results after the TTL', () => {
+    cache.ttlMs = 0
+    cache.set('a', { imageUrl: 'a.png' })
+
+    expect(cache.get('a')).toBeNull()
+    expect(cache.getStats().size).toBe(0)
+  })
+
+  it('reports hits, misses and hit rate', () => {
+    cache.set('a', { imageUrl: 'a.png' })
+    cache.get('a')
+    cache.get('a')
+    cache.get('missing')
+
+    expect(cache.getStats()).toMatchObject({ size: 1, maxSize: 2, hits: 2, misses: 1, hitRate: 67 })
+  })
+})
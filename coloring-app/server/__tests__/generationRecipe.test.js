@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest'
+import { RECIPE_VERSION, buildRecipe, refinementFromRecipe, recipeFromGalleryImage } from '../services/generationRecipe.js'
+
+const refinementResult = {
+  success: true,
+  refinedPrompt: 'black-and-white line art of a friendly cat, medium complexity',
+  detectedCategory: 'animals',
+  appliedSettings: { complexity: 'medium', ageGroup: 'kids', orientation: 'portrait' },
+  metadata: { method: 'meta-prompt-gpt', templateVersion: 1 }
+}
+
+const imageMetadata = {
+  provider: 'openai:gpt-image-1',
+  model: 'gpt-image-1',
+  size: '1024x1536',
+  quality: 'high',
+  revisedPrompt: 'a friendly cat sitting in a garden'
+}
+
+const recipe = buildRecipe({
+  prompt: 'a cat',
+  customizations: { orientation: 'portrait' },
+  variations: 2,
+  refinementResult,
+  imageMetadata
+})
+
+describe('buildRecipe', () => {
+  it('records refinement and generation details', () => {
+    expect(recipe).toMatchObject({
+      version: RECIPE_VERSION,
+      prompt: 'a cat',
+      customizations: { orientation: 'portrait' },
+      refinement: { method: 'meta-prompt-gpt', templateVersion: 1, category: 'animals', refinedPrompt: refinementResult.refinedPrompt },
+      generation: { provider: 'openai:gpt-image-1', model: 'gpt-image-1', size: '1024x1536', quality: 'high', variations: 2, revisedPrompt: imageMetadata.revisedPrompt },
+      regeneratedFrom: null
+    })
+  })
+})
+
+describe('refinementFromRecipe', () => {
+  it('reuses the saved refined prompt and settings', () => {
+    const replayed = refinementFromRecipe(recipe)
+
+    expect(replayed.refinedPrompt).toBe(refinementResult.refinedPrompt)
+    expect(replayed.appliedSettings).toEqual(refinementResult.appliedSettings)
+    expect(replayed.metadata).toMatchObject({ method: 'meta-prompt-gpt', templateVersion: 1, reused: true })
+  })
+})
+
+describe('recipeFromGalleryImage', () => {
+  it('returns the stored recipe', () => {
+    expect(recipeFromGalleryImage({ metadata: { recipe } })).toBe(recipe)
+  })
+
+  it('rebuilds a recipe for pages saved before recipes existed', () => {
+    const legacy = recipeFromGalleryImage({
+      originalPrompt: 'a cat',
+      refinedPrompt: 'line art of a cat',
+      metadata: {
+        model: 'dall-e-3',
+        provider: 'openai:dall-e-3',
+        refinementData: { category: 'animals', method: 'template-based', appliedSettings: { complexity: 'simple' } }
+      }
+    })
+
+    expect(legacy).toMatchObject({
+      version: 0,
+      prompt: 'a cat',
+      customizations: { complexity: 'simple' },
+      refinement: { refinedPrompt: 'line art of a cat', method: 'template-based' },
+      generation: { provider: 'openai:dall-e-3', size: null }
+    })
+  })
+
+  it('rejects recipes from a newer version', () => {
+    expect(() => recipeFromGalleryImage({ metadata: { recipe: { ...recipe, version: RECIPE_VERSION + 1 } } }))
+      .toThrow(expect.objectContaining({ status: 422, code: 'RECIPE_UNSUPPORTED' }))
+  })
+
+  it('rejects pages that were not generated from a prompt', () => {
+    expect(() => recipeFromGalleryImage({ originalPrompt: 'My dog', refinedPrompt: 'My dog', metadata: { apiMode: 'local' } }))
+      .toThrow(expect.objectContaining({ status: 422, code: 'RECIPE_MISSING' }))
+  })
+})
@@ -0,0 +1,119 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import request from 'supertest'
+import express from 'express'
+import { IdempotencyStore } from '../services/idempotencyStore.js'
+
+// Minimal app whose handler counts how often the expensive work actually runs
+const createApp = (store, { status = 201, delayMs = 0 } = {}) => {
+  const app = express()
+  app.use(express.json())
+
+  app.calls = 0
+  app.post('/work', store.middleware('work'), async (req, res) => {
+    app.calls++
+    await new Promise(resolve => setTimeout(resolve, delayMs))
+    res.status(status).location(`/work/${app.calls}`).json({ success: true, run: app.calls, prompt: req.body.prompt })
+  })
+
+  return app
+}
+
+describe('IdempotencyStore middleware', () => {
+  let store
+
+  beforeEach(() => {
+    store = new IdempotencyStore({ ttlMs: 60000, maxEntries: 10 })
+  })
+
+  it('passes requests without a key straight through', async () => {
+    const app = createApp(store)
+
+    await request(app).post('/work').send({ prompt: 'cat' }).expect(201)
+    await request(app).post('/work').send({ prompt: 'cat' }).expect(201)
+
+    expect(app.calls).toBe(2)
+  })
+
+  it('replays the first response for a repeated key', async () => {
+    const app = createApp(store)
+
+    const first = await request(app).post('/work').set('Idempotency-Key', 'key-1').send({ prompt: 'cat' }).expect(201)
+    const second = await request(app).post('/work').set('Idempotency-Key', 'key-1').send({ prompt: 'cat' }).expect(201)
+
+    expect(app.calls).toBe(1)
+    expect(second.body).toEqual(first.body)
+    expect(second.headers['idempotent-replayed']).toBe('true')
+    expect(second.headers.location).toBe('/work/1')
+  })
+
+  it('makes a duplicate wait for the in-flight original', async () => {
+    const app = createApp(store, { delayMs: 50 })
+
+    const [first, second] = await Promise.all([
+      request(app).post('/work').set('Idempotency-Key', 'key-2').send({ prompt: 'cat' }),
+      request(app).post('/work').set('Idempotency-Key', 'key-2').send({ prompt: 'cat' })
+    ])
+
+    expect(app.calls).toBe(1)
+    expect(second.body.run).toBe(first.body.run)
+  })
+
+  it('rejects a key reused with a different body', async () => {
+    const app = createApp(store)
+
+    await request(app).post('/work').set('Idempotency-Key', 'key-3').send({ prompt: 'cat' }).expect(201)
+    const reused = await request(app).post('/work').set('Idempotency-Key', 'key-3').send({ prompt: 'dog' }).expect(422)
+
+    expect(reused.body.code).toBe('IDEMPOTENCY_KEY_REUSED')
+    expect(app.calls).toBe(1)
+  })
+
+  it('does not store retryable server errors', async () => {
+    const app = createApp(store, { status: 503 })
+
+    await request(app).post('/work').set('Idempotency-Key', 'key-4').send({ prompt: 'cat' }).expect(503)
+    await request(app).post('/work').set('Idempotency-Key', 'key-4').send({ prompt: 'cat' }).expect(503)
+
+    expect(app.calls).toBe(2)
+  })
+
+  it('rejects malformed keys', async () => {
+    const app = createApp(store)
+
+    const response = await request(app).post('/work').set('Idempotency-Key', 'has spaces').send({}).expect(400)
+    expect(response.body.code).toBe('INVALID_IDEMPOTENCY_KEY')
+  })
+
+  it('evicts the oldest responses when over the byte budget', async () => {
+    store = new IdempotencyStore({ ttlMs: 60000, maxEntries: 10, maxBytes: 200 })
+    const app = createApp(store)
+    const prompt = 'x'.repeat(80)
+
+    await request(app).post('/work').set('Idempotency-Key', 'key-6').send({ prompt })
+    await request(app).post('/work').set('Idempotency-Key', 'key-7').send({ prompt })
+    expect(store.getStats()).toMatchObject({ entries: 1 })
+    expect(store.getStats().bytes).toBeLessThanOrEqual(200)
+
+    await request(app).post('/work').set('Idempotency-Key', 'key-7').send({ prompt })
+    await request(app).post('/work').set('Idempotency-Key', 'key-6').send({ prompt })
+    expect(app.calls).toBe(3)
+  })
+
+  it('does not store a response larger than the byte budget', async () => {
+    store = new IdempotencyStore({ ttlMs: 60000, maxEntries: 10, maxBytes: 50 })
+    const app = createApp(store)
+
+    await request(app).post('/work').set('Idempotency-Key', 'key-8').send({ prompt: 'x'.repeat(80) }).expect(201)
+    expect(store.getStats()).toMatchObject({ entries: 0, bytes: 0 })
+  })
+
+  it('stops replaying after the retention window', async () => {
+    store.ttlMs = 0
+    const app = createApp(store)
+
+    await request(app).post('/work').set('Idempotency-Key', 'key-5').send({ prompt: 'cat' })
+    await request(app).post('/work').set('Idempotency-Key', 'key-5').send({ prompt: 'cat' })
+
+    expect(app.calls).toBe(2)
+  })
+})
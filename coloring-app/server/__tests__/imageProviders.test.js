@@ -0,0 +1,84 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { createProviderChain, parseProviderChain, DEFAULT_PROVIDER_CHAIN } from '../services/providers/index.js'
+import { HttpImageProvider } from '../services/providers/httpImageProvider.js'
+
+describe('image provider chain', () => {
+  it('defaults to gpt-image-1 with dall-e-3 fallback', () => {
+    const chain = createProviderChain(DEFAULT_PROVIDER_CHAIN, { openaiClient: {} })
+
+    expect(chain.map(provider => provider.id)).toEqual(['openai:gpt-image-1', 'openai:dall-e-3'])
+    expect(chain[1].getCapabilities().maxImagesPerRequest).toBe(1)
+  })
+
+  it('parses type:model entries in order', () => {
+    expect(parseProviderChain(' http:sdxl-lineart , openai:dall-e-3 ')).toEqual([
+      { type: 'http', model: 'sdxl-lineart' },
+      { type: 'openai', model: 'dall-e-3' }
+    ])
+  })
+
+  it('rejects malformed entries and unknown provider types', () => {
+    expect(() => parseProviderChain('openai')).toThrow(/expected type:model/)
+    expect(() => parseProviderChain('')).toThrow(/empty/)
+    expect(() => createProviderChain('replicate:sdxl')).toThrow(/Unknown image provider type/)
+  })
+})
+
+describe('page orientation', () => {
+  const [gptImage, dallE3, dallE2] = createProviderChain('openai:gpt-image-1,openai:dall-e-3,openai:dall-e-2', { openaiClient: {} })
+
+  it("maps orientations to each model's supported sizes", () => {
+    const sizes = (provider) => ['square', 'portrait', 'landscape']
+      .map(orientation => provider.buildRequestParams('a cat', { orientation }).size)
+
+    expect(sizes(gptImage)).toEqual(['1024x1024', '1024x1536', '1536x1024'])
+    expect(sizes(dallE3)).toEqual(['1024x1024', '1024x1792', '1792x1024'])
+    // dall-e-2 only draws squares
+    expect(sizes(dallE2)).toEqual(['1024x1024', '1024x1024', '1024x1024'])
+  })
+
+  it('keeps an explicit size only when the model supports it', () => {
+    expect(dallE3.resolveSize({ size: '1792x1024', orientation: 'portrait' })).toBe('1792x1024')
+    expect(dallE3.resolveSize({ size: '1536x1024', orientation: 'landscape' })).toBe('1792x1024')
+    expect(new HttpImageProvider({ model: 'sdxl' }).resolveSize({ orientation: 'portrait' })).toBe('1024x1536')
+  })
+
+  it('prices portrait and landscape pages', () => {
+    expect(gptImage.estimateCost('1024x1536', 'high').imageCost).toBe(0.25)
+    expect(dallE3.estimateCost('1792x1024', 'standard').imageCost).toBe(0.08)
+    expect(dallE3.estimateCost('1792x1024', 'standard').imageCost).toBeGreaterThan(dallE3.estimateCost('1024x1024', 'standard').imageCost)
+  })
+})
+
+describe('HttpImageProvider', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  it('is only configured when a URL is set', () => {
+    expect(new HttpImageProvider({ model: 'sdxl', url: '' }).isConfigured()).toBe(false)
+    expect(new HttpImageProvider({ model: 'sdxl', url: 'http://localhost:7860/generate' }).isConfigured()).toBe(true)
+  })
+
+  it('normalizes OpenAI-style and images[] responses', async () => {
+    const provider = new HttpImageProvider({ model: 'sdxl', url: 'http://localhost:7860/generate', maxImagesPerRequest: 2 })
+    const fetchMock = vi.fn()
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ data: [{ b64_json: 'AAA' }, { url: 'http://img/2.png' }] }) })
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ images: ['data:image/png;base64,BBB'] }) })
+    vi.stubGlobal('fetch', fetchMock)
+
+    const first = await provider.generate('a friendly cat', { n: 2 })
+    expect(first.images.map(image => image.imageUrl)).toEqual(['data:image/png;base64,AAA', 'http://img/2.png'])
+    expect(JSON.parse(fetchMock.mock.calls[0][1].body)).toMatchObject({ model: 'sdxl', prompt: 'a friendly cat', n: 2 })
+
+    const second = await provider.generate('a friendly cat')
+    expect(second.images[0].imageUrl).toBe('data:image/png;base64,BBB')
+  })
+
+  it('surfaces the server status code on failure', async () => {
+    const provider = new HttpImageProvider({ model: 'sdxl', url: 'http://localhost:7860/generate' })
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValue({ ok: false, status: 429, text: async () => 'busy' }))
+
+    await expect(provider.generate('a friendly cat')).rejects.toMatchObject({ status: 429 })
+  })
+})
@@ -0,0 +1,177 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { JobQueue, JOB_STATUS } from '../services/jobQueue.js'
+
+// Deferred task helper so tests control when a job finishes
+const createDeferredTask = () => {
+  let resolve
+  let reject
+  const promise = new Promise((res, rej) => {
+    resolve = res
+    reject = rej
+  })
+  return { task: () => promise, resolve, reject }
+}
+
+describe('JobQueue', () => {
+  let queue
+
+  beforeEach(() => {
+    queue = new JobQueue({ concurrency: 1, maxQueued: 2, cleanupIntervalMs: 0 })
+  })
+
+  afterEach(() => {
+    queue.close()
+  })
+
+  it('returns a job ID immediately and completes with the task result', async () => {
+    const job = queue.submit(async () => ({ success: true, imageUrl: 'data:image/png;base64,AAA' }))
+
+    expect(job.id).toMatch(/^job_/)
+
+    await job.done
+
+    const publicJob = queue.toPublicJob(queue.get(job.id))
+    expect(publicJob.status).toBe(JOB_STATUS.DONE)
+    expect(publicJob.result.imageUrl).toBe('data:image/png;base64,AAA')
+    expect(publicJob.finishedAt).toBeTruthy()
+  })
+
+  it('reports intermediate pipeline statuses', async () => {
+    const seen = []
+    queue.on('update', (job) => seen.push(job.status))
+
+    const job = queue.submit(async ({ setStatus }) => {
+      setStatus(JOB_STATUS.REFINING)
+      setStatus(JOB_STATUS.GENERATING)
+      setStatus(JOB_STATUS.SAVING)
+      return { success: true }
+    })
+    await job.done
+
+    expect(seen).toEqual(['queued', 'refining', 'generating', 'saving', 'done'])
+  })
+
+  it('stores stage events so late subscribers can replay them', async () => {
+    const streamed = []
+    queue.on('event', ({ event }) => streamed.push(event.type))
+
+    const job = queue.submit(async ({ emitEvent }) => {
+      emitEvent('prompt-refined', { refinedPrompt: 'A friendly cat, coloring book style' })
+      emitEvent('model-attempt', { model: 'gpt-image-1', attempt: 1, maxAttempts: 3 })
+      emitEvent('image-received', { model: 'gpt-image-1' })
+      return { success: true }
+    })
+    await job.done
+
+    expect(streamed).toEqual(['prompt-refined', 'model-attempt', 'image-received'])
+
+    const { events } = queue.toPublicJob(job)
+    expect(events.map(event => event.id)).toEqual([1, 2, 3])
+    expect(events[0].data.refinedPrompt).toBe('A friendly cat, coloring book style')
+    expect(events[1].data.model).toBe('gpt-image-1')
+
+    // Events after completion are ignored
+    expect(queue.addEvent(job, 'gallery-saved')).toBeNull()
+  })
+
+  it('runs no more than the configured number of jobs at once', async () => {
+    const first = createDeferredTask()
+    const second = createDeferredTask()
+
+    const firstJob = queue.submit(first.task)
+    const secondJob = queue.submit(second.task)
+
+    expect(queue.getStats().running).toBe(1)
+    expect(queue.toPublicJob(secondJob).status).toBe(JOB_STATUS.QUEUED)
+    expect(queue.toPublicJob(secondJob).queuePosition).toBe(1)
+
+    first.resolve({ success: true })
+    await firstJob.done
+
+    expect(queue.getStats().running).toBe(1)
+    expect(secondJob.startedAt).toBeTruthy()
+
+    second.resolve({ success: true })
+    await secondJob.done
+    expect(queue.getStats().running).toBe(0)
+  })
+
+  it('rejects submissions with a 503 when the backlog is full', () => {
+    const blocker = createDeferredTask()
+    queue.submit(blocker.task)
+    queue.submit(blocker.task)
+    queue.submit(blocker.task)
+
+    expect(() => queue.submit(blocker.task)).toThrow(expect.objectContaining({
+      status: 503,
+      code: 'QUEUE_FULL'
+    }))
+
+    blocker.resolve({ success: true })
+  })
+
+  it('records failures without rejecting the done promise', async () => {
+    const error = new Error('Content policy violation')
+    error.status = 400
+
+    const job = queue.submit(async () => {
+      throw error
+    })
+    await expect(job.done).resolves.toBe(job)
+
+    expect(job.status).toBe(JOB_STATUS.FAILED)
+    expect(job.failure).toBe(error)
+    expect(queue.toPublicJob(job).error).toEqual({ message: 'Content policy violation', status: 400 })
+  })
+
+  it('aborts the signal of a cancelled running job', async () => {
+    let seenSignal
+    const job = queue.submit(({ signal }) => new Promise((resolve, reject) => {
+      seenSignal = signal
+      signal.addEventListener('abort', () => reject(new Error('aborted')))
+    }))
+
+    expect(queue.cancel(job.id)).toBe(true)
+    await job.done
+
+    expect(seenSignal.aborted).toBe(true)
+    expect(job.status).toBe(JOB_STATUS.CANCELLED)
+    expect(job.failure).toMatchObject({ status: 499, code: 'CANCELLED' })
+    expect(queue.toPublicJob(job).error).toEqual({ message: 'Generation cancelled', status: 499, code: 'CANCELLED' })
+  })
+
+  it('drops a cancelled job before it starts', async () => {
+    const blocker = createDeferredTask()
+    queue.submit(blocker.task)
+    let started = false
+    const waiting = queue.submit(async () => {
+      started = true
+    })
+
+    expect(queue.cancel(waiting.id)).toBe(true)
+    await waiting.done
+    blocker.resolve({ success: true })
+
+    expect(waiting.status).toBe(JOB_STATUS.CANCELLED)
+    expect(queue.getStats().queued).toBe(0)
+    expect(started).toBe(false)
+  })
+
+  it('leaves finished jobs alone when cancelled', async () => {
+    const job = queue.submit(async () => ({ success: true }))
+    await job.done
+
+    expect(queue.cancel(job.id)).toBe(false)
+    expect(job.status).toBe(JOB_STATUS.DONE)
+  })
+
+  it('prunes finished jobs after the retention window', async () => {
+    queue.retentionMs = 0
+
+    const job = queue.submit(async () => ({ success: true }))
+    await job.done
+
+    expect(queue.prune()).toBe(1)
+    expect(queue.get(job.id)).toBeNull()
+  })
+})
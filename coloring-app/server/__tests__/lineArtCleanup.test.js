@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest'
+import sharp from 'sharp'
+import { cleanLineArt, cleanupGenerationResult, estimateStrokeWidth, dilate, erode } from '../services/lineArtCleanup.js'
+
+// Off-white paper, a gray-filled circle with a hairline outline and a heavy box
+const messyPage = () => sharp(Buffer.from(
+  `<svg xmlns="http://www.w3.org/2000/svg" width="512" height="512">
+    <rect width="100%" height="100%" fill="#f4f1ea"/>
+    <circle cx="256" cy="300" r="150" fill="#b0b0b0" stroke="#111" stroke-width="2"/>
+    <rect x="40" y="40" width="120" height="80" fill="none" stroke="#222" stroke-width="12"/>
+  </svg>`
+)).png().toBuffer()
+
+const toDataUrl = (buffer) => `data:image/png;base64,${buffer.toString('base64')}`
+
+describe('morphology', () => {
+  const size = { width: 9, height: 9 }
+  const dot = () => {
+    const mask = new Uint8Array(81)
+    mask[4 * 9 + 4] = 1
+    return mask
+  }
+
+  it('dilates a dot into a square and erodes it back', () => {
+    const grown = dilate(dot(), size, 1)
+
+    expect(grown.reduce((sum, ink) => sum + ink, 0)).toBe(9)
+    expect(erode(grown, size, 1)).toEqual(dot())
+  })
+
+  it('estimates the width of a stroke', () => {
+    const mask = new Uint8Array(100 * 100)
+    for (let y = 0; y < 100; y++) {
+      for (let x = 40; x < 46; x++) mask[y * 100 + x] = 1
+    }
+
+    expect(estimateStrokeWidth(mask, { width: 100, height: 100 })).toBeCloseTo(6, 0)
+    expect(estimateStrokeWidth(new Uint8Array(100), { width: 10, height: 10 })).toBeNull()
+  })
+})
+
+describe('cleanLineArt', () => {
+  it('leaves only pure black and pure white', async () => {
+    const { png, stats } = await cleanLineArt(await messyPage())
+    const { data } = await sharp(png).extractChannel(0).raw().toBuffer({ resolveWithObject: true })
+
+    expect(data.every(value => value === 0 || value === 255)).toBe(true)
+    // The gray fill and off-white paper are gone, only outlines stay inked
+    expect(stats.grayRemoved).toBeGreaterThan(0.5)
+    expect(stats.inkCoverage).toBeLessThan(0.05)
+  })
+
+  it('closes small gaps in outlines', async () => {
+    const broken = await sharp(Buffer.from(
+      `<svg xmlns="http://www.w3.org/2000/svg" width="200" height="50">
+        <rect width="100%" height="100%" fill="#fff"/>
+        <rect x="10" y="20" width="89" height="6" fill="#000"/>
+        <rect x="101" y="20" width="89" height="6" fill="#000"/>
+      </svg>`
+    )).png().toBuffer()
+
+    const { png } = await cleanLineArt(broken)
+    const { data } = await sharp(png).extractChannel(0).raw().toBuffer({ resolveWithObject: true })
+
+    expect(data[23 * 200 + 100]).toBe(0)
+  })
+
+  it('matches stroke weight to the requested line thickness', async () => {
+    const page = await messyPage()
+    const thin = await cleanLineArt(page, { lineThickness: 'thin' })
+    const thick = await cleanLineArt(page, { lineThickness: 'thick' })
+
+    expect(thick.stats.strokeWidthAfter).toBeGreaterThan(thin.stats.strokeWidthAfter)
+    expect(thick.stats.inkCoverage).toBeGreaterThan(thin.stats.inkCoverage)
+  })
+})
+
+describe('cleanupGenerationResult', () => {
+  it('returns the cleaned page by default and keeps the raw one', async () => {
+    const raw = toDataUrl(await messyPage())
+    const result = await cleanupGenerationResult({
+      imageUrl: raw,
+      metadata: { model: 'gpt-image-1' },
+      variations: [{ index: 0, imageUrl: raw }]
+    }, { lineThickness: 'medium' })
+
+    expect(result.imageUrl).not.toBe(raw)
+    expect(result.rawImageUrl).toBe(raw)
+    expect(result.variations[0]).toMatchObject({ imageUrl: result.imageUrl, rawImageUrl: raw })
+    expect(result.metadata).toMatchObject({ model: 'gpt-image-1', lineArtCleanup: { applied: true, lineThickness: 'medium' } })
+  })
+
+  it('falls back to the raw image when a page cannot be read', async () => {
+    const broken = 'data:image/png;base64,AAAA'
+    const result = await cleanupGenerationResult({ imageUrl: broken, metadata: {} })
+
+    expect(result.imageUrl).toBe(broken)
+    expect(result.metadata.lineArtCleanup.applied).toBe(false)
+  })
+})
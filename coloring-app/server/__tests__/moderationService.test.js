@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest'
+import { ModerationService } from '../services/moderationService.js'
+import { LocalModerationProvider, ModerationProvider, createModerationProvider } from '../services/moderationProviders.js'
+
+class FailingProvider extends ModerationProvider {
+  constructor() {
+    super({ type: 'openai', model: 'down' })
+  }
+
+  async moderateText() {
+    throw new Error('connect ECONNREFUSED')
+  }
+
+  async moderateImage() {
+    throw new Error('connect ECONNREFUSED')
+  }
+}
+
+describe('LocalModerationProvider', () => {
+  const local = new LocalModerationProvider()
+
+  it.each([
+    ['a girl without clothes on the beach', 'sexual'],
+    ['a dismembered knight after the battle', 'violence/graphic'],
+    ['a sad boy who wants to hurt himself', 'self-harm'],
+    ['a cowboy with a gun', 'violence']
+  ])('flags %j', (text, category) => {
+    expect(local.classify(text)).toEqual({ flagged: true, categories: [category] })
+  })
+
+  it('allows coloring page prompts', () => {
+    expect(local.classify('a friendly dragon reading a book, thick outlines, family-friendly')).toEqual({ flagged: false, categories: [] })
+  })
+
+  it('checks only the revised prompt of an image', async () => {
+    expect(await local.moderateImage({ imageUrl: 'data:image/png;base64,AAAA' })).toEqual({ flagged: false, categories: [], checked: false })
+    expect((await local.moderateImage({ imageUrl: 'x', revisedPrompt: 'a bloody knight' })).flagged).toBe(true)
+  })
+})
+
+describe('createModerationProvider', () => {
+  it('returns null when moderation is off', () => {
+    expect(createModerationProvider('off')).toBeNull()
+    expect(() => createModerationProvider('acme')).toThrow(/Unknown moderation provider/)
+  })
+})
+
+describe('ModerationService', () => {
+  it('rejects a flagged refined prompt with its stage', async () => {
+    const moderation = new ModerationService()
+
+    await expect(moderation.checkPrompts({ prompt: 'a beach day', refinedPrompt: 'a girl without clothes on the beach' }))
+      .rejects.toMatchObject({ status: 400, code: 'MODERATION_FLAGGED', details: { stage: 'refined-prompt', provider: 'local:rules', categories: ['sexual'] } })
+    expect(moderation.getStats().stages.prompt).toEqual({ allowed: 1, flagged: 0, unchecked: 0 })
+    expect(moderation.getStats().flaggedCategories).toEqual({ sexual: 1 })
+  })
+
+  it('rejects a result when any image is flagged', async () => {
+    const moderation = new ModerationService()
+    const result = {
+      variations: [
+        { imageUrl: 'a', revisedPrompt: 'a happy cat' },
+        { imageUrl: 'b', revisedPrompt: 'a knight soaked in red' },
+        { imageUrl: 'c' }
+      ]
+    }
+
+    await expect(moderation.checkImages(result)).rejects.toMatchObject({ status: 422, code: 'MODERATION_FLAGGED' })
+    expect(moderation.getStats().stages.image).toEqual({ allowed: 1, flagged: 1, unchecked: 1 })
+  })
+
+  it('falls back to the local stand-in when the provider fails', async () => {
+    const moderation = new ModerationService({ provider: new FailingProvider() })
+
+    await moderation.checkPrompts({ prompt: 'a unicorn', refinedPrompt: 'a unicorn in a meadow' })
+    await expect(moderation.checkPrompts({ prompt: 'rolling a joint', refinedPrompt: 'a person rolling a joint' }))
+      .rejects.toMatchObject({ details: { stage: 'prompt', provider: 'local:rules' } })
+    expect(moderation.getStats().providerErrors).toBe(2)
+  })
+
+  it('does nothing when off', async () => {
+    const moderation = new ModerationService({ provider: null })
+
+    await moderation.checkPrompts({ prompt: 'a girl without clothes', refinedPrompt: 'x' })
+    expect(moderation.getStats().provider).toBeNull()
+  })
+})
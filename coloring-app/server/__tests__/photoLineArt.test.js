@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest'
+import sharp from 'sharp'
+import { convertToLineArt, readPhoto, createPageFromPhoto } from '../services/photoLineArt.js'
+
+// A dark disc on a light background stands in for a photo subject
+const photo = (format = 'jpeg', width = 320, height = 240) => sharp(Buffer.from(
+  `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+    <rect width="100%" height="100%" fill="#c8d8e8"/>
+    <circle cx="${width / 2}" cy="${height / 2}" r="${height / 3}" fill="#803010"/>
+  </svg>`
+))[format]().toBuffer()
+
+const toDataUrl = (buffer, type = 'jpeg') => `data:image/${type};base64,${buffer.toString('base64')}`
+
+const blackPixels = async (png) => {
+  const { data } = await sharp(png).extractChannel(0).raw().toBuffer({ resolveWithObject: true })
+  return data.filter(value => value < 128).length
+}
+
+describe('convertToLineArt', () => {
+  it('produces black outlines on a white page of the photo size', async () => {
+    const { png, width, height, edgeCoverage } = await convertToLineArt(await photo())
+    const { channels } = await sharp(png).stats()
+
+    expect({ width, height }).toEqual({ width: 320, height: 240 })
+    expect(edgeCoverage).toBeGreaterThan(0)
+    expect(channels[0].min).toBe(0)
+    expect(channels[0].max).toBe(255)
+    // Mostly white: only the outline is drawn, not the filled disc
+    expect(channels[0].mean).toBeGreaterThan(200)
+  })
+
+  it('draws thicker lines for thick line thickness', async () => {
+    const input = await photo()
+    const thin = await convertToLineArt(input, { lineThickness: 'thin' })
+    const thick = await convertToLineArt(input, { lineThickness: 'thick' })
+
+    expect(await blackPixels(thick.png)).toBeGreaterThan(await blackPixels(thin.png))
+  })
+
+  it('drops fine texture for simple pages and keeps it for detailed ones', async () => {
+    let dots = ''
+    for (let x = 10; x < 320; x += 20) {
+      for (let y = 10; y < 240; y += 20) dots += `<circle cx="${x}" cy="${y}" r="2" fill="#667"/>`
+    }
+    const texture = await sharp(Buffer.from(
+      `<svg xmlns="http://www.w3.org/2000/svg" width="320" height="240"><rect width="100%" height="100%" fill="#c8d8e8"/>${dots}</svg>`
+    )).jpeg().toBuffer()
+
+    const simple = await convertToLineArt(texture, { complexity: 'simple' })
+    const detailed = await convertToLineArt(texture, { complexity: 'detailed' })
+
+    expect(await blackPixels(simple.png)).toBe(0)
+    expect(await blackPixels(detailed.png)).toBeGreaterThan(0)
+  })
+
+  it('fits large photos to page size', async () => {
+    const { width, height } = await convertToLineArt(await photo('png', 2048, 1536))
+
+    expect({ width, height }).toEqual({ width: 1024, height: 768 })
+  })
+})
+
+describe('readPhoto', () => {
+  it('accepts JPEG and PNG data URLs', async () => {
+    await expect(readPhoto(toDataUrl(await photo('png'), 'png'))).resolves.toMatchObject({ format: 'png', width: 320 })
+  })
+
+  it('rejects other formats and tiny images', async () => {
+    await expect(readPhoto('data:image/gif;base64,R0lGODlhAQABAAAAACw=')).rejects.toMatchObject({ status: 400, code: 'INVALID_PHOTO' })
+    await expect(readPhoto(toDataUrl(await photo('jpeg', 40, 40)))).rejects.toMatchObject({ status: 400, code: 'INVALID_PHOTO' })
+  })
+})
+
+describe('createPageFromPhoto', () => {
+  it('returns a PNG page with zero cost and line art metadata', async () => {
+    const page = await createPageFromPhoto({
+      photo: toDataUrl(await photo()),
+      customizations: { complexity: 'simple', lineThickness: 'thick' },
+      title: 'Our dog Biscuit',
+      requestId: 'test'
+    })
+
+    expect(page.imageUrl).toMatch(/^data:image\/png;base64,/)
+    expect(page.description).toBe('Our dog Biscuit')
+    expect(page.metadata).toMatchObject({
+      model: 'photo-line-art',
+      source: 'photo',
+      lineArt: { complexity: 'simple', lineThickness: 'thick' },
+      costs: { totalCost: 0 }
+    })
+  })
+})
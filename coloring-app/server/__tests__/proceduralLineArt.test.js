@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest'
+import { renderLineArt, renderLineArtDataUrl } from '../services/providers/proceduralLineArt.js'
+import { MockProvider } from '../services/providers/mockProvider.js'
+
+const baseOptions = {
+  prompt: 'a friendly puppy playing with a ball, coloring book style',
+  category: 'domesticAnimals',
+  customizations: { complexity: 'medium', lineThickness: 'medium', border: 'with' }
+}
+
+const countElements = (svg) => (svg.match(/<(circle|ellipse|rect|line|path|polygon)\b/g) || []).length
+
+describe('renderLineArt', () => {
+  it('is deterministic for the same inputs', () => {
+    expect(renderLineArt(baseOptions)).toBe(renderLineArt(baseOptions))
+  })
+
+  it('draws different pages for different prompts and variations', () => {
+    const puppy = renderLineArt(baseOptions)
+
+    expect(renderLineArt({ ...baseOptions, prompt: 'a sleepy kitten on a pillow' })).not.toBe(puppy)
+    expect(renderLineArt({ ...baseOptions, variationIndex: 1 })).not.toBe(puppy)
+  })
+
+  it('picks the motif from the subject category', () => {
+    expect(renderLineArt(baseOptions)).toContain('data-motif="animal"')
+    expect(renderLineArt({ ...baseOptions, category: 'marineLife' })).toContain('data-motif="fish"')
+    expect(renderLineArt({ ...baseOptions, category: 'vehicles' })).toContain('data-motif="vehicle"')
+  })
+
+  it('draws a frame only when a border is requested', () => {
+    const framed = renderLineArt(baseOptions)
+    const unframed = renderLineArt({ ...baseOptions, customizations: { ...baseOptions.customizations, border: 'without' } })
+
+    expect(framed).toMatch(/<rect x="24" y="24"/)
+    expect(unframed).not.toMatch(/<rect x="24" y="24"/)
+  })
+
+  it('uses the stroke width for the requested line thickness', () => {
+    const thin = renderLineArt({ ...baseOptions, customizations: { ...baseOptions.customizations, lineThickness: 'thin' } })
+    const thick = renderLineArt({ ...baseOptions, customizations: { ...baseOptions.customizations, lineThickness: 'thick' } })
+
+    expect(thin).toContain('stroke="black" stroke-width="2"')
+    expect(thick).toContain('stroke="black" stroke-width="7"')
+  })
+
+  it('adds more shapes as complexity increases', () => {
+    const simple = renderLineArt({ ...baseOptions, customizations: { ...baseOptions.customizations, complexity: 'simple' } })
+    const detailed = renderLineArt({ ...baseOptions, customizations: { ...baseOptions.customizations, complexity: 'detailed' } })
+
+    expect(countElements(detailed)).toBeGreaterThan(countElements(simple))
+  })
+
+  it('escapes the prompt in the title and honours the page size', () => {
+    const svg = renderLineArt({ ...baseOptions, prompt: 'cats & "dogs" <3', size: '1024x1536' })
+
+    expect(svg).toContain('<title>cats &amp; &quot;dogs&quot; &lt;3</title>')
+    expect(svg).toContain('viewBox="0 0 1024 1536"')
+    expect(renderLineArtDataUrl(baseOptions)).toMatch(/^data:image\/svg\+xml;base64,/)
+  })
+})
+
+describe('MockProvider', () => {
+  it('returns one distinct page per requested image', async () => {
+    const provider = new MockProvider()
+    const result = await provider.generate(baseOptions.prompt, {
+      n: 3,
+      category: baseOptions.category,
+      customizations: baseOptions.customizations
+    })
+
+    expect(result.images).toHaveLength(3)
+    expect(new Set(result.images.map(image => image.imageUrl)).size).toBe(3)
+    expect(provider.estimateCost()).toMatchObject({ totalCost: 0, mock: true })
+  })
+})
@@ -0,0 +1,112 @@
+import { describe, it, expect } from 'vitest'
+import sharp from 'sharp'
+import { QualityChecker, QUALITY_FAILURES, buildStricterPrompt, countRegions } from '../services/qualityCheck.js'
+
+const page = (body, paper = '#ffffff') => sharp(Buffer.from(
+  `<svg xmlns="http://www.w3.org/2000/svg" width="512" height="512">
+    <rect width="100%" height="100%" fill="${paper}"/>
+    ${body}
+  </svg>`
+)).png().toBuffer()
+
+// Nine outlined boxes: clean line art with ten colourable regions
+const grid = Array.from({ length: 9 }, (_, i) =>
+  `<rect x="${40 + (i % 3) * 150}" y="${40 + Math.floor(i / 3) * 150}" width="120" height="120" fill="none" stroke="#000" stroke-width="4"/>`
+).join('')
+
+const toDataUrl = (buffer) => `data:image/png;base64,${buffer.toString('base64')}`
+
+describe('countRegions', () => {
+  it('counts separated paper areas and ignores small ones', () => {
+    // 10x10 paper split by an ink column into 50 and 40 pixel areas
+    const size = { width: 10, height: 10 }
+    const paper = new Uint8Array(100).fill(1)
+    for (let y = 0; y < 10; y++) paper[y * 10 + 5] = 0
+
+    expect(countRegions(paper, size, 1)).toBe(2)
+    expect(countRegions(paper, size, 45)).toBe(1)
+  })
+})
+
+describe('QualityChecker', () => {
+  const checker = new QualityChecker()
+
+  it('passes clean line art', async () => {
+    const result = await checker.evaluate(await page(grid), { complexity: 'medium', ageGroup: 'kids' })
+
+    expect(result.passed).toBe(true)
+    expect(result.failures).toEqual([])
+    expect(result.scores.regionCount).toBe(10)
+    expect(result.scores.solidBlackRatio).toBe(0)
+    expect(result.scores.grayRatio).toBe(0)
+    expect(result.scores.backgroundLevel).toBe(255)
+  })
+
+  it('flags solid black fills but not thick outlines', async () => {
+    const filled = await checker.evaluate(await page(`${grid}<circle cx="256" cy="256" r="90" fill="#000"/>`))
+    const outlined = await checker.evaluate(await page(`${grid}<circle cx="256" cy="256" r="90" fill="none" stroke="#000" stroke-width="8"/>`))
+
+    expect(filled.failures).toContain(QUALITY_FAILURES.SOLID_BLACK)
+    expect(filled.scores.solidBlackRatio).toBeGreaterThan(0.03)
+    expect(outlined.failures).not.toContain(QUALITY_FAILURES.SOLID_BLACK)
+  })
+
+  it('flags gray shading away from the lines', async () => {
+    const result = await checker.evaluate(await page(`${grid}<rect x="190" y="190" width="120" height="120" fill="#999"/>`))
+
+    expect(result.failures).toContain(QUALITY_FAILURES.GRAYSCALE)
+    expect(result.scores.grayRatio).toBeGreaterThan(0.04)
+  })
+
+  it('flags an off-white background', async () => {
+    const result = await checker.evaluate(await page(grid, '#d8d0c0'))
+
+    expect(result.failures).toContain(QUALITY_FAILURES.BACKGROUND)
+    expect(result.scores.backgroundLevel).toBeLessThan(240)
+  })
+
+  it('applies region limits for the complexity', async () => {
+    const empty = await checker.evaluate(await page('<circle cx="256" cy="256" r="100" fill="none" stroke="#000" stroke-width="4"/>'), { complexity: 'medium' })
+    const detailed = await checker.evaluate(await page(grid), { complexity: 'detailed' })
+
+    expect(empty.failures).toContain(QUALITY_FAILURES.TOO_FEW_REGIONS)
+    expect(detailed.failures).toContain(QUALITY_FAILURES.TOO_FEW_REGIONS)
+  })
+
+  it('uses the age group limits and merges threshold overrides', async () => {
+    const shaded = await page(`${grid}<rect x="190" y="190" width="120" height="120" fill="#999"/>`)
+    const tuned = new QualityChecker({ thresholds: { ageGroup: { adults: { maxGray: 0.2 } } } })
+
+    expect((await tuned.evaluate(shaded, { ageGroup: 'adults' })).passed).toBe(true)
+    expect((await tuned.evaluate(shaded, { ageGroup: 'kids' })).passed).toBe(false)
+    expect(tuned.getThresholds({ ageGroup: 'adults' }).maxSolidBlack).toBe(0.08)
+  })
+
+  it('checks every variation of a result and counts failures', async () => {
+    const counted = new QualityChecker()
+    const result = {
+      imageUrl: toDataUrl(await page(grid)),
+      variations: [
+        { index: 0, imageUrl: toDataUrl(await page(grid)) },
+        { index: 1, imageUrl: toDataUrl(await page(grid, '#cccccc')) }
+      ]
+    }
+
+    const check = await counted.checkResult(result, { complexity: 'medium', ageGroup: 'kids' })
+
+    expect(check.passed).toBe(false)
+    expect(check.images.map(image => image.passed)).toEqual([true, false])
+    expect(check.failures).toContain(QUALITY_FAILURES.BACKGROUND)
+    expect(counted.getStats()).toMatchObject({ checked: 2, failed: 1, failuresByCheck: { [QUALITY_FAILURES.BACKGROUND]: 1 } })
+  })
+})
+
+describe('buildStricterPrompt', () => {
+  it('adds rules for each failure to the original prompt', () => {
+    const prompt = buildStricterPrompt('a cat', [QUALITY_FAILURES.GRAYSCALE, QUALITY_FAILURES.GRAYSCALE])
+
+    expect(prompt.startsWith('a cat ')).toBe(true)
+    expect(prompt).toMatch(/pure white background/)
+    expect(prompt.match(/no gray/g)).toHaveLength(1)
+  })
+})
@@ -0,0 +1,112 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { QuotaService, MemoryCounterStore } from '../services/quotaService.js'
+
+const tiers = {
+  guest: { daily: 3, burst: 2, burstWindowMs: 60000 },
+  free: { daily: 2, burst: 5, burstWindowMs: 60000 }
+}
+
+const guest = { user: null, clientIp: '10.0.0.1' }
+const freeUser = { user: { uid: 'alex' }, clientIp: '10.0.0.1' }
+
+describe('tierFor', () => {
+  const originalAdmins = process.env.ADMIN_UIDS
+
+  afterEach(() => {
+    process.env.ADMIN_UIDS = originalAdmins ?? ''
+  })
+
+  it('resolves plan tiers from the user', () => {
+    process.env.ADMIN_UIDS = 'root-uid'
+    const quotas = new QuotaService()
+
+    expect(quotas.tierFor(null)).toBe('guest')
+    expect(quotas.tierFor({ uid: 'alex' })).toBe('free')
+    expect(quotas.tierFor({ uid: 'sam', plan: 'premium' })).toBe('premium')
+    expect(quotas.tierFor({ uid: 'kim', admin: true })).toBe('admin')
+    expect(quotas.tierFor({ uid: 'root-uid' })).toBe('admin')
+  })
+})
+
+describe('consume', () => {
+  let quotas
+
+  beforeEach(() => {
+    quotas = new QuotaService({ tiers })
+  })
+
+  it('rejects bursts without using the daily allowance', async () => {
+    await quotas.consume(guest)
+    await quotas.consume(guest)
+    await expect(quotas.consume(guest)).rejects.toMatchObject({ status: 429, code: 'RATE_LIMITED' })
+
+    const status = await quotas.getStatus(guest)
+    expect(status.daily).toMatchObject({ limit: 3, used: 2, remaining: 1 })
+  })
+
+  it('rejects once the daily limit is used up', async () => {
+    const first = await quotas.consume(freeUser)
+    expect(first.tier).toBe('free')
+    expect(first.daily.remaining).toBe(1)
+
+    await quotas.consume(freeUser)
+    await expect(quotas.consume(freeUser)).rejects.toMatchObject({ status: 429, code: 'QUOTA_EXCEEDED' })
+  })
+
+  it('does not use up the burst allowance with requests over the daily limit', async () => {
+    await quotas.consume(freeUser)
+    await quotas.consume(freeUser)
+    await expect(quotas.consume(freeUser)).rejects.toMatchObject({ code: 'QUOTA_EXCEEDED' })
+    await expect(quotas.consume(freeUser)).rejects.toMatchObject({ code: 'QUOTA_EXCEEDED' })
+
+    const status = await quotas.getStatus(freeUser)
+    expect(status.burst).toMatchObject({ limit: 5, used: 2, remaining: 3 })
+    expect(status.daily).toMatchObject({ used: 2, remaining: 0 })
+  })
+
+  it('counts signed-in users apart from guests on the same IP', async () => {
+    await quotas.consume(guest)
+    await quotas.consume(guest)
+
+    const status = await quotas.consume(freeUser)
+    expect(status.burst.used).toBe(1)
+  })
+
+  it('never limits admins', async () => {
+    const admin = { user: { uid: 'kim', admin: true }, clientIp: '10.0.0.1' }
+    for (let i = 0; i < 20; i++) {
+      await quotas.consume(admin)
+    }
+
+    const status = await quotas.getStatus(admin)
+    expect(status.daily).toMatchObject({ limit: null, remaining: null })
+  })
+})
+
+describe('setHeaders', () => {
+  it('reports the limit that runs out first', async () => {
+    const quotas = new QuotaService({ tiers })
+    const headers = {}
+    const res = { set: (values) => Object.assign(headers, values) }
+
+    quotas.setHeaders(res, await quotas.consume(guest))
+
+    expect(headers['X-RateLimit-Limit']).toBe('2')
+    expect(headers['X-RateLimit-Remaining']).toBe('1')
+    expect(Number(headers['X-RateLimit-Reset'])).toBeGreaterThan(Date.now() / 1000)
+  })
+})
+
+describe('MemoryCounterStore', () => {
+  it('starts a new window once the old one has ended', async () => {
+    const store = new MemoryCounterStore()
+
+    expect((await store.increment('k', 50)).count).toBe(1)
+    expect((await store.increment('k', 50)).count).toBe(2)
+
+    await new Promise(resolve => setTimeout(resolve, 60))
+
+    expect(await store.get('k')).toBeNull()
+    expect((await store.increment('k', 50)).count).toBe(1)
+  })
+})
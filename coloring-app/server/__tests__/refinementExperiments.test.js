@@ -0,0 +1,102 @@
+import { describe, it, expect, vi } from 'vitest'
+import { RefinementExperiments, normalizeExperiment } from '../services/refinementExperiments.js'
+
+// promptRefinement.js builds its OpenAI client at load; the SDK refuses to under jsdom
+vi.mock('openai', () => ({ default: class OpenAI {} }))
+
+const definition = {
+  id: 'concise-1',
+  variants: [
+    { id: 'control', weight: 50 },
+    { id: 'concise', weight: 50, metaPrompt: 'concise', templateSet: 'minimal', specSuffix: 'Leave wide margins.' }
+  ]
+}
+
+describe('normalizeExperiment', () => {
+  it('keeps variant knobs as settings', () => {
+    expect(normalizeExperiment(definition)).toEqual({
+      id: 'concise-1',
+      enabled: true,
+      variants: [
+        { id: 'control', weight: 50, settings: {} },
+        { id: 'concise', weight: 50, settings: { metaPrompt: 'concise', templateSet: 'minimal', specSuffix: 'Leave wide margins.' } }
+      ]
+    })
+  })
+
+  it.each([
+    [{ variants: definition.variants }, /id is required/],
+    [{ id: 'x', variants: [{ id: 'a' }] }, /two variants/],
+    [{ id: 'x', variants: [{ id: 'a' }, { id: 'a' }] }, /unique id/],
+    [{ id: 'x', variants: [{ id: 'a', weight: 0 }, { id: 'b', weight: 0 }] }, /needs traffic/],
+    [{ id: 'x', variants: [{ id: 'a' }, { id: 'b', metaPrompt: 'verbose' }] }, /unknown metaPrompt/]
+  ])('rejects %j', (invalid, message) => {
+    expect(() => normalizeExperiment(invalid)).toThrow(message)
+  })
+})
+
+describe('assign', () => {
+  it('returns null without a running experiment', () => {
+    expect(new RefinementExperiments().assign('user:a')).toBeNull()
+    expect(new RefinementExperiments({ experiment: { ...definition, enabled: false } }).assign('user:a')).toBeNull()
+  })
+
+  it('keeps a requester on the same variant', () => {
+    const experiments = new RefinementExperiments({ experiment: definition })
+    const first = experiments.assign('user:alex')
+
+    expect(first.id).toBe('concise-1')
+    for (let i = 0; i < 5; i++) {
+      expect(experiments.assign('user:alex')).toEqual(first)
+    }
+  })
+
+  it('splits requesters by weight', () => {
+    const experiments = new RefinementExperiments({ experiment: definition })
+    const counts = { control: 0, concise: 0 }
+    for (let i = 0; i < 400; i++) {
+      counts[experiments.assign(`ip:10.0.0.${i}`).variant]++
+    }
+
+    expect(counts.control).toBeGreaterThan(150)
+    expect(counts.concise).toBeGreaterThan(150)
+  })
+
+  it('never assigns a variant without traffic', () => {
+    const experiments = new RefinementExperiments({
+      experiment: { id: 'off', variants: [{ id: 'control', weight: 1 }, { id: 'paused', weight: 0 }] }
+    })
+
+    for (let i = 0; i < 100; i++) {
+      expect(experiments.assign(`user:${i}`).variant).toBe('control')
+    }
+  })
+})
+
+describe('getReport', () => {
+  it('compares variants by quality, ratings and regenerations', () => {
+    const experiments = new RefinementExperiments({ experiment: definition })
+    const control = { id: 'concise-1', variant: 'control' }
+
+    experiments.recordGeneration(control, true)
+    experiments.recordGeneration(control, false)
+    experiments.recordGeneration(control, null)
+    experiments.recordGeneration(control, true)
+    experiments.recordRegeneration(control)
+    experiments.recordRating(control, 2)
+    experiments.recordRating(control, 4, 2) // changed rating replaces the first
+    experiments.recordRating(control, 5)
+    experiments.recordGeneration(null, true) // not in the experiment
+
+    const report = experiments.getReport()
+
+    expect(report.experiment.variants.map(variant => variant.id)).toEqual(['control', 'concise'])
+    expect(report.variants).toEqual([expect.objectContaining({
+      variant: 'control',
+      generations: 4,
+      qualityPassRate: 0.6667,
+      averageRating: 4.5,
+      regenerationRate: 0.25
+    })])
+  })
+})
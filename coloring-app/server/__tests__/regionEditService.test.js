@@ -0,0 +1,144 @@
+import { describe, it, expect, vi } from 'vitest'
+import sharp from 'sharp'
+import { prepareEditSource, buildEditPrompt, runRegionEdit } from '../services/regionEditService.js'
+import openaiImageService from '../services/openaiService.js'
+
+// Keep the test away from the OpenAI client and Firebase
+vi.mock('../services/openaiService.js', () => ({
+  default: {
+    estimateRequestCost: vi.fn(() => ({ totalCost: 0.25 })),
+    editImage: vi.fn(async () => ({
+      imageUrl: 'data:image/png;base64,AAAA',
+      model: 'gpt-image-1',
+      metadata: { provider: 'openai:gpt-image-1', costs: { totalCost: 0.25 }, processingTime: 1 }
+    }))
+  }
+}))
+// Local moderation stand-in, whatever OPENAI_API_KEY is set
+vi.mock('../services/moderationService.js', async () => {
+  const { ModerationService } = await vi.importActual('../services/moderationService.js')
+  return { default: new ModerationService() }
+})
+vi.mock('../services/galleryService.js', () => ({
+  getGalleryImage: vi.fn(),
+  saveImageVersion: vi.fn(),
+  isGalleryAvailable: () => false
+}))
+
+const toDataUrl = (buffer) => `data:image/png;base64,${buffer.toString('base64')}`
+
+const page = (width, height) => sharp({
+  create: { width, height, channels: 3, background: '#ffffff' }
+}).png().toBuffer()
+
+// Opaque mask with a transparent square cut out of the top-left corner
+const mask = async (width, height, hole = 0) => {
+  const base = sharp({ create: { width, height, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 1 } } })
+  if (!hole) return base.png().toBuffer()
+
+  // dest-out clears the base wherever the cutout is opaque
+  const cutout = await sharp({
+    create: { width: hole, height: hole, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 1 } }
+  }).png().toBuffer()
+  return base.composite([{ input: cutout, left: 0, top: 0, blend: 'dest-out' }]).png().toBuffer()
+}
+
+describe('prepareEditSource', () => {
+  it('resizes the mask to the page size', async () => {
+    const source = await prepareEditSource({
+      imageUrl: toDataUrl(await page(64, 48)),
+      mask: toDataUrl(await mask(32, 24, 8))
+    })
+
+    expect(source).toMatchObject({ width: 64, height: 48 })
+    const { data, info } = await sharp(source.mask).raw().toBuffer({ resolveWithObject: true })
+    expect(info).toMatchObject({ width: 64, height: 48, channels: 4 })
+
+    // The 8px hole in the top-left corner becomes 16px; the rest stays opaque
+    const alphaAt = (x, y) => data[(y * info.width + x) * 4 + 3]
+    expect(alphaAt(4, 4)).toBe(0)
+    expect(alphaAt(40, 30)).toBe(255)
+  })
+
+  it('rejects a mask with nothing painted', async () => {
+    const { channels: [, , , alpha] } = await sharp(await mask(32, 32)).stats()
+    expect(alpha.min).toBe(255)
+
+    await expect(prepareEditSource({
+      imageUrl: toDataUrl(await page(32, 32)),
+      mask: toDataUrl(await mask(32, 32))
+    })).rejects.toMatchObject({ status: 400, code: 'EMPTY_MASK' })
+  })
+
+  it('rejects inputs that are not images', async () => {
+    await expect(prepareEditSource({
+      imageUrl: 'data:text/plain;base64,aGVsbG8=',
+      mask: toDataUrl(await mask(32, 32, 8))
+    })).rejects.toMatchObject({ status: 400, code: 'INVALID_IMAGE' })
+
+    await expect(prepareEditSource({
+      imageUrl: toDataUrl(await page(32, 32)),
+      mask: `data:image/png;base64,${Buffer.from('not a png').toString('base64')}`
+    })).rejects.toMatchObject({ status: 400, code: 'INVALID_MASK' })
+  })
+})
+
+describe('runRegionEdit', () => {
+  it('prices and requests the edit at the page size', async () => {
+    await runRegionEdit({
+      imageUrl: toDataUrl(await page(64, 96)),
+      mask: toDataUrl(await mask(64, 96, 8)),
+      instruction: 'a round paw',
+      requestId: 'req-1'
+    })
+
+    expect(openaiImageService.estimateRequestCost).toHaveBeenCalledWith({ size: '64x96', orientation: 'portrait', variations: 1 })
+    expect(openaiImageService.editImage).toHaveBeenCalledWith(
+      expect.any(String),
+      expect.anything(),
+      expect.objectContaining({ size: '64x96', orientation: 'portrait' })
+    )
+  })
+
+  it('rejects a flagged instruction before editing', async () => {
+    openaiImageService.editImage.mockClear()
+
+    await expect(runRegionEdit({
+      imageUrl: toDataUrl(await page(32, 32)),
+      mask: toDataUrl(await mask(32, 32, 8)),
+      instruction: 'the girl without clothes',
+      requestId: 'req-2'
+    })).rejects.toMatchObject({ status: 400, code: 'MODERATION_FLAGGED', details: { stage: 'prompt' } })
+    expect(openaiImageService.editImage).not.toHaveBeenCalled()
+  })
+
+  it('rejects a flagged redraw', async () => {
+    openaiImageService.editImage.mockResolvedValueOnce({
+      imageUrl: 'data:image/png;base64,AAAA',
+      revisedPrompt: 'a dismembered knight',
+      model: 'gpt-image-1',
+      metadata: { provider: 'openai:gpt-image-1', costs: { totalCost: 0.25 }, processingTime: 1 }
+    })
+
+    await expect(runRegionEdit({
+      imageUrl: toDataUrl(await page(32, 32)),
+      mask: toDataUrl(await mask(32, 32, 8)),
+      instruction: 'a knight',
+      requestId: 'req-3'
+    })).rejects.toMatchObject({ status: 422, code: 'MODERATION_FLAGGED', details: { stage: 'image' } })
+  })
+})
+
+describe('buildEditPrompt', () => {
+  it('keeps the redrawn area in line art style with the page context', () => {
+    const prompt = buildEditPrompt('  a round paw  ', 'A cat sitting on a rug')
+
+    expect(prompt).toContain('Redraw only the masked area of this coloring book page: a round paw.')
+    expect(prompt).toContain('no shading')
+    expect(prompt).toContain('The page shows: A cat sitting on a rug')
+  })
+
+  it('omits the context when the refined prompt is unknown', () => {
+    expect(buildEditPrompt('a star')).not.toContain('The page shows')
+  })
+})
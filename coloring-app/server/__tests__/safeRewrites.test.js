@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest'
+import { suggestSafeRewrites } from '../../shared/safeRewrites.js'
+import { checkContent } from '../../shared/contentPolicy.js'
+import { ContentPolicyError, assertContentAllowed } from '../utils/errors.js'
+
+describe('suggestSafeRewrites', () => {
+  it('swaps blocked words for friendly ones', () => {
+    expect(suggestSafeRewrites('pirate with a sword')).toEqual([
+      'pirate with a telescope',
+      'pirate with a treasure map',
+      'pirate with a shield'
+    ])
+  })
+
+  it('rewrites whole phrases before single words', () => {
+    expect(suggestSafeRewrites('A haunted house on a hill')[0]).toBe('A friendly autumn cottage on a hill')
+  })
+
+  it('keeps plurals and articles right', () => {
+    expect(suggestSafeRewrites('a knight with two swords')[1]).toBe('a knight with two treasure maps')
+    expect(suggestSafeRewrites('an evil wizard casting dark magic')[0]).toBe('a grumpy wizard casting rainbow magic')
+  })
+
+  it('only suggests rewrites the profile allows', () => {
+    for (const [text, ageGroup] of [['zombie pirates with knives', 'kids'], ['a bloody skull', 'kids'], ['a war zombie', 'teens']]) {
+      const suggestions = suggestSafeRewrites(text, { ageGroup })
+      expect(suggestions.length).toBeGreaterThan(0)
+      for (const suggestion of suggestions) {
+        expect(checkContent(suggestion, { ageGroup }).allowed).toBe(true)
+      }
+    }
+  })
+
+  it.each([
+    ['a unicorn in a meadow', 'kids'],
+    ['a haunted house', 'teens'],
+    ['a naked mole rat', 'kids'],
+    ['a killer robot', 'kids']
+  ])('suggests nothing for %j (%s)', (text, ageGroup) => {
+    expect(suggestSafeRewrites(text, { ageGroup })).toEqual([])
+  })
+
+  it('honours the limit', () => {
+    expect(suggestSafeRewrites('pirate with a sword', { limit: 1 })).toEqual(['pirate with a telescope'])
+  })
+})
+
+describe('assertContentAllowed', () => {
+  it('rejects with local suggestions in the details', () => {
+    let rejection
+    try {
+      assertContentAllowed('a ghost story', { ageGroup: 'kids' })
+    } catch (error) {
+      rejection = error
+    }
+
+    expect(rejection).toBeInstanceOf(ContentPolicyError)
+    expect(rejection.details.suggestions).toEqual(['a bedtime story', 'a campfire story'])
+  })
+})
@@ -0,0 +1,88 @@
+import { describe, it, expect, vi } from 'vitest'
+import translationService, { TranslationService, detectLanguage } from '../services/translationService.js'
+import { InputSanitizer, PromptRefinementService } from '../services/promptRefinement.js'
+
+// promptRefinement.js builds its OpenAI client at load; the SDK refuses to under jsdom
+vi.mock('openai', () => ({ default: class OpenAI {} }))
+
+const translator = (translate) => ({ id: 'test', translate })
+
+describe('detectLanguage', () => {
+  it.each([
+    ['a dragon reading a book', 'en'],
+    ['un dragón con una corona', 'es'],
+    ['un chat avec des lunettes dans le jardin', 'fr'],
+    ['ein Hund mit einem Ball', 'de'],
+    ['恐竜', 'zh'],
+    ['かわいい恐竜', 'ja'],
+    ['귀여운 공룡', 'ko'],
+    ['кот в сапогах', 'ru'],
+    ['crème brûlée', 'und'],
+    ['pistola sangrienta', 'und'],
+    ['dinosaur', 'und']
+  ])('%j is %s', (text, language) => {
+    expect(detectLanguage(text)).toBe(language)
+  })
+})
+
+describe('InputSanitizer.sanitizeText', () => {
+  it('keeps accents, other scripts and word punctuation', () => {
+    expect(InputSanitizer.sanitizeText('crème brûlée')).toBe('crème brûlée')
+    expect(InputSanitizer.sanitizeText('恐竜')).toBe('恐竜')
+    expect(InputSanitizer.sanitizeText("a T-Rex's birthday, with cake!")).toBe("a T-Rex's birthday, with cake!")
+  })
+
+  it('still removes markup characters', () => {
+    expect(InputSanitizer.sanitizeText('a cat <b>{hat}</b>')).toBe('a cat bhatb')
+  })
+})
+
+describe('TranslationService', () => {
+  it('does not call the translator for English', async () => {
+    const service = new TranslationService({ translator: translator(() => { throw new Error('called') }) })
+
+    expect(await service.toEnglish('a friendly dragon')).toEqual({ text: 'a friendly dragon', language: 'en', translated: false, translator: null })
+  })
+
+  it('translates other languages', async () => {
+    const service = new TranslationService({ translator: translator(async () => ({ text: 'a cute dinosaur', language: 'ja' })) })
+
+    expect(await service.toEnglish('かわいい恐竜')).toEqual({ text: 'a cute dinosaur', language: 'ja', translated: true, translator: 'test' })
+    expect(service.getStats()).toMatchObject({ translator: 'test', translated: 1, languages: { ja: 1 } })
+  })
+
+  it('keeps the prompt as written when the translator fails', async () => {
+    const service = new TranslationService({ translator: translator(async () => { throw new Error('connect ECONNREFUSED') }) })
+
+    expect(await service.toEnglish('un dragón con una corona')).toMatchObject({ text: 'un dragón con una corona', language: 'es', translated: false })
+    expect(service.getStats().failed).toBe(1)
+  })
+
+  it('rethrows cancellation', async () => {
+    const controller = new AbortController()
+    controller.abort()
+    const service = new TranslationService({ translator: translator(async () => { throw new Error('aborted') }) })
+
+    await expect(service.toEnglish('un dragón', { signal: controller.signal })).rejects.toMatchObject({ code: 'CANCELLED' })
+  })
+
+  it('translates prompts without accents or telltale words', async () => {
+    const service = new TranslationService({ translator: translator(async () => ({ text: 'bloody pistol', language: 'es' })) })
+
+    expect(await service.toEnglish('pistola sangrienta')).toEqual({ text: 'bloody pistol', language: 'es', translated: true, translator: 'test' })
+  })
+})
+
+describe('refinePrompt with a translator', () => {
+  it('applies the content policy to the translation', async () => {
+    const configured = translationService.translator
+    translationService.translator = translator(async () => ({ text: 'bloody pistol', language: 'es' }))
+
+    try {
+      await expect(new PromptRefinementService().refinePrompt('pistola sangrienta', {}, { useGPT: false }))
+        .rejects.toMatchObject({ code: 'CONTENT_NOT_ALLOWED' })
+    } finally {
+      translationService.translator = configured
+    }
+  })
+})
@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest'
+import { buildUsageReport, usageReportToCsv } from '../services/usageReport.js'
+
+const entry = (overrides) => ({
+  timestamp: '2025-03-03T10:00:00.000Z',
+  bucket: 'user:abc',
+  model: 'gpt-image-1',
+  category: 'domesticAnimals',
+  complexity: 'medium',
+  outcome: 'success',
+  imageCount: 1,
+  processingTime: 1000,
+  imageCost: 0.167,
+  tokenCost: 0,
+  totalCost: 0.167,
+  ...overrides
+})
+
+const entries = [
+  entry(),
+  entry({ timestamp: '2025-03-03T12:00:00.000Z', processingTime: 3000, complexity: 'detailed' }),
+  entry({ timestamp: '2025-03-04T09:00:00.000Z', model: 'dall-e-3', outcome: 'fallback', imageCost: 0.04, totalCost: 0.04, processingTime: 2000 }),
+  entry({ timestamp: '2025-03-04T10:00:00.000Z', model: undefined, outcome: 'failed', imageCount: undefined, imageCost: 0, totalCost: 0, processingTime: 500 })
+]
+
+describe('buildUsageReport', () => {
+  it('sums costs and averages processing time', () => {
+    const { totals } = buildUsageReport(entries)
+
+    expect(totals).toMatchObject({ generations: 4, images: 3, imageCost: 0.374, totalCost: 0.374, avgProcessingTimeMs: 1625 })
+  })
+
+  it('breaks usage down by day, model, complexity and outcome', () => {
+    const report = buildUsageReport(entries)
+
+    expect(report.byDay.map(({ key, generations }) => [key, generations])).toEqual([['2025-03-03', 2], ['2025-03-04', 2]])
+    expect(report.byModel.find(row => row.key === 'gpt-image-1')).toMatchObject({ generations: 2, totalCost: 0.334, avgProcessingTimeMs: 2000 })
+    expect(report.byComplexity.map(row => row.key)).toEqual(['detailed', 'medium'])
+    expect(report.byOutcome.map(({ key, generations }) => [key, generations])).toEqual([['failed', 1], ['fallback', 1], ['success', 2]])
+    expect(report.byCategory).toHaveLength(1)
+  })
+
+  it('reports empty periods without averages', () => {
+    expect(buildUsageReport([], { from: '2025-01-01' })).toMatchObject({
+      range: { from: '2025-01-01', to: null },
+      totals: { generations: 0, totalCost: 0, avgProcessingTimeMs: null },
+      byDay: []
+    })
+  })
+})
+
+describe('usageReportToCsv', () => {
+  it('writes one row per aggregate under a header', () => {
+    const lines = usageReportToCsv(buildUsageReport(entries)).trim().split('\n')
+
+    expect(lines[0]).toBe('dimension,key,generations,images,imageCost,tokenCost,totalCost,avgProcessingTimeMs')
+    expect(lines[1]).toBe('total,all,4,3,0.374,0,0.374,1625')
+    expect(lines).toContain('day,2025-03-04,2,1,0.04,0,0.04,1250')
+    expect(lines).toContain('outcome,fallback,1,1,0.04,0,0.04,2000')
+  })
+
+  it('quotes fields containing commas', () => {
+    const csv = usageReportToCsv(buildUsageReport([entry({ category: 'cats, dogs' })]))
+
+    expect(csv).toContain('category,"cats, dogs",1')
+  })
+})
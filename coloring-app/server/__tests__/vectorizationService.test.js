@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest'
+import sharp from 'sharp'
+import { traceContours, removeSmallAreas, traceLineArt, traceToSvg, vectorizePage } from '../services/vectorizationService.js'
+
+const page = (body, size = 256) => sharp(Buffer.from(
+  `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}">
+    <rect width="100%" height="100%" fill="#fff"/>
+    ${body}
+  </svg>`
+)).png().toBuffer()
+
+const toDataUrl = (buffer) => `data:image/png;base64,${buffer.toString('base64')}`
+
+// Share of ink pixels two renders agree on
+const inkOverlap = async (a, b) => {
+  const read = async (image) => (await sharp(image).resize(256, 256).flatten({ background: '#fff' }).grayscale().raw().toBuffer())
+  const [first, second] = await Promise.all([read(a), read(b)])
+  let both = 0
+  let either = 0
+  for (let i = 0; i < first.length; i++) {
+    const inkA = first[i] < 128
+    const inkB = second[i] < 128
+    if (inkA && inkB) both++
+    if (inkA || inkB) either++
+  }
+  return both / either
+}
+
+describe('traceContours', () => {
+  it('walks the four sides of a single pixel', () => {
+    const mask = new Uint8Array(9)
+    mask[4] = 1
+
+    expect(traceContours(mask, { width: 3, height: 3 })).toEqual([[[1, 1], [2, 1], [2, 2], [1, 2]]])
+  })
+
+  it('keeps diagonally touching pixels in one outline', () => {
+    const mask = Uint8Array.from([1, 0, 0, 1])
+
+    expect(traceContours(mask, { width: 2, height: 2 })).toHaveLength(1)
+  })
+
+  it('traces the hole of a ring as its own loop', () => {
+    const mask = Uint8Array.from([1, 1, 1, 1, 0, 1, 1, 1, 1])
+
+    expect(traceContours(mask, { width: 3, height: 3 })).toHaveLength(2)
+  })
+})
+
+describe('removeSmallAreas', () => {
+  it('drops specks and fills pinholes below the minimum area', () => {
+    const size = { width: 6, height: 6 }
+    const mask = new Uint8Array(36)
+    mask[0] = 1 // one-pixel speck
+    for (let y = 2; y < 6; y++) {
+      for (let x = 2; x < 6; x++) mask[y * 6 + x] = 1
+    }
+    mask[3 * 6 + 3] = 0 // pinhole in the block
+
+    expect(removeSmallAreas(mask, size, 1, 3)).toBe(1)
+    expect(removeSmallAreas(mask, size, 0, 3)).toBe(1)
+    expect(mask[0]).toBe(0)
+    expect(mask[3 * 6 + 3]).toBe(1)
+  })
+})
+
+describe('traceLineArt', () => {
+  it('produces outlines that render back to the original lines', async () => {
+    const original = await page('<circle cx="128" cy="128" r="80" fill="none" stroke="#000" stroke-width="6"/><rect x="30" y="30" width="60" height="40" fill="none" stroke="#000" stroke-width="4"/>')
+    const trace = await traceLineArt(original)
+    const svg = traceToSvg(trace)
+
+    // Circle and box: an outer and an inner outline each
+    expect(trace.contours).toHaveLength(4)
+    expect(await inkOverlap(original, Buffer.from(svg))).toBeGreaterThan(0.9)
+  })
+
+  it('drops tiny specks', async () => {
+    // The speck size is set for a 1024px page
+    const trace = await traceLineArt(await page('<rect x="100" y="100" width="2" height="2" fill="#000"/>', 1024))
+
+    expect(trace.contours).toEqual([])
+    expect(trace.stats.specksRemoved).toBe(1)
+  })
+})
+
+describe('vectorizePage', () => {
+  it('returns an even-odd filled SVG with an escaped title', async () => {
+    const { svg, stats } = await vectorizePage(toDataUrl(await page('<circle cx="128" cy="128" r="60" fill="none" stroke="#000" stroke-width="5"/>')), { title: 'Cats & <dogs>' })
+
+    expect(svg).toMatch(/^<\?xml/)
+    expect(svg).toMatch(/viewBox="0 0 256 256"/)
+    expect(svg).toMatch(/fill-rule="evenodd"/)
+    expect(svg).toMatch(/<title>Cats &#38; &#60;dogs&#62;<\/title>/)
+    expect(stats.svgBytes).toBe(Buffer.byteLength(svg))
+  })
+
+  it('rejects data that is not an image', async () => {
+    await expect(vectorizePage('data:image/png;base64,bm90IGFuIGltYWdl')).rejects.toMatchObject({ status: 400, code: 'INVALID_IMAGE' })
+  })
+})
@@ -4,8 +4,8 @@
  * SECURITY FIXES IMPLEMENTED:
  * - Removed sensitive API key logging (CRITICAL FIX)
  * - Added comprehensive input sanitization with DOMPurify
- * - Implemented rate limiting with express-rate-limit
- * - Enhanced content filtering with context-aware validation
+ * - Implemented rate limiting with express-rate-limit, plus per-user generation quotas
+ * - Content filtering with the shared word-based content policy
  * - Improved authentication security with token validation
  * - Added CSRF protection and security headers
  * 
@@ -23,7 +23,9 @@ import OpenAI from 'openai';
 import promptRefinementService from './services/promptRefinement.js';
 import openaiImageService from './services/openaiService.js';
 import pdfService from './services/pdfService.js';
+import quotaService from './services/quotaService.js';
 import { apiLogger, loggerUtils } from './utils/logger.js';
+import { checkContent, describeViolation } from '../shared/contentPolicy.js';
 import authRoutes from './routes/auth.js';
 import admin from 'firebase-admin';
 
@@ -56,23 +58,8 @@ const generalLimiter = rateLimit({
   legacyHeaders: false,
 });
 
-// Strict rate limiting for generation endpoints
-const generationLimiter = rateLimit({
-  windowMs: 10 * 60 * 1000, // 10 minutes
-  max: 10, // Limit each IP to 10 image generations per 10 minutes
-  message: {
-    success: false,
-    error: 'Generation rate limit exceeded',
-    message: 'Too many image generation requests. Please wait before trying again.',
-    retryAfter: 600
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-});
-
-// Apply rate limiting
+// Apply rate limiting (generations are limited per user by quotaService below)
 app.use('/api/', generalLimiter);
-app.use('/api/generate', generationLimiter);
 
 // Firebase Admin initialization with enhanced error handling
 let firebaseAdmin;
@@ -114,81 +101,6 @@ function sanitizeInput(input, options = {}) {
   return sanitized.replace(/\s+/g, ' ').trim();
 }
 
-/**
- * Enhanced family-friendly content filter with context awareness
- * SECURITY IMPROVEMENT: More comprehensive filtering to prevent bypasses
- * 
- * @param {string} text - Text to validate
- * @returns {Object} Validation result with detailed feedback
- */
-function validateContentSafety(text) {
-  const lowerText = text.toLowerCase();
-  
-  // Enhanced inappropriate keywords list
-  const inappropriateKeywords = [
-    // Violence
-    'violence', 'blood', 'weapon', 'gun', 'knife', 'sword', 'death', 'kill', 'murder', 'fight',
-    // Sexual content
-    'sexual', 'nude', 'naked', 'explicit', 'inappropriate', 'sexy', 'erotic',
-    // Substances
-    'drug', 'alcohol', 'beer', 'wine', 'cigarette', 'smoking', 'marijuana', 'cocaine',
-    // Horror/scary
-    'scary', 'horror', 'demon', 'devil', 'evil', 'dark magic', 'monster', 'zombie',
-    // Additional safety keywords
-    'hate', 'discrimination', 'racist', 'terrorism', 'extremist'
-  ];
-
-  // Context-sensitive patterns that might indicate inappropriate content
-  const suspiciousPatterns = [
-    /adult.*content/i,
-    /mature.*theme/i,
-    /not.*suitable.*children/i,
-    /18\+/i,
-    /nsfw/i
-  ];
-
-  // Check for direct keyword matches
-  const flaggedKeywords = inappropriateKeywords.filter(keyword => 
-    lowerText.includes(keyword)
-  );
-
-  // Check for suspicious patterns
-  const flaggedPatterns = suspiciousPatterns.filter(pattern => 
-    pattern.test(text)
-  );
-
-  // Handle "adult" context-sensitively (allow age group references)
-  let adultContextIssue = false;
-  if (lowerText.includes('adult')) {
-    const safeAdultContexts = [
-      'adult coloring', 'adults', 'adult age', 'for adults', 'adult audience'
-    ];
-    const hasSafeContext = safeAdultContexts.some(context => 
-      lowerText.includes(context)
-    );
-    
-    if (!hasSafeContext && flaggedPatterns.length > 0) {
-      adultContextIssue = true;
-    }
-  }
-
-  const isAppropriate = flaggedKeywords.length === 0 && 
-                       flaggedPatterns.length === 0 && 
-                       !adultContextIssue;
-
-  return {
-    isAppropriate,
-    flaggedKeywords,
-    flaggedPatterns: flaggedPatterns.map(p => p.toString()),
-    adultContextIssue,
-    suggestions: isAppropriate ? [] : [
-      'Try using more family-friendly terms',
-      'Focus on positive, creative themes',
-      'Consider age-appropriate subjects like animals, nature, or fantasy'
-    ]
-  };
-}
-
 /**
  * SECURITY ENHANCEMENT: Safe OpenAI client initialization
  * No longer logs sensitive API key information
@@ -268,7 +180,9 @@ app.use(async (req, res, next) => {
         email: decodedToken.email,
         displayName: decodedToken.name || decodedToken.email,
         emailVerified: decodedToken.email_verified,
-        authTime: decodedToken.auth_time
+        authTime: decodedToken.auth_time,
+        admin: decodedToken.admin === true,
+        plan: decodedToken.plan || null
       };
       
       // Check for token freshness (optional)
@@ -335,15 +249,11 @@ const validateGenerateRequest = [
     .trim()
     .isLength({ min: 1, max: 500 })
     .withMessage('Prompt must be between 1 and 500 characters')
-    .custom((value) => {
-      const validation = validateContentSafety(value);
-      if (!validation.isAppropriate) {
-        const details = [
-          validation.flaggedKeywords.length > 0 ? `Flagged terms: ${validation.flaggedKeywords.join(', ')}` : '',
-          validation.suggestions.length > 0 ? validation.suggestions[0] : ''
-        ].filter(Boolean).join('. ');
-        
-        throw new Error(`Content must be family-friendly. ${details}`);
+    .custom((value, { req }) => {
+      // Shared family-friendly rules, identical to the form and app.js
+      const result = checkContent(value, { ageGroup: req.body.customizations?.ageGroup });
+      if (!result.allowed) {
+        throw new Error(describeViolation(result));
       }
       return true;
     }),
@@ -368,7 +278,11 @@ const validateGenerateRequest = [
   body('customizations.theme')
     .optional()
     .isIn(['animals', 'mandalas', 'fantasy', 'nature'])
-    .withMessage('Theme must be animals, mandalas, fantasy, or nature')
+    .withMessage('Theme must be animals, mandalas, fantasy, or nature'),
+
+  // Per-user generation quotas with plan tiers (guests are limited per IP),
+  // counted only once the request is valid so rejected prompts cost nothing
+  quotaService.middleware({ skip: req => !validationResult(req).isEmpty() })
 ];
 
 // Apply validation and continue with existing endpoints...
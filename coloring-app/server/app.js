@@ -14,12 +14,29 @@
 
 import express from 'express';
 import cors from 'cors';
-import { body, validationResult } from 'express-validator';
+import { body, param, query, validationResult } from 'express-validator';
 import OpenAI from 'openai';
 import promptRefinementService from './services/promptRefinement.js';
 import openaiImageService from './services/openaiService.js';
 import pdfService from './services/pdfService.js';
+import generationQueue, { JOB_STATUS } from './services/jobQueue.js';
+import idempotencyStore from './services/idempotencyStore.js';
+import costLedger, { CostLedger } from './services/costLedger.js';
+import { buildUsageReport, usageReportToCsv } from './services/usageReport.js';
+import { runRegionEdit } from './services/regionEditService.js';
+import { vectorizePage } from './services/vectorizationService.js';
+import { getCacheStats as getGenerationCacheStats } from './services/generationCache.js';
+import { runGenerationPipeline, runPhotoPipeline, runRegeneration, toClientError } from './services/generationPipeline.js';
+import { rateGalleryImage } from './services/galleryService.js';
+import refinementExperiments from './services/refinementExperiments.js';
+import quotaService from './services/quotaService.js';
+import qualityChecker from './services/qualityCheck.js';
+import moderationService from './services/moderationService.js';
+import translationService from './services/translationService.js';
 import { apiLogger, loggerUtils } from './utils/logger.js';
+import { ServiceError, CancelledError } from './utils/errors.js';
+import { checkContent, describeViolation } from '../shared/contentPolicy.js';
+import { isAdminUser } from './utils/access.js';
 import authRoutes from './routes/auth.js';
 import admin from 'firebase-admin';
 
@@ -42,82 +59,6 @@ try {
   });
 }
 
-/**
- * Helper function to save generated image to user's gallery
- */
-const saveToGallery = async (userId, imageData) => {
-  if (!firebaseAdmin || !userId) {
-    return null; // Skip if no auth or admin not initialized
-  }
-
-  try {
-    const db = firebaseAdmin.firestore();
-    
-    // Handle large imageUrl values that exceed Firestore's 1MB field limit
-    let imageUrl = imageData.imageUrl;
-    let imageUrlSize = 0;
-    let isLargeImage = false;
-    
-    if (imageUrl) {
-      imageUrlSize = Buffer.byteLength(imageUrl, 'utf8');
-      // Firestore field limit is 1,048,487 bytes (1MB - 89 bytes)
-      isLargeImage = imageUrlSize > 1000000; // Use 1MB threshold for safety
-      
-      if (isLargeImage) {
-        // For large images, store a reference/placeholder instead of the full URL
-        // This prevents the Firestore error while maintaining functionality
-        imageUrl = '[Large Image - View in App]';
-        
-        apiLogger.warn('Large image URL detected, storing placeholder', {
-          userId,
-          originalSize: imageUrlSize,
-          promptLength: imageData.originalPrompt?.length || 0
-        });
-      }
-    }
-
-    const imageDoc = {
-      userId,
-      imageUrl,
-      originalPrompt: imageData.originalPrompt,
-      refinedPrompt: imageData.refinedPrompt,
-      metadata: {
-        ...imageData.metadata || {},
-        // Add metadata about image size for troubleshooting
-        imageUrlSize,
-        isLargeImage,
-        // Store original URL info if it was too large
-        ...(isLargeImage && {
-          originalImageUrlSize: imageUrlSize,
-          imageUrlTruncated: true,
-          imageType: imageData.imageUrl?.startsWith('data:') ? 'base64' : 'url'
-        })
-      },
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-      updatedAt: admin.firestore.FieldValue.serverTimestamp()
-    };
-
-    const docRef = await db.collection('user_images').add(imageDoc);
-    
-    apiLogger.info('Image saved to gallery', {
-      userId,
-      imageId: docRef.id,
-      promptLength: imageData.originalPrompt?.length || 0,
-      imageUrlSize,
-      isLargeImage
-    });
-
-    return docRef.id;
-  } catch (error) {
-    apiLogger.error('Failed to save image to gallery', {
-      userId,
-      error: error.message,
-      imageUrlSize: imageData.imageUrl ? Buffer.byteLength(imageData.imageUrl, 'utf8') : 0
-    });
-    return null;
-  }
-};
-
 /**
  * Initialize OpenAI client with environment-based key selection
  * Evidence: architecture.md 6.1 - Mock keys for development, API cost mitigation
@@ -175,7 +116,10 @@ app.use(async (req, res, next) => {
       req.user = {
         uid: decodedToken.uid,
         email: decodedToken.email,
-        displayName: decodedToken.name || decodedToken.email
+        displayName: decodedToken.name || decodedToken.email,
+        // Firebase custom claims set with admin.auth().setCustomUserClaims()
+        admin: decodedToken.admin === true,
+        plan: decodedToken.plan || null
       };
     } catch (error) {
       // Invalid token, but don't block the request - just continue without user
@@ -209,43 +153,23 @@ app.use((req, res, next) => {
   next();
 });
 
-// Family-friendly content filter (updated to use same logic as OpenAIImageService)
-const inappropriateKeywords = [
-  'violence', 'blood', 'weapon', 'gun', 'knife', 'death', 'kill',
-  'sexual', 'nude', 'naked', 'explicit', 'inappropriate',
-  'drug', 'alcohol', 'beer', 'wine', 'cigarette', 'smoking',
-  'scary', 'horror', 'demon', 'devil', 'evil', 'dark magic'
-];
-
 /**
- * Content filter to ensure family-friendly prompts with context awareness
- * @param {string} text - Text to validate
- * @returns {boolean} - True if content is appropriate
+ * express-validator check against the shared family-friendly content policy
+ * The same rules run in the prompt form, with the profile picked by
+ * `customizations.ageGroup` (kids when missing or invalid). A rejection and
+ * the rejected text are kept on `req.contentPolicy` so the 400 response can
+ * list the reasons and suggest rewrites.
+ * @param {string} value - Field value
+ * @param {Object} meta - express-validator meta ({ req })
+ * @returns {boolean} True when allowed
+ * @throws {Error} Describing the words that are not allowed
  */
-function isContentAppropriate(text) {
-  const lowerText = text.toLowerCase();
-  
-  // Check basic inappropriate keywords first
-  const basicInappropriate = inappropriateKeywords.some(keyword => lowerText.includes(keyword));
-  if (basicInappropriate) {
-    return false;
-  }
-  
-  // Handle "adult" context-sensitively
-  if (lowerText.includes('adult')) {
-    // Block patterns that are actually inappropriate
-    const blockedPatterns = ['adult content', 'adult material', 'adult themes', 'adult entertainment'];
-    const isBlocked = blockedPatterns.some(pattern => lowerText.includes(pattern));
-    
-    // Only block if it matches explicitly inappropriate patterns
-    if (isBlocked) {
-      return false;
-    }
-    
-    // Allow all other uses of "adult" (including age group, adults, etc.)
-    return true;
+function familyFriendly(value, { req }) {
+  const result = checkContent(value, { ageGroup: req.body.customizations?.ageGroup });
+  if (!result.allowed) {
+    req.contentPolicy = { ...result, text: value };
+    throw new Error(describeViolation(result));
   }
-  
   return true;
 }
 
@@ -266,12 +190,7 @@ const validateGenerateRequest = [
     .trim()
     .isLength({ min: 1, max: 500 })
     .withMessage('Prompt must be between 1 and 500 characters')
-    .custom((value) => {
-      if (!isContentAppropriate(value)) {
-        throw new Error('Content must be family-friendly');
-      }
-      return true;
-    }),
+    .custom(familyFriendly),
   body('customizations.complexity')
     .optional()
     .isIn(['simple', 'medium', 'detailed'])
@@ -288,10 +207,24 @@ const validateGenerateRequest = [
     .optional()
     .isIn(['with', 'without'])
     .withMessage('Border must be with or without'),
+  body('customizations.orientation')
+    .optional()
+    .isIn(['square', 'portrait', 'landscape'])
+    .withMessage('Orientation must be square, portrait, or landscape'),
   body('customizations.theme')
     .optional()
     .isIn(['animals', 'mandalas', 'fantasy', 'nature'])
-    .withMessage('Theme must be animals, mandalas, fantasy, or nature')
+    .withMessage('Theme must be animals, mandalas, fantasy, or nature'),
+  body('variations')
+    .optional()
+    .isInt({ min: 1, max: 4 })
+    .withMessage('Variations must be a whole number between 1 and 4')
+    .toInt(),
+  body('fresh')
+    .optional()
+    .isBoolean()
+    .withMessage('Fresh must be true or false')
+    .toBoolean()
 ];
 
 /**
@@ -322,9 +255,29 @@ app.get('/api/health', async (req, res) => {
       promptRefinement: refinementHealth.status,
       endpoints: {
         generate: '/api/generate',
+        jobs: '/api/jobs',
+        jobEvents: '/api/jobs/:jobId/events',
+        jobCancel: '/api/jobs/:jobId/cancel',
+        regenerate: '/api/regenerate/:imageId',
+        rateImage: '/api/gallery/:imageId/rating',
+        editRegion: '/api/edit-region',
+        photoToPage: '/api/photo-to-page',
+        exportSvg: '/api/export-svg',
+        usage: '/api/usage',
+        quota: '/api/quota',
         refinePrompt: '/api/refine-prompt',
         health: '/api/health'
-      }
+      },
+      generationQueue: generationQueue.getStats(),
+      idempotency: idempotencyStore.getStats(),
+      generationCache: getGenerationCacheStats(),
+      costLedger: costLedger.getStats(),
+      circuitBreakers: openaiImageService.getCircuitBreakerStates(),
+      qualityCheck: qualityChecker.getStats(),
+      experiments: refinementExperiments.getStats(),
+      quota: quotaService.getStats(),
+      moderation: moderationService.getStats(),
+      translation: translationService.getStats()
     };
 
     // Log health check result with structured data
@@ -434,197 +387,743 @@ app.post('/api/refine-prompt',
   }
 );
 
-// Main image generation endpoint
+/**
+ * Queue a generation pipeline run for an already validated request
+ * @param {Object} req - Express request carrying prompt, customizations and optional user
+ * @param {string} endpoint - Endpoint recorded in the image metadata
+ * @returns {Object} Job record from the generation queue
+ */
+function enqueueGeneration(req, endpoint) {
+  const { prompt, customizations, variations = 1, fresh = false } = req.body;
+  const user = req.user || null;
+  const requestId = req.ip + '_' + Date.now();
+
+  return generationQueue.submit(
+    ({ setStatus, emitEvent, signal }) => runGenerationPipeline(
+      { prompt, customizations, variations, user, requestId, endpoint, fresh, clientIp: req.ip, signal },
+      { onStage: setStatus, onEvent: emitEvent }
+    ),
+    { ownerId: user?.uid || null }
+  );
+}
+
+/**
+ * Cancel a job when the client goes away before its response is sent
+ * (e.g. the browser aborted the fetch), so the server stops paying for it
+ * @param {Object} res - Express response
+ * @param {Object} job - Queued job the response is waiting for
+ */
+function cancelOnDisconnect(res, job) {
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      generationQueue.cancel(job.id, 'client-disconnected');
+    }
+  });
+}
+
+/**
+ * Log a generation failure and send the matching error response
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown while queueing or running the pipeline
+ * @param {number} processingTime - Elapsed time in milliseconds
+ */
+function sendGenerationError(req, res, error, processingTime) {
+  if (error instanceof CancelledError) {
+    apiLogger.info('Generation request cancelled', { path: req.path, processingTime });
+    return res.status(error.status).json({
+      success: false,
+      error: 'Cancelled',
+      message: error.message,
+      code: error.code,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Enhanced error logging with structured data - Evidence: architecture.md 6.3
+  loggerUtils.logError(apiLogger, error, {
+    operation: 'image-generation',
+    processingTime,
+    errorType: error.name,
+    statusCode: error.status,
+    input: req.body.prompt?.substring(0, 100)
+  });
+
+  const { status, ...body } = toClientError(error);
+
+  if (status === 429) {
+    apiLogger.warn('Rate limit exceeded', { retryAfter: body.retryAfter, processingTime });
+  } else if (status < 500) {
+    apiLogger.warn('Client error during image generation', {
+      statusCode: status,
+      message: error.message
+    });
+  } else {
+    apiLogger.error('Internal server error during image generation', {
+      processingTime,
+      errorMessage: error.message
+    });
+  }
+
+  res.status(status).json({
+    success: false,
+    ...body,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Send a 400 response when express-validator reported errors
+ * Content policy rejections also carry rewrite suggestions (GPT-assisted
+ * when a real API key is configured).
+ * @returns {Promise<boolean>} True if a response was sent
+ */
+async function rejectInvalidGenerateRequest(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+
+  apiLogger.warn('Validation failed for image generation', {
+    errors: errors.array(),
+    input: req.body.prompt?.substring(0, 50)
+  });
+
+  const suggestions = req.contentPolicy
+    ? await promptRefinementService.suggestRewrites(req.contentPolicy.text, req.contentPolicy.profile)
+    : [];
+
+  res.status(400).json({
+    success: false,
+    error: 'Validation failed',
+    details: errors.array(),
+    ...(req.contentPolicy && {
+      message: describeViolation(req.contentPolicy),
+      code: 'CONTENT_NOT_ALLOWED',
+      contentPolicy: {
+        policyVersion: req.contentPolicy.version,
+        profile: req.contentPolicy.profile,
+        reasons: req.contentPolicy.reasons,
+        suggestions
+      }
+    })
+  });
+  return true;
+}
+
+// Counts a generation against the requester's daily and burst quota; invalid
+// requests are left for the route to reject and cost nothing
+const generationQuota = quotaService.middleware({
+  skip: req => !validationResult(req).isEmpty()
+});
+
+/**
+ * Main image generation endpoint (synchronous)
+ *
+ * Runs through the same bounded job queue as /api/jobs and waits for the
+ * result, so concurrent generations are capped regardless of entry point.
+ * New clients should prefer POST /api/jobs and poll for the result.
+ *
+ * Send an `Idempotency-Key` header to make retries safe: a repeated key
+ * replays the first response instead of generating (and saving) again.
+ */
 app.post('/api/generate',
+  idempotencyStore.middleware('generate'),
   validateGenerateRequest,
+  generationQuota,
   async (req, res) => {
     const startTime = Date.now();
-    
+
     try {
-      // Check for validation errors
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        apiLogger.warn('Validation failed for image generation', {
-          errors: errors.array(),
-          input: req.body.prompt?.substring(0, 50)
-        });
-        
-        return res.status(400).json({
-          success: false,
-          error: 'Validation failed',
-          details: errors.array()
-        });
+      if (await rejectInvalidGenerateRequest(req, res)) {
+        return;
       }
 
-      const { prompt, customizations } = req.body;
-      
-      apiLogger.info('Image generation started', {
-        prompt: prompt.substring(0, 100),
-        customizations,
-        requestId: req.ip + '_' + Date.now()
-      });
+      const job = enqueueGeneration(req, '/api/generate');
+      cancelOnDisconnect(res, job);
+      await job.done;
 
-      // Step 1: Refine the prompt using dedicated service with GPT enhancement - architecture.md 4.1
-      // FLOW STEP 2: "Send to backend to create/refine an enhanced image prompt 
-      // (using OpenAI GPT model with the existing API key from .env, adding subtle details for quality coloring book style)"
-      apiLogger.info('Starting prompt refinement with GPT enhancement');
-      const refinementResult = await promptRefinementService.refinePrompt(prompt, customizations, {
-        useGPT: true, // Enable GPT-based refinement as specified in requirements
-        requestId: req.ip + '_' + Date.now()
-      });
-      const refinedPrompt = refinementResult.refinedPrompt;
-
-      // Step 2: Generate image using OpenAI Image Service (gpt-image-1 with dall-e-3 fallback)
-      // FLOW STEP 3: "Use the refined prompt for OpenAI image generation (with the same API key)"
-      // Reference: https://platform.openai.com/docs/models/gpt-image-1
-      // Architecture: Enhanced service-based approach with intelligent model selection
-      apiLogger.info('Starting OpenAI image generation with refined prompt', {
-        promptLength: refinedPrompt.length,
-        promptPreview: refinedPrompt.substring(0, 100) + '...'
-      });
-      
-      try {
-        // Use the new OpenAI Image Service with intelligent model selection
-        // Primary: gpt-image-1 ($0.167/image, 300 DPI equivalent quality: "high")
-        // Fallback: dall-e-3 ($0.040/image, quality: "standard")  
-        // Reference: https://platform.openai.com/docs/models/gpt-image-1
-        const imageGenerationResult = await openaiImageService.generateImage(refinedPrompt, {
-          requestId: req.ip + '_' + Date.now(),
-          size: '1024x1024'
-          // Note: gpt-image-1 doesn't use quality/style parameters
-        });
+      if (job.status === JOB_STATUS.FAILED || job.status === JOB_STATUS.CANCELLED) {
+        throw job.failure;
+      }
 
-        if (!imageGenerationResult.success) {
-          throw new Error('Image generation service returned failure');
-        }
+      res.json(job.result);
 
-        const { imageUrl, model: usedModel, metadata: imageMetadata } = imageGenerationResult;
-        const processingTime = Date.now() - startTime;
-
-        // Prepare comprehensive image data for gallery save with cost tracking
-        const imageData = {
-          imageUrl,
-          originalPrompt: prompt,
-          refinedPrompt,
-          metadata: {
-            ...imageMetadata,
-            // Enhanced metadata with refinement context
-            refinementData: {
-              category: refinementResult.detectedCategory,
-              success: refinementResult.success,
-              appliedSettings: refinementResult.appliedSettings,
-              method: refinementResult.metadata?.method
-            },
-            // Cost analysis and usage tracking
-            totalProcessingTime: processingTime,
-            apiEndpointUsed: '/api/generate'
-          }
-        };
-
-        // Save to gallery if user is authenticated
-        let galleryImageId = null;
-        if (req.user) {
-          galleryImageId = await saveToGallery(req.user.uid, imageData);
-        }
+    } catch (error) {
+      sendGenerationError(req, res, error, Date.now() - startTime);
+    }
+  }
+);
+
+/**
+ * Asynchronous generation - submit a job
+ *
+ * Validates the request like /api/generate, queues the pipeline and returns
+ * 202 with a job ID immediately. Clients poll GET /api/jobs/:jobId until the
+ * status is `done` (result included) or `failed` (error included).
+ * A repeated `Idempotency-Key` returns the original job instead of a new one.
+ */
+app.post('/api/jobs',
+  idempotencyStore.middleware('jobs'),
+  validateGenerateRequest,
+  generationQuota,
+  async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+      if (await rejectInvalidGenerateRequest(req, res)) {
+        return;
+      }
+
+      const job = enqueueGeneration(req, '/api/jobs');
+      const statusUrl = `/api/jobs/${job.id}`;
+      const publicJob = generationQueue.toPublicJob(job);
 
-        // Enhanced response with comprehensive metadata and cost tracking
-        const response = {
+      res.status(202)
+        .location(statusUrl)
+        .json({
           success: true,
-          imageUrl,
-          refinedPrompt,
-          originalPrompt: prompt,
-          customizations: customizations || {},
-          metadata: imageData.metadata,
-          galleryImageId,
-          savedToGallery: !!galleryImageId
-        };
-
-        // Log successful generation with comprehensive metrics
-        loggerUtils.logPerformance(apiLogger, 'image-generation-service', processingTime, {
-          modelUsed: usedModel,
-          category: refinementResult.detectedCategory,
-          promptLength: prompt.length,
-          refinedLength: refinedPrompt.length,
-          imageGenerated: !!imageUrl,
-          savedToGallery: !!galleryImageId,
-          userId: req.user?.uid,
-          costs: imageMetadata.costs,
-          attemptCount: imageMetadata.attemptCount
+          ...publicJob,
+          statusUrl
         });
 
-        res.json(response);
+    } catch (error) {
+      sendGenerationError(req, res, error, Date.now() - startTime);
+    }
+  }
+);
+
+/**
+ * Look up a job the current requester may see
+ *
+ * Jobs submitted by a signed-in user are only visible to that user; unknown,
+ * expired and foreign jobs all return 404 so job IDs cannot be probed.
+ * @returns {Object|null} Job record, or null after sending the 404 response
+ */
+function findAccessibleJob(req, res) {
+  const job = generationQueue.get(req.params.jobId);
 
-      } catch (imageError) {
-        // Enhanced error handling with fallback information
-        apiLogger.error('Image generation service failed', {
-          error: imageError.message,
-          promptLength: refinedPrompt.length,
-          userId: req.user?.uid,
-          processingTime: Date.now() - startTime
-        });
-        
-        throw imageError; // Re-throw to be handled by main error handler
+  if (!job || (job.ownerId && job.ownerId !== req.user?.uid)) {
+    res.status(404).json({
+      success: false,
+      error: 'Job not found',
+      message: 'The job does not exist or has expired',
+      timestamp: new Date().toISOString()
+    });
+    return null;
+  }
+
+  return job;
+}
+
+/**
+ * Asynchronous generation - job status
+ */
+app.get('/api/jobs/:jobId', (req, res) => {
+  const job = findAccessibleJob(req, res);
+  if (!job) {
+    return;
+  }
+
+  res.json({
+    success: true,
+    ...generationQueue.toPublicJob(job)
+  });
+});
+
+/**
+ * Asynchronous generation - cancel a job
+ *
+ * Drops a queued job, or aborts a running one: the refinement and image
+ * requests are abandoned and nothing is saved to the gallery. The job then
+ * reports status `cancelled`. Finished jobs are left unchanged.
+ */
+app.post('/api/jobs/:jobId/cancel', (req, res) => {
+  const job = findAccessibleJob(req, res);
+  if (!job) {
+    return;
+  }
+
+  const cancelled = generationQueue.cancel(job.id, 'client-request');
+
+  res.json({
+    success: true,
+    cancelled,
+    ...generationQueue.toPublicJob(job)
+  });
+});
+
+/**
+ * Asynchronous generation - live stage events (Server-Sent Events)
+ *
+ * Streams `stage` events (prompt-refined, model-attempt, retry-backoff,
+ * image-received, gallery-saved) and `status` events (the public job view)
+ * until the job finishes. Events recorded before the client connected are
+ * replayed first; `Last-Event-ID` on reconnect skips ones already delivered.
+ */
+app.get('/api/jobs/:jobId/events', (req, res) => {
+  const job = findAccessibleJob(req, res);
+  if (!job) {
+    return;
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Disable proxy buffering (nginx) so events arrive as they happen
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const writeEvent = (eventName, data, id) => {
+    if (id !== undefined) {
+      res.write(`id: ${id}\n`);
+    }
+    res.write(`event: ${eventName}\n`);
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const lastEventId = parseInt(req.get('Last-Event-ID'), 10) || 0;
+  job.events
+    .filter(event => event.id > lastEventId)
+    .forEach(event => writeEvent('stage', event, event.id));
+  writeEvent('status', generationQueue.toPublicJob(job));
+
+  const isFinished = () => [JOB_STATUS.DONE, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED].includes(job.status);
+  if (isFinished()) {
+    return res.end();
+  }
+
+  const onEvent = ({ jobId, event }) => {
+    if (jobId === job.id) {
+      writeEvent('stage', event, event.id);
+    }
+  };
+
+  const onUpdate = (publicJob) => {
+    if (publicJob.jobId !== job.id) {
+      return;
+    }
+    writeEvent('status', publicJob);
+    if (isFinished()) {
+      cleanup();
+      res.end();
+    }
+  };
+
+  // Comment lines keep idle proxies from closing the connection
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    generationQueue.off('event', onEvent);
+    generationQueue.off('update', onUpdate);
+  };
+
+  generationQueue.on('event', onEvent);
+  generationQueue.on('update', onUpdate);
+  req.on('close', cleanup);
+});
+
+// Validation for regenerating a gallery image
+const validateRegenerateRequest = [
+  param('imageId')
+    .isString()
+    .isLength({ min: 1, max: 128 })
+    .withMessage('imageId must be a gallery image ID'),
+  body('refine')
+    .optional()
+    .isBoolean()
+    .withMessage('refine must be true or false')
+    .toBoolean(),
+  body('variations')
+    .optional()
+    .isInt({ min: 1, max: 4 })
+    .withMessage('Variations must be a whole number between 1 and 4')
+    .toInt()
+];
+
+/**
+ * Regenerate a gallery image from its recipe
+ *
+ * Replays the stored recipe with the same provider and settings. By default
+ * the saved refined prompt is sent again; `refine: true` re-runs refinement on
+ * the original prompt with the current templates. Signed-in users only; a
+ * single new page is saved to the gallery like a normal generation.
+ */
+app.post('/api/regenerate/:imageId',
+  idempotencyStore.middleware('regenerate'),
+  validateRegenerateRequest,
+  // Guests are turned away by the route, so only signed-in requests count
+  quotaService.middleware({ skip: req => !req.user || !validationResult(req).isEmpty() }),
+  async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+      if (await rejectInvalidGenerateRequest(req, res)) {
+        return;
+      }
+
+      if (!req.user) {
+        throw new ServiceError('Sign in to regenerate images from your gallery', { status: 401, code: 'AUTH_REQUIRED' });
+      }
+
+      const { refine = false, variations = 1 } = req.body;
+      const user = req.user;
+      const requestId = req.ip + '_' + Date.now();
+
+      const job = generationQueue.submit(
+        ({ setStatus, emitEvent, signal }) => runRegeneration(
+          { imageId: req.params.imageId, refine, variations, user, requestId, clientIp: req.ip, signal },
+          { onStage: setStatus, onEvent: emitEvent }
+        ),
+        { ownerId: user.uid }
+      );
+      cancelOnDisconnect(res, job);
+      await job.done;
+
+      if (job.status === JOB_STATUS.FAILED || job.status === JOB_STATUS.CANCELLED) {
+        throw job.failure;
       }
 
+      res.json(job.result);
+
     } catch (error) {
-      const processingTime = Date.now() - startTime;
-      
-      // Enhanced error logging with structured data - Evidence: architecture.md 6.3
-      loggerUtils.logError(apiLogger, error, {
-        operation: 'image-generation',
-        processingTime,
-        errorType: error.name,
-        statusCode: error.status,
-        input: req.body.prompt?.substring(0, 100)
-      });
-      
-      // Handle rate limiting - Evidence: architecture.md 6.3 Exponential backoff
-      if (error.status === 429) {
-        apiLogger.warn('Rate limit exceeded', {
-          retryAfter: 60,
-          processingTime
-        });
-        
-        return res.status(429).json({
-          success: false,
-          error: 'Rate limit exceeded',
-          message: 'Too many requests. Please try again later.',
-          retryAfter: 60,
-          timestamp: new Date().toISOString()
-        });
+      sendGenerationError(req, res, error, Date.now() - startTime);
+    }
+  }
+);
+
+// Validation for rating a gallery image
+const validateRatingRequest = [
+  param('imageId')
+    .isString()
+    .isLength({ min: 1, max: 128 })
+    .withMessage('imageId must be a gallery image ID'),
+  body('rating')
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be a whole number between 1 and 5')
+    .toInt()
+];
+
+/**
+ * Rate a gallery image
+ *
+ * Stores the owner's 1-5 star rating on the image. When the page was made
+ * during a refinement experiment the rating is counted for its variant.
+ */
+app.post('/api/gallery/:imageId/rating',
+  validateRatingRequest,
+  async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+      if (await rejectInvalidGenerateRequest(req, res)) {
+        return;
       }
 
-      // Handle other OpenAI API errors - Evidence: architecture.md 6.3 Error handling
-      if (error.status >= 400 && error.status < 500) {
-        apiLogger.warn('Client error during image generation', {
-          statusCode: error.status,
-          message: error.message
-        });
-        
-        return res.status(error.status).json({
-          success: false,
-          error: 'API error',
-          message: error.message,
-          timestamp: new Date().toISOString()
-        });
+      if (!req.user) {
+        throw new ServiceError('Sign in to rate images in your gallery', { status: 401, code: 'AUTH_REQUIRED' });
       }
 
-      // Generic server error with enhanced logging
-      apiLogger.error('Internal server error during image generation', {
-        processingTime,
-        errorMessage: error.message
-      });
-      
-      res.status(500).json({
-        success: false,
-        error: 'Image generation failed',
-        message: 'An unexpected error occurred during image generation',
+      const { imageId } = req.params;
+      const { rating } = req.body;
+      const { previousRating, experiment } = await rateGalleryImage(req.user.uid, imageId, rating);
+
+      refinementExperiments.recordRating(experiment, rating, previousRating);
+
+      res.json({
+        success: true,
+        imageId,
+        rating,
         timestamp: new Date().toISOString()
       });
+
+    } catch (error) {
+      sendGenerationError(req, res, error, Date.now() - startTime);
     }
   }
 );
 
+// Validation for region edits
+const validateEditRegionRequest = [
+  body('imageUrl')
+    .isString()
+    .custom(value => value.startsWith('data:image/') || /^https?:\/\//.test(value))
+    .withMessage('imageUrl must be an image data URL or http(s) URL'),
+  body('mask')
+    .isString()
+    .custom(value => value.startsWith('data:image/png;base64,'))
+    .withMessage('mask must be a PNG data URL'),
+  body('instruction')
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Instruction must be between 3 and 500 characters')
+    .custom(familyFriendly),
+  body('customizations.ageGroup')
+    .optional()
+    .isIn(['kids', 'teens', 'adults'])
+    .withMessage('Age group must be kids, teens, or adults'),
+  body('refinedPrompt')
+    .optional()
+    .isString()
+    .isLength({ max: 2000 })
+    .withMessage('Refined prompt must be less than 2000 characters'),
+  body('galleryImageId')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ min: 1, max: 128 })
+    .withMessage('galleryImageId must be a gallery image ID')
+];
+
+/**
+ * Region regeneration (inpainting)
+ *
+ * Redraws the area of the page covered by the mask following the instruction.
+ * Runs through the generation queue like /api/generate and waits for the
+ * result. Signed-in users who pass `galleryImageId` get the edit saved as a
+ * new version linked to that gallery image.
+ */
+app.post('/api/edit-region',
+  idempotencyStore.middleware('edit-region'),
+  validateEditRegionRequest,
+  generationQuota,
+  async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+      if (await rejectInvalidGenerateRequest(req, res)) {
+        return;
+      }
+
+      const { imageUrl, mask, instruction, refinedPrompt, galleryImageId, customizations } = req.body;
+      const user = req.user || null;
+      const requestId = req.ip + '_' + Date.now();
+      const ageGroup = customizations?.ageGroup;
+
+      const job = generationQueue.submit(
+        ({ setStatus, emitEvent }) => runRegionEdit(
+          { imageUrl, mask, instruction, refinedPrompt, ageGroup, galleryImageId, user, clientIp: req.ip, requestId },
+          { onStage: setStatus, onEvent: emitEvent }
+        ),
+        { ownerId: user?.uid || null }
+      );
+      await job.done;
+
+      if (job.status === JOB_STATUS.FAILED) {
+        throw job.failure;
+      }
+
+      res.json(job.result);
+
+    } catch (error) {
+      sendGenerationError(req, res, error, Date.now() - startTime);
+    }
+  }
+);
+
+// Validation for photo uploads; the image itself is checked by the line art service
+const validatePhotoRequest = [
+  body('photo')
+    .isString()
+    .custom(value => /^data:image\/(jpeg|jpg|png);base64,/i.test(value))
+    .withMessage('photo must be a JPEG or PNG data URL'),
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Title must be at most 200 characters')
+    .custom(familyFriendly),
+  body('customizations.complexity')
+    .optional()
+    .isIn(['simple', 'medium', 'detailed'])
+    .withMessage('Complexity must be simple, medium, or detailed'),
+  body('customizations.lineThickness')
+    .optional()
+    .isIn(['thin', 'medium', 'thick'])
+    .withMessage('Line thickness must be thin, medium, or thick'),
+  body('customizations.ageGroup')
+    .optional()
+    .isIn(['kids', 'teens', 'adults'])
+    .withMessage('Age group must be kids, teens, or adults')
+];
+
+/**
+ * Photo to coloring page
+ *
+ * Converts an uploaded JPEG/PNG into line art locally (no image model) and
+ * returns the same payload as /api/generate, saving to the gallery for
+ * signed-in users. Runs through the generation queue, which also bounds the
+ * CPU spent on concurrent conversions.
+ */
+app.post('/api/photo-to-page',
+  idempotencyStore.middleware('photo-to-page'),
+  validatePhotoRequest,
+  async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+      if (await rejectInvalidGenerateRequest(req, res)) {
+        return;
+      }
+
+      const { photo, title, customizations } = req.body;
+      const user = req.user || null;
+      const requestId = req.ip + '_' + Date.now();
+
+      const job = generationQueue.submit(
+        ({ setStatus, emitEvent }) => runPhotoPipeline(
+          { photo, title, customizations, user, requestId },
+          { onStage: setStatus, onEvent: emitEvent }
+        ),
+        { ownerId: user?.uid || null }
+      );
+      await job.done;
+
+      if (job.status === JOB_STATUS.FAILED) {
+        throw job.failure;
+      }
+
+      res.json(job.result);
+
+    } catch (error) {
+      sendGenerationError(req, res, error, Date.now() - startTime);
+    }
+  }
+);
+
+/**
+ * Reject requests from anyone but admins
+ */
+function requireAdmin(req, res, next) {
+  if (isAdminUser(req.user)) {
+    return next();
+  }
+
+  apiLogger.warn('Admin endpoint access denied', { path: req.path, userId: req.user?.uid, ip: req.ip });
+
+  res.status(req.user ? 403 : 401).json({
+    success: false,
+    error: req.user ? 'Forbidden' : 'Unauthorized',
+    message: req.user ? 'Admin access required' : 'Sign in as an admin to view this report',
+    timestamp: new Date().toISOString()
+  });
+}
+
+// Validation for usage report queries
+const validateUsageQuery = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be an ISO 8601 date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be an ISO 8601 date'),
+  query('format')
+    .optional()
+    .isIn(['json', 'csv'])
+    .withMessage('format must be json or csv')
+];
+
+/**
+ * Send a usage report for the given ledger entries as JSON or CSV
+ * @param {Object} req - Express request (query: from, to, format)
+ * @param {Object} res - Express response
+ * @param {Object} filter - Ledger filter ({ bucket? })
+ * @param {Object} extra - Additional JSON fields (e.g. budget)
+ */
+function sendUsageReport(req, res, filter, extra = {}) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { from, to, format = 'json' } = req.query;
+  const report = buildUsageReport(costLedger.getEntries({ ...filter, from, to }), { from, to });
+
+  if (format === 'csv') {
+    const filename = `usage-${(from || 'all').substring(0, 10)}-${(to || 'now').substring(0, 10)}.csv`;
+    return res
+      .type('text/csv')
+      .attachment(filename)
+      .send(usageReportToCsv(report));
+  }
+
+  res.json({
+    success: true,
+    ...extra,
+    ...report,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Usage and spend for the current requester
+ *
+ * Signed-in users see their own generations; anonymous requests see their
+ * IP's. Aggregated by day, model, category, complexity and outcome, with
+ * the month's budget status. `?format=csv` downloads the same aggregates.
+ */
+app.get('/api/usage', validateUsageQuery, (req, res) => {
+  const bucket = CostLedger.bucketFor({ user: req.user, clientIp: req.ip });
+  sendUsageReport(req, res, { bucket }, { budget: costLedger.getBucketSummary(bucket) });
+});
+
+/**
+ * Generation quota for the current requester
+ *
+ * Plan tier plus daily and burst limits with what is left of each, so the
+ * form can show how many pages can still be made. Nothing is counted.
+ */
+app.get('/api/quota', async (req, res) => {
+  try {
+    const status = await quotaService.getStatus({ user: req.user, clientIp: req.ip });
+    quotaService.setHeaders(res, status);
+
+    res.json({
+      success: true,
+      ...status,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    loggerUtils.logError(apiLogger, error, { operation: 'quota-status', userId: req.user?.uid });
+
+    res.status(500).json({
+      success: false,
+      error: 'Quota unavailable',
+      message: 'Unable to read your remaining generations',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * Usage and spend across all users (admins only)
+ * Same report shape as /api/usage, plus the month's global ledger totals.
+ */
+app.get('/api/admin/usage', requireAdmin, validateUsageQuery, (req, res) => {
+  sendUsageReport(req, res, {}, { ledger: costLedger.getStats() });
+});
+
+/**
+ * Refinement experiment comparison (admins only)
+ * One row per variant with quality check pass rate, average rating and
+ * regeneration rate since the server started.
+ */
+app.get('/api/admin/experiments', requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    ...refinementExperiments.getReport(),
+    timestamp: new Date().toISOString()
+  });
+});
+
 /**
  * PDF Generation Endpoint
  * Evidence: architecture.md Section 3.3.1 - PDF generation endpoint
@@ -651,7 +1150,11 @@ app.post('/api/generate-pdf',
     body('metadata')
       .optional()
       .isObject()
-      .withMessage('Metadata must be an object')
+      .withMessage('Metadata must be an object'),
+    body('vector')
+      .optional()
+      .isBoolean()
+      .withMessage('vector must be true or false')
   ],
   async (req, res) => {
     const startTime = Date.now();
@@ -672,12 +1175,13 @@ app.post('/api/generate-pdf',
         });
       }
 
-      const { imageUrl, title, metadata = {} } = req.body;
+      const { imageUrl, title, metadata = {}, vector = false } = req.body;
       
       apiLogger.info('PDF generation requested', {
         hasImageUrl: !!imageUrl,
         hasTitle: !!title,
         hasMetadata: Object.keys(metadata).length > 0,
+        vector,
         userAuthenticated: !!req.user,
         requestId: req.ip + '_' + Date.now()
       });
@@ -693,12 +1197,12 @@ app.post('/api/generate-pdf',
         theme: metadata.theme
       };
 
-      // Generate PDF using the PDF service
+      // Generate PDF using the PDF service; page orientation follows the image
       apiLogger.info('Starting PDF generation with pdfService');
       const pdfBuffer = await pdfService.generatePDF(imageUrl, pdfMetadata, {
-        orientation: 'portrait',
         format: 'letter',
-        compress: true
+        compress: true,
+        vector
       });
 
       const processingTime = Date.now() - startTime;
@@ -742,6 +1246,68 @@ app.post('/api/generate-pdf',
   }
 );
 
+/**
+ * SVG export
+ *
+ * Traces a coloring page into vector outlines for print shops and returns
+ * it as an SVG download. Tracing is local and CPU-bound, so it runs through
+ * the generation queue like photo conversions.
+ */
+app.post('/api/export-svg',
+  [
+    body('imageUrl')
+      .isString()
+      .custom(value => value.startsWith('data:image/') || /^https?:\/\//.test(value))
+      .withMessage('imageUrl must be an image data URL or http(s) URL'),
+    body('title')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Title must be 100 characters or less')
+  ],
+  async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+      if (await rejectInvalidGenerateRequest(req, res)) {
+        return;
+      }
+
+      const { imageUrl, title } = req.body;
+      const requestId = req.ip + '_' + Date.now();
+
+      const job = generationQueue.submit(
+        () => vectorizePage(imageUrl, { title: title || 'Coloring page', requestId }),
+        { ownerId: req.user?.uid || null }
+      );
+      await job.done;
+
+      if (job.status === JOB_STATUS.FAILED) {
+        throw job.failure;
+      }
+
+      const { svg, stats } = job.result;
+
+      loggerUtils.logPerformance(apiLogger, 'svg-export', Date.now() - startTime, {
+        requestId,
+        svgBytes: stats.svgBytes,
+        contours: stats.contours,
+        userAuthenticated: !!req.user
+      });
+
+      res.set({
+        'Content-Type': 'image/svg+xml',
+        'Content-Disposition': `attachment; filename="coloring-page-${Date.now()}.svg"`,
+        'Cache-Control': 'no-cache'
+      });
+      res.send(svg);
+
+    } catch (error) {
+      sendGenerationError(req, res, error, Date.now() - startTime);
+    }
+  }
+);
+
 // Enhanced error handling middleware with winston
 app.use((err, req, res, _next) => {
   loggerUtils.logError(apiLogger, err, {
@@ -36,6 +36,9 @@ app.listen(PORT, () => {
   serverLogger.info('API Endpoints Available', {
     endpoints: [
       { method: 'POST', path: '/api/generate', purpose: 'Main generation flow with prompt refinement' },
+      { method: 'POST', path: '/api/jobs', purpose: 'Queue a generation job and return its ID' },
+      { method: 'GET', path: '/api/jobs/:jobId', purpose: 'Generation job status and result' },
+      { method: 'GET', path: '/api/jobs/:jobId/events', purpose: 'Live pipeline stage events (SSE)' },
       { method: 'POST', path: '/api/refine-prompt', purpose: 'Standalone prompt testing and validation' },
       { method: 'GET', path: '/api/health', purpose: 'Service status and OpenAI connectivity' }
     ]
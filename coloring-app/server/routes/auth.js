@@ -14,6 +14,7 @@ import express from 'express';
 import { body, validationResult } from 'express-validator';
 import { apiLogger, loggerUtils } from '../utils/logger.js';
 import { admin, db, auth, firebaseHealthCheck } from '../firebase-config.js';
+import idempotencyStore from '../services/idempotencyStore.js';
 
 const router = express.Router();
 
@@ -161,9 +162,11 @@ export const verifyToken = async (req, res, next) => {
  * 
  * INTEGRATION: Called from frontend after successful image generation
  * Saves image metadata and URL to Firestore for user gallery
+ * An `Idempotency-Key` header prevents duplicate documents on client retries.
  */
 router.post('/save-image',
   verifyToken,
+  idempotencyStore.middleware('save-image'),
   [
     body('imageUrl')
       .custom((value) => {
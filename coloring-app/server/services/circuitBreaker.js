@@ -0,0 +1,171 @@
+/**
+ * Circuit Breaker for Image Providers
+ *
+ * During an upstream outage every request would otherwise wait through the
+ * full retry backoff of each model before failing over. A breaker per
+ * provider tracks consecutive upstream failures and short-circuits calls:
+ *
+ * - closed:    requests flow; `failureThreshold` consecutive failures open it
+ * - open:      requests are refused so the chain moves on to the next provider
+ * - half-open: after `cooldownMs` one probe request is let through; success
+ *              closes the breaker, failure re-opens it for another cooldown
+ *
+ * Only upstream failures count (network errors, timeouts, 429 and 5xx). A 4xx
+ * such as a content policy rejection means the provider answered, so it
+ * counts as a success.
+ */
+
+export const CIRCUIT_STATE = Object.freeze({
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+});
+
+class CircuitBreaker {
+  /**
+   * @param {Object} options - Breaker options
+   * @param {string} options.name - Name shown in logs and health output (provider ID)
+   * @param {number} options.failureThreshold - Consecutive failures before opening
+   * @param {number} options.cooldownMs - How long to stay open before probing
+   * @param {Function} options.onStateChange - Optional (breaker, from, to) callback
+   */
+  constructor({ name, failureThreshold = 5, cooldownMs = 60000, onStateChange = () => {} }) {
+    this.name = name;
+    this.failureThreshold = Math.max(1, failureThreshold);
+    this.cooldownMs = cooldownMs;
+    this.onStateChange = onStateChange;
+
+    this.state = CIRCUIT_STATE.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.probeInFlight = false;
+    this.lastError = null;
+    this.trips = 0;
+  }
+
+  /**
+   * Whether an error shows the upstream is unhealthy
+   * @param {Error} error - Error from a provider call
+   * @returns {boolean} True for network errors, timeouts, 429 and 5xx
+   */
+  static isUpstreamFailure(error) {
+    return !error?.status || error.status === 429 || error.status >= 500;
+  }
+
+  /**
+   * Whether the breaker is refusing requests (open and still cooling down)
+   * Does not claim the half-open probe; use allowRequest() before calling.
+   * @returns {boolean} True while open
+   */
+  isOpen() {
+    return this.state === CIRCUIT_STATE.OPEN && Date.now() - this.openedAt < this.cooldownMs;
+  }
+
+  /**
+   * Ask to make a call; moves an open breaker to half-open after the cooldown
+   * Every allowed call must be followed by recordSuccess(), recordFailure() or,
+   * for a call cancelled by the client, releaseProbe().
+   * @returns {boolean} True if the call may go ahead
+   */
+  allowRequest() {
+    if (this.state === CIRCUIT_STATE.CLOSED) {
+      return true;
+    }
+
+    if (this.state === CIRCUIT_STATE.OPEN) {
+      if (this.isOpen()) {
+        return false;
+      }
+      this.transition(CIRCUIT_STATE.HALF_OPEN);
+    }
+
+    // Half-open: a single probe at a time
+    if (this.probeInFlight) {
+      return false;
+    }
+    this.probeInFlight = true;
+    return true;
+  }
+
+  /**
+   * Record a call the provider answered
+   */
+  recordSuccess() {
+    this.probeInFlight = false;
+    this.consecutiveFailures = 0;
+
+    if (this.state !== CIRCUIT_STATE.CLOSED) {
+      this.openedAt = null;
+      this.transition(CIRCUIT_STATE.CLOSED);
+    }
+  }
+
+  /**
+   * Give back the half-open probe slot of a call that ended without an answer
+   * (cancelled by the client); counts as neither success nor failure
+   */
+  releaseProbe() {
+    this.probeInFlight = false;
+  }
+
+  /**
+   * Record a failed call; opens the breaker at the threshold or on a failed probe
+   * @param {Error} error - Error from the provider call
+   */
+  recordFailure(error) {
+    if (!CircuitBreaker.isUpstreamFailure(error)) {
+      this.recordSuccess();
+      return;
+    }
+
+    this.probeInFlight = false;
+    this.consecutiveFailures++;
+    this.lastError = { message: error?.message, status: error?.status, at: new Date().toISOString() };
+
+    // Calls that were already in flight when the breaker opened don't re-trip it
+    if (this.state === CIRCUIT_STATE.OPEN) {
+      return;
+    }
+
+    if (this.state === CIRCUIT_STATE.HALF_OPEN || this.consecutiveFailures >= this.failureThreshold) {
+      this.openedAt = Date.now();
+      this.trips++;
+      this.transition(CIRCUIT_STATE.OPEN);
+    }
+  }
+
+  /**
+   * Change state and notify the listener
+   * @param {string} state - New CIRCUIT_STATE value
+   */
+  transition(state) {
+    const from = this.state;
+    if (from === state) {
+      return;
+    }
+
+    this.state = state;
+    this.onStateChange(this, from, state);
+  }
+
+  /**
+   * Breaker state for health reporting
+   * @returns {Object} State, failure counts and when the next probe is allowed
+   */
+  getState() {
+    return {
+      name: this.name,
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      failureThreshold: this.failureThreshold,
+      cooldownMs: this.cooldownMs,
+      trips: this.trips,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.openedAt ? new Date(this.openedAt + this.cooldownMs).toISOString() : null,
+      lastError: this.lastError
+    };
+  }
+}
+
+export default CircuitBreaker;
+export { CircuitBreaker };
@@ -0,0 +1,314 @@
+/**
+ * Cost Ledger for Coloring Book Creator
+ *
+ * Adds up what image generation actually costs. Every successful generation
+ * is recorded against a spend bucket - the signed-in user's UID, or the
+ * client IP for anonymous requests - and against a global monthly total.
+ *
+ * Budgets (USD per calendar month, UTC):
+ * - `userMonthlyBudget` applies to each bucket, signed-in or anonymous
+ * - `globalMonthlyBudget` caps the whole deployment
+ * A budget of 0 means unlimited.
+ *
+ * Budgets are enforced before the provider call: `authorize()` reserves the
+ * estimated cost and rejects with 402 BUDGET_EXCEEDED when the reservation
+ * would overrun a budget. Reservations keep concurrent generations from all
+ * slipping under the cap; they are settled with the real cost by `record()`
+ * or dropped by `release()`.
+ *
+ * Individual entries (successes and failures) are kept for usage reports,
+ * bounded by `maxEntries`. The ledger lives in memory; a server restart
+ * starts the month from zero.
+ */
+
+import { ServiceError } from '../utils/errors.js';
+import { apiLogger } from '../utils/logger.js';
+
+/**
+ * Round a dollar amount the way CostCalculator does
+ * @param {number} amount - Amount in USD
+ * @returns {number} Amount rounded to 4 decimal places
+ */
+const roundCost = (amount) => Number(amount.toFixed(4));
+
+/**
+ * In-memory ledger of generation spend with monthly budget caps
+ */
+class CostLedger {
+  /**
+   * @param {Object} options - Ledger options
+   * @param {number} options.userMonthlyBudget - Monthly USD cap per user or IP bucket (0 = unlimited)
+   * @param {number} options.globalMonthlyBudget - Monthly USD cap for all generations (0 = unlimited)
+   * @param {number} options.maxEntries - Most recent ledger entries kept for reporting
+   */
+  constructor({ userMonthlyBudget = 0, globalMonthlyBudget = 0, maxEntries = 5000 } = {}) {
+    this.userMonthlyBudget = userMonthlyBudget;
+    this.globalMonthlyBudget = globalMonthlyBudget;
+    this.maxEntries = Math.max(1, maxEntries);
+
+    // month ('YYYY-MM') → { spent, pending, buckets: Map<bucket, { spent, pending, generations }> }
+    this.months = new Map();
+    this.entries = [];
+  }
+
+  /**
+   * Spend bucket for a requester
+   * @param {Object} requester - { user, clientIp }
+   * @returns {string} `user:<uid>` or `ip:<address>`
+   */
+  static bucketFor({ user = null, clientIp = null } = {}) {
+    return user?.uid ? `user:${user.uid}` : `ip:${clientIp || 'unknown'}`;
+  }
+
+  /**
+   * Calendar month key in UTC
+   * @param {Date} date - Date to key
+   * @returns {string} Month key (e.g. 2025-03)
+   */
+  monthKey(date = new Date()) {
+    return date.toISOString().substring(0, 7);
+  }
+
+  /**
+   * When the current month's budgets reset
+   * @param {Date} date - Reference date
+   * @returns {string} ISO timestamp of the first instant of next month (UTC)
+   */
+  resetsAt(date = new Date()) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1)).toISOString();
+  }
+
+  /**
+   * Get (or create) the totals for a month
+   * @param {string} month - Month key
+   * @returns {Object} Month totals
+   */
+  getMonth(month) {
+    if (!this.months.has(month)) {
+      this.months.set(month, { spent: 0, pending: 0, buckets: new Map() });
+
+      // Only the current and previous month are needed for budgets
+      const keep = [...this.months.keys()].sort().slice(-2);
+      for (const key of this.months.keys()) {
+        if (!keep.includes(key)) this.months.delete(key);
+      }
+    }
+    return this.months.get(month);
+  }
+
+  /**
+   * Get (or create) a bucket's totals within a month
+   * @param {Object} monthTotals - Result of getMonth
+   * @param {string} bucket - Spend bucket
+   * @returns {Object} Bucket totals
+   */
+  getBucket(monthTotals, bucket) {
+    if (!monthTotals.buckets.has(bucket)) {
+      monthTotals.buckets.set(bucket, { spent: 0, pending: 0, generations: 0 });
+    }
+    return monthTotals.buckets.get(bucket);
+  }
+
+  /**
+   * Reserve the estimated cost of a generation against the budgets
+   * @param {string} bucket - Spend bucket (see CostLedger.bucketFor)
+   * @param {number} estimatedCost - Estimated cost in USD
+   * @returns {Object} Reservation to pass to record() or release()
+   * @throws {ServiceError} 402 BUDGET_EXCEEDED when a budget would be overrun
+   */
+  authorize(bucket, estimatedCost) {
+    const now = new Date();
+    const month = this.monthKey(now);
+    const monthTotals = this.getMonth(month);
+    const bucketTotals = this.getBucket(monthTotals, bucket);
+
+    const checks = [
+      { scope: 'user', budget: this.userMonthlyBudget, committed: bucketTotals.spent + bucketTotals.pending },
+      { scope: 'global', budget: this.globalMonthlyBudget, committed: monthTotals.spent + monthTotals.pending }
+    ];
+
+    for (const { scope, budget, committed } of checks) {
+      if (budget > 0 && committed + estimatedCost > budget) {
+        apiLogger.warn('Generation rejected by monthly budget', {
+          scope,
+          bucket,
+          budget,
+          spent: roundCost(committed),
+          estimatedCost
+        });
+
+        throw new ServiceError(
+          scope === 'user'
+            ? 'Your monthly image budget has been used up. It resets at the start of next month.'
+            : 'The monthly image budget for this service has been used up. Please try again next month.',
+          {
+            status: 402,
+            code: 'BUDGET_EXCEEDED',
+            details: {
+              scope,
+              budget,
+              spent: roundCost(committed),
+              estimatedCost,
+              resetsAt: this.resetsAt(now)
+            }
+          }
+        );
+      }
+    }
+
+    bucketTotals.pending += estimatedCost;
+    monthTotals.pending += estimatedCost;
+
+    return { bucket, month, amount: estimatedCost, settled: false };
+  }
+
+  /**
+   * Drop a reservation without recording spend (failed or cached generation)
+   * @param {Object} reservation - Result of authorize()
+   */
+  release(reservation) {
+    if (!reservation || reservation.settled) {
+      return;
+    }
+    reservation.settled = true;
+
+    const monthTotals = this.months.get(reservation.month);
+    if (!monthTotals) {
+      return;
+    }
+
+    const bucketTotals = this.getBucket(monthTotals, reservation.bucket);
+    bucketTotals.pending = Math.max(0, bucketTotals.pending - reservation.amount);
+    monthTotals.pending = Math.max(0, monthTotals.pending - reservation.amount);
+  }
+
+  /**
+   * Settle a reservation with the actual cost of the generation
+   * @param {Object} reservation - Result of authorize()
+   * @param {Object} costs - Cost breakdown from CostCalculator ({ imageCost, tokenCost, totalCost })
+   * @param {Object} details - Extra fields stored on the ledger entry (requestId, userId, model, ...)
+   * @returns {Object} Ledger entry
+   */
+  record(reservation, costs = {}, details = {}) {
+    this.release(reservation);
+
+    const totalCost = costs.totalCost || 0;
+    const monthTotals = this.getMonth(reservation.month);
+    const bucketTotals = this.getBucket(monthTotals, reservation.bucket);
+
+    bucketTotals.spent = roundCost(bucketTotals.spent + totalCost);
+    bucketTotals.generations++;
+    monthTotals.spent = roundCost(monthTotals.spent + totalCost);
+
+    return this.appendEntry({
+      timestamp: new Date().toISOString(),
+      bucket: reservation.bucket,
+      outcome: 'success',
+      ...details,
+      imageCost: costs.imageCost || 0,
+      tokenCost: costs.tokenCost || 0,
+      totalCost
+    });
+  }
+
+  /**
+   * Drop a reservation and log the failed generation for usage reports
+   * Failed generations are not billed, so no spend is recorded.
+   * @param {Object} reservation - Result of authorize()
+   * @param {Object} details - Extra fields stored on the ledger entry
+   * @returns {Object} Ledger entry
+   */
+  recordFailure(reservation, details = {}) {
+    this.release(reservation);
+
+    return this.appendEntry({
+      timestamp: new Date().toISOString(),
+      bucket: reservation.bucket,
+      ...details,
+      outcome: 'failed',
+      imageCost: 0,
+      tokenCost: 0,
+      totalCost: 0
+    });
+  }
+
+  /**
+   * Append a ledger entry, dropping the oldest beyond maxEntries
+   * @param {Object} entry - Ledger entry
+   * @returns {Object} The entry
+   */
+  appendEntry(entry) {
+    this.entries.push(entry);
+    if (this.entries.length > this.maxEntries) {
+      this.entries.splice(0, this.entries.length - this.maxEntries);
+    }
+    return entry;
+  }
+
+  /**
+   * Ledger entries matching a filter, oldest first
+   * @param {Object} filter - Entry filter
+   * @param {string} filter.bucket - Only entries for this spend bucket
+   * @param {string} filter.from - Only entries at or after this ISO date/time
+   * @param {string} filter.to - Only entries before this ISO date/time
+   * @returns {Array<Object>} Matching entries
+   */
+  getEntries({ bucket, from, to } = {}) {
+    const fromTime = from ? new Date(from).getTime() : -Infinity;
+    const toTime = to ? new Date(to).getTime() : Infinity;
+
+    return this.entries.filter(entry => {
+      const time = new Date(entry.timestamp).getTime();
+      return (!bucket || entry.bucket === bucket) && time >= fromTime && time < toTime;
+    });
+  }
+
+  /**
+   * Current month's spend and remaining budget for one bucket
+   * @param {string} bucket - Spend bucket
+   * @returns {Object} { month, spent, budget, remaining, generations, resetsAt }
+   */
+  getBucketSummary(bucket) {
+    const month = this.monthKey();
+    const bucketTotals = this.months.get(month)?.buckets.get(bucket);
+    const spent = bucketTotals?.spent || 0;
+
+    return {
+      month,
+      spent,
+      budget: this.userMonthlyBudget || null,
+      remaining: this.userMonthlyBudget ? roundCost(Math.max(0, this.userMonthlyBudget - spent)) : null,
+      generations: bucketTotals?.generations || 0,
+      resetsAt: this.resetsAt()
+    };
+  }
+
+  /**
+   * Ledger statistics for health reporting
+   * @returns {Object} Current month totals and budget settings
+   */
+  getStats() {
+    const month = this.monthKey();
+    const monthTotals = this.months.get(month);
+
+    return {
+      month,
+      spent: monthTotals?.spent || 0,
+      pending: roundCost(monthTotals?.pending || 0),
+      buckets: monthTotals?.buckets.size || 0,
+      userMonthlyBudget: this.userMonthlyBudget || null,
+      globalMonthlyBudget: this.globalMonthlyBudget || null,
+      entries: this.entries.length
+    };
+  }
+}
+
+// Export singleton instance configured from environment
+const costLedger = new CostLedger({
+  userMonthlyBudget: parseFloat(process.env.COST_BUDGET_USER_MONTHLY) || 0,
+  globalMonthlyBudget: parseFloat(process.env.COST_BUDGET_GLOBAL_MONTHLY) || 0,
+  maxEntries: parseInt(process.env.COST_LEDGER_MAX_ENTRIES, 10) || 5000
+});
+
+export default costLedger;
+export { CostLedger };
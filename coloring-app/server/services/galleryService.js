@@ -0,0 +1,214 @@
+/**
+ * Gallery Service for Coloring Book Creator
+ *
+ * Persists generated coloring pages to the `user_images` Firestore collection
+ * on behalf of the generation pipeline. The auth routes keep their own save
+ * endpoint for client-initiated saves; this module covers server-side saves.
+ *
+ * Edited pages are stored as new documents linked to the page they were made
+ * from (`parentImageId`, `rootImageId`, `version`), so the original is kept.
+ */
+
+import admin from 'firebase-admin';
+import { ServiceError } from '../utils/errors.js';
+import { apiLogger } from '../utils/logger.js';
+
+/**
+ * Returns the Firebase Admin app if it has been initialized by the auth routes
+ * @returns {Object|null} Firebase Admin app or null when unavailable
+ */
+function getFirebaseAdmin() {
+  try {
+    return admin.apps.length ? admin.app() : null;
+  } catch (error) {
+    apiLogger.warn('Firebase Admin check failed', {
+      error: error.message,
+      note: 'Gallery save may be disabled'
+    });
+    return null;
+  }
+}
+
+/**
+ * Whether gallery reads and writes are possible (Firebase Admin initialized)
+ * @returns {boolean}
+ */
+export const isGalleryAvailable = () => !!getFirebaseAdmin();
+
+/**
+ * Save generated image to user's gallery
+ * @param {string} userId - Firebase UID of the owner
+ * @param {Object} imageData - Image URL, prompts and metadata to store
+ * @returns {Promise<string|null>} Firestore document ID, or null when skipped/failed
+ */
+export const saveToGallery = async (userId, imageData) => {
+  const firebaseAdmin = getFirebaseAdmin();
+  if (!firebaseAdmin || !userId) {
+    return null; // Skip if no auth or admin not initialized
+  }
+
+  try {
+    const db = firebaseAdmin.firestore();
+
+    // Handle large imageUrl values that exceed Firestore's 1MB field limit
+    let imageUrl = imageData.imageUrl;
+    let imageUrlSize = 0;
+    let isLargeImage = false;
+
+    if (imageUrl) {
+      imageUrlSize = Buffer.byteLength(imageUrl, 'utf8');
+      // Firestore field limit is 1,048,487 bytes (1MB - 89 bytes)
+      isLargeImage = imageUrlSize > 1000000; // Use 1MB threshold for safety
+
+      if (isLargeImage) {
+        // For large images, store a reference/placeholder instead of the full URL
+        // This prevents the Firestore error while maintaining functionality
+        imageUrl = '[Large Image - View in App]';
+
+        apiLogger.warn('Large image URL detected, storing placeholder', {
+          userId,
+          originalSize: imageUrlSize,
+          promptLength: imageData.originalPrompt?.length || 0
+        });
+      }
+    }
+
+    const imageDoc = {
+      userId,
+      imageUrl,
+      originalPrompt: imageData.originalPrompt,
+      refinedPrompt: imageData.refinedPrompt,
+      metadata: {
+        ...imageData.metadata || {},
+        // Add metadata about image size for troubleshooting
+        imageUrlSize,
+        isLargeImage,
+        // Store original URL info if it was too large
+        ...(isLargeImage && {
+          originalImageUrlSize: imageUrlSize,
+          imageUrlTruncated: true,
+          imageType: imageData.imageUrl?.startsWith('data:') ? 'base64' : 'url'
+        })
+      },
+      // Version lineage for edited pages (see saveImageVersion)
+      ...(imageData.lineage && {
+        parentImageId: imageData.lineage.parentImageId,
+        rootImageId: imageData.lineage.rootImageId,
+        version: imageData.lineage.version
+      }),
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    const docRef = await db.collection('user_images').add(imageDoc);
+
+    apiLogger.info('Image saved to gallery', {
+      userId,
+      imageId: docRef.id,
+      promptLength: imageData.originalPrompt?.length || 0,
+      imageUrlSize,
+      isLargeImage
+    });
+
+    return docRef.id;
+  } catch (error) {
+    apiLogger.error('Failed to save image to gallery', {
+      userId,
+      error: error.message,
+      imageUrlSize: imageData.imageUrl ? Buffer.byteLength(imageData.imageUrl, 'utf8') : 0
+    });
+    return null;
+  }
+};
+
+/**
+ * Load one of a user's gallery images
+ * @param {string} userId - Firebase UID of the owner
+ * @param {string} imageId - Firestore document ID
+ * @returns {Promise<Object|null>} Document data with `id`, or null when missing, foreign or unavailable
+ */
+export const getGalleryImage = async (userId, imageId) => {
+  const firebaseAdmin = getFirebaseAdmin();
+  if (!firebaseAdmin || !userId || !imageId) {
+    return null;
+  }
+
+  const doc = await firebaseAdmin.firestore().collection('user_images').doc(imageId).get();
+  if (!doc.exists || doc.data().userId !== userId) {
+    return null;
+  }
+
+  return { id: doc.id, ...doc.data() };
+};
+
+/**
+ * Store the owner's 1-5 star rating of a gallery image
+ * @param {string} userId - Firebase UID of the owner
+ * @param {string} imageId - Firestore document ID
+ * @param {number} rating - Rating from 1 to 5
+ * @returns {Promise<Object>} { previousRating, experiment } - experiment assignment from the image's recipe, if any
+ * @throws {ServiceError} 503 GALLERY_UNAVAILABLE, 404 IMAGE_NOT_FOUND
+ */
+export const rateGalleryImage = async (userId, imageId, rating) => {
+  const firebaseAdmin = getFirebaseAdmin();
+  if (!firebaseAdmin) {
+    throw new ServiceError('The gallery is not available right now', { status: 503, code: 'GALLERY_UNAVAILABLE' });
+  }
+
+  const image = await getGalleryImage(userId, imageId);
+  if (!image) {
+    throw new ServiceError('The image was not found in your gallery', { status: 404, code: 'IMAGE_NOT_FOUND' });
+  }
+
+  await firebaseAdmin.firestore().collection('user_images').doc(imageId).update({
+    rating,
+    ratedAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  apiLogger.info('Gallery image rated', { userId, imageId, rating, previousRating: image.rating || null });
+
+  return {
+    previousRating: image.rating || null,
+    experiment: image.metadata?.recipe?.refinement?.experiment || null
+  };
+};
+
+/**
+ * Save an edited page as a new version of an existing gallery image
+ * @param {string} userId - Firebase UID of the owner
+ * @param {string} parentImageId - Gallery image the edit was made from
+ * @param {Object} imageData - Image URL, prompts and metadata to store
+ * @returns {Promise<Object|null>} { imageId, parentImageId, rootImageId, version }, or null when the save was skipped/failed
+ * @throws {ServiceError} 404 IMAGE_NOT_FOUND when the parent is not the user's image
+ */
+export const saveImageVersion = async (userId, parentImageId, imageData) => {
+  if (!getFirebaseAdmin() || !userId) {
+    return null; // Skip if no auth or admin not initialized
+  }
+
+  const parent = await getGalleryImage(userId, parentImageId);
+  if (!parent) {
+    throw new ServiceError('The original image was not found in your gallery', {
+      status: 404,
+      code: 'IMAGE_NOT_FOUND'
+    });
+  }
+
+  const lineage = {
+    parentImageId,
+    rootImageId: parent.rootImageId || parent.id,
+    version: (parent.version || 1) + 1
+  };
+
+  const imageId = await saveToGallery(userId, {
+    originalPrompt: parent.originalPrompt,
+    refinedPrompt: parent.refinedPrompt,
+    ...imageData,
+    lineage
+  });
+
+  return imageId ? { imageId, ...lineage } : null;
+};
+
+export default { saveToGallery, getGalleryImage, rateGalleryImage, saveImageVersion, isGalleryAvailable };
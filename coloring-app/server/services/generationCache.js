@@ -0,0 +1,151 @@
+/**
+ * Generation Result Cache for Coloring Book Creator
+ *
+ * Classes often generate the exact same prompt with the same settings, and
+ * every generation is billed (see CostCalculator). This cache stores finished
+ * image results keyed on the normalized refined prompt, the applied
+ * customizations, the variation count and the model, so repeats are served
+ * without another API call. Clients can bypass it with `fresh: true`.
+ *
+ * In-memory LRU with a time-to-live; entries are lost on restart.
+ */
+
+import crypto from 'crypto';
+import { apiLogger } from '../utils/logger.js';
+
+/**
+ * Normalize a prompt so trivial differences (case, spacing) share an entry
+ * @param {string} prompt - Refined prompt
+ * @returns {string} Normalized prompt
+ */
+export function normalizePrompt(prompt) {
+  return String(prompt || '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * In-memory LRU cache of generation results
+ */
+class GenerationCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {number} options.maxSize - Maximum cached results
+   * @param {number} options.ttlMs - How long a result may be reused
+   */
+  constructor({ maxSize = 50, ttlMs = 24 * 60 * 60 * 1000 } = {}) {
+    this.cache = new Map();
+    this.maxSize = Math.max(1, maxSize);
+    this.ttlMs = ttlMs;
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * Generates cache key from the request that produced an image
+   * @param {Object} params - { refinedPrompt, customizations, model, variations }
+   * @returns {string} Cache key
+   */
+  generateKey({ refinedPrompt, customizations = {}, model, variations = 1 }) {
+    // Sort customization keys so property order never splits entries
+    const settings = Object.keys(customizations)
+      .sort()
+      .reduce((sorted, key) => ({ ...sorted, [key]: customizations[key] ?? null }), {});
+
+    const hash = crypto.createHash('sha256');
+    hash.update(normalizePrompt(refinedPrompt));
+    hash.update(JSON.stringify(settings));
+    hash.update(`${model}|${variations}`);
+    return hash.digest('hex').substring(0, 32);
+  }
+
+  /**
+   * Gets a cached result that has not expired
+   * @param {string} key - Cache key
+   * @returns {Object|null} Cache entry ({ result, cachedAt, expiresAt }) or null
+   */
+  get(key) {
+    const entry = this.cache.get(key);
+
+    if (!entry || entry.expiresAt <= Date.now()) {
+      if (entry) {
+        this.cache.delete(key);
+      }
+      this.misses++;
+      return null;
+    }
+
+    // Move to end (most recently used)
+    this.cache.delete(key);
+    this.cache.set(key, entry);
+    this.hits++;
+    return entry;
+  }
+
+  /**
+   * Stores a generation result with LRU eviction
+   * @param {string} key - Cache key
+   * @param {Object} result - Image generation result to reuse
+   */
+  set(key, result) {
+    if (this.cache.has(key)) {
+      this.cache.delete(key);
+    } else if (this.cache.size >= this.maxSize) {
+      // Remove least recently used entry
+      const firstKey = this.cache.keys().next().value;
+      this.cache.delete(firstKey);
+    }
+
+    const now = Date.now();
+    this.cache.set(key, {
+      result,
+      cachedAt: new Date(now).toISOString(),
+      expiresAt: now + this.ttlMs
+    });
+  }
+
+  /**
+   * Clears cache and reports statistics
+   * @returns {Object} Statistics before clearing
+   */
+  clear() {
+    const stats = this.getStats();
+    this.cache.clear();
+    apiLogger.info('Generation cache cleared', { clearedEntries: stats.size });
+    return stats;
+  }
+
+  /**
+   * Gets cache statistics
+   * @returns {Object} Size, limits, hit and miss counters
+   */
+  getStats() {
+    const lookups = this.hits + this.misses;
+    return {
+      size: this.cache.size,
+      maxSize: this.maxSize,
+      usage: Math.round((this.cache.size / this.maxSize) * 100),
+      ttlMs: this.ttlMs,
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups ? Math.round((this.hits / lookups) * 100) : 0
+    };
+  }
+}
+
+// Export singleton instance sized from environment
+const generationCache = new GenerationCache({
+  maxSize: parseInt(process.env.GENERATION_CACHE_SIZE, 10) || 50,
+  ttlMs: parseInt(process.env.GENERATION_CACHE_TTL_MS, 10) || 24 * 60 * 60 * 1000
+});
+
+/**
+ * Gets current generation cache statistics
+ */
+export function getCacheStats() {
+  return generationCache.getStats();
+}
+
+export default generationCache;
+export { GenerationCache };
@@ -0,0 +1,695 @@
+/**
+ * Generation Pipeline for Coloring Book Creator
+ * Evidence: architecture.md Section 4.1 - Image generation flow
+ *
+ * Runs the refine → generate → save steps behind both `POST /api/generate`
+ * (synchronous) and `POST /api/jobs` (asynchronous). Keeping the pipeline out
+ * of the route handlers lets the job queue run it without an open HTTP
+ * connection while the two endpoints return the same result payload.
+ */
+
+import promptRefinementService from './promptRefinement.js';
+import openaiImageService from './openaiService.js';
+import { saveToGallery, getGalleryImage, isGalleryAvailable } from './galleryService.js';
+import generationCache from './generationCache.js';
+import costLedger, { CostLedger } from './costLedger.js';
+import { createPageFromPhoto } from './photoLineArt.js';
+import { cleanupGenerationResult } from './lineArtCleanup.js';
+import qualityChecker, { buildStricterPrompt } from './qualityCheck.js';
+import { buildRecipe, refinementFromRecipe, recipeFromGalleryImage } from './generationRecipe.js';
+import refinementExperiments from './refinementExperiments.js';
+import moderationService from './moderationService.js';
+import { ServiceError, CancelledError, throwIfCancelled } from '../utils/errors.js';
+import { apiLogger, loggerUtils } from '../utils/logger.js';
+
+/**
+ * Pipeline stages reported through `onStage`, in execution order
+ */
+export const PIPELINE_STAGES = ['refining', 'generating', 'saving'];
+
+/**
+ * Stage events reported through `onEvent`. `model-attempt` and `retry-backoff`
+ * come from OpenAIImageService and may repeat for retries and fallbacks;
+ * `cache-hit` replaces them when a cached image is reused. `quality-retry` is
+ * only sent when a page failed the quality check and is regenerated.
+ */
+export const PIPELINE_EVENTS = [
+  'prompt-refined',
+  'cache-hit',
+  'model-attempt',
+  'retry-backoff',
+  'image-received',
+  'quality-retry',
+  'quality-checked',
+  'image-cleaned',
+  'gallery-saved'
+];
+
+// Line art cleanup of generated pages (on unless LINE_ART_CLEANUP=false)
+const LINE_ART_CLEANUP_ENABLED = process.env.LINE_ART_CLEANUP !== 'false';
+
+/**
+ * Run the full generation pipeline for one validated request
+ * @param {Object} request - Validated generation request
+ * @param {string} request.prompt - User prompt
+ * @param {Object} request.customizations - Coloring page customizations
+ * @param {number} request.variations - Number of images to generate (1-4, default 1)
+ * @param {Object|null} request.user - Authenticated user ({ uid, email, displayName }) or null
+ * @param {string} request.requestId - Request identifier used for log correlation
+ * @param {string} request.endpoint - API endpoint recorded in the image metadata
+ * @param {boolean} request.fresh - Skip the generation cache and always generate
+ * @param {string|null} request.clientIp - Client IP, the spend bucket for anonymous requests
+ * @param {Object|null} request.replay - { imageId, recipe, refine } when regenerating a gallery image:
+ *   the recipe's provider is tried first and, unless `refine` is set, its refined prompt is reused
+ * @param {AbortSignal|null} request.signal - Aborted when the client cancels; refinement and image
+ *   requests are abandoned and nothing is saved to the gallery
+ * @param {Object} hooks - Optional callbacks
+ * @param {Function} hooks.onStage - Called with each stage name as the pipeline advances
+ * @param {Function} hooks.onEvent - Called with (type, data) for each PIPELINE_EVENTS entry
+ * @returns {Promise<Object>} Generation result in the `/api/generate` response shape
+ * @throws {CancelledError} When the signal is aborted before the result is saved
+ * @throws {ModerationError} When the moderation provider flags a prompt or a generated image
+ */
+export async function runGenerationPipeline(
+  { prompt, customizations, variations = 1, user = null, requestId, endpoint = '/api/generate', fresh = false, clientIp = null, replay = null, signal = null },
+  { onStage = () => {}, onEvent = () => {} } = {}
+) {
+  const startTime = Date.now();
+
+  apiLogger.info('Image generation started', {
+    prompt: prompt.substring(0, 100),
+    customizations,
+    variations,
+    requestId
+  });
+
+  // Step 1: Refine the prompt using dedicated service with GPT enhancement - architecture.md 4.1
+  // FLOW STEP 2: "Send to backend to create/refine an enhanced image prompt
+  // (using OpenAI GPT model with the existing API key from .env, adding subtle details for quality coloring book style)"
+  onStage('refining');
+  let refinementResult;
+  if (replay && !replay.refine) {
+    apiLogger.info('Reusing the refined prompt from the recipe', { requestId, regeneratedFrom: replay.imageId });
+    refinementResult = refinementFromRecipe(replay.recipe);
+  } else {
+    // Sticky A/B assignment of the refinement variant (null when no experiment runs)
+    const experiment = refinementExperiments.assign(CostLedger.bucketFor({ user, clientIp }));
+    apiLogger.info('Starting prompt refinement with GPT enhancement', { requestId, experiment: experiment?.variant });
+    refinementResult = await promptRefinementService.refinePrompt(prompt, customizations, {
+      useGPT: true, // Enable GPT-based refinement as specified in requirements
+      requestId,
+      experiment,
+      signal
+    });
+  }
+  throwIfCancelled(signal);
+  const refinedPrompt = refinementResult.refinedPrompt;
+
+  onEvent('prompt-refined', {
+    refinedPrompt,
+    category: refinementResult.detectedCategory,
+    method: refinementResult.metadata?.method
+  });
+
+  // Paraphrases slip past the word lists; moderate both prompts before any
+  // image is paid for
+  await moderationService.checkPrompts({ prompt, refinedPrompt }, { requestId, signal });
+
+  // Step 2: Generate image using OpenAI Image Service (gpt-image-1 with dall-e-3 fallback)
+  // FLOW STEP 3: "Use the refined prompt for OpenAI image generation (with the same API key)"
+  // Reference: https://platform.openai.com/docs/models/gpt-image-1
+  onStage('generating');
+
+  // Identical refined prompt, settings and model → reuse the stored image
+  // instead of paying for it again (skipped with `fresh: true`)
+  const preferredProvider = replay?.recipe.generation.provider || null;
+  const primaryProviderId = openaiImageService.getPrimaryProviderId(preferredProvider);
+  const cacheKey = generationCache.generateKey({
+    refinedPrompt,
+    customizations: refinementResult.appliedSettings,
+    model: primaryProviderId,
+    variations
+  });
+  const cacheEntry = fresh ? null : generationCache.get(cacheKey);
+
+  let imageGenerationResult;
+  if (cacheEntry) {
+    imageGenerationResult = toCachedResult(cacheEntry, requestId);
+
+    apiLogger.info('Serving image from generation cache', {
+      requestId,
+      cachedAt: cacheEntry.cachedAt,
+      savedCost: imageGenerationResult.metadata.cacheSavings
+    });
+
+    onEvent('cache-hit', {
+      cachedAt: cacheEntry.cachedAt,
+      savedCost: imageGenerationResult.metadata.cacheSavings
+    });
+  } else {
+    const generate = (imagePrompt, count) => generateAndRecord(imagePrompt, {
+      variations: count,
+      refinementResult,
+      user,
+      clientIp,
+      requestId,
+      primaryProviderId,
+      preferredProvider,
+      signal,
+      onEvent
+    });
+
+    apiLogger.info('Starting OpenAI image generation with refined prompt', {
+      requestId,
+      promptLength: refinedPrompt.length,
+      promptPreview: refinedPrompt.substring(0, 100) + '...',
+      fresh
+    });
+
+    imageGenerationResult = await generate(refinedPrompt, variations);
+    const usedPrimary = imageGenerationResult.metadata.provider === primaryProviderId;
+
+    // Score the provider's pages and regenerate failing ones once with a
+    // stricter prompt. Runs before cleanup, which would hide gray and fills.
+    let qualityPassed = true;
+    if (qualityChecker.enabled) {
+      imageGenerationResult = await checkQuality(imageGenerationResult, {
+        refinedPrompt,
+        settings: refinementResult.appliedSettings,
+        generate,
+        requestId,
+        onEvent
+      });
+      qualityPassed = imageGenerationResult.metadata.qualityCheck.passed;
+    }
+
+    // Flagged pages are never returned, cached or saved; cache hits were
+    // moderated when they were first generated
+    await moderationService.checkImages(imageGenerationResult, { requestId, signal });
+
+    // Only complete results from the primary model that passed the quality
+    // check are reused; fallback images, partial fan-outs and weak pages
+    // would otherwise stick for identical requests
+    const complete = (imageGenerationResult.variations?.length || 1) >= variations;
+    if (complete && usedPrimary && qualityPassed) {
+      generationCache.set(cacheKey, imageGenerationResult);
+    }
+  }
+
+  // A cached page's quality check was counted when it was first generated
+  refinementExperiments.recordGeneration(
+    refinementResult.metadata?.experiment,
+    cacheEntry ? null : imageGenerationResult.metadata.qualityCheck?.passed ?? null
+  );
+
+  onEvent('image-received', {
+    model: imageGenerationResult.model,
+    apiMode: imageGenerationResult.metadata.apiMode,
+    variationCount: imageGenerationResult.variations?.length || 1,
+    processingTime: Date.now() - startTime,
+    cached: !!cacheEntry
+  });
+
+  // Force pure black and white line art at the requested stroke weight. The
+  // cache keeps the provider's images, so a cache hit is cleaned again here.
+  if (LINE_ART_CLEANUP_ENABLED) {
+    imageGenerationResult = await cleanupGenerationResult(imageGenerationResult, {
+      lineThickness: refinementResult.appliedSettings?.lineThickness,
+      requestId
+    });
+
+    const cleanup = imageGenerationResult.metadata.lineArtCleanup;
+    onEvent('image-cleaned', {
+      applied: cleanup.applied,
+      lineThickness: cleanup.lineThickness,
+      processingTime: cleanup.processingTime
+    });
+  }
+
+  const { imageUrl, rawImageUrl = null, model: usedModel, metadata: imageMetadata } = imageGenerationResult;
+  const imageVariations = imageGenerationResult.variations || [
+    { index: 0, imageUrl, rawImageUrl, revisedPrompt: imageGenerationResult.revisedPrompt, costs: imageMetadata.costs }
+  ];
+  const processingTime = Date.now() - startTime;
+
+  // Prepare comprehensive image data for gallery save with cost tracking
+  const imageData = {
+    imageUrl,
+    originalPrompt: prompt,
+    refinedPrompt,
+    metadata: {
+      ...imageMetadata,
+      // Enhanced metadata with refinement context
+      refinementData: {
+        category: refinementResult.detectedCategory,
+        success: refinementResult.success,
+        appliedSettings: refinementResult.appliedSettings,
+        method: refinementResult.metadata?.method,
+        experiment: refinementResult.metadata?.experiment || null,
+        language: refinementResult.metadata?.language || null,
+        translation: refinementResult.metadata?.translation || null
+      },
+      // Cost analysis and usage tracking
+      totalProcessingTime: processingTime,
+      apiEndpointUsed: endpoint,
+      // Everything needed to replay this generation with /api/regenerate
+      recipe: buildRecipe({
+        prompt,
+        customizations,
+        variations,
+        refinementResult,
+        imageMetadata,
+        regeneratedFrom: replay?.imageId || null
+      })
+    }
+  };
+
+  // The images are paid for by now, but a cancelled request must not leave a
+  // page in the gallery the user gave up on
+  throwIfCancelled(signal);
+
+  // Step 3: Save to gallery if user is authenticated. With several variations
+  // nothing is saved here; the user picks one and saves it from the preview.
+  let galleryImageId = null;
+  if (user && imageVariations.length === 1) {
+    onStage('saving');
+    galleryImageId = await saveToGallery(user.uid, imageData);
+    onEvent('gallery-saved', {
+      galleryImageId,
+      saved: !!galleryImageId
+    });
+  }
+
+  loggerUtils.logPerformance(apiLogger, 'image-generation-service', processingTime, {
+    requestId,
+    modelUsed: usedModel,
+    category: refinementResult.detectedCategory,
+    promptLength: prompt.length,
+    refinedLength: refinedPrompt.length,
+    imageGenerated: !!imageUrl,
+    savedToGallery: !!galleryImageId,
+    userId: user?.uid,
+    costs: imageMetadata.costs,
+    attemptCount: imageMetadata.attemptCount,
+    variationCount: imageVariations.length
+  });
+
+  return {
+    success: true,
+    imageUrl,
+    rawImageUrl,
+    refinedPrompt,
+    originalPrompt: prompt,
+    customizations: customizations || {},
+    metadata: imageData.metadata,
+    variations: imageVariations,
+    galleryImageId,
+    savedToGallery: !!galleryImageId,
+    cached: !!cacheEntry
+  };
+}
+
+/**
+ * Regenerate one of the user's gallery images from its recipe
+ * Always generates new images (the cache is skipped). The result is saved as a
+ * new gallery image whose recipe points back to the original.
+ * @param {Object} request - Validated regeneration request
+ * @param {string} request.imageId - Gallery image to regenerate
+ * @param {boolean} request.refine - Re-run refinement instead of reusing the saved refined prompt
+ * @param {number} request.variations - Number of images to generate (1-4, default 1)
+ * @param {Object} request.user - Authenticated user
+ * @param {string} request.requestId - Request identifier used for log correlation
+ * @param {string|null} request.clientIp - Client IP
+ * @param {AbortSignal|null} request.signal - Aborted when the client cancels
+ * @param {Object} hooks - Optional { onStage, onEvent } callbacks
+ * @returns {Promise<Object>} Generation result in the `/api/generate` response shape
+ * @throws {ServiceError} 503 GALLERY_UNAVAILABLE, 404 IMAGE_NOT_FOUND, or 422 from recipeFromGalleryImage
+ */
+export async function runRegeneration(
+  { imageId, refine = false, variations = 1, user, requestId, clientIp = null, signal = null },
+  hooks = {}
+) {
+  if (!isGalleryAvailable()) {
+    throw new ServiceError('The gallery is not available right now', { status: 503, code: 'GALLERY_UNAVAILABLE' });
+  }
+
+  const image = await getGalleryImage(user.uid, imageId);
+  if (!image) {
+    throw new ServiceError('The image was not found in your gallery', { status: 404, code: 'IMAGE_NOT_FOUND' });
+  }
+
+  const recipe = recipeFromGalleryImage(image);
+  refinementExperiments.recordRegeneration(recipe.refinement.experiment);
+
+  apiLogger.info('Regenerating gallery image from its recipe', {
+    requestId,
+    imageId,
+    recipeVersion: recipe.version,
+    provider: recipe.generation.provider,
+    refine
+  });
+
+  return runGenerationPipeline({
+    prompt: recipe.prompt,
+    customizations: recipe.customizations,
+    variations,
+    user,
+    requestId,
+    endpoint: '/api/regenerate',
+    fresh: true,
+    clientIp,
+    replay: { imageId, recipe, refine },
+    signal
+  }, hooks);
+}
+
+/**
+ * Turn an uploaded photo into a coloring page
+ * Runs the local line art conversion instead of refine → generate and returns
+ * the same result shape as runGenerationPipeline, so the page goes through the
+ * usual preview, PDF and gallery paths. No image model is called, so nothing
+ * is charged to the cost ledger.
+ * @param {Object} request - Validated photo request
+ * @param {string} request.photo - JPEG or PNG data URL
+ * @param {Object} request.customizations - Coloring page customizations (complexity, lineThickness)
+ * @param {string} request.title - Optional description of the photo
+ * @param {Object|null} request.user - Authenticated user or null
+ * @param {string} request.requestId - Request identifier used for log correlation
+ * @param {Object} hooks - Optional { onStage, onEvent } callbacks
+ * @returns {Promise<Object>} Generation result in the `/api/generate` response shape
+ */
+export async function runPhotoPipeline(
+  { photo, customizations = {}, title = '', user = null, requestId },
+  { onStage = () => {}, onEvent = () => {} } = {}
+) {
+  const startTime = Date.now();
+
+  onStage('generating');
+  const page = await createPageFromPhoto({ photo, customizations, title, requestId });
+  const processingTime = Date.now() - startTime;
+
+  onEvent('image-received', {
+    model: page.metadata.model,
+    apiMode: page.metadata.apiMode,
+    variationCount: 1,
+    processingTime
+  });
+
+  const imageData = {
+    imageUrl: page.imageUrl,
+    originalPrompt: page.description,
+    refinedPrompt: page.description,
+    metadata: {
+      ...page.metadata,
+      totalProcessingTime: processingTime,
+      apiEndpointUsed: '/api/photo-to-page'
+    }
+  };
+
+  let galleryImageId = null;
+  if (user) {
+    onStage('saving');
+    galleryImageId = await saveToGallery(user.uid, imageData);
+    onEvent('gallery-saved', {
+      galleryImageId,
+      saved: !!galleryImageId
+    });
+  }
+
+  loggerUtils.logPerformance(apiLogger, 'photo-to-page', processingTime, {
+    requestId,
+    userId: user?.uid,
+    savedToGallery: !!galleryImageId,
+    edgeCoverage: page.metadata.lineArt.edgeCoverage
+  });
+
+  return {
+    success: true,
+    imageUrl: page.imageUrl,
+    refinedPrompt: page.description,
+    originalPrompt: page.description,
+    customizations,
+    metadata: imageData.metadata,
+    variations: [{ index: 0, imageUrl: page.imageUrl, costs: page.metadata.costs }],
+    galleryImageId,
+    savedToGallery: !!galleryImageId,
+    cached: false
+  };
+}
+
+/**
+ * Generate images and record the spend in the cost ledger
+ * Budgets are enforced before paying for the images; throws 402 BUDGET_EXCEEDED.
+ * @param {string} imagePrompt - Prompt sent to the image provider
+ * @param {Object} options - Generation context
+ * @param {number} options.variations - Number of images to generate
+ * @param {Object} options.refinementResult - Prompt refinement result (category, appliedSettings)
+ * @param {Object|null} options.user - Authenticated user or null
+ * @param {string|null} options.clientIp - Client IP, the spend bucket for anonymous requests
+ * @param {string} options.requestId - Request identifier used for log correlation
+ * @param {string} options.primaryProviderId - Provider whose results count as a success
+ * @param {string|null} options.preferredProvider - Provider to try first (recipe replays)
+ * @param {AbortSignal|null} options.signal - Cancels the image request
+ * @param {Function} options.onEvent - Stage event callback
+ * @returns {Promise<Object>} Image generation result
+ */
+async function generateAndRecord(
+  imagePrompt,
+  { variations, refinementResult, user, clientIp, requestId, primaryProviderId, preferredProvider = null, signal = null, onEvent }
+) {
+  const startTime = Date.now();
+  const spendBucket = CostLedger.bucketFor({ user, clientIp });
+  const orientation = refinementResult.appliedSettings?.orientation || 'square';
+  const estimate = openaiImageService.estimateRequestCost({ orientation, variations, preferredProvider });
+  const reservation = costLedger.authorize(spendBucket, estimate.totalCost);
+  const ledgerDetails = {
+    requestId,
+    userId: user?.uid || null,
+    category: refinementResult.detectedCategory,
+    complexity: refinementResult.appliedSettings?.complexity
+  };
+
+  let result;
+  try {
+    // Primary: gpt-image-1 ($0.167/image, 300 DPI equivalent quality: "high")
+    // Fallback: dall-e-3 ($0.040/image, quality: "standard")
+    result = await openaiImageService.generateImage(imagePrompt, {
+      requestId,
+      orientation,
+      preferredProvider,
+      variations,
+      // Used by the offline mock provider to draw subject-aware line art
+      category: refinementResult.detectedCategory,
+      customizations: refinementResult.appliedSettings,
+      onProgress: onEvent,
+      signal
+    });
+
+    if (!result.success) {
+      throw new Error('Image generation service returned failure');
+    }
+  } catch (imageError) {
+    costLedger.recordFailure(reservation, {
+      ...ledgerDetails,
+      processingTime: Date.now() - startTime
+    });
+
+    if (imageError instanceof CancelledError) {
+      apiLogger.info('Image generation cancelled', { requestId, userId: user?.uid, processingTime: Date.now() - startTime });
+      throw imageError;
+    }
+
+    apiLogger.error('Image generation service failed', {
+      requestId,
+      error: imageError.message,
+      promptLength: imagePrompt.length,
+      userId: user?.uid,
+      processingTime: Date.now() - startTime
+    });
+
+    throw imageError;
+  }
+
+  costLedger.record(reservation, result.metadata.costs, {
+    ...ledgerDetails,
+    model: result.model,
+    provider: result.metadata.provider,
+    outcome: result.metadata.provider === primaryProviderId ? 'success' : 'fallback',
+    imageCount: result.variations?.length || 1,
+    processingTime: result.metadata.processingTime
+  });
+
+  return result;
+}
+
+/**
+ * Run the quality check and regenerate failing pages once
+ * Only the failing variations are regenerated, with a stricter prompt. A
+ * retried page replaces the original when it passes or fails fewer checks.
+ * If the retry cannot run (budget, provider error) the originals are kept.
+ * @param {Object} result - Image generation result
+ * @param {Object} context - { refinedPrompt, settings, generate, requestId, onEvent }
+ * @returns {Promise<Object>} Result with `metadata.qualityCheck` and per-variation `quality`
+ */
+async function checkQuality(result, { refinedPrompt, settings = {}, generate, requestId, onEvent }) {
+  const firstCheck = await qualityChecker.checkResult(result, settings, requestId);
+  const variations = [...(result.variations || [{ index: 0, imageUrl: result.imageUrl, revisedPrompt: result.revisedPrompt, costs: result.metadata.costs }])];
+  const images = firstCheck.images.map(image => ({ ...image, retried: false }));
+
+  let retry = null;
+  let retryError = null;
+  const failed = images.filter(image => !image.passed);
+
+  if (failed.length > 0) {
+    onEvent('quality-retry', { failures: firstCheck.failures, variationCount: failed.length });
+
+    try {
+      retry = await generate(buildStricterPrompt(refinedPrompt, firstCheck.failures), failed.length);
+    } catch (error) {
+      if (error instanceof CancelledError) {
+        throw error;
+      }
+      retryError = error.message;
+      apiLogger.warn('Quality retry failed, keeping the first images', { requestId, error: error.message });
+    }
+  }
+
+  let improved = 0;
+  if (retry) {
+    const retryCheck = await qualityChecker.checkResult(retry, settings, requestId);
+    const retryVariations = retry.variations || [{ index: 0, imageUrl: retry.imageUrl, revisedPrompt: retry.revisedPrompt, costs: retry.metadata.costs }];
+
+    failed.forEach((image, position) => {
+      const candidate = retryVariations[position];
+      const candidateCheck = retryCheck.images[position];
+      if (!candidate || !candidateCheck) return;
+
+      const slot = images.indexOf(image);
+      const better = candidateCheck.passed || candidateCheck.failures.length < image.failures.length;
+      images[slot] = {
+        ...(better ? candidateCheck : image),
+        index: image.index,
+        retried: true,
+        replaced: better,
+        firstAttempt: { scores: image.scores, failures: image.failures }
+      };
+      if (better) {
+        variations[slot] = { ...candidate, index: variations[slot].index };
+        improved++;
+      }
+    });
+
+    qualityChecker.recordRetry(failed.length, improved);
+  }
+
+  const passed = images.every(image => image.passed);
+  const [first] = variations;
+
+  onEvent('quality-checked', {
+    passed,
+    retried: failed.length > 0,
+    replaced: improved,
+    failures: [...new Set(images.flatMap(image => image.failures))]
+  });
+
+  const qualityCheck = {
+    passed,
+    retried: failed.length > 0,
+    replaced: improved,
+    ...(retryError && { retryError }),
+    thresholds: firstCheck.thresholds,
+    images
+  };
+
+  // Costs cover every image paid for, including replaced first attempts
+  const costs = retry
+    ? openaiImageService.costCalculator.combineCosts(
+      [...(result.variations || [result.metadata]), ...(retry.variations || [retry.metadata])].map(paid => paid.costs)
+    )
+    : result.metadata.costs;
+
+  return {
+    ...result,
+    imageUrl: first.imageUrl,
+    revisedPrompt: first.revisedPrompt,
+    metadata: { ...result.metadata, costs, qualityCheck },
+    ...(result.variations && {
+      variations: variations.map((variation, slot) => ({ ...variation, quality: qualityCheck.images[slot] }))
+    })
+  };
+}
+
+/**
+ * Build a generation result for a cache hit
+ * The reuse itself is free, so costs are zeroed and the original spend is
+ * reported as `cacheSavings`.
+ * @param {Object} entry - Cache entry ({ result, cachedAt })
+ * @param {string} requestId - Current request ID
+ * @returns {Object} Image generation result marked as cached
+ */
+function toCachedResult({ result, cachedAt }, requestId) {
+  const noCost = { imageCost: 0, tokenCost: 0, totalCost: 0, cached: true };
+
+  return {
+    ...result,
+    metadata: {
+      ...result.metadata,
+      requestId,
+      processingTime: 0,
+      cached: true,
+      cachedAt,
+      originalRequestId: result.metadata?.requestId,
+      costs: noCost,
+      cacheSavings: result.metadata?.costs?.totalCost || 0
+    },
+    variations: result.variations?.map(variation => ({ ...variation, costs: noCost }))
+  };
+}
+
+/**
+ * Map a pipeline error to the HTTP status and body fields sent to clients
+ * Evidence: architecture.md 6.3 - Error handling and exponential backoff
+ * @param {Error} error - Error thrown by the pipeline
+ * @returns {Object} { status, error, message, code?, details?, retryAfter? }
+ */
+export function toClientError(error) {
+  // Handle rate limiting
+  if (error.status === 429) {
+    return {
+      status: 429,
+      error: 'Rate limit exceeded',
+      message: 'Too many requests. Please try again later.',
+      ...(error.code && { code: error.code }),
+      retryAfter: 60
+    };
+  }
+
+  // Handle other OpenAI API and service errors that are safe to surface
+  if (error.status >= 400 && error.status < 500) {
+    return {
+      status: error.status,
+      error: 'API error',
+      message: error.message,
+      ...(error.code && { code: error.code }),
+      ...(error.details && { details: error.details })
+    };
+  }
+
+  // Service errors flagged unavailable (e.g. queue full) keep their message
+  if (error.status === 503 && error.code) {
+    return {
+      status: 503,
+      error: 'Service unavailable',
+      message: error.message,
+      code: error.code
+    };
+  }
+
+  return {
+    status: 500,
+    error: 'Image generation failed',
+    message: 'An unexpected error occurred during image generation'
+  };
+}
+
+export default { runGenerationPipeline, runRegeneration, runPhotoPipeline, toClientError, PIPELINE_STAGES, PIPELINE_EVENTS };
@@ -0,0 +1,138 @@
+/**
+ * Generation Recipes for Coloring Book Creator
+ *
+ * A recipe records exactly what produced a page: the user's prompt and
+ * customizations, how the prompt was refined (method, template version and the
+ * refined prompt itself) and what the image provider was asked for and
+ * answered (provider, model, size, quality, revised prompt). It is stored as
+ * `metadata.recipe` with every generation so `POST /api/regenerate/:imageId`
+ * can replay it.
+ *
+ * Recipes are versioned. Bump RECIPE_VERSION when the shape changes and keep
+ * `recipeFromGalleryImage` able to read the older versions.
+ */
+
+import { ServiceError } from '../utils/errors.js';
+
+export const RECIPE_VERSION = 1;
+
+/**
+ * Build the recipe for a finished generation
+ * @param {Object} params - Generation context
+ * @param {string} params.prompt - User prompt
+ * @param {Object} params.customizations - Customizations as requested
+ * @param {number} params.variations - Number of images requested
+ * @param {Object} params.refinementResult - Prompt refinement result
+ * @param {Object} params.imageMetadata - Image generation result metadata
+ * @param {string|null} params.regeneratedFrom - Gallery image this generation replayed
+ * @returns {Object} Recipe
+ */
+export function buildRecipe({ prompt, customizations = {}, variations = 1, refinementResult, imageMetadata, regeneratedFrom = null }) {
+  return {
+    version: RECIPE_VERSION,
+    prompt,
+    customizations: customizations || {},
+    refinement: {
+      method: refinementResult.metadata?.method || null,
+      templateVersion: refinementResult.metadata?.templateVersion ?? null,
+      experiment: refinementResult.metadata?.experiment || null,
+      category: refinementResult.detectedCategory || null,
+      appliedSettings: refinementResult.appliedSettings || null,
+      refinedPrompt: refinementResult.refinedPrompt
+    },
+    generation: {
+      provider: imageMetadata.provider || null,
+      model: imageMetadata.model || null,
+      size: imageMetadata.size || null,
+      quality: imageMetadata.quality || null,
+      variations,
+      revisedPrompt: imageMetadata.revisedPrompt || null
+    },
+    regeneratedFrom,
+    createdAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Recreate a refinement result from a recipe, so the saved refined prompt is
+ * reused without running refinement again
+ * @param {Object} recipe - Recipe from recipeFromGalleryImage
+ * @returns {Object} Refinement result in the promptRefinement shape
+ */
+export function refinementFromRecipe(recipe) {
+  const { refinement } = recipe;
+
+  return {
+    success: true,
+    refinedPrompt: refinement.refinedPrompt,
+    originalInput: recipe.prompt,
+    detectedCategory: refinement.category,
+    appliedSettings: refinement.appliedSettings || {},
+    metadata: {
+      method: refinement.method,
+      templateVersion: refinement.templateVersion,
+      experiment: refinement.experiment || null,
+      reused: true
+    }
+  };
+}
+
+/**
+ * Read the recipe of a gallery image
+ * Pages saved before recipes existed get one rebuilt from their prompts and
+ * refinement metadata (version 0); its provider and size may be missing.
+ * @param {Object} image - Gallery document
+ * @returns {Object} Recipe
+ * @throws {ServiceError} 422 RECIPE_UNSUPPORTED for a newer or malformed recipe,
+ *   422 RECIPE_MISSING when the page was not made by the generation pipeline
+ */
+export function recipeFromGalleryImage(image) {
+  const { recipe, refinementData } = image.metadata || {};
+
+  if (recipe) {
+    const readable = Number.isInteger(recipe.version) && recipe.version <= RECIPE_VERSION &&
+      typeof recipe.prompt === 'string' && typeof recipe.refinement?.refinedPrompt === 'string';
+
+    if (!readable) {
+      throw new ServiceError('This image was made with a recipe this server cannot replay', {
+        status: 422,
+        code: 'RECIPE_UNSUPPORTED',
+        details: { version: recipe.version ?? null, supportedVersion: RECIPE_VERSION }
+      });
+    }
+    return recipe;
+  }
+
+  if (!refinementData || !image.originalPrompt || !image.refinedPrompt) {
+    throw new ServiceError('This image has no generation recipe to replay', {
+      status: 422,
+      code: 'RECIPE_MISSING'
+    });
+  }
+
+  return {
+    version: 0,
+    prompt: image.originalPrompt,
+    customizations: refinementData.appliedSettings || {},
+    refinement: {
+      method: refinementData.method || null,
+      templateVersion: null,
+      experiment: null,
+      category: refinementData.category || null,
+      appliedSettings: refinementData.appliedSettings || null,
+      refinedPrompt: image.refinedPrompt
+    },
+    generation: {
+      provider: image.metadata.provider || null,
+      model: image.metadata.model || null,
+      size: image.metadata.size || null,
+      quality: image.metadata.quality || null,
+      variations: 1,
+      revisedPrompt: image.metadata.revisedPrompt || null
+    },
+    regeneratedFrom: null,
+    createdAt: null
+  };
+}
+
+export default { RECIPE_VERSION, buildRecipe, refinementFromRecipe, recipeFromGalleryImage };
@@ -0,0 +1,286 @@
+/**
+ * Idempotency Store for Coloring Book Creator
+ *
+ * Lets clients retry non-idempotent POSTs (image generation, gallery saves)
+ * safely. A request carrying an `Idempotency-Key` header runs once; repeats
+ * with the same key within the retention window get the original response
+ * replayed instead of paying for and storing a second image.
+ *
+ * Behaviour:
+ * - Keys are scoped per endpoint and per requester (user ID, else IP)
+ * - A duplicate that arrives while the original is still running waits for it
+ * - Reusing a key with a different request body is rejected with 422
+ * - 429 and 5xx responses are not stored, so the client can retry them
+ * - Only JSON responses (`res.json`) are recorded
+ *
+ * Entries live in memory only and are bounded by `maxEntries` and by the
+ * total size of the stored bodies (`maxBytes`), since generation responses
+ * carry base64 images. A response larger than `maxBytes` is not stored.
+ */
+
+import crypto from 'crypto';
+import { apiLogger } from '../utils/logger.js';
+
+export const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+
+// Printable ASCII without spaces, like the IETF draft's recommended UUIDs
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+/**
+ * In-memory store of idempotent responses keyed by scope, requester and key
+ */
+class IdempotencyStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {number} options.ttlMs - How long completed responses are replayed
+   * @param {number} options.maxEntries - Upper bound on stored entries (oldest evicted first)
+   * @param {number} options.maxBytes - Upper bound on the total size of stored response bodies
+   */
+  constructor({ ttlMs = 60 * 60 * 1000, maxEntries = 200, maxBytes = 50 * 1024 * 1024 } = {}) {
+    this.ttlMs = ttlMs;
+    this.maxEntries = Math.max(1, maxEntries);
+    this.maxBytes = Math.max(1, maxBytes);
+    this.entries = new Map();
+    this.totalBytes = 0;
+  }
+
+  /**
+   * Hash a request body so key reuse with a different payload can be detected
+   * @param {*} body - Parsed request body
+   * @returns {string} SHA-256 hex digest
+   */
+  fingerprint(body) {
+    return crypto.createHash('sha256').update(JSON.stringify(body ?? {})).digest('hex');
+  }
+
+  /**
+   * Claim a key or find its existing entry
+   * @param {string} storeKey - Scoped key
+   * @param {string} fingerprint - Request body fingerprint
+   * @returns {Object} { state: 'new' | 'pending' | 'replay' | 'mismatch', entry }
+   */
+  begin(storeKey, fingerprint) {
+    this.pruneExpired();
+
+    const existing = this.entries.get(storeKey);
+    if (existing) {
+      if (existing.fingerprint !== fingerprint) {
+        return { state: 'mismatch', entry: existing };
+      }
+      return { state: existing.response ? 'replay' : 'pending', entry: existing };
+    }
+
+    const entry = {
+      fingerprint,
+      response: null,
+      bytes: 0,
+      createdAt: Date.now(),
+      expiresAt: null
+    };
+    entry.settled = new Promise(resolve => {
+      entry.resolveSettled = resolve;
+    });
+
+    this.entries.set(storeKey, entry);
+    this.evictOverflow();
+    return { state: 'new', entry };
+  }
+
+  /**
+   * Store the response for a claimed key and wake up waiting duplicates
+   * A body larger than maxBytes is handed to the waiting duplicates but not kept.
+   * @param {string} storeKey - Scoped key
+   * @param {Object} response - { status, body, headers }
+   */
+  complete(storeKey, response) {
+    const entry = this.entries.get(storeKey);
+    if (!entry) {
+      return;
+    }
+
+    const bytes = Buffer.byteLength(JSON.stringify(response.body ?? null));
+    if (bytes > this.maxBytes) {
+      apiLogger.warn('Idempotent response too large to store', { bytes, maxBytes: this.maxBytes });
+      this.entries.delete(storeKey);
+      entry.resolveSettled(response);
+      return;
+    }
+
+    entry.response = response;
+    entry.bytes = bytes;
+    entry.expiresAt = Date.now() + this.ttlMs;
+    this.totalBytes += bytes;
+    entry.resolveSettled(response);
+    this.evictOverflow();
+  }
+
+  /**
+   * Remove an entry and its bytes from the total
+   * @param {string} storeKey - Scoped key
+   * @param {Object} entry - Entry stored under the key
+   */
+  remove(storeKey, entry) {
+    this.entries.delete(storeKey);
+    this.totalBytes -= entry.bytes;
+  }
+
+  /**
+   * Forget a claimed key (retryable failure or aborted request)
+   * Waiting duplicates are woken up and run the request themselves.
+   * @param {string} storeKey - Scoped key
+   */
+  release(storeKey) {
+    const entry = this.entries.get(storeKey);
+    if (!entry) {
+      return;
+    }
+
+    this.remove(storeKey, entry);
+    entry.resolveSettled(null);
+  }
+
+  /**
+   * Drop completed entries past their retention window
+   * @returns {number} Number of entries removed
+   */
+  pruneExpired() {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const [storeKey, entry] of this.entries) {
+      if (entry.expiresAt && entry.expiresAt <= now) {
+        this.remove(storeKey, entry);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Evict the oldest completed entries when over either capacity
+   * In-flight entries are kept so their duplicates still find them.
+   */
+  evictOverflow() {
+    for (const [storeKey, entry] of this.entries) {
+      if (this.entries.size <= this.maxEntries && this.totalBytes <= this.maxBytes) {
+        break;
+      }
+      if (entry.response) {
+        this.remove(storeKey, entry);
+      }
+    }
+  }
+
+  /**
+   * Store statistics for health reporting
+   * @returns {Object} Entry counts and limits
+   */
+  getStats() {
+    let pending = 0;
+    for (const entry of this.entries.values()) {
+      if (!entry.response) pending++;
+    }
+
+    return {
+      entries: this.entries.size,
+      pending,
+      maxEntries: this.maxEntries,
+      bytes: this.totalBytes,
+      maxBytes: this.maxBytes,
+      ttlMs: this.ttlMs
+    };
+  }
+
+  /**
+   * Express middleware that makes a route idempotent when the client sends a key
+   *
+   * Requests without the header pass through unchanged. Place after any auth
+   * middleware so keys are scoped to the signed-in user.
+   *
+   * @param {string} scope - Endpoint name used to namespace keys
+   * @returns {Function} Express middleware
+   */
+  middleware(scope) {
+    return async (req, res, next) => {
+      const key = req.get(IDEMPOTENCY_HEADER);
+      if (key === undefined) {
+        return next();
+      }
+
+      if (!KEY_PATTERN.test(key)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid idempotency key',
+          message: `${IDEMPOTENCY_HEADER} must be 1-255 printable characters`,
+          code: 'INVALID_IDEMPOTENCY_KEY',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const storeKey = `${scope}:${req.user?.uid || req.ip}:${key}`;
+      const fingerprint = this.fingerprint(req.body);
+
+      let claim = this.begin(storeKey, fingerprint);
+
+      // Duplicate of a request that is still running: wait for its outcome
+      while (claim.state === 'pending') {
+        apiLogger.info('Waiting for in-flight idempotent request', { scope, key });
+        const response = await claim.entry.settled;
+        claim = response
+          ? { state: 'replay', entry: { response } }
+          : this.begin(storeKey, fingerprint);
+      }
+
+      if (claim.state === 'mismatch') {
+        apiLogger.warn('Idempotency key reused with a different request body', { scope, key });
+        return res.status(422).json({
+          success: false,
+          error: 'Idempotency key reused',
+          message: 'This idempotency key was already used for a different request',
+          code: 'IDEMPOTENCY_KEY_REUSED',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (claim.state === 'replay') {
+        const { status, body, headers } = claim.entry.response;
+        apiLogger.info('Replaying idempotent response', { scope, key, status });
+
+        res.set({ ...headers, 'Idempotent-Replayed': 'true' });
+        return res.status(status).json(body);
+      }
+
+      // First request with this key: record the JSON response when the handler
+      // sends it. Disconnecting cancels the generation and the 499 response
+      // releases the key like 429 and 5xx do, so a retry runs it again.
+      const originalJson = res.json.bind(res);
+      res.json = (body) => {
+        if (res.statusCode === 429 || res.statusCode === 499 || res.statusCode >= 500) {
+          this.release(storeKey);
+        } else {
+          const location = res.get('Location');
+          this.complete(storeKey, {
+            status: res.statusCode,
+            body,
+            headers: location ? { Location: location } : {}
+          });
+        }
+
+        return originalJson(body);
+      };
+
+      next();
+    };
+  }
+}
+
+// Export singleton instance sized from environment
+const idempotencyStore = new IdempotencyStore({
+  ttlMs: parseInt(process.env.IDEMPOTENCY_TTL_MS, 10) || 60 * 60 * 1000,
+  maxEntries: parseInt(process.env.IDEMPOTENCY_MAX_ENTRIES, 10) || 200,
+  maxBytes: parseInt(process.env.IDEMPOTENCY_MAX_BYTES, 10) || 50 * 1024 * 1024
+});
+
+export default idempotencyStore;
+export { IdempotencyStore };
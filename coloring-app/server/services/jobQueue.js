@@ -0,0 +1,386 @@
+/**
+ * Generation Job Queue for Coloring Book Creator
+ *
+ * Bounded in-process queue that runs generation pipelines in the background so
+ * clients can submit a request, receive a job ID immediately and poll
+ * `GET /api/jobs/:id` for progress instead of holding one long HTTP request.
+ *
+ * Features:
+ * - 🚦 Concurrency limit: at most `concurrency` pipelines run at once
+ * - 📥 Bounded backlog: submissions beyond `maxQueued` are rejected with 503
+ * - 📊 Job states: queued → refining → generating → saving → done | failed | cancelled
+ * - 🛑 Cancellation: `cancel()` drops a queued job or aborts the signal passed
+ *   to a running task
+ * - 🧹 Retention: finished jobs are pruned after `retentionMs`
+ * - 📡 Stage events: pipelines report progress events that are kept per job
+ *   so late subscribers (e.g. the SSE stream) can replay them
+ *
+ * Jobs live in memory only; a server restart drops queued and finished jobs.
+ */
+
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import { ServiceError, CancelledError } from '../utils/errors.js';
+import { apiLogger } from '../utils/logger.js';
+
+export const JOB_STATUS = Object.freeze({
+  QUEUED: 'queued',
+  REFINING: 'refining',
+  GENERATING: 'generating',
+  SAVING: 'saving',
+  DONE: 'done',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+});
+
+const TERMINAL_STATUSES = new Set([JOB_STATUS.DONE, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED]);
+const RUNNING_STATUSES = new Set([JOB_STATUS.REFINING, JOB_STATUS.GENERATING, JOB_STATUS.SAVING]);
+
+// Upper bound on stored stage events per job (retries can add a few each)
+const MAX_EVENTS_PER_JOB = 50;
+
+/**
+ * Bounded job queue with per-job status tracking
+ * Emits `update` with the public job view whenever a job changes state, and
+ * `event` with ({ jobId, event }) whenever a running job reports a stage event.
+ */
+class JobQueue extends EventEmitter {
+  /**
+   * @param {Object} options - Queue options
+   * @param {number} options.concurrency - Maximum jobs running at once
+   * @param {number} options.maxQueued - Maximum jobs waiting to start
+   * @param {number} options.retentionMs - How long finished jobs stay queryable
+   * @param {number} options.cleanupIntervalMs - How often finished jobs are pruned (0 disables the timer)
+   */
+  constructor({
+    concurrency = 2,
+    maxQueued = 50,
+    retentionMs = 15 * 60 * 1000,
+    cleanupIntervalMs = 60 * 1000
+  } = {}) {
+    super();
+    // Every open SSE stream subscribes, so the default limit of 10 is too low
+    this.setMaxListeners(0);
+    this.concurrency = Math.max(1, concurrency);
+    this.maxQueued = Math.max(0, maxQueued);
+    this.retentionMs = retentionMs;
+
+    this.jobs = new Map();
+    this.pending = [];
+    this.running = 0;
+
+    if (cleanupIntervalMs > 0) {
+      this.cleanupTimer = setInterval(() => this.prune(), cleanupIntervalMs);
+      // Never keep the process alive just for housekeeping
+      this.cleanupTimer.unref?.();
+    }
+  }
+
+  /**
+   * Generate unique job ID
+   * @returns {string} Job identifier
+   */
+  generateJobId() {
+    return `job_${Date.now()}_${crypto.randomBytes(6).toString('hex')}`;
+  }
+
+  /**
+   * Queue a task for background execution
+   * @param {Function} task - async ({ jobId, setStatus, emitEvent, signal }) => result; `signal`
+   *   is aborted when the job is cancelled
+   * @param {Object} options - Job options
+   * @param {string|null} options.ownerId - UID of the submitting user, used for access checks
+   * @returns {Object} Internal job record; `job.done` resolves (never rejects) once the job finishes
+   * @throws {ServiceError} 503 QUEUE_FULL when the backlog limit is reached
+   */
+  submit(task, { ownerId = null } = {}) {
+    if (typeof task !== 'function') {
+      throw new TypeError('Job task must be a function');
+    }
+
+    if (this.pending.length >= this.maxQueued) {
+      apiLogger.warn('Generation queue full, rejecting job', {
+        queued: this.pending.length,
+        running: this.running,
+        maxQueued: this.maxQueued
+      });
+
+      throw new ServiceError('The generation queue is full. Please try again in a minute.', {
+        status: 503,
+        code: 'QUEUE_FULL'
+      });
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: this.generateJobId(),
+      status: JOB_STATUS.QUEUED,
+      ownerId,
+      task,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      error: null,
+      events: [],
+      nextEventId: 1,
+      controller: new AbortController()
+    };
+
+    // Settles once per job; resolving (not rejecting) keeps fire-and-forget
+    // submissions from surfacing as unhandled rejections
+    job.done = new Promise(resolve => {
+      job.resolveDone = resolve;
+    });
+
+    this.jobs.set(job.id, job);
+    this.pending.push(job);
+    this.emit('update', this.toPublicJob(job));
+
+    apiLogger.info('Generation job queued', {
+      jobId: job.id,
+      queuePosition: this.pending.length,
+      running: this.running
+    });
+
+    this.drain();
+    return job;
+  }
+
+  /**
+   * Start pending jobs while capacity allows
+   */
+  drain() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      const job = this.pending.shift();
+      this.run(job);
+    }
+  }
+
+  /**
+   * Execute a single job and record its outcome
+   * @param {Object} job - Internal job record
+   */
+  async run(job) {
+    this.running++;
+    job.startedAt = new Date().toISOString();
+
+    const setStatus = (status) => {
+      if (!RUNNING_STATUSES.has(status)) {
+        throw new Error(`Invalid running status: ${status}`);
+      }
+      this.updateStatus(job, status);
+    };
+
+    const emitEvent = (type, data = {}) => this.addEvent(job, type, data);
+
+    try {
+      const result = await job.task({ jobId: job.id, setStatus, emitEvent, signal: job.controller.signal });
+      job.result = result;
+      this.updateStatus(job, JOB_STATUS.DONE);
+    } catch (error) {
+      // Stopped by cancel(); the finally block still settles the job
+      if (job.controller.signal.aborted) {
+        this.markCancelled(job);
+        return;
+      }
+
+      // Keep the original error for in-process awaiters (e.g. /api/generate)
+      job.failure = error;
+      job.error = {
+        message: error.message,
+        ...(error.status && { status: error.status }),
+        ...(error.code && { code: error.code }),
+        // Client errors keep their details (e.g. content policy reasons and rewrite suggestions)
+        ...(error.status < 500 && error.details && { details: error.details })
+      };
+      this.updateStatus(job, JOB_STATUS.FAILED);
+
+      apiLogger.warn('Generation job failed', {
+        jobId: job.id,
+        error: error.message,
+        statusCode: error.status
+      });
+    } finally {
+      job.finishedAt = new Date().toISOString();
+      job.task = null;
+      this.running--;
+      job.resolveDone(job);
+      this.drain();
+    }
+  }
+
+  /**
+   * Cancel a job
+   * A queued job is removed before it starts. A running job has its signal
+   * aborted and becomes `cancelled` once the task stops; a task that finishes
+   * anyway keeps its result.
+   * @param {string} jobId - Job identifier
+   * @param {string} reason - Why the job was cancelled, for logs
+   * @returns {boolean} True when the job was still queued or running
+   */
+  cancel(jobId, reason = 'client') {
+    const job = this.jobs.get(jobId);
+    if (!job || TERMINAL_STATUSES.has(job.status) || job.controller.signal.aborted) {
+      return false;
+    }
+
+    apiLogger.info('Cancelling generation job', { jobId, status: job.status, reason });
+    job.controller.abort();
+
+    const position = this.pending.indexOf(job);
+    if (position !== -1) {
+      this.pending.splice(position, 1);
+      job.task = null;
+      job.finishedAt = new Date().toISOString();
+      this.markCancelled(job);
+      job.resolveDone(job);
+    }
+
+    return true;
+  }
+
+  /**
+   * Record a job as cancelled
+   * @param {Object} job - Internal job record
+   */
+  markCancelled(job) {
+    job.failure = new CancelledError();
+    job.error = { message: job.failure.message, status: job.failure.status, code: job.failure.code };
+    this.updateStatus(job, JOB_STATUS.CANCELLED);
+
+    apiLogger.info('Generation job cancelled', { jobId: job.id, startedAt: job.startedAt });
+  }
+
+  /**
+   * Update job status and notify listeners
+   * @param {Object} job - Internal job record
+   * @param {string} status - New status
+   */
+  updateStatus(job, status) {
+    if (TERMINAL_STATUSES.has(job.status)) {
+      return;
+    }
+
+    job.status = status;
+    job.updatedAt = new Date().toISOString();
+    this.emit('update', this.toPublicJob(job));
+  }
+
+  /**
+   * Record a stage event for a job and notify listeners
+   * @param {Object} job - Internal job record
+   * @param {string} type - Event type (e.g. 'prompt-refined', 'model-attempt')
+   * @param {Object} data - Event payload
+   * @returns {Object|null} Stored event, or null if the job already finished
+   */
+  addEvent(job, type, data = {}) {
+    if (TERMINAL_STATUSES.has(job.status)) {
+      return null;
+    }
+
+    const event = {
+      id: job.nextEventId++,
+      type,
+      at: new Date().toISOString(),
+      data
+    };
+
+    job.events.push(event);
+    if (job.events.length > MAX_EVENTS_PER_JOB) {
+      job.events.shift();
+    }
+
+    this.emit('event', { jobId: job.id, event });
+    return event;
+  }
+
+  /**
+   * Get internal job record by ID
+   * @param {string} jobId - Job identifier
+   * @returns {Object|null} Job record or null when unknown or pruned
+   */
+  get(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  /**
+   * Build the client-facing view of a job
+   * @param {Object} job - Internal job record
+   * @returns {Object} Public job data
+   */
+  toPublicJob(job) {
+    const queuePosition = job.status === JOB_STATUS.QUEUED
+      ? this.pending.indexOf(job) + 1
+      : null;
+
+    return {
+      jobId: job.id,
+      status: job.status,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      ...(queuePosition && { queuePosition }),
+      events: job.events,
+      ...(job.status === JOB_STATUS.DONE && { result: job.result }),
+      ...((job.status === JOB_STATUS.FAILED || job.status === JOB_STATUS.CANCELLED) && { error: job.error })
+    };
+  }
+
+  /**
+   * Remove finished jobs older than the retention window
+   * @returns {number} Number of jobs removed
+   */
+  prune() {
+    const cutoff = Date.now() - this.retentionMs;
+    let removed = 0;
+
+    for (const [jobId, job] of this.jobs) {
+      if (TERMINAL_STATUSES.has(job.status) && Date.parse(job.finishedAt) <= cutoff) {
+        this.jobs.delete(jobId);
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      apiLogger.debug('Pruned finished generation jobs', { removed, remaining: this.jobs.size });
+    }
+
+    return removed;
+  }
+
+  /**
+   * Queue statistics for health reporting
+   * @returns {Object} Queue counters and limits
+   */
+  getStats() {
+    return {
+      running: this.running,
+      queued: this.pending.length,
+      tracked: this.jobs.size,
+      concurrency: this.concurrency,
+      maxQueued: this.maxQueued
+    };
+  }
+
+  /**
+   * Stop the cleanup timer (used by tests and shutdown)
+   */
+  close() {
+    if (this.cleanupTimer) {
+      clearInterval(this.cleanupTimer);
+      this.cleanupTimer = null;
+    }
+  }
+}
+
+// Export singleton instance sized from environment
+const generationQueue = new JobQueue({
+  concurrency: parseInt(process.env.GENERATION_CONCURRENCY, 10) || 2,
+  maxQueued: parseInt(process.env.GENERATION_QUEUE_LIMIT, 10) || 50
+});
+
+export default generationQueue;
+export { JobQueue };
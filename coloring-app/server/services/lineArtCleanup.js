@@ -0,0 +1,303 @@
+/**
+ * Line Art Cleanup for Coloring Book Creator
+ *
+ * Image models often ignore "no shading": pages come back with gray fills,
+ * soft anti-aliased edges and off-white paper. This post-processor turns a
+ * generated page into printable line art:
+ *
+ * 1. paper      - flatten onto white and convert to grayscale
+ * 2. threshold  - pixels darker than `blackPoint` become ink, everything else
+ *                 (off-white paper, gray fills, soft shading) becomes white
+ * 3. close gaps - dilate then erode the ink so small breaks in outlines join up
+ *                 and regions stay closed for colouring
+ * 4. weight     - split strokes into thinner and thicker than the width
+ *                 requested by `lineThickness`, then grow the thin ones and
+ *                 thin the thick ones towards it
+ *
+ * Morphology runs on a 0/1 ink mask with a square window, one separable pass
+ * per axis. Widths are given for a 1024px page and scaled to the image.
+ */
+
+import sharp from 'sharp';
+import { loadImageInput } from '../utils/imageInput.js';
+import { apiLogger } from '../utils/logger.js';
+
+export const CLEANUP_CONFIG = {
+  blackPoint: 110, // Anti-aliased line cores sit well below this; gray fills above it
+  paperPoint: 250, // Pixels between blackPoint and this were shading or off-white paper
+  gapRadius: 1, // Closes breaks up to about 2px wide
+  referenceWidth: 1024
+};
+
+/**
+ * Target stroke width in pixels on a 1024px page, per line thickness
+ */
+export const STROKE_WIDTHS = {
+  thin: 3,
+  medium: 5,
+  thick: 8
+};
+
+/**
+ * Grow (dilate) or shrink (erode) the ink along one axis
+ * @param {Uint8Array} mask - 1 for ink, 0 for paper
+ * @param {Object} size - { width, height }
+ * @param {number} radius - Window radius in pixels
+ * @param {boolean} grow - True to dilate, false to erode
+ * @param {boolean} vertical - Pass direction
+ * @returns {Uint8Array} New mask
+ */
+function morphPass(mask, { width, height }, radius, grow, vertical) {
+  const out = new Uint8Array(mask.length);
+  const lines = vertical ? width : height;
+  const length = vertical ? height : width;
+  const step = vertical ? width : 1;
+
+  for (let line = 0; line < lines; line++) {
+    const start = vertical ? line : line * width;
+
+    // Sliding window count of ink pixels; outside the image is ignored
+    let ink = 0;
+    for (let i = 0; i <= Math.min(radius, length - 1); i++) {
+      ink += mask[start + i * step];
+    }
+
+    for (let i = 0; i < length; i++) {
+      const windowSize = Math.min(i + radius, length - 1) - Math.max(i - radius, 0) + 1;
+      out[start + i * step] = grow ? (ink > 0 ? 1 : 0) : (ink === windowSize ? 1 : 0);
+
+      const leaving = i - radius;
+      const entering = i + radius + 1;
+      if (leaving >= 0) ink -= mask[start + leaving * step];
+      if (entering < length) ink += mask[start + entering * step];
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Dilate the ink with a square window
+ * @param {Uint8Array} mask - Ink mask
+ * @param {Object} size - { width, height }
+ * @param {number} radius - Window radius (0 returns the mask unchanged)
+ * @returns {Uint8Array} Dilated mask
+ */
+export function dilate(mask, size, radius) {
+  if (radius < 1) return mask;
+  return morphPass(morphPass(mask, size, radius, true, false), size, radius, true, true);
+}
+
+/**
+ * Erode the ink with a square window
+ * @param {Uint8Array} mask - Ink mask
+ * @param {Object} size - { width, height }
+ * @param {number} radius - Window radius (0 returns the mask unchanged)
+ * @returns {Uint8Array} Eroded mask
+ */
+export function erode(mask, size, radius) {
+  if (radius < 1) return mask;
+  return morphPass(morphPass(mask, size, radius, false, false), size, radius, false, true);
+}
+
+/**
+ * Estimate the typical stroke width of the ink
+ * A stroke of width w and length L has about w·L ink pixels and 2·L edge
+ * pixels, so the width is roughly twice the ink-to-edge ratio.
+ * @param {Uint8Array} mask - Ink mask
+ * @param {Object} size - { width, height }
+ * @returns {number|null} Stroke width in pixels, or null for a blank page
+ */
+export function estimateStrokeWidth(mask, { width, height }) {
+  let ink = 0;
+  let edge = 0;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      if (!mask[i]) continue;
+
+      ink++;
+      if (x === 0 || x === width - 1 || y === 0 || y === height - 1 ||
+          !mask[i - 1] || !mask[i + 1] || !mask[i - width] || !mask[i + width]) {
+        edge++;
+      }
+    }
+  }
+
+  return edge ? Number(((2 * ink) / edge).toFixed(2)) : null;
+}
+
+/**
+ * Thin the ink without losing strokes
+ * Strokes narrower than the erosion window would vanish, so they are kept
+ * as they are; everything else is eroded.
+ * @param {Uint8Array} mask - Ink mask
+ * @param {Object} size - { width, height }
+ * @param {number} radius - Erosion radius
+ * @returns {Uint8Array} Thinned mask
+ */
+function thinStrokes(mask, size, radius) {
+  const eroded = erode(mask, size, radius);
+  const opened = dilate(eroded, size, radius);
+
+  const result = new Uint8Array(mask.length);
+  for (let i = 0; i < mask.length; i++) {
+    result[i] = eroded[i] || (mask[i] && !opened[i]) ? 1 : 0;
+  }
+  return result;
+}
+
+/**
+ * Move stroke widths towards a target
+ * An opening with a window about the target width keeps only strokes at
+ * least that wide; the rest are the thin strokes. Each group is measured
+ * and adjusted on its own, so a page mixing hairlines and heavy outlines
+ * ends up with both near the target.
+ * @param {Uint8Array} mask - Ink mask
+ * @param {Object} size - { width, height }
+ * @param {number} target - Target stroke width in pixels
+ * @returns {Uint8Array} Adjusted mask
+ */
+function adjustStrokeWeight(mask, size, target) {
+  const splitRadius = Math.max(1, Math.floor(target / 2));
+  const thick = dilate(erode(mask, size, splitRadius), size, splitRadius);
+  const thin = mask.map((ink, i) => (ink && !thick[i] ? 1 : 0));
+
+  const thinWidth = estimateStrokeWidth(thin, size);
+  const growRadius = thinWidth ? Math.round((target - thinWidth) / 2) : 0;
+  const grown = growRadius > 0 ? dilate(thin, size, growRadius) : thin;
+
+  const thickWidth = estimateStrokeWidth(thick, size);
+  const shrinkRadius = thickWidth ? Math.round((thickWidth - target) / 2) : 0;
+  const shrunk = shrinkRadius > 0 ? thinStrokes(thick, size, shrinkRadius) : thick;
+
+  return grown.map((ink, i) => (ink || shrunk[i] ? 1 : 0));
+}
+
+/**
+ * Clean one page into pure black and white line art
+ * @param {Buffer} buffer - Image bytes (PNG, JPEG, WebP)
+ * @param {Object} options - { lineThickness }
+ * @returns {Promise<Object>} { png, width, height, stats }
+ */
+export async function cleanLineArt(buffer, { lineThickness = 'medium' } = {}) {
+  const { data: gray, info } = await sharp(buffer)
+    .flatten({ background: '#ffffff' })
+    .grayscale()
+    .extractChannel(0)
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const size = { width: info.width, height: info.height };
+  const scale = size.width / CLEANUP_CONFIG.referenceWidth;
+
+  // Threshold: ink below the black point, paper above
+  let mask = new Uint8Array(gray.length);
+  let grayPixels = 0;
+  for (let i = 0; i < gray.length; i++) {
+    if (gray[i] < CLEANUP_CONFIG.blackPoint) {
+      mask[i] = 1;
+    } else if (gray[i] < CLEANUP_CONFIG.paperPoint) {
+      grayPixels++;
+    }
+  }
+
+  // Close small gaps in outlines
+  const gapRadius = Math.max(1, Math.round(CLEANUP_CONFIG.gapRadius * scale));
+  mask = erode(dilate(mask, size, gapRadius), size, gapRadius);
+
+  // Normalise stroke weight
+  const targetWidth = (STROKE_WIDTHS[lineThickness] || STROKE_WIDTHS.medium) * scale;
+  const strokeBefore = estimateStrokeWidth(mask, size);
+  if (strokeBefore) {
+    mask = adjustStrokeWeight(mask, size, targetWidth);
+  }
+
+  const pixels = Buffer.alloc(mask.length);
+  let inkPixels = 0;
+  for (let i = 0; i < mask.length; i++) {
+    pixels[i] = mask[i] ? 0 : 255;
+    inkPixels += mask[i];
+  }
+
+  const png = await sharp(pixels, { raw: { ...size, channels: 1 } })
+    .png({ compressionLevel: 9 })
+    .toBuffer();
+
+  return {
+    png,
+    ...size,
+    stats: {
+      lineThickness,
+      targetStrokeWidth: Number(targetWidth.toFixed(2)),
+      strokeWidthBefore: strokeBefore,
+      strokeWidthAfter: strokeBefore ? estimateStrokeWidth(mask, size) : null,
+      grayRemoved: Number((grayPixels / gray.length).toFixed(4)),
+      inkCoverage: Number((inkPixels / mask.length).toFixed(4))
+    }
+  };
+}
+
+/**
+ * Clean every image of a generation result
+ * The cleaned page becomes `imageUrl`; the provider's image is kept as
+ * `rawImageUrl`. A page that cannot be cleaned is returned raw, so cleanup
+ * never fails a generation.
+ * @param {Object} result - Image generation result (imageUrl, metadata, variations?)
+ * @param {Object} options - { lineThickness, requestId }
+ * @returns {Promise<Object>} Result with cleaned images and `metadata.lineArtCleanup`
+ */
+export async function cleanupGenerationResult(result, { lineThickness = 'medium', requestId } = {}) {
+  const startTime = Date.now();
+  const sources = result.variations || [{ index: 0, imageUrl: result.imageUrl }];
+
+  const cleanedVariations = [];
+  for (const variation of sources) {
+    try {
+      const cleaned = await cleanLineArt(await loadImageInput(variation.imageUrl, 'image'), { lineThickness });
+      cleanedVariations.push({
+        ...variation,
+        imageUrl: `data:image/png;base64,${cleaned.png.toString('base64')}`,
+        rawImageUrl: variation.imageUrl,
+        cleanup: cleaned.stats
+      });
+    } catch (error) {
+      apiLogger.warn('Line art cleanup failed, keeping raw image', {
+        requestId,
+        variation: variation.index,
+        error: error.message
+      });
+      cleanedVariations.push({ ...variation, rawImageUrl: variation.imageUrl, cleanup: null });
+    }
+  }
+
+  const cleanedCount = cleanedVariations.filter(variation => variation.cleanup).length;
+  const [first] = cleanedVariations;
+
+  apiLogger.info('Line art cleanup completed', {
+    requestId,
+    cleaned: cleanedCount,
+    total: cleanedVariations.length,
+    processingTime: Date.now() - startTime
+  });
+
+  return {
+    ...result,
+    imageUrl: first.imageUrl,
+    rawImageUrl: first.rawImageUrl,
+    metadata: {
+      ...result.metadata,
+      lineArtCleanup: {
+        applied: cleanedCount > 0,
+        cleaned: cleanedCount,
+        lineThickness,
+        processingTime: Date.now() - startTime,
+        stats: first.cleanup
+      }
+    },
+    ...(result.variations && { variations: cleanedVariations })
+  };
+}
+
+export default { cleanLineArt, cleanupGenerationResult, estimateStrokeWidth, dilate, erode, CLEANUP_CONFIG, STROKE_WIDTHS };
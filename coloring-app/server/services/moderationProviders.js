@@ -0,0 +1,180 @@
+/**
+ * Moderation Providers for Coloring Book Creator
+ *
+ * Adapters ModerationService sends prompts and generated images through.
+ * MODERATION_PROVIDER picks one:
+ *
+ *   MODERATION_PROVIDER=openai   OpenAI moderation endpoint (reads text and images)
+ *   MODERATION_PROVIDER=local    rule-based stand-in for offline development
+ *   MODERATION_PROVIDER=off      no moderation step
+ *
+ * When unset, `openai` is used with a real API key and `local` otherwise.
+ *
+ * ADAPTER CONTRACT:
+ * - moderateText(texts, options)  → [{ flagged, categories }] in the order of `texts`
+ * - moderateImage(image, options) → { flagged, categories, checked }
+ *     image is { imageUrl, revisedPrompt }; `checked` is false when the
+ *     provider could not look at the image at all
+ * - options are { signal } for cancellation
+ * - categories use the OpenAI names (sexual, violence/graphic, self-harm, hate, illicit, ...)
+ */
+
+import { checkContent } from '../../shared/contentPolicy.js';
+
+export const MODERATION_PROVIDER_TYPES = ['openai', 'local', 'off'];
+
+export class ModerationProvider {
+  /**
+   * @param {Object} options - Provider identity
+   * @param {string} options.type - Value of MODERATION_PROVIDER
+   * @param {string} options.model - Backend model name, or 'rules' for the local stand-in
+   */
+  constructor({ type, model }) {
+    this.type = type;
+    this.model = model;
+  }
+
+  /**
+   * Identifier recorded with each verdict, e.g. "openai:omni-moderation-latest"
+   */
+  get id() {
+    return `${this.type}:${this.model}`;
+  }
+
+  async moderateText() {
+    throw new Error(`${this.id} does not implement moderateText()`);
+  }
+
+  async moderateImage() {
+    throw new Error(`${this.id} does not implement moderateImage()`);
+  }
+}
+
+/**
+ * Flagged category names of one OpenAI moderation result
+ * @param {Object} result - Entry of `results` from the moderation endpoint
+ * @returns {Array<string>} Category names marked true
+ */
+function flaggedCategories(result) {
+  return Object.entries(result.categories || {})
+    .filter(([, flagged]) => flagged)
+    .map(([category]) => category);
+}
+
+/**
+ * OpenAI moderation endpoint; the omni models also classify images
+ */
+export class OpenAIModerationProvider extends ModerationProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {Object} options.client - OpenAI SDK client
+   * @param {string} options.model - Moderation model (default: omni-moderation-latest)
+   */
+  constructor({ client, model = 'omni-moderation-latest' }) {
+    super({ type: 'openai', model });
+    this.client = client;
+  }
+
+  async moderateText(texts, { signal } = {}) {
+    const response = await this.client.moderations.create({ model: this.model, input: texts }, { signal });
+    return response.results.map(result => ({ flagged: result.flagged, categories: flaggedCategories(result) }));
+  }
+
+  async moderateImage({ imageUrl }, { signal } = {}) {
+    const response = await this.client.moderations.create({
+      model: this.model,
+      input: [{ type: 'image_url', image_url: { url: imageUrl } }]
+    }, { signal });
+
+    const [result] = response.results;
+    return { flagged: result.flagged, categories: flaggedCategories(result), checked: true };
+  }
+}
+
+// Content policy categories and the moderation categories they stand in for
+const POLICY_CATEGORIES = {
+  adult: 'sexual',
+  violence: 'violence',
+  substances: 'illicit',
+  'self-harm': 'self-harm',
+  hate: 'hate'
+};
+
+/**
+ * Paraphrases the word lists miss, checked by the local stand-in
+ */
+export const LOCAL_MODERATION_RULES = [
+  { category: 'sexual', pattern: /\b(without|no|wearing nothing but|out of (his|her|their)) (clothes|clothing|swimsuit|underwear)\b/i },
+  { category: 'sexual', pattern: /\b(in|wearing) (lingerie|a bikini top only|underwear only)\b/i },
+  { category: 'violence/graphic', pattern: /\b(severed|decapitated|beheaded|dismembered|disembowel\w*|entrails)\b/i },
+  { category: 'violence/graphic', pattern: /\b(dripping|soaked|splattered) (in|with) (red|guts)\b/i },
+  { category: 'violence', pattern: /\b(hurt|harm|punch)(s|ing)? (people|someone|a (kid|child|person))\b/i },
+  { category: 'self-harm', pattern: /\b(hurt|harm|cut)(s|ing)? (myself|yourself|himself|herself|themselves)\b/i },
+  { category: 'self-harm', pattern: /\b(end|ending|take|taking) (my|his|her|their) (own )?life\b/i },
+  { category: 'hate', pattern: /\b(people|kids|children) (who are|that are) (inferior|worthless|subhuman)\b/i },
+  { category: 'illicit', pattern: /\b(rolling|smoking) (a )?(joint|blunt)\b/i }
+];
+
+/**
+ * Rule-based stand-in for offline development
+ * Flags what no audience profile allows (the adults profile of the shared
+ * content policy) plus the paraphrases in LOCAL_MODERATION_RULES. Images
+ * cannot be classified locally, so only their revised prompt is checked.
+ */
+export class LocalModerationProvider extends ModerationProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {Array<Object>} options.rules - Paraphrase rules ({ category, pattern })
+   */
+  constructor({ rules = LOCAL_MODERATION_RULES } = {}) {
+    super({ type: 'local', model: 'rules' });
+    this.rules = rules;
+  }
+
+  /**
+   * Moderation categories of one text
+   * @param {string} text - Prompt or revised prompt
+   * @returns {Object} { flagged, categories }
+   */
+  classify(text) {
+    const policy = checkContent(text, { ageGroup: 'adults' });
+    const categories = [...new Set([
+      ...policy.reasons.map(reason => POLICY_CATEGORIES[reason.category]).filter(Boolean),
+      ...this.rules.filter(rule => rule.pattern.test(text)).map(rule => rule.category)
+    ])];
+
+    return { flagged: categories.length > 0, categories };
+  }
+
+  async moderateText(texts) {
+    return texts.map(text => this.classify(text));
+  }
+
+  async moderateImage({ revisedPrompt }) {
+    return revisedPrompt
+      ? { ...this.classify(revisedPrompt), checked: true }
+      : { flagged: false, categories: [], checked: false };
+  }
+}
+
+/**
+ * Create the configured provider
+ * @param {string} type - 'openai', 'local' or 'off'
+ * @param {Object} dependencies - { openaiClient, model }
+ * @returns {ModerationProvider|null} Provider, or null for 'off'
+ * @throws {Error} When the type is unknown
+ */
+export function createModerationProvider(type, { openaiClient, model } = {}) {
+  switch (type) {
+    case 'openai':
+      return new OpenAIModerationProvider({ client: openaiClient, model });
+    case 'local':
+      return new LocalModerationProvider();
+    case 'off':
+      return null;
+    default:
+      throw new Error(`Unknown moderation provider "${type}" (supported: ${MODERATION_PROVIDER_TYPES.join(', ')})`);
+  }
+}
+
+export default { ModerationProvider, OpenAIModerationProvider, LocalModerationProvider, createModerationProvider };
@@ -0,0 +1,178 @@
+/**
+ * Moderation Step for Coloring Book Creator
+ *
+ * Word lists miss paraphrases, so the generation pipeline also asks a
+ * moderation provider (moderationProviders.js) about the user's prompt, the
+ * refined prompt and every generated image. A flagged prompt stops the
+ * request before any image is paid for; a flagged image is never returned,
+ * cached or saved.
+ *
+ * When the configured provider fails (network error, outage) the local
+ * stand-in answers instead, so an outage neither blocks every request nor
+ * lets them through unchecked. Verdicts are logged and counted per stage:
+ * `allowed`, `flagged`, or `unchecked` for images the provider could not read.
+ */
+
+import OpenAI from 'openai';
+import { createModerationProvider, LocalModerationProvider, MODERATION_PROVIDER_TYPES } from './moderationProviders.js';
+import { ModerationError, throwIfCancelled } from '../utils/errors.js';
+import { apiLogger } from '../utils/logger.js';
+
+export const MODERATION_STAGES = ['prompt', 'refined-prompt', 'image'];
+
+/**
+ * Prompt and image moderation with verdict counts
+ */
+class ModerationService {
+  /**
+   * @param {Object} options - Moderation options
+   * @param {ModerationProvider|null} options.provider - Provider to ask; null turns moderation off
+   * @param {ModerationProvider} options.fallback - Answers when the provider fails (default: local stand-in)
+   */
+  constructor({ provider = new LocalModerationProvider(), fallback = new LocalModerationProvider() } = {}) {
+    this.provider = provider;
+    this.fallback = fallback;
+    this.stats = Object.fromEntries(MODERATION_STAGES.map(stage => [stage, { allowed: 0, flagged: 0, unchecked: 0 }]));
+    this.flaggedCategories = {};
+    this.providerErrors = 0;
+  }
+
+  get enabled() {
+    return this.provider !== null;
+  }
+
+  /**
+   * Ask the provider, or the fallback when the provider fails
+   * @param {string} method - 'moderateText' or 'moderateImage'
+   * @param {*} input - Texts or image
+   * @param {Object} options - { requestId, signal }
+   * @returns {Promise<Object>} { provider, result } with the ID of the provider that answered
+   * @throws {CancelledError} When the signal is aborted
+   */
+  async ask(method, input, { requestId, signal }) {
+    try {
+      return { provider: this.provider.id, result: await this.provider[method](input, { signal }) };
+    } catch (error) {
+      throwIfCancelled(signal);
+      if (this.provider === this.fallback) {
+        throw error;
+      }
+
+      this.providerErrors++;
+      apiLogger.warn('Moderation provider failed, using the local stand-in', {
+        requestId,
+        provider: this.provider.id,
+        error: error.message
+      });
+      return { provider: this.fallback.id, result: await this.fallback[method](input, { signal }) };
+    }
+  }
+
+  /**
+   * Count and log one verdict
+   * @param {string} stage - One of MODERATION_STAGES
+   * @param {string} verdict - 'allowed', 'flagged' or 'unchecked'
+   * @param {Object} context - { requestId, provider, categories, ...extra log fields }
+   */
+  record(stage, verdict, { categories = [], ...context }) {
+    this.stats[stage][verdict]++;
+
+    if (verdict === 'flagged') {
+      for (const category of categories) {
+        this.flaggedCategories[category] = (this.flaggedCategories[category] || 0) + 1;
+      }
+      apiLogger.warn('Moderation flagged content', { stage, categories, ...context });
+    } else {
+      apiLogger.info('Moderation verdict', { stage, verdict, ...context });
+    }
+  }
+
+  /**
+   * Moderate the user's prompt and the refined prompt in one provider call
+   * @param {Object} prompts - { prompt, refinedPrompt }
+   * @param {Object} options - { requestId, signal }
+   * @throws {ModerationError} 400 MODERATION_FLAGGED naming the first flagged stage
+   */
+  async checkPrompts({ prompt, refinedPrompt }, { requestId, signal = null } = {}) {
+    if (!this.enabled) return;
+
+    const { provider, result } = await this.ask('moderateText', [prompt, refinedPrompt], { requestId, signal });
+    const verdicts = [['prompt', result[0]], ['refined-prompt', result[1]]];
+
+    for (const [stage, verdict] of verdicts) {
+      this.record(stage, verdict.flagged ? 'flagged' : 'allowed', { requestId, provider, categories: verdict.categories });
+    }
+
+    const flagged = verdicts.find(([, verdict]) => verdict.flagged);
+    if (flagged) {
+      throw new ModerationError(flagged[0], { provider, categories: flagged[1].categories });
+    }
+  }
+
+  /**
+   * Moderate every image of a generation result
+   * @param {Object} result - Image generation result ({ imageUrl, revisedPrompt } or `variations`)
+   * @param {Object} options - { requestId, signal }
+   * @throws {ModerationError} 422 MODERATION_FLAGGED when any image is flagged
+   */
+  async checkImages(result, { requestId, signal = null } = {}) {
+    if (!this.enabled) return;
+
+    const images = result.variations || [{ imageUrl: result.imageUrl, revisedPrompt: result.revisedPrompt }];
+    const answers = await Promise.all(images.map(({ imageUrl, revisedPrompt }) =>
+      this.ask('moderateImage', { imageUrl, revisedPrompt }, { requestId, signal })
+    ));
+
+    answers.forEach(({ provider, result: verdict }, variation) => {
+      const outcome = verdict.flagged ? 'flagged' : verdict.checked ? 'allowed' : 'unchecked';
+      this.record('image', outcome, { requestId, provider, categories: verdict.categories, variation });
+    });
+
+    const flagged = answers.find(({ result: verdict }) => verdict.flagged);
+    if (flagged) {
+      throw new ModerationError('image', { provider: flagged.provider, categories: flagged.result.categories });
+    }
+  }
+
+  /**
+   * Moderation statistics for health reporting
+   * @returns {Object} Provider, verdict counts per stage, flagged categories and provider failures
+   */
+  getStats() {
+    return {
+      provider: this.provider?.id || null,
+      stages: this.stats,
+      flaggedCategories: this.flaggedCategories,
+      providerErrors: this.providerErrors
+    };
+  }
+}
+
+/**
+ * Provider from MODERATION_PROVIDER
+ * @param {string} value - 'openai', 'local' or 'off'; unset picks openai with a real key, local otherwise
+ * @returns {ModerationProvider|null} Provider, or null when moderation is off
+ */
+function createConfiguredProvider(value) {
+  const hasRealKey = process.env.OPENAI_API_KEY &&
+                    process.env.OPENAI_API_KEY !== 'sk-mock-key-for-testing' &&
+                    process.env.OPENAI_API_KEY.startsWith('sk-');
+  let type = value || (hasRealKey ? 'openai' : 'local');
+
+  if (!MODERATION_PROVIDER_TYPES.includes(type)) {
+    apiLogger.warn('Ignoring invalid MODERATION_PROVIDER, using the local stand-in', { value });
+    type = 'local';
+  }
+
+  return createModerationProvider(type, {
+    openaiClient: type === 'openai' ? new OpenAI({ apiKey: process.env.OPENAI_API_KEY }) : null
+  });
+}
+
+// Export singleton instance configured from environment
+const moderationService = new ModerationService({
+  provider: createConfiguredProvider(process.env.MODERATION_PROVIDER)
+});
+
+export default moderationService;
+export { ModerationService };
@@ -10,6 +10,10 @@
  * 🔁 Retry Logic: 3 attempts with exponential backoff for rate limits
  * 💰 Cost Tracking: Comprehensive token usage and cost logging
  * 🛡️ Error Handling: Family-friendly content validation and robust error recovery
+ * 🔌 Provider Chain: Models are pluggable adapters (services/providers/) tried in
+ *    the order given by IMAGE_PROVIDER_CHAIN (default: gpt-image-1 → dall-e-3)
+ * ⚡ Circuit Breakers: A provider that keeps failing upstream is skipped until
+ *    its cooldown ends, instead of every request waiting through its retries
  * 
  * MODEL SPECIFICATIONS:
  * 
@@ -54,6 +58,10 @@
 
 import OpenAI from 'openai';
 import winston from 'winston';
+import { CostCalculator } from './providers/costCalculator.js';
+import { createProviderChain, MockProvider } from './providers/index.js';
+import { CircuitBreaker } from './circuitBreaker.js';
+import { ServiceError, CancelledError, throwIfCancelled, assertContentAllowed } from '../utils/errors.js';
 
 /**
  * Logger configuration with cost tracking capabilities
@@ -92,204 +100,16 @@ if (process.env.NODE_ENV !== 'production') {
   }));
 }
 
-/**
- * Cost Calculator for OpenAI Image Generation
- * 
- * Provides accurate cost calculations for monitoring and budget management
- * Reference: https://platform.openai.com/docs/models/gpt-image-1 pricing
- */
-class CostCalculator {
-  constructor() {
-    // Updated pricing as of 2025 - Reference: https://platform.openai.com/docs/models/gpt-image-1
-    this.pricing = {
-      'gpt-image-1': {
-        '1024x1024': {
-          'high': 0.167,     // $0.167 per image (300 DPI equivalent)
-          'standard': 0.120  // $0.120 per image
-        },
-        'output_tokens': 40.0 / 1000000  // $40 per 1M output tokens
-      },
-      'dall-e-3': {
-        '1024x1024': {
-          'hd': 0.080,       // $0.080 per image  
-          'standard': 0.040  // $0.040 per image
-        }
-      }
-    };
-  }
-
-  /**
-   * Calculate cost for image generation
-   * @param {string} model - Model used (gpt-image-1 or dall-e-3)
-   * @param {string} size - Image size (1024x1024)
-   * @param {string} quality - Quality setting (high, standard, hd)
-   * @param {number} outputTokens - Number of output tokens (for gpt-image-1)
-   * @returns {Object} Cost breakdown
-   */
-  calculateImageCost(model, size, quality, outputTokens = 0) {
-    const modelPricing = this.pricing[model];
-    if (!modelPricing) {
-      return { imageCost: 0, tokenCost: 0, totalCost: 0, error: 'Unknown model' };
-    }
-
-    const sizePricing = modelPricing[size];
-    if (!sizePricing) {
-      return { imageCost: 0, tokenCost: 0, totalCost: 0, error: 'Unknown size' };
-    }
-
-    const imageCost = sizePricing[quality] || sizePricing['standard'] || 0;
-    const tokenCost = model === 'gpt-image-1' && outputTokens ? 
-                     (outputTokens * modelPricing.output_tokens) : 0;
-    
-    return {
-      imageCost: Number(imageCost.toFixed(4)),
-      tokenCost: Number(tokenCost.toFixed(4)), 
-      totalCost: Number((imageCost + tokenCost).toFixed(4)),
-      breakdown: {
-        model,
-        size,
-        quality,
-        outputTokens: outputTokens || 0
-      }
-    };
-  }
-}
-
-/**
- * Family-friendly content filter
- * Ensures all generated content meets safety guidelines
- */
-class ContentFilter {
-  constructor() {
-    // Comprehensive inappropriate content filter - Evidence: architecture.md 6.3
-    this.inappropriateKeywords = [
-      'violence', 'blood', 'weapon', 'gun', 'knife', 'death', 'kill',
-      'sexual', 'nude', 'naked', 'explicit', 'inappropriate',
-      'drug', 'alcohol', 'beer', 'wine', 'cigarette', 'smoking',
-      'scary', 'horror', 'demon', 'devil', 'evil', 'dark magic'
-    ];
-    
-    // Context-sensitive patterns that require more specific matching
-    this.contextSensitivePatterns = [
-      {
-        word: 'adult',
-        allowedContexts: ['adults', 'adult coloring', 'for adults', 'adult age group'],
-        blockPatterns: ['adult content', 'adult material', 'adult themes']
-      }
-    ];
-  }
-
-  /**
-   * Check if content is family-friendly with context awareness
-   * @param {string} text - Text to validate
-   * @returns {boolean} - True if content is appropriate
-   */
-  isContentAppropriate(text) {
-    const lowerText = text.toLowerCase();
-    
-    // Check basic inappropriate keywords first
-    const basicInappropriate = this.inappropriateKeywords.some(keyword => lowerText.includes(keyword));
-    if (basicInappropriate) {
-      return false;
-    }
-    
-    // Handle "adult" context-sensitively
-    if (lowerText.includes('adult')) {
-      // Allow legitimate uses of "adult" 
-      const legitimateAdultUses = [
-        'age group', 'agegroup', 'adults', 'adult coloring', 
-        'complexity', 'suitable for adults', 'age: adult',
-        'agegroup":"adult', '"adults"', 'adult age group',
-        '"agegroup":"adults"', 'customizations'
-      ];
-      
-      const isLegitimate = legitimateAdultUses.some(legitUse => 
-        lowerText.includes(legitUse.toLowerCase())
-      );
-      
-      // Block patterns that are actually inappropriate
-      const blockedPatterns = ['adult content', 'adult material', 'adult themes', 'adult entertainment'];
-      const isBlocked = blockedPatterns.some(pattern => lowerText.includes(pattern));
-      
-      // If it's blocked OR if it's not legitimate, mark as inappropriate
-      if (isBlocked) {
-        return false;
-      }
-      
-      // For legitimate adult usage, allow it
-      if (isLegitimate) {
-        return true;
-      }
-      
-      // For ambiguous cases, allow it (be permissive for edge cases)
-      return true;
-    }
-    
-    return true;
-  }
-
-  /**
-   * Get list of inappropriate keywords found with context
-   * @param {string} text - Text to check
-   * @returns {Array} - Array of found inappropriate keywords
-   */
-  getInappropriateKeywords(text) {
-    const lowerText = text.toLowerCase();
-    const foundKeywords = [];
-    
-    // Check basic inappropriate keywords
-    const basicKeywords = this.inappropriateKeywords.filter(keyword => lowerText.includes(keyword));
-    foundKeywords.push(...basicKeywords);
-    
-    // Check context-sensitive patterns
-    for (const pattern of this.contextSensitivePatterns) {
-      if (lowerText.includes(pattern.word)) {
-        const isAllowedContext = pattern.allowedContexts.some(context => 
-          lowerText.includes(context.toLowerCase())
-        );
-        
-        const isBlockedPattern = pattern.blockPatterns.some(blockedPattern => 
-          lowerText.includes(blockedPattern.toLowerCase())
-        );
-        
-        // Only add as inappropriate if it's truly inappropriate in context
-        if (!isAllowedContext && (isBlockedPattern || !this.isLegitimateAdultUse(lowerText))) {
-          foundKeywords.push(pattern.word);
-        }
-      }
-    }
-    
-    return foundKeywords;
-  }
-  
-  /**
-   * Helper method to check if "adult" is used legitimately
-   * @param {string} lowerText - Lowercase text to check
-   * @returns {boolean} - True if it's a legitimate use
-   */
-  isLegitimateAdultUse(lowerText) {
-    const legitimateAdultUses = [
-      'age group', 'agegroup', 'adults', 'adult coloring', 
-      'complexity', 'suitable for adults', 'age: adult'
-    ];
-    
-    return legitimateAdultUses.some(legitUse => 
-      lowerText.includes(legitUse.toLowerCase())
-    );
-  }
-}
-
 /**
  * OpenAI Image Generation Service
  * 
- * Handles image generation with gpt-image-1 primary and dall-e-3 fallback
+ * Runs image generation through the configured provider chain
  * Implements retry logic, cost tracking, and comprehensive error handling
  */
 class OpenAIImageService {
   constructor() {
     this.logger = logger;
     this.costCalculator = new CostCalculator();
-    this.contentFilter = new ContentFilter();
     this.requestIdCounter = 0;
     
     // Initialize OpenAI client
@@ -297,17 +117,36 @@ class OpenAIImageService {
       apiKey: this.getApiKey()
     });
 
+    // Provider chain (primary first) from IMAGE_PROVIDER_CHAIN; the mock
+    // provider only runs when none of them is configured
+    this.providers = createProviderChain(undefined, {
+      openaiClient: this.openai,
+      costCalculator: this.costCalculator
+    });
+    this.mockProvider = new MockProvider();
+
     // Configuration constants
     this.config = {
       maxRetries: 3,
       retryDelays: [2000, 4000, 8000], // Exponential backoff: 2s, 4s, 8s
-      primaryModel: 'gpt-image-1', // Confirmed working with full parameter support
-      fallbackModel: 'dall-e-3',
       defaultSize: '1024x1024',
       defaultQuality: 'high', // gpt-image-1 supports: low, medium, high, auto
       defaultFormat: 'png', // gpt-image-1 supports: png, jpeg, webp
-      defaultBackground: 'opaque' // gpt-image-1 supports: transparent, opaque, auto
+      defaultBackground: 'opaque', // gpt-image-1 supports: transparent, opaque, auto
+      maxVariations: 4,
+      breakerFailureThreshold: parseInt(process.env.CIRCUIT_BREAKER_FAILURE_THRESHOLD, 10) || 5,
+      breakerCooldownMs: parseInt(process.env.CIRCUIT_BREAKER_COOLDOWN_MS, 10) || 60000
     };
+
+    // One circuit breaker per provider ID, created on first use
+    this.breakers = new Map();
+
+    this.logger.info('Image provider chain configured', {
+      providers: this.providers.map(provider => ({
+        id: provider.id,
+        configured: provider.isConfigured()
+      }))
+    });
   }
 
   /**
@@ -349,16 +188,84 @@ class OpenAIImageService {
            process.env.OPENAI_API_KEY.startsWith('sk-');
   }
 
+  /**
+   * Providers that can serve requests, in chain order
+   * Falls back to the mock provider when nothing in the chain is configured.
+   * @param {string|null} preferredId - Provider moved to the front when it is active (recipe replays)
+   * @returns {Array<ImageProvider>} Active providers
+   */
+  getActiveProviders(preferredId = null) {
+    const configured = this.providers.filter(provider => provider.isConfigured());
+    const active = configured.length > 0 ? configured : [this.mockProvider];
+    const preferred = active.find(provider => provider.id === preferredId);
+
+    return preferred ? [preferred, ...active.filter(provider => provider !== preferred)] : active;
+  }
+
+  /**
+   * Circuit breaker guarding a provider
+   * @param {ImageProvider} provider - Provider
+   * @returns {CircuitBreaker} Breaker for the provider's ID
+   */
+  getBreaker(provider) {
+    if (!this.breakers.has(provider.id)) {
+      this.breakers.set(provider.id, new CircuitBreaker({
+        name: provider.id,
+        failureThreshold: this.config.breakerFailureThreshold,
+        cooldownMs: this.config.breakerCooldownMs,
+        onStateChange: (breaker, from, to) => {
+          const log = to === 'open' ? 'error' : 'info';
+          this.logger[log]('Image provider circuit breaker changed state', {
+            provider: breaker.name,
+            from,
+            to,
+            consecutiveFailures: breaker.consecutiveFailures,
+            lastError: breaker.lastError?.message
+          });
+        }
+      }));
+    }
+    return this.breakers.get(provider.id);
+  }
+
+  /**
+   * Circuit breaker state for every provider in the chain
+   * @returns {Array<Object>} Breaker states in chain order
+   */
+  getCircuitBreakerStates() {
+    return this.getActiveProviders().map(provider => this.getBreaker(provider).getState());
+  }
+
+  /**
+   * ID of the provider that serves requests first (e.g. `openai:gpt-image-1`)
+   * @param {string|null} preferredId - Provider requested for this generation, if any
+   * @returns {string} Provider ID
+   */
+  getPrimaryProviderId(preferredId = null) {
+    return this.getActiveProviders(preferredId)[0].id;
+  }
+
   /**
    * Main image generation method with intelligent model selection and fallback
    * 
    * @param {string} prompt - Enhanced prompt for image generation
    * @param {Object} options - Generation options
    * @param {string} options.requestId - Optional request ID for logging correlation
-   * @param {string} options.size - Image size (default: 1024x1024)
+   * @param {string} options.size - Exact image size; overrides orientation when the model supports it
+   * @param {string} options.orientation - square, portrait or landscape, mapped to each model's sizes (default: square)
    * @param {string} options.quality - Quality setting (default: high for gpt-image-1)
-   * @param {boolean} options.forceFallback - Force use of dall-e-3 (default: false)
+   * @param {boolean} options.forceFallback - Skip the primary provider (default: false)
+   * @param {string} options.preferredProvider - Provider ID to try first; the rest of the chain stays as fallback
+   * @param {number} options.variations - Number of images to return, 1-4 (default: 1)
+   * @param {string} options.category - Detected subject category (used by the mock provider)
+   * @param {Object} options.customizations - Applied customizations; ageGroup picks the content
+   *   policy profile, and the mock provider draws from the rest
+   * @param {Function} options.onProgress - Optional (type, data) callback for
+   *   'model-attempt' and 'retry-backoff' stage events
+   * @param {AbortSignal} options.signal - Cancels the provider request, retries and fallbacks
    * @returns {Promise<Object>} - Generation result with image URL and metadata
+   * @throws {CancelledError} When options.signal is aborted
+   * @throws {ContentPolicyError} When the prompt is not family-friendly
    */
   async generateImage(prompt, options = {}) {
     const startTime = Date.now();
@@ -370,11 +277,37 @@ class OpenAIImageService {
     }
 
     const cleanPrompt = prompt.trim();
+    const variations = this.normalizeVariations(options.variations);
+    options = { ...options, variations };
+
+    // Same family-friendly rules as the form and the API validators
+    assertContentAllowed(cleanPrompt, { ageGroup: options.customizations?.ageGroup });
+
+    let providers = this.getActiveProviders(options.preferredProvider);
+    if (options.forceFallback && providers.length > 1) {
+      providers = providers.slice(1);
+    }
 
-    // Content validation
-    if (!this.contentFilter.isContentAppropriate(cleanPrompt)) {
-      const inappropriateWords = this.contentFilter.getInappropriateKeywords(cleanPrompt);
-      throw new Error(`Content contains inappropriate terms: ${inappropriateWords.join(', ')}`);
+    // Skip providers whose circuit breaker is open
+    const skipped = providers.filter(provider => this.getBreaker(provider).isOpen());
+    if (skipped.length > 0) {
+      this.logger.warn('Skipping image providers with open circuit breakers', {
+        requestId,
+        skipped: skipped.map(provider => provider.id)
+      });
+      providers = providers.filter(provider => !skipped.includes(provider));
+    }
+
+    if (providers.length === 0) {
+      const retryAt = skipped
+        .map(provider => this.getBreaker(provider).getState().retryAt)
+        .sort()[0];
+
+      throw new ServiceError('Image generation is temporarily unavailable. Please try again in a minute.', {
+        status: 503,
+        code: 'PROVIDERS_UNAVAILABLE',
+        details: { retryAt }
+      });
     }
 
     this.logger.info('Starting image generation', {
@@ -382,127 +315,321 @@ class OpenAIImageService {
       promptLength: cleanPrompt.length,
       promptPreview: cleanPrompt.substring(0, 100) + '...',
       options,
-      hasRealKey: this.hasRealApiKey()
+      hasRealKey: this.hasRealApiKey(),
+      providers: providers.map(provider => provider.id)
     });
 
-    // Mock mode for development (no real API key)
-    if (!this.hasRealApiKey()) {
-      return this.generateMockResponse(cleanPrompt, options, requestId, startTime);
+    // Try each provider in chain order until one succeeds
+    const failures = [];
+
+    for (const [position, provider] of providers.entries()) {
+      try {
+        return await this.generateVariationsWithProvider(
+          provider,
+          cleanPrompt,
+          options,
+          requestId,
+          startTime
+        );
+      } catch (error) {
+        if (error instanceof CancelledError) {
+          throw error;
+        }
+
+        failures.push({ provider: provider.id, error });
+
+        if (position < providers.length - 1) {
+          this.logger.warn('Image provider failed, attempting next in chain', {
+            requestId,
+            provider: provider.id,
+            nextProvider: providers[position + 1].id,
+            error: error.message
+          });
+        }
+      }
     }
 
-    // Real API mode - attempt with primary model then fallback
-    let lastError = null;
-    
-    // Try primary model (gpt-image-1) unless forced fallback
-    if (!options.forceFallback) {
+    this.logger.error('All image providers failed', {
+      requestId,
+      failures: failures.map(({ provider, error }) => ({ provider, error: error.message })),
+      processingTime: Date.now() - startTime
+    });
+
+    // Re-throw the most informative error
+    throw failures
+      .map(failure => failure.error)
+      .reduce((best, error) => (this.isMoreInformativeError(error, best) ? error : best));
+  }
+
+  /**
+   * Redraw a masked region of an existing image (inpainting)
+   *
+   * Runs through the same chain, retries and circuit breakers as
+   * generateImage(), skipping providers without edit support (dall-e-3).
+   *
+   * @param {string} prompt - Edit prompt describing the masked region
+   * @param {Object} source - { image, mask } PNG buffers of equal size; transparent mask pixels are redrawn
+   * @param {Object} options - { requestId, size, quality, ageGroup, onProgress }; ageGroup picks
+   *   the content policy profile (default: kids)
+   * @returns {Promise<Object>} - Result in the generateImage() shape
+   */
+  async editImage(prompt, source, options = {}) {
+    const startTime = Date.now();
+    const requestId = options.requestId || this.generateRequestId();
+
+    if (!prompt || typeof prompt !== 'string' || prompt.trim().length === 0) {
+      throw new Error('Invalid prompt: must be a non-empty string');
+    }
+
+    const cleanPrompt = prompt.trim();
+    assertContentAllowed(cleanPrompt, { ageGroup: options.ageGroup });
+
+    const editable = this.getActiveProviders().filter(provider => provider.getCapabilities().supportsEdit);
+    const providers = editable.filter(provider => !this.getBreaker(provider).isOpen());
+
+    if (providers.length === 0) {
+      throw new ServiceError(
+        editable.length === 0
+          ? 'Editing part of a page is not available with the configured image models.'
+          : 'Image editing is temporarily unavailable. Please try again in a minute.',
+        { status: 503, code: editable.length === 0 ? 'EDIT_NOT_SUPPORTED' : 'PROVIDERS_UNAVAILABLE' }
+      );
+    }
+
+    this.logger.info('Starting image edit', {
+      requestId,
+      promptLength: cleanPrompt.length,
+      providers: providers.map(provider => provider.id)
+    });
+
+    const failures = [];
+    for (const provider of providers) {
       try {
-        return await this.generateWithModel(
-          this.config.primaryModel,
+        const result = await this.generateWithProvider(
+          provider,
           cleanPrompt,
-          {
-            ...options,
-            quality: options.quality || this.config.defaultQuality
-          },
+          { ...options, editSource: source, n: 1 },
           requestId,
           startTime
         );
+        return { ...result, metadata: { ...result.metadata, operation: 'edit' } };
       } catch (error) {
-        lastError = error;
-        this.logger.warn('Primary model failed, attempting fallback', {
+        failures.push(error);
+        this.logger.warn('Image provider failed to edit image', {
           requestId,
-          primaryModel: this.config.primaryModel,
-          error: error.message,
-          willTryFallback: true
+          provider: provider.id,
+          error: error.message
         });
       }
     }
 
-    // Try fallback model (dall-e-3)
-    try {
-      return await this.generateWithModel(
-        this.config.fallbackModel,
-        cleanPrompt,
-        {
-          ...options,
-          quality: options.quality || this.config.fallbackQuality,
-          // Remove style parameter for dall-e-3 compatibility
-          style: undefined
-        },
-        requestId,
-        startTime
-      );
-    } catch (fallbackError) {
-      this.logger.error('Both primary and fallback models failed', {
+    throw failures.reduce((best, error) => (this.isMoreInformativeError(error, best) ? error : best));
+  }
+
+  /**
+   * Clamp a requested variation count to the supported range
+   * @param {number|string} value - Requested variations
+   * @returns {number} Integer between 1 and config.maxVariations
+   */
+  normalizeVariations(value) {
+    const count = parseInt(value, 10);
+    if (!Number.isFinite(count) || count < 1) {
+      return 1;
+    }
+    return Math.min(count, this.config.maxVariations);
+  }
+
+  /**
+   * Generate the requested number of variations with one provider
+   * 
+   * Providers that accept `n > 1` get a single request; others (dall-e-3) fan
+   * out into parallel requests. Partial success is returned as long as at least
+   * one request produced images; metadata.requestedVariations records the ask.
+   * 
+   * @param {ImageProvider} provider - Provider to use
+   * @param {string} prompt - Image generation prompt
+   * @param {Object} options - Generation options (options.variations already normalized)
+   * @param {string} requestId - Request ID for logging
+   * @param {number} startTime - Start timestamp
+   * @returns {Promise<Object>} - Generation result with `variations` array
+   */
+  async generateVariationsWithProvider(provider, prompt, options, requestId, startTime) {
+    const variations = options.variations || 1;
+    const { maxImagesPerRequest } = provider.getCapabilities();
+
+    if (variations <= maxImagesPerRequest) {
+      return this.generateWithProvider(provider, prompt, { ...options, n: variations }, requestId, startTime);
+    }
+
+    const batchSizes = [];
+    for (let remaining = variations; remaining > 0; remaining -= maxImagesPerRequest) {
+      batchSizes.push(Math.min(remaining, maxImagesPerRequest));
+    }
+
+    this.logger.info('Fanning out variations across parallel requests', {
+      requestId,
+      provider: provider.id,
+      variations,
+      requests: batchSizes.length
+    });
+
+    const settled = await Promise.allSettled(
+      batchSizes.map(n => this.generateWithProvider(provider, prompt, { ...options, n }, requestId, startTime))
+    );
+
+    throwIfCancelled(options.signal);
+
+    const succeeded = settled.filter(outcome => outcome.status === 'fulfilled').map(outcome => outcome.value);
+    if (succeeded.length === 0) {
+      throw settled[0].reason;
+    }
+
+    if (succeeded.length < settled.length) {
+      this.logger.warn('Some variation requests failed, returning partial results', {
         requestId,
-        primaryError: lastError?.message,
-        fallbackError: fallbackError.message,
-        processingTime: Date.now() - startTime
+        provider: provider.id,
+        requested: variations,
+        failedRequests: settled.length - succeeded.length
       });
-      
-      // Re-throw the more informative error
-      const errorToThrow = this.isMoreInformativeError(fallbackError, lastError) ? 
-                          fallbackError : lastError || fallbackError;
-      throw errorToThrow;
     }
+
+    return this.mergeVariationResults(succeeded, variations, startTime);
   }
 
   /**
-   * Generate image with specific model and retry logic
+   * Merge results from fanned-out requests into one generation result
+   * @param {Array<Object>} results - Successful generateWithProvider results
+   * @param {number} requestedVariations - Variations originally requested
+   * @param {number} startTime - Start timestamp
+   * @returns {Object} Combined result with reindexed variations and summed costs
+   */
+  mergeVariationResults(results, requestedVariations, startTime) {
+    const [first] = results;
+    const variations = results
+      .flatMap(result => result.variations)
+      .map((variation, index) => ({ ...variation, index }));
+
+    return {
+      ...first,
+      variations,
+      metadata: {
+        ...first.metadata,
+        processingTime: Date.now() - startTime,
+        attemptCount: Math.max(...results.map(result => result.metadata.attemptCount)),
+        costs: this.costCalculator.combineCosts(variations.map(variation => variation.costs)),
+        variationCount: variations.length,
+        requestedVariations,
+        fanOutRequests: results.length
+      }
+    };
+  }
+
+  /**
+   * Generate image with a specific provider and retry logic
    * 
-   * @param {string} model - Model to use (gpt-image-1 or dall-e-3)
+   * @param {ImageProvider} provider - Provider to use
    * @param {string} prompt - Image generation prompt  
    * @param {Object} options - Generation options
    * @param {string} requestId - Request ID for logging
    * @param {number} startTime - Start timestamp
    * @returns {Promise<Object>} - Generation result
    */
-  async generateWithModel(model, prompt, options, requestId, startTime) {
+  async generateWithProvider(provider, prompt, options, requestId, startTime) {
+    const { model } = provider;
+    const maxAttempts = provider.isMock() ? 1 : this.config.maxRetries;
+    const breaker = this.getBreaker(provider);
     let lastError = null;
 
     // Retry loop with exponential backoff
-    for (let attempt = 0; attempt < this.config.maxRetries; attempt++) {
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      throwIfCancelled(options.signal);
+
+      // The breaker may have opened (here or in a concurrent request) since
+      // the last attempt; stop retrying so the chain moves on
+      if (!breaker.allowRequest()) {
+        lastError = lastError || new ServiceError(`Image provider ${provider.id} is temporarily unavailable`, {
+          status: 503,
+          code: 'CIRCUIT_OPEN'
+        });
+        break;
+      }
+
       try {
         this.logger.info('Attempting image generation', {
           requestId,
+          provider: provider.id,
           model,
           attempt: attempt + 1,
-          maxRetries: this.config.maxRetries,
-          size: options.size || this.config.defaultSize,
+          maxRetries: maxAttempts,
+          size: provider.resolveSize({ size: options.size, orientation: options.orientation }),
           quality: options.quality
         });
 
-        // Prepare request parameters based on model
-        const requestParams = this.buildRequestParams(model, prompt, options);
-        
-        // Make API call
-        const response = await this.openai.images.generate(requestParams);
-        
-        // Process successful response
-        return this.processSuccessfulResponse(
-          response,
+        this.reportProgress(options, 'model-attempt', {
           model,
-          requestParams,
+          provider: provider.id,
+          attempt: attempt + 1,
+          maxAttempts: maxAttempts
+        });
+
+        // Provider builds model-specific parameters and makes the call
+        const result = options.editSource
+          ? await provider.edit(prompt, options.editSource, options)
+          : await provider.generate(prompt, options);
+
+        // Process successful response
+        const response = this.processSuccessfulResponse(
+          result,
+          provider,
           requestId,
           startTime,
           attempt + 1
         );
+        breaker.recordSuccess();
+        return response;
 
       } catch (error) {
+        // An aborted request says nothing about the provider's health, but a
+        // cancelled half-open probe must free the slot for the next request
+        if (options.signal?.aborted) {
+          breaker.releaseProbe();
+          throwIfCancelled(options.signal);
+        }
+
         lastError = error;
+        breaker.recordFailure(error);
+
+        // Breaker just opened: fail over now instead of backing off
+        if (breaker.isOpen()) {
+          this.logger.warn('Circuit breaker open, abandoning retries', {
+            requestId,
+            provider: provider.id,
+            attempt: attempt + 1,
+            error: error.message
+          });
+          break;
+        }
         
         // Handle rate limiting with exponential backoff
-        if (error.status === 429 && attempt < this.config.maxRetries - 1) {
+        if (error.status === 429 && attempt < maxAttempts - 1) {
           const delayMs = this.config.retryDelays[attempt];
           this.logger.warn('Rate limit hit, retrying with exponential backoff', {
             requestId,
             model,
             attempt: attempt + 1,
-            maxRetries: this.config.maxRetries,
+            maxRetries: maxAttempts,
             delayMs,
             error: error.message
           });
+
+          this.reportProgress(options, 'retry-backoff', {
+            model,
+            attempt: attempt + 1,
+            delayMs,
+            reason: 'rate_limit'
+          });
           
-          await this.delay(delayMs);
+          await this.delay(delayMs, options.signal);
           continue;
         }
 
@@ -521,10 +648,10 @@ class OpenAIImageService {
           requestId,
           model,
           attempt: attempt + 1,
-          maxRetries: this.config.maxRetries,
+          maxRetries: maxAttempts,
           error: error.message,
           status: error.status,
-          willRetry: attempt < this.config.maxRetries - 1
+          willRetry: attempt < maxAttempts - 1
         });
 
         // Don't retry on certain errors
@@ -537,8 +664,8 @@ class OpenAIImageService {
     // All retries exhausted
     this.logger.error('Image generation failed after all retries', {
       requestId,
-      model,
-      maxRetries: this.config.maxRetries,
+      provider: provider.id,
+      maxRetries: maxAttempts,
       finalError: lastError?.message,
       processingTime: Date.now() - startTime
     });
@@ -547,138 +674,123 @@ class OpenAIImageService {
   }
 
   /**
-   * Build request parameters based on model capabilities
-   * Updated with full gpt-image-1 parameter support
+   * Process successful provider response with cost tracking
+   * @param {Object} result - Provider result { images, usage, params }
+   * @param {ImageProvider} provider - Provider that produced the images
+   * @param {string} requestId - Request ID for logging
+   * @param {number} startTime - Start timestamp
+   * @param {number} attemptCount - Attempts used
+   * @returns {Object} Generation result with `variations` array
    */
-  buildRequestParams(model, prompt, options) {
-    const baseParams = {
-      model,
-      prompt,
-      size: options.size || this.config.defaultSize,
-      n: 1
-    };
+  processSuccessfulResponse(result, provider, requestId, startTime, attemptCount) {
+    const processingTime = Date.now() - startTime;
+    const { model } = provider;
 
-    if (model === 'gpt-image-1') {
-      // gpt-image-1 basic parameter support - format parameter not yet supported
-      return {
-        ...baseParams,
-        quality: options.quality || this.config.defaultQuality
-      };
-    } else if (model === 'dall-e-3') {
-      // dall-e-3 specific parameters (different quality values)
-      return {
-        ...baseParams,
-        quality: options.quality === 'high' ? 'hd' : 'standard',
-        style: options.style || 'natural'
-      };
-    } else if (model === 'dall-e-2') {
-      // dall-e-2 specific parameters (minimal)
-      return baseParams;
+    // One entry per requested image (URL or base64 data URL)
+    const images = result.images || [];
+    const { size, quality } = result.params;
+    const totalTokens = result.usage?.total_tokens || 0;
+
+    if (images.length === 0) {
+      const error = new Error(`Image provider ${provider.id} returned no images`);
+      error.status = 502;
+      throw error;
     }
 
-    return baseParams;
-  }
+    // Per-image costs; output tokens are reported per request, so split them evenly
+    const variations = images.map((image, index) => ({
+      index,
+      imageUrl: image.imageUrl,
+      revisedPrompt: image.revisedPrompt,
+      costs: provider.estimateCost(size, quality, Math.round(totalTokens / images.length))
+    }));
 
-  /**
-   * Process successful API response with cost tracking
-   */
-  processSuccessfulResponse(response, model, requestParams, requestId, startTime, attemptCount) {
-    const processingTime = Date.now() - startTime;
-    
-    // Handle both URL and base64 responses
-    const imageUrl = response.data[0].url;
-    const imageBase64 = response.data[0].b64_json;
-    const revisedPrompt = response.data[0].revised_prompt;
+    const [{ imageUrl, revisedPrompt }] = variations;
 
     // Calculate costs
-    const costAnalysis = this.costCalculator.calculateImageCost(
-      model,
-      requestParams.size,
-      requestParams.quality || 'standard',
-      response.usage?.total_tokens || 0
-    );
+    const costAnalysis = variations.length > 1
+      ? this.costCalculator.combineCosts(variations.map(variation => variation.costs))
+      : provider.estimateCost(size, quality, totalTokens);
 
     // Prepare response metadata
     const metadata = {
       model,
-      size: requestParams.size,
-      quality: requestParams.quality || 'standard',
+      provider: provider.id,
+      size,
+      quality,
       generatedAt: new Date().toISOString(),
       processingTime,
       attemptCount,
       revisedPrompt,
       costs: costAnalysis,
-      usage: response.usage,
-      apiMode: 'real-openai-api',
+      usage: result.usage,
+      apiMode: provider.apiMode,
       requestId,
-      hasBase64: !!imageBase64
+      hasBase64: imageUrl.startsWith('data:'),
+      variationCount: variations.length,
+      ...(provider.isMock() && { mock: true })
     };
 
     // Log successful generation with cost tracking
     this.logger.info('Image generation completed successfully', {
       requestId,
+      provider: provider.id,
       model,
       processingTime,
       attemptCount,
       costs: costAnalysis,
-      usage: response.usage,
-      imageGenerated: !!(imageUrl || imageBase64)
+      usage: result.usage,
+      variationCount: variations.length
     });
 
     return {
       success: true,
-      imageUrl: imageUrl || `data:image/png;base64,${imageBase64}`,
+      imageUrl,
       model,
       revisedPrompt,
-      metadata
+      metadata,
+      variations
     };
   }
 
   /**
-   * Generate mock response for development mode
+   * Forward a stage event to the caller's onProgress callback
+   * Listener failures are logged and never interrupt generation.
+   * 
+   * @param {Object} options - Generation options (may contain onProgress)
+   * @param {string} type - Event type
+   * @param {Object} data - Event payload
    */
-  generateMockResponse(prompt, options, requestId, startTime) {
-    const processingTime = Date.now() - startTime;
-    const model = options.forceFallback ? this.config.fallbackModel : this.config.primaryModel;
-    
-    // Create mock SVG coloring page
-    const mockImageData = {
-      imageUrl: 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMTAyNCIgaGVpZ2h0PSIxMDI0IiB2aWV3Qm94PSIwIDAgMTAyNCAxMDI0IiBmaWxsPSJub25lIiB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciPgo8cmVjdCB3aWR0aD0iMTAyNCIgaGVpZ2h0PSIxMDI0IiBmaWxsPSJ3aGl0ZSIgc3Ryb2tlPSJibGFjayIgc3Ryb2tlLXdpZHRoPSI0Ii8+CjxjaXJjbGUgY3g9IjUxMiIgY3k9IjMwMCIgcj0iODAiIGZpbGw9Im5vbmUiIHN0cm9rZT0iYmxhY2siIHN0cm9rZS13aWR0aD0iNCIvPgo8cGF0aCBkPSJNNDUwIDQwMEM0NTAgNDAwIDQ4MCA0NTAgNTEyIDQ1MEM1NDQgNDUwIDU3NCA0MDAgNTc0IDQwMCIgZmlsbD0ibm9uZSIgc3Ryb2tlPSJibGFjayIgc3Ryb2tlLXdpZHRoPSI0Ii8+CjxwYXRoIGQ9Ik00MjAgNTAwTDQ4MCA1MDBMNTEyIDU1MEw1NDQgNTAwTDYwNCA1MDBMNTc0IDU4MEw1MTIgNjIwTDQ1MCA1ODBMNDIwIDUwMFoiIGZpbGw9Im5vbmUiIHN0cm9rZT0iYmxhY2siIHN0cm9rZS13aWR0aD0iNCIvPgo8dGV4dCB4PSI1MTIiIHk9IjcwMCIgZm9udC1mYW1pbHk9IkFyaWFsIiBmb250LXNpemU9IjI0IiBmaWxsPSJibGFjayIgdGV4dC1hbmNob3I9Im1pZGRsZSI+TW9jayBDb2xvcmluZyBQYWdlPC90ZXh0Pgo8dGV4dCB4PSI1MTIiIHk9IjczMCIgZm9udC1mYW1pbHk9IkFyaWFsIiBmb250LXNpemU9IjE2IiBmaWxsPSJibGFjayIgdGV4dC1hbmNob3I9Im1pZGRsZSI+KERldmVsb3BtZW50IE1vZGUpPC90ZXh0Pgo8L3N2Zz4=',
-      metadata: {
-        model,
-        size: options.size || this.config.defaultSize,
-        quality: options.quality || (model === 'gpt-image-1' ? this.config.defaultQuality : this.config.fallbackQuality),
-        generatedAt: new Date().toISOString(),
-        processingTime,
-        attemptCount: 1,
-        mock: true,
-        apiMode: 'mock-development',
-        requestId,
-        costs: { imageCost: 0, tokenCost: 0, totalCost: 0, mock: true }
-      }
-    };
-
-    this.logger.info('Mock image generation completed', {
-      requestId,
-      model,
-      processingTime,
-      mode: 'development-mock'
-    });
+  reportProgress(options, type, data) {
+    if (typeof options?.onProgress !== 'function') {
+      return;
+    }
 
-    return {
-      success: true,
-      imageUrl: mockImageData.imageUrl,
-      model,
-      revisedPrompt: `Enhanced ${prompt} (mock development mode)`,
-      metadata: mockImageData.metadata
-    };
+    try {
+      options.onProgress(type, data);
+    } catch (error) {
+      this.logger.warn('Progress listener failed', { type, error: error.message });
+    }
   }
 
   /**
    * Utility method for delays in retry logic
+   * Ends early with CancelledError when the signal is aborted.
    */
-  async delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  async delay(ms, signal = null) {
+    throwIfCancelled(signal);
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new CancelledError());
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
   }
 
   /**
@@ -705,30 +817,29 @@ class OpenAIImageService {
         environment: process.env.NODE_ENV || 'development',
         hasRealApiKey: this.hasRealApiKey(),
         models: {
-          primary: this.config.primaryModel,
-          fallback: this.config.fallbackModel
+          primary: this.providers[0]?.id,
+          fallback: this.providers.slice(1).map(provider => provider.id)
         },
         features: {
           retryLogic: true,
           costTracking: true,
           contentFiltering: true,
-          exponentialBackoff: true
+          exponentialBackoff: true,
+          circuitBreakers: true,
+          maxVariations: this.config.maxVariations
         }
       };
 
-      // Test connectivity if real API key is available
-      if (this.hasRealApiKey()) {
-        try {
-          const testResponse = await this.openai.models.list();
-          health.openaiConnected = true;
-          health.availableModels = testResponse.data?.length || 0;
-        } catch (error) {
-          health.openaiConnected = false;
-          health.connectionError = error.message;
-        }
-      } else {
+      health.circuitBreakers = this.getCircuitBreakerStates();
+      if (health.circuitBreakers.some(breaker => breaker.state !== 'closed')) {
+        health.status = 'degraded';
+      }
+
+      health.providers = await Promise.all(this.providers.map(provider => provider.healthCheck()));
+      health.openaiConnected = health.providers.some(provider => provider.openaiConnected);
+
+      if (this.getActiveProviders()[0].isMock()) {
         health.mode = 'development-mock';
-        health.openaiConnected = false;
       }
 
       health.responseTime = Date.now() - startTime;
@@ -748,6 +859,7 @@ class OpenAIImageService {
 
   /**
    * Get cost estimate for image generation
+   * Uses the matching chain provider's pricing when the model is configured.
    * @param {string} model - Model to use  
    * @param {string} size - Image size
    * @param {string} quality - Quality setting
@@ -755,8 +867,29 @@ class OpenAIImageService {
    * @returns {Object} Cost estimate
    */
   estimateCost(model = 'gpt-image-1', size = '1024x1024', quality = 'high', estimatedTokens = 0) {
+    const provider = this.providers.find(candidate => candidate.model === model);
+    if (provider) {
+      return provider.estimateCost(size, quality, estimatedTokens);
+    }
     return this.costCalculator.calculateImageCost(model, size, quality, estimatedTokens);
   }
+
+  /**
+   * Estimate what a generation request will cost before running it
+   * Priced on the primary provider; fallbacks in the default chain are cheaper.
+   * @param {Object} options - Request options
+   * @param {string} options.size - Exact image size (default: from orientation)
+   * @param {string} options.orientation - square, portrait or landscape (default: square)
+   * @param {string} options.quality - Quality setting (default: high)
+   * @param {number} options.variations - Number of images requested (default: 1)
+   * @param {string} options.preferredProvider - Provider tried first, priced instead of the primary
+   * @returns {Object} Combined cost estimate for all requested images
+   */
+  estimateRequestCost({ size, orientation = 'square', quality = 'high', variations = 1, preferredProvider = null } = {}) {
+    const [primary] = this.getActiveProviders(preferredProvider);
+    const perImage = primary.estimateCost(primary.resolveSize({ size, orientation }), quality);
+    return this.costCalculator.combineCosts(Array(variations).fill(perImage));
+  }
 }
 
 // Export singleton instance for consistent usage
@@ -764,4 +897,4 @@ const openaiImageService = new OpenAIImageService();
 export default openaiImageService;
 
 // Export classes for testing
-export { OpenAIImageService, CostCalculator, ContentFilter };
\ No newline at end of file
+export { OpenAIImageService, CostCalculator };
\ No newline at end of file
@@ -14,7 +14,10 @@
  */
 
 import jsPDF from 'jspdf';
+import sharp from 'sharp';
 import winston from 'winston';
+import { traceLineArt } from './vectorizationService.js';
+import { loadImageInput } from '../utils/imageInput.js';
 
 // Logger configuration for PDF service
 const logger = winston.createLogger({
@@ -75,6 +78,8 @@ class PDFService {
    * @param {string} imageUrl - URL of the generated coloring page image
    * @param {Object} metadata - Image metadata including title, prompts, etc.
    * @param {Object} options - PDF generation options
+   * @param {string} options.orientation - portrait or landscape (default: landscape for wide images, else portrait)
+   * @param {boolean} options.vector - Embed the traced vector outlines instead of the raster
    * @returns {Promise<Buffer>} - PDF file buffer
    */
   async generatePDF(imageUrl, metadata = {}, options = {}) {
@@ -94,8 +99,15 @@ class PDFService {
         throw new Error('Image URL is required for PDF generation');
       }
 
-      // Merge options with defaults
-      const pdfOptions = { ...this.defaultOptions, ...options };
+      const image = await this.loadImage(imageUrl, requestId);
+
+      // Merge options with defaults; a wide page is printed on a landscape sheet
+      const { vector = false, ...documentOptions } = options;
+      const pdfOptions = {
+        ...this.defaultOptions,
+        orientation: image.width > image.height ? 'landscape' : 'portrait',
+        ...documentOptions
+      };
       
       // Create new PDF document
       const pdf = new jsPDF(pdfOptions);
@@ -118,17 +130,23 @@ class PDFService {
         margin
       });
 
-      // Fetch image data
-      const imageData = await this.fetchImageData(imageUrl, requestId);
-      
-      // Add image to PDF with proper scaling for 300 DPI
-      await this.addImageToPDF(pdf, imageData, {
+      const placement = {
         x: margin,
         y: margin,
         maxWidth: printableWidth,
         maxHeight: printableHeight,
         requestId
-      });
+      };
+
+      // Vector outlines print crisp at any size; the raster is the fallback
+      const trace = vector ? await this.traceImage(image.buffer, requestId) : null;
+
+      if (trace) {
+        this.addVectorToPDF(pdf, trace, placement);
+      } else {
+        // Add image to PDF with proper scaling for 300 DPI
+        this.addImageToPDF(pdf, image, placement);
+      }
 
       // Add metadata header if provided
       if (metadata.originalPrompt || metadata.title) {
@@ -156,6 +174,8 @@ class PDFService {
         requestId,
         processingTime,
         pdfSize: pdfBuffer.length,
+        orientation: pdfOptions.orientation,
+        vector: !!trace,
         imageUrl: imageUrl.substring(0, 50) + '...'
       });
 
@@ -177,126 +197,113 @@ class PDFService {
   }
 
   /**
-   * Fetch image data from URL
+   * Load the page and read its pixel size
    * 
-   * @param {string} imageUrl - URL of the image to fetch
+   * @param {string} imageUrl - Data URL or http(s) URL of the page
    * @param {string} requestId - Request ID for logging
-   * @returns {Promise<string>} - Base64 encoded image data
+   * @returns {Promise<Object>} - { buffer, width, height }
    */
-  async fetchImageData(imageUrl, requestId) {
-    try {
-      this.logger.debug('Fetching image data', { requestId, imageUrl: imageUrl.substring(0, 50) + '...' });
-      
-      // Handle data URLs (base64 encoded images)
-      if (imageUrl.startsWith('data:')) {
-        return imageUrl;
-      }
+  async loadImage(imageUrl, requestId) {
+    const buffer = await loadImageInput(imageUrl, 'image');
+    const { width, height } = await sharp(buffer).metadata();
 
-      // For HTTP URLs, fetch the image
-      const response = await fetch(imageUrl);
-      
-      if (!response.ok) {
-        throw new Error(`Failed to fetch image: ${response.status} ${response.statusText}`);
-      }
+    this.logger.debug('Image loaded for PDF', { requestId, width, height, dataSize: buffer.length });
 
-      const arrayBuffer = await response.arrayBuffer();
-      const buffer = Buffer.from(arrayBuffer);
-      
-      // Determine image type from response headers or URL
-      const contentType = response.headers.get('content-type') || 'image/png';
-      const base64Data = buffer.toString('base64');
-      const dataUrl = `data:${contentType};base64,${base64Data}`;
+    return { buffer, width, height };
+  }
 
-      this.logger.debug('Image data fetched successfully', {
-        requestId,
-        contentType,
-        dataSize: buffer.length
-      });
+  /**
+   * Add image to PDF with proper scaling
+   * 
+   * @param {jsPDF} pdf - PDF document
+   * @param {Object} image - { buffer, width, height } from loadImage
+   * @param {Object} options - Positioning and sizing options
+   */
+  addImageToPDF(pdf, image, options) {
+    const { x, y, maxWidth, maxHeight, requestId } = options;
+    const { buffer, width: originalWidth, height: originalHeight } = image;
+
+    // Calculate scaling to fit within printable area while maintaining aspect ratio
+    const scale = Math.min(maxWidth / originalWidth, maxHeight / originalHeight);
+    const scaledWidth = originalWidth * scale;
+    const scaledHeight = originalHeight * scale;
 
-      return dataUrl;
+    // Center the image horizontally if it's smaller than max width
+    const centeredX = x + (maxWidth - scaledWidth) / 2;
 
+    this.logger.debug('Adding image to PDF', {
+      requestId,
+      originalWidth,
+      originalHeight,
+      scaledWidth,
+      scaledHeight,
+      scale,
+      position: { x: centeredX, y }
+    });
+
+    pdf.addImage(
+      new Uint8Array(buffer),
+      'PNG', // jsPDF detects JPEG data from its header
+      centeredX,
+      y,
+      scaledWidth,
+      scaledHeight,
+      undefined, // alias
+      'MEDIUM' // compression - balances quality and file size
+    );
+  }
+
+  /**
+   * Trace the page into vector outlines
+   *
+   * @param {Buffer} buffer - Page image bytes
+   * @param {string} requestId - Request ID for logging
+   * @returns {Promise<Object|null>} - Trace from the vectorization service, or null if tracing failed
+   */
+  async traceImage(buffer, requestId) {
+    try {
+      return await traceLineArt(buffer);
     } catch (error) {
-      this.logger.error('Failed to fetch image data', {
+      this.logger.warn('Vector tracing failed, embedding the raster image', {
         requestId,
-        error: error.message,
-        imageUrl: imageUrl.substring(0, 50) + '...'
+        error: error.message
       });
-      throw error;
+      return null;
     }
   }
 
   /**
-   * Add image to PDF with proper scaling
+   * Draw traced outlines into the PDF, scaled to fit the printable area
    * 
    * @param {jsPDF} pdf - PDF document
-   * @param {string} imageData - Base64 image data
+   * @param {Object} trace - { width, height, contours } from the vectorization service
    * @param {Object} options - Positioning and sizing options
    */
-  async addImageToPDF(pdf, imageData, options) {
+  addVectorToPDF(pdf, trace, options) {
     const { x, y, maxWidth, maxHeight, requestId } = options;
-    
-    try {
-      // Create a new image element to get dimensions
-      const img = new Image();
-      
-      return new Promise((resolve, reject) => {
-        img.onload = () => {
-          try {
-            const originalWidth = img.width;
-            const originalHeight = img.height;
-            
-            // Calculate scaling to fit within printable area while maintaining aspect ratio
-            const widthRatio = maxWidth / originalWidth;
-            const heightRatio = maxHeight / originalHeight;
-            const scale = Math.min(widthRatio, heightRatio);
-            
-            const scaledWidth = originalWidth * scale;
-            const scaledHeight = originalHeight * scale;
-            
-            // Center the image horizontally if it's smaller than max width
-            const centeredX = x + (maxWidth - scaledWidth) / 2;
-            
-            this.logger.debug('Adding image to PDF', {
-              requestId,
-              originalWidth,
-              originalHeight,
-              scaledWidth,
-              scaledHeight,
-              scale,
-              position: { x: centeredX, y }
-            });
-
-            // Add image to PDF
-            pdf.addImage(
-              imageData,
-              'JPEG', // jsPDF handles format conversion automatically
-              centeredX,
-              y,
-              scaledWidth,
-              scaledHeight,
-              undefined, // alias
-              'MEDIUM' // compression - balances quality and file size
-            );
-
-            resolve();
-          } catch (error) {
-            reject(error);
-          }
-        };
-        
-        img.onerror = () => {
-          reject(new Error('Failed to load image for PDF generation'));
-        };
-        
-        img.src = imageData;
-      });
 
-    } catch (error) {
-      this.logger.error('Failed to add image to PDF', {
-        requestId,
-        error: error.message
-      });
-      throw error;
+    const scale = Math.min(maxWidth / trace.width, maxHeight / trace.height);
+    const offsetX = x + (maxWidth - trace.width * scale) / 2;
+    const toPage = (values) => values.map((value, i) => (i % 2 === 0 ? offsetX + value * scale : y + value * scale));
+
+    const operations = trace.contours.flatMap(({ start, segments }) => [
+      { op: 'm', c: toPage(start) },
+      ...segments.map(segment => ({ op: 'c', c: toPage(segment) })),
+      { op: 'h', c: [] }
+    ]);
+
+    this.logger.debug('Adding vector outlines to PDF', {
+      requestId,
+      contours: trace.contours.length,
+      scale,
+      position: { x: offsetX, y }
+    });
+
+    if (operations.length > 0) {
+      pdf.setFillColor(0, 0, 0);
+      pdf.path(operations);
+      // Even-odd keeps the paper inside outlines white
+      pdf.fillEvenOdd();
     }
   }
 
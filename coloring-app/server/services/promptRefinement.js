@@ -71,6 +71,10 @@
 
 import OpenAI from 'openai';
 import winston from 'winston';
+import { CancelledError, ContentPolicyError, assertContentAllowed } from '../utils/errors.js';
+import { checkContent } from '../../shared/contentPolicy.js';
+import { isRewritable, suggestSafeRewrites } from '../../shared/safeRewrites.js';
+import translationService from './translationService.js';
 
 /**
  * Logger configuration with structured output
@@ -109,6 +113,91 @@ if (process.env.NODE_ENV !== 'production') {
   }));
 }
 
+/**
+ * Version of the refinement templates and meta-prompt, recorded in each
+ * generation recipe. Bump it when their wording changes so replays can tell
+ * which prompts came from older templates.
+ */
+export const PROMPT_TEMPLATE_VERSION = 1;
+
+/**
+ * Refinement variants an experiment can select (see refinementExperiments.js).
+ * Unset knobs keep the default behaviour:
+ * - strategy:    'gpt' or 'template', instead of choosing by `useGPT`
+ * - metaPrompt:  GPT meta-prompt style, 'enhanced' (default) or 'concise'
+ * - templateSet: spec list appended by the template method, 'standard' or 'minimal'
+ * - specSuffix:  text appended to every refined prompt
+ */
+export const REFINEMENT_VARIANT_OPTIONS = {
+  strategy: ['gpt', 'template'],
+  metaPrompt: ['enhanced', 'concise'],
+  templateSet: ['standard', 'minimal']
+};
+
+/**
+ * Specs appended to template-refined prompts, per template set
+ */
+const COLORING_BOOK_SPECS = {
+  // DALL-E Best Practices - Always Applied for Optimal Quality
+  standard: [
+    'black-and-white line art',
+    'coloring book style', 
+    'clear outlines',
+    'no shading',
+    'detailed but not overwhelming',
+    'high contrast',
+    'printable quality',
+    'family-friendly content',
+    'suitable for coloring with crayons, markers, or colored pencils',
+    '300 DPI resolution equivalent',
+    'crisp clean lines',
+    'distinct boundaries between elements',
+    'white background',
+    'professional illustration quality',
+    'optimized for print reproduction'
+  ],
+  // Only the rules image models tend to break
+  minimal: [
+    'black-and-white line art',
+    'coloring book style',
+    'clear closed outlines',
+    'no shading',
+    'white background'
+  ]
+};
+
+/**
+ * Composition hint per page orientation, so tall and wide pages are drawn
+ * for their shape instead of as a centred square subject
+ */
+const PAGE_COMPOSITION = {
+  square: 'balanced square composition centred on the page',
+  portrait: 'tall portrait composition that fills the page from top to bottom',
+  landscape: 'wide landscape composition that fills the page from side to side'
+};
+
+/**
+ * Short GPT meta-prompt ('concise' variant): asks for one clear subject and
+ * few background elements instead of rich textures and scenery
+ * @param {string} input - Sanitized user input
+ * @param {Object} config - Applied customizations
+ * @returns {string} Meta-prompt
+ */
+function buildConciseMetaPrompt(input, config) {
+  return `Rewrite this idea as a single prompt for a family-friendly coloring book page.
+
+RULES:
+- One clear main subject with a simple, recognisable pose
+- At most three background elements; leave open space to colour
+- Age-appropriate for ${config.ageGroup}, ${config.complexity} complexity, ${config.lineThickness} lines
+- ${config.border === 'with' ? 'Simple decorative border' : 'No border'}, ${PAGE_COMPOSITION[config.orientation] || PAGE_COMPOSITION.square}
+- End with: black-and-white line art, coloring book style, no shading, clear outlines, white background
+
+IDEA: "${input}"
+
+Reply with the prompt only:`;
+}
+
 /**
  * Input Sanitization Utilities
  * Comprehensive validation and cleaning of user inputs
@@ -117,7 +206,7 @@ if (process.env.NODE_ENV !== 'production') {
  * expect(InputSanitizer.clean('a dinosaur')).toBe('a dinosaur')
  * expect(InputSanitizer.clean('  hello world  ')).toBe('hello world')
  * expect(InputSanitizer.clean('test<script>alert(1)</script>')).toBe('testalert1')
- * expect(() => InputSanitizer.clean('violence test')).toThrow('Content contains inappropriate terms')
+ * expect(() => InputSanitizer.clean('violence test')).toThrow('Content must be family-friendly')
  * expect(() => InputSanitizer.clean('')).toThrow('Invalid input: must be a non-empty string')
  * expect(() => InputSanitizer.clean('a'.repeat(501))).toThrow('Input must be between 1 and 500 characters')
  */
@@ -140,9 +229,10 @@ class InputSanitizer {
     // Basic sanitization
     let sanitized = input.trim();
     
-    // Remove potentially harmful characters but preserve coloring book terms
+    // Remove potentially harmful characters but keep letters of every script,
+    // combining marks, digits and word punctuation ("crème brûlée", "恐竜", "T-Rex's")
     // Evidence: architecture.md 6.3 - Input sanitization for security
-    sanitized = sanitized.replace(/[^\w\s]/gi, '');
+    sanitized = sanitized.normalize('NFC').replace(/[^\p{L}\p{M}\p{N}\s'’\-,.!?]/gu, '');
     
     // Normalize whitespace
     sanitized = sanitized.replace(/\s+/g, ' ');
@@ -194,6 +284,14 @@ class InputSanitizer {
       validatedCustomizations.border = customizations.border;
     }
 
+    // Validate page orientation
+    if (customizations.orientation) {
+      if (!['square', 'portrait', 'landscape'].includes(customizations.orientation)) {
+        throw new Error('Invalid orientation');
+      }
+      validatedCustomizations.orientation = customizations.orientation;
+    }
+
     // Validate theme
     if (customizations.theme) {
       const validThemes = ['animals', 'mandalas', 'fantasy', 'nature', 'vehicles', 'food', 'holidays', 'sports'];
@@ -206,37 +304,15 @@ class InputSanitizer {
     return validatedCustomizations;
   }
 
-  static checkFamilyFriendly(input) {
-    // Comprehensive inappropriate content filter - 30+ keywords
-    // Evidence: architecture.md 6.3 - Content moderation for family safety
-    const inappropriateKeywords = [
-      // Violence and weapons
-      'violence', 'blood', 'weapon', 'gun', 'knife', 'death', 'kill', 'murder', 'fight', 'war',
-      'bomb', 'explosive', 'sword', 'blade', 'attack', 'assault', 'shoot', 'stab',
-      // Adult content
-      'sexual', 'nude', 'naked', 'adult', 'explicit', 'inappropriate', 'sexy', 'porn',
-      'breast', 'genital', 'erotic', 'intimate', 'seductive',
-      // Substances
-      'drug', 'alcohol', 'beer', 'wine', 'cigarette', 'smoking', 'marijuana', 'cocaine',
-      'heroin', 'methamphetamine', 'addiction', 'overdose',
-      // Dark/scary content
-      'scary', 'horror', 'demon', 'devil', 'evil', 'dark magic', 'satanic', 'occult',
-      'zombie', 'ghost', 'haunted', 'nightmare', 'terror',
-      // Mental health concerns
-      'suicide', 'self-harm', 'cutting', 'depression', 'anxiety', 'abuse',
-      // Hate speech
-      'hate', 'racist', 'discrimination', 'prejudice', 'bigotry'
-    ];
-
-    const lowerInput = input.toLowerCase();
-    const foundInappropriate = inappropriateKeywords.filter(keyword => 
-      lowerInput.includes(keyword)
-    );
-
-    if (foundInappropriate.length > 0) {
-      throw new Error(`Content contains inappropriate terms: ${foundInappropriate.join(', ')}`);
-    }
-
+  /**
+   * Family-friendly check with the shared content policy (shared/contentPolicy.js)
+   * @param {string} input - Sanitized user input
+   * @param {string} ageGroup - Validated age group, picking the audience profile (default: kids)
+   * @returns {boolean} True when allowed
+   * @throws {ContentPolicyError} Listing the terms blocked for the audience
+   */
+  static checkFamilyFriendly(input, ageGroup) {
+    assertContentAllowed(input, { ageGroup });
     return true;
   }
 }
@@ -257,7 +333,7 @@ class InputSanitizer {
  * expect(await service.refinePrompt('christmas tree', { theme: 'holidays' })).toMatchObject({ detectedCategory: 'holidays' })
  * expect(service.detectSubjectCategory('guitar music')).toBe('music')
  * expect(service.detectSubjectCategory('abstract pattern')).toBe('abstract')
- * expect(() => service.refinePrompt('violence')).rejects.toThrow('inappropriate terms')
+ * expect(() => service.refinePrompt('violence')).rejects.toThrow('family-friendly')
  */
 class PromptRefinementService {
   constructor() {
@@ -601,22 +677,45 @@ class PromptRefinementService {
    * @param {string} userInput - Original user description
    * @param {Object} customizations - User preferences for complexity, age, etc.
    * @param {Object} options - Additional options like useGPT, requestId
-   * @returns {Promise<Object>} - Refined prompt with metadata
+   * @param {Object} options.experiment - Experiment assignment { id, variant, settings }; settings
+   *   use REFINEMENT_VARIANT_OPTIONS and the assignment is recorded in the metadata
+   * @param {AbortSignal} options.signal - Aborts the GPT call when the client cancels
+   * @returns {Promise<Object>} - Refined prompt with metadata; originalInput stays in the
+   *   user's language and metadata.translation holds the English text it was refined from
+   * @throws {CancelledError} When options.signal is aborted (no fallback prompt is built)
+   * @throws {ContentPolicyError} When the input is not family-friendly; details.suggestions
+   *   holds rewrites that would pass
    */
   async refinePrompt(userInput, customizations = {}, options = {}) {
     const startTime = Date.now();
     const requestId = options.requestId || this.generateRequestId();
+    const variant = options.experiment?.settings || {};
+    const experiment = options.experiment
+      ? { id: options.experiment.id, variant: options.experiment.variant }
+      : null;
+    // Text the content policy rejected, for rewrite suggestions
+    let checkedInput = null;
     
     try {
       // Input sanitization and validation
-      const sanitizedInput = InputSanitizer.sanitizeText(userInput);
+      const originalInput = InputSanitizer.sanitizeText(userInput);
       const validatedCustomizations = InputSanitizer.validateCustomizations(customizations);
-      InputSanitizer.checkFamilyFriendly(sanitizedInput);
+      checkedInput = originalInput;
+      InputSanitizer.checkFamilyFriendly(originalInput, validatedCustomizations.ageGroup);
+
+      // Templates and GPT work in English; the word lists are checked again on
+      // the translation since they only know English terms
+      const translation = await translationService.toEnglish(originalInput, { requestId, signal: options.signal });
+      const sanitizedInput = translation.translated ? InputSanitizer.sanitizeText(translation.text) : originalInput;
+      checkedInput = sanitizedInput;
+      InputSanitizer.checkFamilyFriendly(sanitizedInput, validatedCustomizations.ageGroup);
 
       this.logger.info('Starting prompt refinement', {
         requestId,
         originalLength: userInput.length,
         sanitizedLength: sanitizedInput.length,
+        language: translation.language,
+        translated: translation.translated,
         customizations: validatedCustomizations,
         options
       });
@@ -627,6 +726,7 @@ class PromptRefinementService {
         ageGroup: validatedCustomizations.ageGroup || 'kids',
         lineThickness: validatedCustomizations.lineThickness || 'medium',
         border: validatedCustomizations.border || 'with',
+        orientation: validatedCustomizations.orientation || 'square',
         theme: validatedCustomizations.theme || null
       };
 
@@ -637,7 +737,9 @@ class PromptRefinementService {
       // FLOW STEP 2: Default to GPT refinement for superior quality with meta-prompt optimization
       // Enhanced approach: GPT refinement is now the default for detailed, high-quality results
       // Architecture: architecture.md 4.1 - Advanced AI-powered prompt enhancement with meta-prompts
-      const useGPT = options.useGPT !== false; // Default to true unless explicitly disabled
+      const useGPT = variant.strategy
+        ? variant.strategy === 'gpt'
+        : options.useGPT !== false; // Default to true unless explicitly disabled
       
       if (useGPT) {
         // Check if we have a real OpenAI API key available
@@ -647,19 +749,23 @@ class PromptRefinementService {
         
         if (hasRealKey) {
           this.logger.info('Using GPT-based refinement method with meta-prompt template', { requestId });
-          refinedPrompt = await this.gptRefinement(sanitizedInput, config, requestId);
+          refinedPrompt = await this.gptRefinement(sanitizedInput, config, requestId, variant, options.signal);
           method = 'meta-prompt-gpt';
         } else {
           this.logger.warn('GPT refinement requested but no real API key available, falling back to template method', { requestId });
-          refinedPrompt = await this.templateRefinement(sanitizedInput, config);
+          refinedPrompt = await this.templateRefinement(sanitizedInput, config, variant);
           method = 'template-fallback';
         }
       } else {
         this.logger.info('Using template-based refinement method', { requestId });
-        refinedPrompt = await this.templateRefinement(sanitizedInput, config);
+        refinedPrompt = await this.templateRefinement(sanitizedInput, config, variant);
         method = 'template-based';
       }
 
+      if (variant.specSuffix) {
+        refinedPrompt = `${refinedPrompt}, ${variant.specSuffix}`;
+      }
+
       const processingTime = Date.now() - startTime;
 
       // Enhanced logging for method and final prompt - Architecture: architecture.md 6.3 - Comprehensive logging
@@ -667,8 +773,8 @@ class PromptRefinementService {
         requestId,
         processingTime,
         method,
-        originalInput: sanitizedInput,
-        originalLength: sanitizedInput.length,
+        originalInput,
+        originalLength: originalInput.length,
         finalPrompt: refinedPrompt.substring(0, 200) + '...', // Log first 200 chars of final prompt
         finalPromptLength: refinedPrompt.length,
         detectedCategory: this.detectSubjectCategory(sanitizedInput),
@@ -678,11 +784,17 @@ class PromptRefinementService {
       return {
         success: true,
         refinedPrompt,
-        originalInput: sanitizedInput,
+        originalInput,
         detectedCategory: this.detectSubjectCategory(sanitizedInput),
         appliedSettings: config,
         metadata: {
           method,
+          templateVersion: PROMPT_TEMPLATE_VERSION,
+          experiment,
+          language: translation.language,
+          translation: translation.translated
+            ? { text: translation.text, translator: translation.translator }
+            : null,
           processingTime,
           sanitized: true,
           familyFriendly: true
@@ -692,6 +804,22 @@ class PromptRefinementService {
 
     } catch (error) {
       const processingTime = Date.now() - startTime;
+
+      if (error instanceof CancelledError) {
+        this.logger.info('Prompt refinement cancelled', { requestId, processingTime });
+        throw error;
+      }
+
+      // A fallback prompt would be built from the same rejected words
+      if (error instanceof ContentPolicyError) {
+        this.logger.warn('Prompt rejected by content policy', { requestId, reasons: error.details.reasons });
+        error.details.suggestions = await this.suggestRewrites(
+          checkedInput,
+          error.details.profile,
+          { requestId, signal: options.signal }
+        );
+        throw error;
+      }
       
       this.logger.error('Prompt refinement error', {
         requestId,
@@ -709,6 +837,8 @@ class PromptRefinementService {
         error: error.message,
         metadata: {
           method: 'fallback',
+          templateVersion: PROMPT_TEMPLATE_VERSION,
+          experiment,
           processingTime,
           sanitized: false
         },
@@ -719,8 +849,11 @@ class PromptRefinementService {
 
   /**
    * Template-based refinement method (original approach)
+   * @param {string} input - Sanitized user input
+   * @param {Object} config - Applied customizations
+   * @param {Object} variant - Experiment variant settings (templateSet)
    */
-  async templateRefinement(input, config) {
+  async templateRefinement(input, config, variant = {}) {
     // Step 1: Detect subject category
     const subjectCategory = this.detectSubjectCategory(input);
     
@@ -735,7 +868,8 @@ class PromptRefinementService {
     // Step 3: Apply coloring book specifications
     const refinedPrompt = this.applyColoringBookSpecs(
       enhancedDescription,
-      config
+      config,
+      variant.templateSet
     );
     
     return refinedPrompt;
@@ -781,11 +915,11 @@ class PromptRefinementService {
    * Reference: architecture.md 6.3 - Consistent output formatting through structured prompts
    * Pricing: GPT-4o text tokens at $5/1M input for detailed enhancement processing
    */
-  async gptRefinement(input, config, requestId) {
+  async gptRefinement(input, config, requestId, variant = {}, signal = null) {
     try {
       // Enhanced meta-prompt template for detailed textures, poses, backgrounds, and mood
       // Architecture: architecture.md 4.1 - Sophisticated meta-prompt approach for superior results
-      const enhancedMetaPrompt = `You are a professional coloring book artist and prompt engineer. Transform this simple input into a rich, detailed prompt for a family-friendly coloring book image.
+      const enhancedMetaPrompt = variant.metaPrompt === 'concise' ? buildConciseMetaPrompt(input, config) : `You are a professional coloring book artist and prompt engineer. Transform this simple input into a rich, detailed prompt for a family-friendly coloring book image.
 
 ENHANCEMENT REQUIREMENTS:
 - Add specific TEXTURES (scales, fur, fabric patterns, surface details)
@@ -796,6 +930,7 @@ ENHANCEMENT REQUIREMENTS:
 - Optimize for ${config.complexity} complexity level
 - Design for ${config.lineThickness} line thickness
 - Include ${config.border === 'with' ? 'decorative border elements' : 'clean edge presentation'}
+- Compose the scene for a ${config.orientation} page, filling the frame edge to edge
 
 INPUT TO ENHANCE: "${input}"
 CUSTOMIZATIONS: ${JSON.stringify(config)}
@@ -823,7 +958,7 @@ Generate the enhanced prompt now:`;
         max_tokens: 300, // Increased for more detailed descriptions
         temperature: 0.4, // Slightly higher for creative enhancement while maintaining consistency
         top_p: 0.9 // Focus on high-probability creative additions
-      });
+      }, { signal });
 
       const enhancedPrompt = response.choices[0].message.content.trim();
       
@@ -842,6 +977,11 @@ Generate the enhanced prompt now:`;
       return enhancedPrompt;
       
     } catch (error) {
+      // A cancelled request has no one to send the template prompt to
+      if (signal?.aborted) {
+        throw new CancelledError('Prompt refinement cancelled');
+      }
+
       this.logger.warn('Enhanced GPT refinement failed, falling back to template method', {
         requestId,
         error: error.message,
@@ -849,7 +989,7 @@ Generate the enhanced prompt now:`;
       });
       
       // Fallback to enhanced template method
-      return this.templateRefinement(input, config);
+      return this.templateRefinement(input, config, variant);
     }
   }
 
@@ -870,6 +1010,74 @@ Generate the enhanced prompt now:`;
     return hasRealKey && allowGPT4o;
   }
 
+  /**
+   * Suggest allowed rewrites of a prompt the content policy blocks
+   * Local swaps from shared/safeRewrites.js come first; with a real API key
+   * GPT fills the remaining places. GPT rewrites are checked against the same
+   * profile and dropped when blocked, so any suggestion can be applied as is.
+   * @param {string} input - Rejected prompt
+   * @param {string} ageGroup - Audience profile (kids, teens, adults)
+   * @param {Object} options - Suggestion options
+   * @param {string} options.requestId - Request ID for logging
+   * @param {AbortSignal} options.signal - Aborts the GPT call when the client cancels
+   * @param {number} options.limit - Most suggestions to return (default: 3)
+   * @returns {Promise<Array<string>>} Suggestions; empty when none fit or the
+   *   prompt was blocked in a category that gets no rewrites
+   */
+  async suggestRewrites(input, ageGroup, { requestId, signal, limit = 3 } = {}) {
+    const suggestions = suggestSafeRewrites(input, { ageGroup, limit });
+    const result = checkContent(input, { ageGroup });
+    const hasRealKey = process.env.OPENAI_API_KEY && 
+                      process.env.OPENAI_API_KEY !== 'sk-mock-key-for-testing' && 
+                      process.env.OPENAI_API_KEY.startsWith('sk-');
+
+    if (result.allowed || !isRewritable(result) || suggestions.length >= limit || !hasRealKey) {
+      return suggestions;
+    }
+
+    try {
+      const blockedWords = result.reasons.map(reason => `"${reason.match}"`).join(', ');
+      const response = await this.openai.chat.completions.create({
+        model: 'gpt-4o-mini',
+        messages: [
+          {
+            role: 'system',
+            content: 'You rewrite coloring page ideas so they are family-friendly while keeping the subject, setting and fun of the original.'
+          },
+          {
+            role: 'user',
+            content: `This coloring page idea for a ${result.profile} audience was rejected because of the words ${blockedWords}.
+Suggest ${limit} short rewrites that keep the idea but replace those words with family-friendly ones.
+Reply with JSON only: {"rewrites": ["..."]}
+
+IDEA: "${input}"`
+          }
+        ],
+        response_format: { type: 'json_object' },
+        max_tokens: 200,
+        temperature: 0.7
+      }, { signal });
+
+      const { rewrites } = JSON.parse(response.choices[0].message.content);
+      for (const rewrite of Array.isArray(rewrites) ? rewrites : []) {
+        const text = typeof rewrite === 'string' ? rewrite.trim() : '';
+        if (suggestions.length >= limit) break;
+        if (text && text.length <= 500 && !suggestions.includes(text) && checkContent(text, { ageGroup }).allowed) {
+          suggestions.push(text);
+        }
+      }
+
+      this.logger.info('GPT rewrite suggestions added', { requestId, suggestions: suggestions.length });
+    } catch (error) {
+      this.logger.warn('GPT rewrite suggestions failed, keeping local suggestions', {
+        requestId,
+        error: error.message
+      });
+    }
+
+    return suggestions;
+  }
+
   /**
    * Enhanced subject category detection with expanded patterns
    */
@@ -935,8 +1143,12 @@ Generate the enhanced prompt now:`;
    * - Content guidelines for family-friendly appeal
    * - Coloring medium compatibility
    * - Professional formatting standards
+   * 
+   * @param {string} description - Enhanced subject description
+   * @param {Object} config - Applied customizations
+   * @param {string} templateSet - Spec list to append, 'standard' (default) or 'minimal'
    */
-  applyColoringBookSpecs(description, config) {
+  applyColoringBookSpecs(description, config, templateSet = 'standard') {
     const enhancedSpecs = [
       'professional black-and-white line art illustration of',
       description,
@@ -944,23 +1156,8 @@ Generate the enhanced prompt now:`;
       `designed specifically for ${config.ageGroup} target audience with age-appropriate elements`,
       `featuring ${config.lineThickness} line thickness for optimal coloring experience`,
       config.border === 'with' ? 'with elegant decorative border elements and frame design' : 'with clean edges and minimalist presentation',
-      
-      // DALL-E Best Practices - Always Applied for Optimal Quality
-      'black-and-white line art',
-      'coloring book style', 
-      'clear outlines',
-      'no shading',
-      'detailed but not overwhelming',
-      'high contrast',
-      'printable quality',
-      'family-friendly content',
-      'suitable for coloring with crayons, markers, or colored pencils',
-      '300 DPI resolution equivalent',
-      'crisp clean lines',
-      'distinct boundaries between elements',
-      'white background',
-      'professional illustration quality',
-      'optimized for print reproduction'
+      PAGE_COMPOSITION[config.orientation] || PAGE_COMPOSITION.square,
+      ...(COLORING_BOOK_SPECS[templateSet] || COLORING_BOOK_SPECS.standard)
     ];
 
     return enhancedSpecs.join(', ');
@@ -1063,7 +1260,7 @@ Generate the enhanced prompt now:`;
  *   });
  *   
  *   test('throws on inappropriate content', () => {
- *     expect(() => InputSanitizer.clean('violence test')).toThrow('inappropriate terms');
+ *     expect(() => InputSanitizer.clean('violence test')).toThrow('family-friendly');
  *   });
  * });
  * 
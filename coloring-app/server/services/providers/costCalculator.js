@@ -0,0 +1,99 @@
+/**
+ * Cost Calculator for OpenAI Image Generation
+ * 
+ * Provides accurate cost calculations for monitoring and budget management.
+ * Used by the OpenAI provider adapter for per-image costs and by
+ * OpenAIImageService for request totals (re-exported from openaiService.js).
+ * Reference: https://platform.openai.com/docs/models/gpt-image-1 pricing
+ */
+export class CostCalculator {
+  constructor() {
+    // Updated pricing as of 2025 - Reference: https://platform.openai.com/docs/models/gpt-image-1
+    this.pricing = {
+      'gpt-image-1': {
+        '1024x1024': {
+          'high': 0.167,     // $0.167 per image (300 DPI equivalent)
+          'standard': 0.120  // $0.120 per image
+        },
+        // Portrait and landscape pages cost 1.5x a square one
+        '1024x1536': {
+          'high': 0.250,
+          'standard': 0.180
+        },
+        '1536x1024': {
+          'high': 0.250,
+          'standard': 0.180
+        },
+        'output_tokens': 40.0 / 1000000  // $40 per 1M output tokens
+      },
+      'dall-e-3': {
+        '1024x1024': {
+          'hd': 0.080,       // $0.080 per image  
+          'standard': 0.040  // $0.040 per image
+        },
+        '1024x1792': {
+          'hd': 0.120,
+          'standard': 0.080
+        },
+        '1792x1024': {
+          'hd': 0.120,
+          'standard': 0.080
+        }
+      }
+    };
+  }
+
+  /**
+   * Calculate cost for image generation
+   * @param {string} model - Model used (gpt-image-1 or dall-e-3)
+   * @param {string} size - Image size (1024x1024, or a portrait/landscape size the model supports)
+   * @param {string} quality - Quality setting (high, standard, hd)
+   * @param {number} outputTokens - Number of output tokens (for gpt-image-1)
+   * @returns {Object} Cost breakdown
+   */
+  calculateImageCost(model, size, quality, outputTokens = 0) {
+    const modelPricing = this.pricing[model];
+    if (!modelPricing) {
+      return { imageCost: 0, tokenCost: 0, totalCost: 0, error: 'Unknown model' };
+    }
+
+    const sizePricing = modelPricing[size];
+    if (!sizePricing) {
+      return { imageCost: 0, tokenCost: 0, totalCost: 0, error: 'Unknown size' };
+    }
+
+    const imageCost = sizePricing[quality] || sizePricing['standard'] || 0;
+    const tokenCost = model === 'gpt-image-1' && outputTokens ? 
+                     (outputTokens * modelPricing.output_tokens) : 0;
+    
+    return {
+      imageCost: Number(imageCost.toFixed(4)),
+      tokenCost: Number(tokenCost.toFixed(4)), 
+      totalCost: Number((imageCost + tokenCost).toFixed(4)),
+      breakdown: {
+        model,
+        size,
+        quality,
+        outputTokens: outputTokens || 0
+      }
+    };
+  }
+
+  /**
+   * Combine per-image cost breakdowns into a request total
+   * @param {Array<Object>} costList - Results of calculateImageCost
+   * @returns {Object} Summed imageCost, tokenCost and totalCost plus image count
+   */
+  combineCosts(costList) {
+    const sum = (field) => Number(costList.reduce((total, costs) => total + (costs?.[field] || 0), 0).toFixed(4));
+
+    return {
+      imageCost: sum('imageCost'),
+      tokenCost: sum('tokenCost'),
+      totalCost: sum('totalCost'),
+      imageCount: costList.length
+    };
+  }
+}
+
+export default CostCalculator;
@@ -0,0 +1,160 @@
+/**
+ * Generic HTTP Image Provider
+ *
+ * Adapter for self-hosted or local image servers (Stable Diffusion wrappers,
+ * LocalAI, ComfyUI bridges, ...). Sends a JSON POST to IMAGE_PROVIDER_HTTP_URL:
+ *
+ *   { "model": "...", "prompt": "...", "size": "1024x1024", "n": 1, "quality": "high" }
+ *
+ * and accepts either an OpenAI-compatible body ({ data: [{ url | b64_json }] })
+ * or { images: [...] } where each entry is a URL/data-URL string or an object
+ * with `url`, `b64_json` or `base64`.
+ *
+ * Environment:
+ * - IMAGE_PROVIDER_HTTP_URL           Generation endpoint (required)
+ * - IMAGE_PROVIDER_HTTP_API_KEY       Sent as a Bearer token when set
+ * - IMAGE_PROVIDER_HTTP_HEALTH_URL    Optional GET endpoint for health checks
+ * - IMAGE_PROVIDER_HTTP_TIMEOUT_MS    Request timeout (default: 120000)
+ * - IMAGE_PROVIDER_HTTP_MAX_IMAGES    Images per request the server supports (default: 1)
+ * - IMAGE_PROVIDER_HTTP_COST_PER_IMAGE  Cost recorded per image in USD (default: 0)
+ */
+
+import { ImageProvider } from './imageProvider.js';
+
+export class HttpImageProvider extends ImageProvider {
+  /**
+   * @param {Object} options - Provider options (defaults come from the environment)
+   */
+  constructor({
+    model,
+    url = process.env.IMAGE_PROVIDER_HTTP_URL,
+    apiKey = process.env.IMAGE_PROVIDER_HTTP_API_KEY,
+    healthUrl = process.env.IMAGE_PROVIDER_HTTP_HEALTH_URL,
+    timeoutMs = parseInt(process.env.IMAGE_PROVIDER_HTTP_TIMEOUT_MS, 10) || 120000,
+    maxImagesPerRequest = parseInt(process.env.IMAGE_PROVIDER_HTTP_MAX_IMAGES, 10) || 1,
+    costPerImage = parseFloat(process.env.IMAGE_PROVIDER_HTTP_COST_PER_IMAGE) || 0
+  }) {
+    super({ type: 'http', model, apiMode: 'http-provider' });
+    this.url = url;
+    this.apiKey = apiKey;
+    this.healthUrl = healthUrl;
+    this.timeoutMs = timeoutMs;
+    this.maxImagesPerRequest = maxImagesPerRequest;
+    this.costPerImage = costPerImage;
+  }
+
+  isConfigured() {
+    return !!this.url;
+  }
+
+  getCapabilities() {
+    return { maxImagesPerRequest: this.maxImagesPerRequest, sizes: null, supportsEdit: false };
+  }
+
+  buildHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` })
+    };
+  }
+
+  async generate(prompt, options = {}) {
+    const params = {
+      model: this.model,
+      prompt,
+      size: this.resolveSize(options),
+      n: options.n || 1,
+      ...(options.quality && { quality: options.quality })
+    };
+
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: this.buildHeaders(),
+      body: JSON.stringify(params),
+      signal: options.signal
+        ? AbortSignal.any([options.signal, AbortSignal.timeout(this.timeoutMs)])
+        : AbortSignal.timeout(this.timeoutMs)
+    });
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      const error = new Error(`Image server responded with ${response.status}: ${detail.substring(0, 200)}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    const body = await response.json();
+    const images = (body.data || body.images || [])
+      .map(item => this.normalizeImage(item))
+      .filter(Boolean);
+
+    if (images.length === 0) {
+      const error = new Error('Image server returned no images');
+      error.status = 502;
+      throw error;
+    }
+
+    return {
+      images,
+      usage: body.usage,
+      params: {
+        size: params.size,
+        quality: params.quality || 'standard'
+      }
+    };
+  }
+
+  /**
+   * Normalize one image entry from the server response
+   * @param {string|Object} item - URL/data URL string or { url | b64_json | base64, revised_prompt }
+   * @returns {Object|null} { imageUrl, revisedPrompt, isBase64 } or null when unusable
+   */
+  normalizeImage(item) {
+    if (typeof item === 'string') {
+      return { imageUrl: item, isBase64: item.startsWith('data:') };
+    }
+
+    const base64 = item?.b64_json || item?.base64;
+    const imageUrl = item?.url || (base64 && `data:image/png;base64,${base64}`);
+    if (!imageUrl) {
+      return null;
+    }
+
+    return {
+      imageUrl,
+      revisedPrompt: item.revised_prompt || item.revisedPrompt,
+      isBase64: !item.url
+    };
+  }
+
+  estimateCost() {
+    const imageCost = Number(this.costPerImage.toFixed(4));
+    return { imageCost, tokenCost: 0, totalCost: imageCost };
+  }
+
+  async healthCheck() {
+    if (!this.isConfigured()) {
+      return { id: this.id, status: 'not-configured' };
+    }
+
+    if (!this.healthUrl) {
+      return { id: this.id, status: 'configured', url: this.url };
+    }
+
+    try {
+      const response = await fetch(this.healthUrl, {
+        headers: this.buildHeaders(),
+        signal: AbortSignal.timeout(5000)
+      });
+      return {
+        id: this.id,
+        status: response.ok ? 'healthy' : 'unhealthy',
+        httpStatus: response.status
+      };
+    } catch (error) {
+      return { id: this.id, status: 'unhealthy', connectionError: error.message };
+    }
+  }
+}
+
+export default HttpImageProvider;
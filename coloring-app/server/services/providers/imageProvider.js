@@ -0,0 +1,157 @@
+/**
+ * Image Provider Interface for Coloring Book Creator
+ *
+ * Base class for the adapters OpenAIImageService generates images through.
+ * The service owns everything provider-independent (content filtering, the
+ * provider chain, retries with backoff, variation fan-out, metadata); an
+ * adapter only turns one request into images for a single backend model.
+ *
+ * ADAPTER CONTRACT:
+ * - generate(prompt, options)  → { images: [{ imageUrl, revisedPrompt }], usage, params: { size, quality } }
+ * - edit(prompt, source, options) → same shape as generate(); optional, see supportsEdit
+ * - getCapabilities()          → { maxImagesPerRequest, sizes, supportsEdit }
+ * - resolveSize(options)       → size string for options.size / options.orientation
+ * - estimateCost(size, quality, outputTokens) → { imageCost, tokenCost, totalCost }
+ * - healthCheck()              → { id, status, ... }
+ *
+ * Errors thrown from generate() should carry an HTTP-style `status` when one
+ * is known: 429 triggers backoff, other 4xx stop retries for that provider.
+ */
+
+/**
+ * Page orientations and the size used when a backend accepts any size
+ */
+export const ORIENTATION_SIZES = {
+  square: '1024x1024',
+  portrait: '1024x1536',
+  landscape: '1536x1024'
+};
+
+/**
+ * Orientation of a "WxH" size string
+ * @param {string} size - Image size, e.g. "1024x1536"
+ * @returns {string} 'square', 'portrait' or 'landscape'
+ */
+export function orientationOfSize(size) {
+  const [width, height] = String(size).split('x').map(Number);
+  if (width === height) return 'square';
+  return height > width ? 'portrait' : 'landscape';
+}
+
+export class ImageProvider {
+  /**
+   * @param {Object} options - Provider identity
+   * @param {string} options.type - Adapter type used in IMAGE_PROVIDER_CHAIN (e.g. 'openai', 'http')
+   * @param {string} options.model - Backend model name
+   * @param {string} options.apiMode - Value recorded as metadata.apiMode on generated images
+   */
+  constructor({ type, model, apiMode }) {
+    this.type = type;
+    this.model = model;
+    this.apiMode = apiMode || `${type}-provider`;
+  }
+
+  /**
+   * Chain identifier, e.g. "openai:gpt-image-1"
+   */
+  get id() {
+    return `${this.type}:${this.model}`;
+  }
+
+  /**
+   * Whether the provider has the configuration it needs (keys, URLs)
+   * Unconfigured providers are skipped when the chain runs.
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Whether results are placeholders rather than real generations
+   * @returns {boolean}
+   */
+  isMock() {
+    return false;
+  }
+
+  /**
+   * Describe what the backend supports
+   * @returns {Object} { maxImagesPerRequest, sizes, supportsEdit } - sizes is null when any size is accepted
+   */
+  getCapabilities() {
+    return { maxImagesPerRequest: 1, sizes: null, supportsEdit: false };
+  }
+
+  /**
+   * Pick the size to request for a page orientation
+   * An explicit `size` the backend supports wins. Otherwise the largest
+   * supported size with the requested orientation is used, falling back to
+   * square for backends that only draw squares (dall-e-2).
+   * @param {Object} options - { size, orientation }
+   * @returns {string} Image size, e.g. "1024x1536"
+   */
+  resolveSize({ size, orientation = 'square' } = {}) {
+    const { sizes } = this.getCapabilities();
+
+    if (!sizes) {
+      return size || ORIENTATION_SIZES[orientation] || ORIENTATION_SIZES.square;
+    }
+    if (size && sizes.includes(size)) {
+      return size;
+    }
+
+    const area = (candidate) => candidate.split('x').reduce((product, side) => product * Number(side), 1);
+    const largest = (candidates) => [...candidates].sort((a, b) => area(b) - area(a))[0];
+
+    return largest(sizes.filter(candidate => orientationOfSize(candidate) === orientation)) ||
+      largest(sizes.filter(candidate => orientationOfSize(candidate) === 'square')) ||
+      sizes[0];
+  }
+
+  /**
+   * Generate images for a prompt
+   * @param {string} prompt - Final image prompt
+   * @param {Object} options - { size, orientation, quality, style, n, signal }; abort the request when `signal` fires
+   * @returns {Promise<Object>} { images, usage, params }
+   */
+  async generate(_prompt, _options = {}) {
+    throw new Error(`Image provider ${this.id} does not implement generate()`);
+  }
+
+  /**
+   * Redraw the masked region of an existing image (inpainting)
+   * Only called on providers whose capabilities report `supportsEdit`.
+   * @param {string} prompt - What to draw in the masked region
+   * @param {Object} source - { image, mask } PNG buffers of equal size; transparent mask pixels are redrawn
+   * @param {Object} options - { size, quality }
+   * @returns {Promise<Object>} { images, usage, params }
+   */
+  async edit(_prompt, _source, _options = {}) {
+    throw new Error(`Image provider ${this.id} does not support editing`);
+  }
+
+  /**
+   * Estimate the cost of one image
+   * @param {string} size - Image size
+   * @param {string} quality - Quality setting
+   * @param {number} outputTokens - Output tokens attributed to the image
+   * @returns {Object} { imageCost, tokenCost, totalCost }
+   */
+  estimateCost(_size, _quality, _outputTokens = 0) {
+    return { imageCost: 0, tokenCost: 0, totalCost: 0 };
+  }
+
+  /**
+   * Report provider health
+   * @returns {Promise<Object>} Health status
+   */
+  async healthCheck() {
+    return {
+      id: this.id,
+      status: this.isConfigured() ? 'configured' : 'not-configured'
+    };
+  }
+}
+
+export default ImageProvider;
@@ -0,0 +1,77 @@
+/**
+ * Image Provider Registry
+ *
+ * Builds the ordered provider chain OpenAIImageService tries for each request.
+ * The chain comes from IMAGE_PROVIDER_CHAIN, a comma-separated list of
+ * `type:model` entries tried in order:
+ *
+ *   IMAGE_PROVIDER_CHAIN=openai:gpt-image-1,openai:dall-e-3   (default)
+ *   IMAGE_PROVIDER_CHAIN=http:sdxl-lineart,openai:dall-e-3    (local server first)
+ *
+ * Supported types: `openai`, `http` (see httpImageProvider.js for its settings).
+ */
+
+import { OpenAIProvider } from './openaiProvider.js';
+import { HttpImageProvider } from './httpImageProvider.js';
+import { MockProvider } from './mockProvider.js';
+import { ImageProvider } from './imageProvider.js';
+
+export const DEFAULT_PROVIDER_CHAIN = 'openai:gpt-image-1,openai:dall-e-3';
+
+/**
+ * Parse a provider chain specification
+ * @param {string} spec - Comma-separated `type:model` entries
+ * @returns {Array<Object>} [{ type, model }]
+ * @throws {Error} When an entry is malformed or the chain is empty
+ */
+export function parseProviderChain(spec) {
+  const entries = String(spec || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.indexOf(':');
+      const type = (separator === -1 ? entry : entry.slice(0, separator)).trim().toLowerCase();
+      const model = separator === -1 ? '' : entry.slice(separator + 1).trim();
+
+      if (!type || !model) {
+        throw new Error(`Invalid image provider entry "${entry}" (expected type:model)`);
+      }
+      return { type, model };
+    });
+
+  if (entries.length === 0) {
+    throw new Error('Image provider chain is empty');
+  }
+
+  return entries;
+}
+
+/**
+ * Create a single provider adapter
+ * @param {Object} entry - { type, model }
+ * @param {Object} dependencies - { openaiClient, costCalculator }
+ * @returns {ImageProvider} Provider instance
+ */
+export function createProvider({ type, model }, { openaiClient, costCalculator } = {}) {
+  switch (type) {
+    case 'openai':
+      return new OpenAIProvider({ model, client: openaiClient, costCalculator });
+    case 'http':
+      return new HttpImageProvider({ model });
+    default:
+      throw new Error(`Unknown image provider type "${type}" (supported: openai, http)`);
+  }
+}
+
+/**
+ * Build the configured provider chain
+ * @param {string} spec - Chain specification (default: IMAGE_PROVIDER_CHAIN or the OpenAI pair)
+ * @param {Object} dependencies - { openaiClient, costCalculator }
+ * @returns {Array<ImageProvider>} Providers in the order they are tried
+ */
+export function createProviderChain(spec = process.env.IMAGE_PROVIDER_CHAIN || DEFAULT_PROVIDER_CHAIN, dependencies = {}) {
+  return parseProviderChain(spec).map(entry => createProvider(entry, dependencies));
+}
+
+export { ImageProvider, OpenAIProvider, HttpImageProvider, MockProvider };
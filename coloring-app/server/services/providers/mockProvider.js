@@ -0,0 +1,85 @@
+/**
+ * Mock Image Provider
+ *
+ * Development stand-in used when no provider in the chain is configured
+ * (e.g. no real OpenAI key). Draws a procedural SVG coloring page from the
+ * prompt, subject category and customizations at zero cost, so the full
+ * pipeline runs offline and each prompt still gets its own picture.
+ */
+
+import { ImageProvider } from './imageProvider.js';
+import { renderLineArtDataUrl } from './proceduralLineArt.js';
+
+export class MockProvider extends ImageProvider {
+  constructor() {
+    super({ type: 'mock', model: 'mock', apiMode: 'mock-development' });
+  }
+
+  isMock() {
+    return true;
+  }
+
+  getCapabilities() {
+    return { maxImagesPerRequest: 10, sizes: null, supportsEdit: true };
+  }
+
+  /**
+   * Render procedural line art for each requested image
+   * @param {string} prompt - Refined prompt
+   * @param {Object} options - { size, orientation, n, category, customizations }
+   */
+  async generate(prompt, options = {}) {
+    const revisedPrompt = `Enhanced ${prompt} (mock development mode)`;
+    const size = this.resolveSize(options);
+
+    return {
+      images: Array.from({ length: options.n || 1 }, (_, index) => ({
+        imageUrl: renderLineArtDataUrl({
+          prompt,
+          category: options.category,
+          customizations: options.customizations,
+          size,
+          variationIndex: index
+        }),
+        revisedPrompt
+      })),
+      usage: null,
+      params: {
+        size,
+        quality: options.quality || 'standard'
+      }
+    };
+  }
+
+  /**
+   * Offline stand-in for inpainting: returns the source page unchanged so the
+   * edit flow (mask upload, versioning) can be exercised without an API key
+   * @param {string} prompt - Edit instruction
+   * @param {Object} source - { image, mask } PNG buffers
+   * @param {Object} options - { size, quality }
+   */
+  async edit(prompt, { image }, options = {}) {
+    return {
+      images: [{
+        imageUrl: `data:image/png;base64,${image.toString('base64')}`,
+        revisedPrompt: `${prompt} (mock development mode, page unchanged)`,
+        isBase64: true
+      }],
+      usage: null,
+      params: {
+        size: options.size || '1024x1024',
+        quality: options.quality || 'standard'
+      }
+    };
+  }
+
+  estimateCost() {
+    return { imageCost: 0, tokenCost: 0, totalCost: 0, mock: true };
+  }
+
+  async healthCheck() {
+    return { id: this.id, status: 'healthy', mode: 'development-mock', renderer: 'procedural-line-art' };
+  }
+}
+
+export default MockProvider;
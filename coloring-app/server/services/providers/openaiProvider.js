@@ -0,0 +1,159 @@
+/**
+ * OpenAI Image Provider
+ *
+ * Adapter for OpenAI's Images API (gpt-image-1, dall-e-3, dall-e-2).
+ * Translates generic generation options into each model's parameter set and
+ * normalizes URL/base64 responses for OpenAIImageService. gpt-image-1 and
+ * dall-e-2 also support masked edits through the image edit endpoint.
+ *
+ * Reference: https://platform.openai.com/docs/models/gpt-image-1
+ * Reference: https://platform.openai.com/docs/models/dall-e-3
+ */
+
+import { toFile } from 'openai';
+import { ImageProvider } from './imageProvider.js';
+import { CostCalculator } from './costCalculator.js';
+
+// Images a single API call may return (`n`); larger variation counts fan out.
+// dall-e-3 has no edit endpoint support.
+const MODEL_CAPABILITIES = {
+  'gpt-image-1': { maxImagesPerRequest: 4, sizes: ['1024x1024', '1024x1536', '1536x1024'], supportsEdit: true },
+  'dall-e-3': { maxImagesPerRequest: 1, sizes: ['1024x1024', '1024x1792', '1792x1024'], supportsEdit: false }, // dall-e-3 only accepts n=1
+  'dall-e-2': { maxImagesPerRequest: 10, sizes: ['256x256', '512x512', '1024x1024'], supportsEdit: true }
+};
+
+export class OpenAIProvider extends ImageProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.model - OpenAI image model
+   * @param {Object} options.client - OpenAI SDK client
+   * @param {CostCalculator} options.costCalculator - Shared cost calculator
+   * @param {string} options.defaultQuality - Quality for gpt-image-1 when none is requested
+   */
+  constructor({ model, client, costCalculator = new CostCalculator(), defaultQuality = 'high' }) {
+    super({ type: 'openai', model, apiMode: 'real-openai-api' });
+    this.client = client;
+    this.costCalculator = costCalculator;
+    this.defaultQuality = defaultQuality;
+  }
+
+  /**
+   * Only usable with a real (non-mock) OpenAI API key
+   */
+  isConfigured() {
+    return !!(process.env.OPENAI_API_KEY &&
+           process.env.OPENAI_API_KEY !== 'sk-mock-key-for-testing' &&
+           process.env.OPENAI_API_KEY.startsWith('sk-'));
+  }
+
+  getCapabilities() {
+    return MODEL_CAPABILITIES[this.model] || { maxImagesPerRequest: 1, sizes: null, supportsEdit: false };
+  }
+
+  /**
+   * Build request parameters based on model capabilities
+   * @param {string} prompt - Image prompt
+   * @param {Object} options - { size, orientation, quality, style, n }
+   * @returns {Object} Images API request parameters
+   */
+  buildRequestParams(prompt, options = {}) {
+    const baseParams = {
+      model: this.model,
+      prompt,
+      // Orientation maps to each model's own sizes (1536 vs 1792 long side)
+      size: this.resolveSize(options),
+      n: options.n || 1
+    };
+
+    if (this.model === 'gpt-image-1') {
+      // gpt-image-1 basic parameter support - format parameter not yet supported
+      return {
+        ...baseParams,
+        quality: options.quality || this.defaultQuality
+      };
+    } else if (this.model === 'dall-e-3') {
+      // dall-e-3 specific parameters (different quality values)
+      return {
+        ...baseParams,
+        quality: options.quality === 'high' ? 'hd' : 'standard',
+        style: options.style || 'natural'
+      };
+    }
+
+    // dall-e-2 and unknown models take the minimal parameter set
+    return baseParams;
+  }
+
+  async generate(prompt, options = {}) {
+    const requestParams = this.buildRequestParams(prompt, options);
+    const response = await this.client.images.generate(requestParams, { signal: options.signal });
+    return this.toResult(response, requestParams);
+  }
+
+  async edit(prompt, { image, mask }, options = {}) {
+    const requestParams = {
+      model: this.model,
+      prompt,
+      size: options.size || '1024x1024',
+      n: 1,
+      ...(this.model === 'gpt-image-1' && { quality: options.quality || this.defaultQuality })
+    };
+
+    const response = await this.client.images.edit({
+      ...requestParams,
+      image: await toFile(image, 'page.png', { type: 'image/png' }),
+      mask: await toFile(mask, 'mask.png', { type: 'image/png' })
+    });
+    return this.toResult(response, requestParams);
+  }
+
+  /**
+   * Normalize an Images API response
+   * @param {Object} response - Images API response
+   * @param {Object} requestParams - Parameters the request was made with
+   * @returns {Object} { images, usage, params }
+   */
+  toResult(response, requestParams) {
+    return {
+      images: (response.data || []).map(image => ({
+        imageUrl: image.url || `data:image/png;base64,${image.b64_json}`,
+        revisedPrompt: image.revised_prompt,
+        isBase64: !image.url && !!image.b64_json
+      })),
+      usage: response.usage,
+      params: {
+        size: requestParams.size,
+        quality: requestParams.quality || 'standard'
+      }
+    };
+  }
+
+  estimateCost(size, quality, outputTokens = 0) {
+    return this.costCalculator.calculateImageCost(this.model, size, quality, outputTokens);
+  }
+
+  async healthCheck() {
+    if (!this.isConfigured()) {
+      return { id: this.id, status: 'not-configured' };
+    }
+
+    try {
+      const models = await this.client.models.list();
+      return {
+        id: this.id,
+        status: 'healthy',
+        openaiConnected: true,
+        availableModels: models.data?.length || 0
+      };
+    } catch (error) {
+      return {
+        id: this.id,
+        status: 'unhealthy',
+        openaiConnected: false,
+        connectionError: error.message
+      };
+    }
+  }
+}
+
+export default OpenAIProvider;
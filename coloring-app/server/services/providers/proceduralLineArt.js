@@ -0,0 +1,485 @@
+/**
+ * Procedural Line Art Generator
+ *
+ * Deterministic offline renderer behind the mock image provider. Builds a
+ * black-and-white SVG coloring page from the refined prompt, the detected
+ * subject category and the applied customizations, so demos and screenshots
+ * differ per prompt and complexity/border/line settings can be checked
+ * without a network.
+ *
+ * - Same inputs → same SVG (shapes come from a PRNG seeded by the inputs)
+ * - Subject motif chosen from the category (animal, fish, castle, car, ...)
+ * - complexity controls motif detail and how many background elements appear
+ * - border: 'with' draws a page frame; lineThickness sets the stroke width
+ */
+
+// Stroke widths in 1024px page units
+const STROKE_WIDTHS = { thin: 2, medium: 4, thick: 7 };
+
+// Motif detail level and number of scattered background elements
+const COMPLEXITY_LEVELS = {
+  simple: { detail: 0, scatter: 3 },
+  medium: { detail: 1, scatter: 7 },
+  detailed: { detail: 2, scatter: 14 }
+};
+
+/**
+ * 32-bit FNV-1a hash used to seed the generator
+ * @param {string} text - Seed text
+ * @returns {number} Unsigned 32-bit hash
+ */
+export function hashSeed(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Seeded PRNG (mulberry32) with a few convenience helpers
+ * @param {number} seed - 32-bit seed
+ * @returns {Object} { next, range, int, pick }
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    next,
+    range: (min, max) => min + next() * (max - min),
+    int: (min, max) => Math.floor(min + next() * (max - min + 1)),
+    pick: (items) => items[Math.floor(next() * items.length)]
+  };
+}
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const circle = (cx, cy, r) => `<circle cx="${round(cx)}" cy="${round(cy)}" r="${round(r)}"/>`;
+const ellipse = (cx, cy, rx, ry) => `<ellipse cx="${round(cx)}" cy="${round(cy)}" rx="${round(rx)}" ry="${round(ry)}"/>`;
+const rect = (x, y, width, height, r = 0) =>
+  `<rect x="${round(x)}" y="${round(y)}" width="${round(width)}" height="${round(height)}"${r ? ` rx="${round(r)}"` : ''}/>`;
+const line = (x1, y1, x2, y2) => `<line x1="${round(x1)}" y1="${round(y1)}" x2="${round(x2)}" y2="${round(y2)}"/>`;
+const path = (d) => `<path d="${d}"/>`;
+const polygon = (points) => `<polygon points="${points.map(([x, y]) => `${round(x)},${round(y)}`).join(' ')}"/>`;
+
+/**
+ * Points of a regular star/flower outline around (cx, cy)
+ */
+const starPoints = (cx, cy, outer, inner, count, rotation = -Math.PI / 2) =>
+  Array.from({ length: count * 2 }, (_, i) => {
+    const radius = i % 2 === 0 ? outer : inner;
+    const angle = rotation + (i * Math.PI) / count;
+    return [cx + Math.cos(angle) * radius, cy + Math.sin(angle) * radius];
+  });
+
+/*
+ * Subject motifs. Each draws around the origin within roughly ±300 units and
+ * returns SVG elements; `detail` (0-2) adds interior features to color in.
+ */
+const MOTIFS = {
+  animal(rng, detail) {
+    const bodyW = rng.range(150, 210);
+    const bodyH = rng.range(95, 130);
+    const headR = rng.range(70, 95);
+    const headX = bodyW * 0.85;
+    const headY = -bodyH * 0.9;
+    const earShape = rng.pick(['pointed', 'round', 'floppy']);
+    const parts = [ellipse(0, 30, bodyW, bodyH), circle(headX, headY, headR)];
+
+    for (const side of [-1, 1]) {
+      const earX = headX + side * headR * 0.55;
+      const earY = headY - headR * 0.75;
+      if (earShape === 'pointed') {
+        parts.push(polygon([[earX - 25, earY + 20], [earX + side * 10, earY - 55], [earX + 25, earY + 15]]));
+      } else if (earShape === 'round') {
+        parts.push(circle(earX, earY, headR * 0.32));
+      } else {
+        parts.push(ellipse(headX + side * headR * 0.95, headY + 10, headR * 0.25, headR * 0.6));
+      }
+      parts.push(circle(headX + side * headR * 0.35, headY - 10, 9));
+    }
+
+    parts.push(ellipse(headX, headY + headR * 0.4, headR * 0.22, headR * 0.14));
+    parts.push(path(`M ${round(headX - 25)} ${round(headY + headR * 0.6)} Q ${round(headX)} ${round(headY + headR * 0.8)} ${round(headX + 25)} ${round(headY + headR * 0.6)}`));
+
+    const legCount = 4;
+    for (let i = 0; i < legCount; i++) {
+      const x = -bodyW * 0.65 + (i * bodyW * 1.3) / (legCount - 1);
+      parts.push(rect(x - 18, 30 + bodyH * 0.7, 36, rng.range(80, 110), 16));
+    }
+
+    parts.push(path(`M ${round(-bodyW)} 10 Q ${round(-bodyW - 90)} ${round(-60 - rng.range(0, 60))} ${round(-bodyW - 40)} -120`));
+
+    if (detail >= 1) {
+      for (let i = 0; i < 3 + detail * 3; i++) {
+        parts.push(circle(rng.range(-bodyW * 0.6, bodyW * 0.5), rng.range(-bodyH * 0.4, bodyH * 0.6), rng.range(10, 24)));
+      }
+    }
+    if (detail >= 2) {
+      parts.push(ellipse(0, 50, bodyW * 0.55, bodyH * 0.45));
+    }
+    return parts;
+  },
+
+  fish(rng, detail) {
+    const bodyW = rng.range(190, 240);
+    const bodyH = rng.range(100, 140);
+    const parts = [
+      ellipse(0, 0, bodyW, bodyH),
+      polygon([[bodyW - 20, 0], [bodyW + 120, -rng.range(80, 120)], [bodyW + 120, rng.range(80, 120)]]),
+      path(`M -40 ${round(-bodyH + 5)} Q 20 ${round(-bodyH - 90)} 90 ${round(-bodyH + 15)}`),
+      circle(-bodyW * 0.6, -bodyH * 0.2, 22),
+      circle(-bodyW * 0.6, -bodyH * 0.2, 8),
+      path(`M ${round(-bodyW * 0.35)} ${round(-bodyH * 0.7)} Q ${round(-bodyW * 0.2)} 0 ${round(-bodyW * 0.35)} ${round(bodyH * 0.7)}`)
+    ];
+
+    const scaleRows = 1 + detail;
+    for (let row = 0; row < scaleRows; row++) {
+      for (let col = 0; col < 3 + detail; col++) {
+        const x = -bodyW * 0.1 + col * (bodyW * 0.8) / (3 + detail);
+        const y = scaleRows === 1 ? 0 : -bodyH * 0.35 + (row * bodyH * 0.7) / (scaleRows - 1);
+        parts.push(path(`M ${round(x)} ${round(y - 20)} Q ${round(x + 28)} ${round(y)} ${round(x)} ${round(y + 20)}`));
+      }
+    }
+
+    for (let i = 0; i < 2 + detail * 2; i++) {
+      parts.push(circle(-bodyW - rng.range(20, 80), -bodyH - i * 45, rng.range(10, 22)));
+    }
+    return parts;
+  },
+
+  butterfly(rng, detail) {
+    const wingW = rng.range(150, 200);
+    const parts = [];
+    for (const side of [-1, 1]) {
+      parts.push(ellipse(side * wingW * 0.6, -80, wingW * 0.65, rng.range(110, 140)));
+      parts.push(ellipse(side * wingW * 0.5, 110, wingW * 0.45, rng.range(80, 100)));
+      for (let i = 0; i < 1 + detail * 2; i++) {
+        parts.push(circle(side * wingW * rng.range(0.35, 0.8), rng.range(-150, 140), rng.range(14, 30)));
+      }
+      parts.push(path(`M ${side * 8} -150 Q ${side * 40} -260 ${side * 90} -270`));
+    }
+    parts.push(ellipse(0, 0, 22, 170));
+    parts.push(circle(0, -185, 30));
+    return parts;
+  },
+
+  castle(rng, detail) {
+    const towerCount = detail >= 1 ? 3 : 2;
+    const wallW = rng.range(320, 400);
+    const wallH = rng.range(200, 240);
+    const parts = [rect(-wallW / 2, 0, wallW, wallH)];
+
+    for (let i = 0; i < towerCount; i++) {
+      const x = -wallW / 2 + (i * wallW) / (towerCount - 1);
+      const towerH = wallH + rng.range(120, 200);
+      parts.push(rect(x - 45, wallH - towerH, 90, towerH));
+      parts.push(polygon([[x - 60, wallH - towerH], [x, wallH - towerH - 120], [x + 60, wallH - towerH]]));
+      parts.push(line(x, wallH - towerH - 120, x, wallH - towerH - 180));
+      parts.push(polygon([[x, wallH - towerH - 180], [x + 50, wallH - towerH - 165], [x, wallH - towerH - 150]]));
+      parts.push(rect(x - 15, wallH - towerH + 50, 30, 45, 15));
+    }
+
+    const battlements = 4 + detail * 2;
+    for (let i = 0; i < battlements; i++) {
+      const x = -wallW / 2 + 45 + (i * (wallW - 90)) / battlements;
+      parts.push(rect(x, -30, (wallW - 90) / battlements / 2, 30));
+    }
+
+    parts.push(path(`M -60 ${round(wallH)} L -60 ${round(wallH - 110)} Q 0 ${round(wallH - 180)} 60 ${round(wallH - 110)} L 60 ${round(wallH)}`));
+    if (detail >= 2) {
+      for (let row = 0; row < 3; row++) {
+        for (let col = 0; col < 6; col++) {
+          parts.push(rect(-wallW / 2 + 10 + col * (wallW / 6) + (row % 2) * 20, 20 + row * 40, wallW / 6 - 20, 28));
+        }
+      }
+    }
+    return parts;
+  },
+
+  flower(rng, detail) {
+    const petals = rng.int(5, 8) + detail * 2;
+    const petalLength = rng.range(110, 150);
+    const parts = [path(`M 0 60 Q ${round(rng.range(-40, 40))} 220 0 330`)];
+
+    parts.push(path('M 0 230 Q 90 170 140 220 Q 80 260 0 230'));
+    parts.push(path('M 0 270 Q -90 210 -140 260 Q -80 300 0 270'));
+
+    for (let i = 0; i < petals; i++) {
+      const angle = (i * 2 * Math.PI) / petals;
+      const cx = Math.cos(angle) * petalLength * 0.6;
+      const cy = -80 + Math.sin(angle) * petalLength * 0.6;
+      const degrees = round((angle * 180) / Math.PI);
+      parts.push(`<ellipse cx="${round(cx)}" cy="${round(cy)}" rx="${round(petalLength * 0.5)}" ry="${round(petalLength * 0.22)}" transform="rotate(${degrees} ${round(cx)} ${round(cy)})"/>`);
+    }
+
+    parts.push(circle(0, -80, rng.range(40, 55)));
+    if (detail >= 1) {
+      for (let i = 0; i < 4 + detail * 4; i++) {
+        const angle = rng.range(0, Math.PI * 2);
+        parts.push(circle(Math.cos(angle) * 22, -80 + Math.sin(angle) * 22, 5));
+      }
+    }
+    return parts;
+  },
+
+  tree(rng, detail) {
+    const trunkW = rng.range(50, 70);
+    const parts = [
+      path(`M ${round(-trunkW / 2)} 320 L ${round(-trunkW / 2.5)} 40 L ${round(trunkW / 2.5)} 40 L ${round(trunkW / 2)} 320`)
+    ];
+    const clumps = 4 + detail * 2;
+    for (let i = 0; i < clumps; i++) {
+      const angle = (i * 2 * Math.PI) / clumps;
+      parts.push(circle(Math.cos(angle) * 120, -100 + Math.sin(angle) * 90, rng.range(80, 110)));
+    }
+    parts.push(circle(0, -100, 110));
+    if (detail >= 1) {
+      for (let i = 0; i < 3 + detail * 2; i++) {
+        parts.push(circle(rng.range(-150, 150), rng.range(-220, 20), 14));
+      }
+    }
+    return parts;
+  },
+
+  vehicle(rng, detail) {
+    const bodyW = rng.range(380, 460);
+    const parts = [
+      rect(-bodyW / 2, -20, bodyW, 130, 30),
+      path(`M ${round(-bodyW * 0.3)} -20 L ${round(-bodyW * 0.18)} -140 L ${round(bodyW * 0.2)} -140 L ${round(bodyW * 0.32)} -20`),
+      line(0, -140, 0, -20)
+    ];
+    for (const x of [-bodyW * 0.3, bodyW * 0.3]) {
+      parts.push(circle(x, 115, 60));
+      parts.push(circle(x, 115, 24 + detail * 4));
+      if (detail >= 2) {
+        for (let spoke = 0; spoke < 6; spoke++) {
+          const angle = (spoke * Math.PI) / 3;
+          parts.push(line(x, 115, x + Math.cos(angle) * 55, 115 + Math.sin(angle) * 55));
+        }
+      }
+    }
+    parts.push(circle(bodyW / 2 - 25, 20, 18));
+    if (detail >= 1) {
+      parts.push(rect(-40, 30, 80, 14, 7));
+      parts.push(line(-bodyW / 2 + 20, 60, bodyW / 2 - 20, 60));
+    }
+    return parts;
+  },
+
+  cupcake(rng, detail) {
+    const parts = [
+      polygon([[-150, 0], [150, 0], [110, 240], [-110, 240]]),
+      path('M -170 0 Q -200 -120 -80 -140 Q 0 -260 80 -140 Q 200 -120 170 0 Z'),
+      circle(0, -230, 35)
+    ];
+    for (let i = 0; i < 4 + detail * 2; i++) {
+      const x = -110 + (i * 220) / (3 + detail * 2);
+      parts.push(line(x * 1.25, 0, x, 240));
+    }
+    for (let i = 0; i < detail * 6; i++) {
+      parts.push(rect(rng.range(-130, 110), rng.range(-120, -20), 24, 8, 4));
+    }
+    return parts;
+  },
+
+  rocket(rng, detail) {
+    const parts = [
+      path('M 0 -300 Q 120 -150 90 150 L -90 150 Q -120 -150 0 -300 Z'),
+      polygon([[-90, 60], [-170, 200], [-90, 150]]),
+      polygon([[90, 60], [170, 200], [90, 150]]),
+      path('M -60 150 Q 0 300 60 150')
+    ];
+    for (let i = 0; i < 1 + detail; i++) {
+      parts.push(circle(0, -140 + i * 90, 38));
+    }
+    if (detail >= 1) {
+      parts.push(circle(rng.range(-260, -200), rng.range(-260, -180), 60));
+      parts.push(ellipse(rng.range(-260, -200), -220, 95, 20));
+    }
+    return parts;
+  },
+
+  mandala(rng, detail) {
+    const rings = 3 + detail * 2;
+    const parts = [];
+    for (let ring = 1; ring <= rings; ring++) {
+      const radius = (ring * 300) / rings;
+      parts.push(circle(0, 0, radius));
+      const count = 6 + ring * 2;
+      const offset = rng.range(0, Math.PI);
+      for (let i = 0; i < count; i++) {
+        const angle = offset + (i * 2 * Math.PI) / count;
+        const r = radius - 150 / rings;
+        parts.push(circle(Math.cos(angle) * r, Math.sin(angle) * r, 80 / rings));
+      }
+    }
+    parts.push(polygon(starPoints(0, 0, 300 / rings, 150 / rings, 8)));
+    return parts;
+  },
+
+  gift(rng, detail) {
+    const size = rng.range(260, 320);
+    const parts = [
+      rect(-size / 2, -size / 2 + 60, size, size),
+      rect(-size / 2 - 20, -size / 2, size + 40, 60),
+      rect(-25, -size / 2, 50, size + 60),
+      path(`M 0 ${round(-size / 2)} Q -140 ${round(-size / 2 - 140)} -40 ${round(-size / 2 - 20)}`),
+      path(`M 0 ${round(-size / 2)} Q 140 ${round(-size / 2 - 140)} 40 ${round(-size / 2 - 20)}`)
+    ];
+    for (let i = 0; i < detail * 5; i++) {
+      parts.push(polygon(starPoints(rng.range(-size / 2 + 30, -50), rng.range(-size / 2 + 100, size / 2 + 20), 22, 10, 5)));
+    }
+    return parts;
+  },
+
+  star(rng, detail) {
+    const points = rng.int(5, 7);
+    const parts = [polygon(starPoints(0, 0, 280, rng.range(110, 140), points))];
+    if (detail >= 1) {
+      parts.push(polygon(starPoints(0, 0, 160, 70, points)));
+    }
+    if (detail >= 2) {
+      parts.push(circle(0, 0, 45));
+    }
+    return parts;
+  }
+};
+
+// Subject categories (promptRefinement.detectSubjectCategory) → motifs
+const CATEGORY_MOTIFS = {
+  domesticAnimals: ['animal'],
+  wildAnimals: ['animal'],
+  prehistoric: ['animal'],
+  marineLife: ['fish'],
+  insects: ['butterfly'],
+  fantasy: ['castle', 'star'],
+  architecture: ['castle'],
+  nature: ['flower', 'tree'],
+  weather: ['tree', 'star'],
+  vehicles: ['vehicle'],
+  food: ['cupcake'],
+  space: ['rocket'],
+  mandalas: ['mandala'],
+  abstract: ['mandala'],
+  holidays: ['gift', 'star'],
+  general: ['star', 'flower', 'mandala']
+};
+
+// Small background elements scattered around the motif
+const SCATTER_SHAPES = [
+  (rng, x, y) => polygon(starPoints(x, y, rng.range(16, 26), rng.range(7, 11), 5, rng.range(0, Math.PI))),
+  (rng, x, y) => circle(x, y, rng.range(10, 22)),
+  (rng, x, y) => {
+    const w = rng.range(40, 70);
+    return path(`M ${round(x - w)} ${round(y)} Q ${round(x - w / 2)} ${round(y - 35)} ${round(x)} ${round(y)} Q ${round(x + w / 2)} ${round(y - 35)} ${round(x + w)} ${round(y)} Z`);
+  },
+  (rng, x, y) => path(`M ${round(x)} ${round(y + 14)} C ${round(x - 30)} ${round(y - 10)} ${round(x - 12)} ${round(y - 32)} ${round(x)} ${round(y - 12)} C ${round(x + 12)} ${round(y - 32)} ${round(x + 30)} ${round(y - 10)} ${round(x)} ${round(y + 14)} Z`)
+];
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Parse an image size like "1024x1536"
+ * @param {string} size - Size string
+ * @returns {Object} { width, height }
+ */
+const parseSize = (size) => {
+  const match = /^(\d+)x(\d+)$/.exec(size || '');
+  return match ? { width: Number(match[1]), height: Number(match[2]) } : { width: 1024, height: 1024 };
+};
+
+/**
+ * Render a procedural coloring page
+ * @param {Object} options - Render options
+ * @param {string} options.prompt - Refined prompt (seeds the drawing)
+ * @param {string} options.category - Detected subject category (picks the motif)
+ * @param {Object} options.customizations - { complexity, lineThickness, border }
+ * @param {string} options.size - Output size, e.g. "1024x1024"
+ * @param {number} options.variationIndex - Variation number; each index draws a different page
+ * @returns {string} SVG markup
+ */
+export function renderLineArt({
+  prompt = '',
+  category = 'general',
+  customizations = {},
+  size = '1024x1024',
+  variationIndex = 0
+} = {}) {
+  const { width, height } = parseSize(size);
+  const complexity = COMPLEXITY_LEVELS[customizations.complexity] || COMPLEXITY_LEVELS.medium;
+  const strokeWidth = STROKE_WIDTHS[customizations.lineThickness] || STROKE_WIDTHS.medium;
+  const withBorder = (customizations.border || 'with') === 'with';
+
+  const rng = createRandom(hashSeed([
+    prompt,
+    category,
+    customizations.complexity,
+    customizations.lineThickness,
+    customizations.border,
+    variationIndex
+  ].join('|')));
+
+  const motifName = rng.pick(CATEGORY_MOTIFS[category] || CATEGORY_MOTIFS.general);
+  const motif = MOTIFS[motifName](rng, complexity.detail);
+
+  // Motifs are drawn in ±300 units around the origin; fit them to the page
+  const scale = (Math.min(width, height) / 1024) * rng.range(0.95, 1.1);
+  const mirror = rng.next() < 0.5 ? -1 : 1;
+  const stroke = round(strokeWidth / scale);
+
+  const margin = withBorder ? 70 : 40;
+  const scatter = [];
+  for (let i = 0; i < complexity.scatter; i++) {
+    const x = rng.range(margin, width - margin);
+    // Keep background elements clear of the central motif
+    const y = rng.next() < 0.5
+      ? rng.range(margin, height * 0.18)
+      : rng.range(height * 0.82, height - margin);
+    scatter.push(rng.pick(SCATTER_SHAPES)(rng, x, y));
+  }
+
+  const border = withBorder
+    ? [
+      rect(24, 24, width - 48, height - 48, 18),
+      ...(complexity.detail >= 2 ? [rect(40, 40, width - 80, height - 80, 12)] : [])
+    ]
+    : [];
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    `<title>${escapeXml(prompt.substring(0, 120))}</title>`,
+    `<rect width="${width}" height="${height}" fill="white"/>`,
+    `<g fill="none" stroke="black" stroke-width="${strokeWidth}" stroke-linecap="round" stroke-linejoin="round">`,
+    ...border,
+    ...scatter,
+    `<g data-motif="${motifName}" transform="translate(${round(width / 2)} ${round(height / 2)}) scale(${(scale * mirror).toFixed(3)} ${scale.toFixed(3)})" stroke-width="${stroke}">`,
+    ...motif,
+    '</g>',
+    '</g>',
+    '</svg>'
+  ].join('');
+}
+
+/**
+ * Render a procedural coloring page as a base64 SVG data URL
+ * @param {Object} options - See renderLineArt
+ * @returns {string} data:image/svg+xml;base64 URL
+ */
+export function renderLineArtDataUrl(options) {
+  return `data:image/svg+xml;base64,${Buffer.from(renderLineArt(options)).toString('base64')}`;
+}
+
+export default { renderLineArt, renderLineArtDataUrl };
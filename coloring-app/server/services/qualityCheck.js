@@ -0,0 +1,355 @@
+/**
+ * Coloring Page Quality Check for Coloring Book Creator
+ *
+ * Scores each generated image before it is returned, on the provider's raw
+ * output (before line art cleanup hides the problems):
+ *
+ * - solidBlackRatio:  share of the page covered by solid black areas wider
+ *                     than a heavy outline (filled silhouettes, black skies)
+ * - grayRatio:        share of gray pixels away from the lines (shading,
+ *                     gray fills); anti-aliasing next to lines is ignored
+ * - regionCount:      enclosed white regions large enough to colour
+ * - backgroundLevel:  median brightness of the paper along the page edge
+ *
+ * Thresholds depend on `complexity` (how many regions a page should have)
+ * and `ageGroup` (how much black and gray is acceptable). A page failing any
+ * check is regenerated once with a stricter prompt by the generation pipeline.
+ *
+ * Thresholds can be overridden with QUALITY_CHECK_THRESHOLDS (JSON, merged
+ * over the defaults); QUALITY_CHECK=false turns the check off.
+ */
+
+import sharp from 'sharp';
+import { dilate, erode } from './lineArtCleanup.js';
+import { loadImageInput } from '../utils/imageInput.js';
+import { apiLogger } from '../utils/logger.js';
+
+/**
+ * Default thresholds. Widths and areas are for a 1024px page and scaled.
+ */
+export const DEFAULT_QUALITY_THRESHOLDS = {
+  complexity: {
+    simple: { minRegions: 3, maxRegions: 120 },
+    medium: { minRegions: 6, maxRegions: 400 },
+    detailed: { minRegions: 15, maxRegions: 2000 }
+  },
+  ageGroup: {
+    kids: { maxSolidBlack: 0.03, maxGray: 0.04 },
+    teens: { maxSolidBlack: 0.05, maxGray: 0.06 },
+    adults: { maxSolidBlack: 0.08, maxGray: 0.08 }
+  },
+  minBackgroundLevel: 240,
+  inkLevel: 100, // Darker pixels are ink
+  paperLevel: 230, // Lighter pixels are paper; in between is gray
+  solidRadius: 6, // Ink surviving an opening this wide is a solid area, not a line
+  minRegionArea: 200, // Smaller white pockets are too small to colour
+  edgeBand: 0.03 // Share of the page size sampled for the background
+};
+
+/**
+ * Failure names reported in `failures`
+ */
+export const QUALITY_FAILURES = Object.freeze({
+  SOLID_BLACK: 'solid-black',
+  GRAYSCALE: 'grayscale',
+  TOO_FEW_REGIONS: 'too-few-regions',
+  TOO_MANY_REGIONS: 'too-many-regions',
+  BACKGROUND: 'background-not-white'
+});
+
+// Prompt additions used for the one retry, per failure
+const STRICTER_PROMPT_RULES = {
+  [QUALITY_FAILURES.SOLID_BLACK]: 'Do not fill any area with solid black; draw dark objects as outlines only.',
+  [QUALITY_FAILURES.GRAYSCALE]: 'Use only pure black lines: no gray, no shading, no gradients, no hatching.',
+  [QUALITY_FAILURES.TOO_FEW_REGIONS]: 'Divide the subject and background into clearly separated, fully enclosed shapes to colour.',
+  [QUALITY_FAILURES.TOO_MANY_REGIONS]: 'Use fewer, larger shapes and leave out small texture details.',
+  [QUALITY_FAILURES.BACKGROUND]: 'The background must be plain pure white paper.'
+};
+
+/**
+ * Deep-merge threshold overrides over the defaults
+ * @param {Object} base - Default thresholds
+ * @param {Object} overrides - Partial thresholds
+ * @returns {Object} Merged thresholds
+ */
+function mergeThresholds(base, overrides = {}) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(overrides)) {
+    merged[key] = value && typeof value === 'object' && !Array.isArray(value)
+      ? mergeThresholds(base[key] || {}, value)
+      : value;
+  }
+  return merged;
+}
+
+/**
+ * Count 4-connected regions of paper pixels of at least a minimum area
+ * @param {Uint8Array} paper - 1 for paper, 0 for ink or gray
+ * @param {Object} size - { width, height }; rows are `width` pixels long
+ * @param {number} minArea - Smallest region counted
+ * @returns {number} Region count
+ */
+export function countRegions(paper, { width }, minArea) {
+  const seen = new Uint8Array(paper.length);
+  const stack = new Int32Array(paper.length);
+  let regions = 0;
+
+  for (let start = 0; start < paper.length; start++) {
+    if (!paper[start] || seen[start]) continue;
+
+    let top = 0;
+    let area = 0;
+    stack[top++] = start;
+    seen[start] = 1;
+
+    while (top > 0) {
+      const i = stack[--top];
+      area++;
+      const x = i % width;
+
+      if (x > 0 && paper[i - 1] && !seen[i - 1]) { seen[i - 1] = 1; stack[top++] = i - 1; }
+      if (x < width - 1 && paper[i + 1] && !seen[i + 1]) { seen[i + 1] = 1; stack[top++] = i + 1; }
+      if (i >= width && paper[i - width] && !seen[i - width]) { seen[i - width] = 1; stack[top++] = i - width; }
+      if (i + width < paper.length && paper[i + width] && !seen[i + width]) { seen[i + width] = 1; stack[top++] = i + width; }
+    }
+
+    if (area >= minArea) regions++;
+  }
+
+  return regions;
+}
+
+/**
+ * Median of 8-bit values from a histogram
+ * @param {Uint32Array} histogram - 256 bins
+ * @param {number} total - Number of samples
+ * @returns {number|null} Median value, or null without samples
+ */
+function histogramMedian(histogram, total) {
+  if (!total) return null;
+
+  let seen = 0;
+  for (let value = 0; value < 256; value++) {
+    seen += histogram[value];
+    if (seen * 2 >= total) return value;
+  }
+  return 255;
+}
+
+/**
+ * Build the prompt for the retry of a page that failed the quality check
+ * @param {string} prompt - Prompt used for the first attempt
+ * @param {Array<string>} failures - QUALITY_FAILURES values
+ * @returns {string} Prompt with a stricter suffix
+ */
+export function buildStricterPrompt(prompt, failures = []) {
+  const rules = [...new Set(failures)].map(failure => STRICTER_PROMPT_RULES[failure]).filter(Boolean);
+  return [
+    prompt,
+    'STRICT COLORING PAGE RULES: crisp black outlines on a pure white background, every area enclosed and empty for colouring.',
+    ...rules
+  ].join(' ');
+}
+
+/**
+ * Scores generated pages and decides whether they are usable
+ */
+class QualityChecker {
+  /**
+   * @param {Object} options - Checker options
+   * @param {boolean} options.enabled - Whether pages are checked (and retried) at all
+   * @param {Object} options.thresholds - Overrides merged over DEFAULT_QUALITY_THRESHOLDS
+   */
+  constructor({ enabled = true, thresholds = {} } = {}) {
+    this.enabled = enabled;
+    this.thresholds = mergeThresholds(DEFAULT_QUALITY_THRESHOLDS, thresholds);
+    this.stats = { checked: 0, failed: 0, retried: 0, retryImproved: 0, failuresByCheck: {} };
+  }
+
+  /**
+   * Thresholds that apply to a page's settings
+   * @param {Object} settings - { complexity, ageGroup }
+   * @returns {Object} { minRegions, maxRegions, maxSolidBlack, maxGray, minBackgroundLevel }
+   */
+  getThresholds({ complexity = 'medium', ageGroup = 'kids' } = {}) {
+    const { thresholds } = this;
+    return {
+      ...(thresholds.complexity[complexity] || thresholds.complexity.medium),
+      ...(thresholds.ageGroup[ageGroup] || thresholds.ageGroup.kids),
+      minBackgroundLevel: thresholds.minBackgroundLevel
+    };
+  }
+
+  /**
+   * Compute the quality scores of one image
+   * @param {Buffer} buffer - Image bytes
+   * @returns {Promise<Object>} { solidBlackRatio, grayRatio, regionCount, backgroundLevel, width, height }
+   */
+  async score(buffer) {
+    const { inkLevel, paperLevel, solidRadius, minRegionArea, edgeBand } = this.thresholds;
+    const { data: gray, info } = await sharp(buffer)
+      .flatten({ background: '#ffffff' })
+      .grayscale()
+      .extractChannel(0)
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const size = { width: info.width, height: info.height };
+    const scale = size.width / 1024;
+    const total = gray.length;
+
+    const ink = new Uint8Array(total);
+    const paper = new Uint8Array(total);
+    for (let i = 0; i < total; i++) {
+      if (gray[i] < inkLevel) ink[i] = 1;
+      else if (gray[i] >= paperLevel) paper[i] = 1;
+    }
+
+    // Solid black: ink that survives an opening wider than any outline
+    const radius = Math.max(1, Math.round(solidRadius * scale));
+    const solid = dilate(erode(ink, size, radius), size, radius);
+
+    // Gray away from lines; the ring next to ink is anti-aliasing
+    const nearInk = dilate(ink, size, Math.max(1, Math.round(2 * scale)));
+
+    // Paper brightness along the page edge, ignoring drawn borders
+    const band = Math.max(1, Math.round(Math.min(size.width, size.height) * edgeBand));
+    const histogram = new Uint32Array(256);
+    let edgeSamples = 0;
+
+    let solidPixels = 0;
+    let grayPixels = 0;
+    for (let i = 0; i < total; i++) {
+      solidPixels += solid[i];
+      if (!ink[i] && !paper[i] && !nearInk[i]) grayPixels++;
+
+      const x = i % size.width;
+      const y = (i - x) / size.width;
+      const onEdge = x < band || y < band || x >= size.width - band || y >= size.height - band;
+      if (onEdge && !ink[i]) {
+        histogram[gray[i]]++;
+        edgeSamples++;
+      }
+    }
+
+    return {
+      solidBlackRatio: Number((solidPixels / total).toFixed(4)),
+      grayRatio: Number((grayPixels / total).toFixed(4)),
+      regionCount: countRegions(paper, size, Math.max(1, Math.round(minRegionArea * scale * scale))),
+      backgroundLevel: histogramMedian(histogram, edgeSamples),
+      ...size
+    };
+  }
+
+  /**
+   * Score one image and compare it with the thresholds for its settings
+   * @param {Buffer} buffer - Image bytes
+   * @param {Object} settings - { complexity, ageGroup }
+   * @returns {Promise<Object>} { passed, scores, failures }
+   */
+  async evaluate(buffer, settings = {}) {
+    const scores = await this.score(buffer);
+    const limits = this.getThresholds(settings);
+    const failures = [];
+
+    if (scores.solidBlackRatio > limits.maxSolidBlack) failures.push(QUALITY_FAILURES.SOLID_BLACK);
+    if (scores.grayRatio > limits.maxGray) failures.push(QUALITY_FAILURES.GRAYSCALE);
+    if (scores.regionCount < limits.minRegions) failures.push(QUALITY_FAILURES.TOO_FEW_REGIONS);
+    if (scores.regionCount > limits.maxRegions) failures.push(QUALITY_FAILURES.TOO_MANY_REGIONS);
+    if (scores.backgroundLevel !== null && scores.backgroundLevel < limits.minBackgroundLevel) {
+      failures.push(QUALITY_FAILURES.BACKGROUND);
+    }
+
+    return { passed: failures.length === 0, scores, failures };
+  }
+
+  /**
+   * Check every image of a generation result
+   * Images that cannot be read are reported as unchecked rather than failed,
+   * so a transient download error does not trigger a paid retry.
+   * @param {Object} result - Image generation result with `variations`
+   * @param {Object} settings - { complexity, ageGroup }
+   * @param {string} requestId - Request identifier used for log correlation
+   * @returns {Promise<Object>} { passed, images: [{ index, passed, scores, failures }], failures, thresholds }
+   */
+  async checkResult(result, settings = {}, requestId) {
+    const sources = result.variations || [{ index: 0, imageUrl: result.imageUrl }];
+    const images = [];
+
+    for (const variation of sources) {
+      try {
+        const evaluation = await this.evaluate(await loadImageInput(variation.imageUrl, 'image'), settings);
+        images.push({ index: variation.index, ...evaluation });
+      } catch (error) {
+        apiLogger.warn('Quality check could not read image', { requestId, variation: variation.index, error: error.message });
+        images.push({ index: variation.index, passed: true, scores: null, failures: [], unchecked: true });
+      }
+    }
+
+    const failures = [...new Set(images.flatMap(image => image.failures))];
+    const passed = images.every(image => image.passed);
+
+    this.stats.checked += images.length;
+    for (const image of images) {
+      if (!image.passed) this.stats.failed++;
+      for (const failure of image.failures) {
+        this.stats.failuresByCheck[failure] = (this.stats.failuresByCheck[failure] || 0) + 1;
+      }
+    }
+
+    apiLogger.info('Quality check completed', {
+      requestId,
+      passed,
+      failures,
+      scores: images.map(image => image.scores)
+    });
+
+    return { passed, images, failures, thresholds: this.getThresholds(settings) };
+  }
+
+  /**
+   * Record the outcome of a quality retry
+   * @param {number} retried - Images regenerated
+   * @param {number} improved - Retried images that replaced the first attempt
+   */
+  recordRetry(retried, improved) {
+    this.stats.retried += retried;
+    this.stats.retryImproved += improved;
+  }
+
+  /**
+   * Checker statistics for health reporting
+   * @returns {Object} Counts of checked, failed and retried images
+   */
+  getStats() {
+    return {
+      enabled: this.enabled,
+      ...this.stats,
+      failuresByCheck: { ...this.stats.failuresByCheck }
+    };
+  }
+}
+
+/**
+ * Parse QUALITY_CHECK_THRESHOLDS
+ * @param {string} value - JSON text
+ * @returns {Object} Threshold overrides ({} when unset or invalid)
+ */
+function parseThresholdOverrides(value) {
+  if (!value) return {};
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    apiLogger.warn('Ignoring invalid QUALITY_CHECK_THRESHOLDS', { error: error.message });
+    return {};
+  }
+}
+
+// Export singleton instance configured from environment
+const qualityChecker = new QualityChecker({
+  enabled: process.env.QUALITY_CHECK !== 'false',
+  thresholds: parseThresholdOverrides(process.env.QUALITY_CHECK_THRESHOLDS)
+});
+
+export default qualityChecker;
+export { QualityChecker };
@@ -0,0 +1,343 @@
+/**
+ * Generation Quotas for Coloring Book Creator
+ *
+ * Limits how many generations each requester may start. Requesters are keyed
+ * like the cost ledger: the signed-in user's UID, or the client IP for guests,
+ * so a classroom behind one NAT shares only the guest allowance while each
+ * signed-in pupil has their own.
+ *
+ * Every plan tier has two limits (0 = unlimited):
+ * - `daily`: generations per calendar day (UTC)
+ * - `burst`: generations per `burstWindowMs`, to smooth out scripted bursts
+ *
+ * Tiers are guest (not signed in), free, premium (`plan: "premium"` custom
+ * claim) and admin. Limits can be overridden with QUOTA_TIERS (JSON merged
+ * over the defaults); QUOTA_ENABLED=false turns quotas off.
+ *
+ * Counts live in a counter store. MemoryCounterStore keeps them in this
+ * process; a shared store (e.g. Redis) can be passed in for several servers
+ * as long as it implements the same two async methods.
+ */
+
+import { CostLedger } from './costLedger.js';
+import { isAdminUser } from '../utils/access.js';
+import { ServiceError } from '../utils/errors.js';
+import { apiLogger } from '../utils/logger.js';
+
+export const PLAN_TIERS = ['guest', 'free', 'premium', 'admin'];
+
+/**
+ * Default limits per plan tier
+ */
+export const DEFAULT_QUOTA_TIERS = {
+  guest: { daily: 10, burst: 5, burstWindowMs: 10 * 60 * 1000 },
+  free: { daily: 30, burst: 10, burstWindowMs: 10 * 60 * 1000 },
+  premium: { daily: 200, burst: 30, burstWindowMs: 10 * 60 * 1000 },
+  admin: { daily: 0, burst: 0, burstWindowMs: 10 * 60 * 1000 }
+};
+
+/**
+ * Fixed-window counters kept in memory
+ *
+ * Store interface:
+ * - `increment(key, windowMs)` → `{ count, resetAt }`; the window starts with
+ *   the first increment and the count restarts once `resetAt` has passed
+ * - `get(key)` → `{ count, resetAt }`, or null when the key has no open window
+ */
+export class MemoryCounterStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {number} options.maxKeys - Expired windows are swept once more keys than this are held
+   */
+  constructor({ maxKeys = 10000 } = {}) {
+    this.maxKeys = maxKeys;
+    // key → { count, resetAt (ms) }
+    this.counters = new Map();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let counter = this.counters.get(key);
+
+    if (!counter || counter.resetAt <= now) {
+      if (this.counters.size >= this.maxKeys) {
+        this.prune(now);
+      }
+      counter = { count: 0, resetAt: now + windowMs };
+      this.counters.set(key, counter);
+    }
+
+    counter.count++;
+    return { ...counter };
+  }
+
+  async get(key) {
+    const counter = this.counters.get(key);
+    return counter && counter.resetAt > Date.now() ? { ...counter } : null;
+  }
+
+  /**
+   * Drop windows that have ended
+   * @param {number} now - Current time in ms
+   * @returns {number} Number of keys removed
+   */
+  prune(now = Date.now()) {
+    let removed = 0;
+    for (const [key, counter] of this.counters) {
+      if (counter.resetAt <= now) {
+        this.counters.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+/**
+ * Merge per-tier overrides over the defaults
+ * @param {Object} overrides - { tier: { daily?, burst?, burstWindowMs? } }
+ * @returns {Object} Limits for every tier
+ */
+function mergeTiers(overrides = {}) {
+  return Object.fromEntries(PLAN_TIERS.map(tier => [tier, { ...DEFAULT_QUOTA_TIERS[tier], ...overrides[tier] }]));
+}
+
+/**
+ * Usage of one limit
+ * @param {number} limit - Allowed generations (0 = unlimited)
+ * @param {Object|null} counter - { count, resetAt } from the store
+ * @returns {Object} { limit, used, remaining, resetAt }; limit and remaining are null when unlimited
+ */
+function describeLimit(limit, counter) {
+  const used = counter?.count || 0;
+  return {
+    limit: limit || null,
+    used,
+    remaining: limit ? Math.max(0, limit - used) : null,
+    resetAt: counter ? new Date(counter.resetAt).toISOString() : null
+  };
+}
+
+/**
+ * Per-requester generation quotas with plan tiers
+ */
+class QuotaService {
+  /**
+   * @param {Object} options - Quota options
+   * @param {boolean} options.enabled - Enforce quotas (status is still reported when off)
+   * @param {Object} options.tiers - Limit overrides per tier, merged over DEFAULT_QUOTA_TIERS
+   * @param {Object} options.store - Counter store (default: MemoryCounterStore)
+   */
+  constructor({ enabled = true, tiers = {}, store = new MemoryCounterStore() } = {}) {
+    this.enabled = enabled;
+    this.tiers = mergeTiers(tiers);
+    this.store = store;
+    this.stats = { allowed: 0, rejected: 0 };
+  }
+
+  /**
+   * Plan tier of a requester
+   * @param {Object|null} user - req.user
+   * @returns {string} One of PLAN_TIERS
+   */
+  tierFor(user) {
+    if (!user) return 'guest';
+    if (isAdminUser(user)) return 'admin';
+    return user.plan === 'premium' ? 'premium' : 'free';
+  }
+
+  /**
+   * Milliseconds until the next UTC midnight, when daily counts restart
+   * @param {Date} date - Reference date
+   * @returns {number} Milliseconds
+   */
+  msUntilNextDay(date = new Date()) {
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1) - date.getTime();
+  }
+
+  /**
+   * Counter keys for a requester
+   * @param {string} bucket - Requester bucket
+   * @param {Date} date - Reference date
+   * @returns {Object} { daily, burst }
+   */
+  keysFor(bucket, date = new Date()) {
+    return {
+      daily: `daily:${date.toISOString().substring(0, 10)}:${bucket}`,
+      burst: `burst:${bucket}`
+    };
+  }
+
+  /**
+   * Quota status from a tier's counters
+   * @param {string} tier - Plan tier
+   * @param {Object|null} daily - Daily counter
+   * @param {Object|null} burst - Burst counter
+   * @returns {Object} { tier, enabled, daily, burst } with limits as described by describeLimit
+   */
+  buildStatus(tier, daily, burst) {
+    const limits = this.tiers[tier];
+    return {
+      tier,
+      enabled: this.enabled,
+      daily: describeLimit(limits.daily, daily),
+      burst: { ...describeLimit(limits.burst, burst), windowMs: limits.burstWindowMs }
+    };
+  }
+
+  /**
+   * Remaining generations for a requester, without counting one
+   * @param {Object} requester - { user, clientIp }
+   * @returns {Promise<Object>} Quota status (see buildStatus)
+   */
+  async getStatus(requester) {
+    const tier = this.tierFor(requester.user);
+    const keys = this.keysFor(CostLedger.bucketFor(requester));
+    const [daily, burst] = await Promise.all([this.store.get(keys.daily), this.store.get(keys.burst)]);
+
+    return this.buildStatus(tier, daily, burst);
+  }
+
+  /**
+   * Count one generation against the requester's limits
+   * Both limits are checked before either counter moves, so a rejected request
+   * uses up neither the burst nor the daily allowance.
+   * @param {Object} requester - { user, clientIp }
+   * @returns {Promise<Object>} Quota status after counting (see buildStatus)
+   * @throws {ServiceError} 429 RATE_LIMITED (burst) or QUOTA_EXCEEDED (daily), with the status in details
+   */
+  async consume(requester) {
+    const tier = this.tierFor(requester.user);
+    const limits = this.tiers[tier];
+    const bucket = CostLedger.bucketFor(requester);
+    const keys = this.keysFor(bucket);
+
+    const [currentDaily, currentBurst] = await Promise.all([this.store.get(keys.daily), this.store.get(keys.burst)]);
+    const burstExceeded = limits.burst && (currentBurst?.count || 0) >= limits.burst;
+    const dailyExceeded = limits.daily && (currentDaily?.count || 0) >= limits.daily;
+
+    if (burstExceeded || dailyExceeded) {
+      this.stats.rejected++;
+      apiLogger.warn('Generation quota exceeded', { bucket, tier, limit: burstExceeded ? 'burst' : 'daily' });
+
+      throw new ServiceError(
+        burstExceeded
+          ? 'You are creating pages very quickly. Please wait a few minutes and try again.'
+          : 'You have used all of today\'s coloring pages. More are available tomorrow.',
+        {
+          status: 429,
+          code: burstExceeded ? 'RATE_LIMITED' : 'QUOTA_EXCEEDED',
+          details: this.buildStatus(tier, currentDaily, currentBurst)
+        }
+      );
+    }
+
+    const [daily, burst] = await Promise.all([
+      limits.daily ? this.store.increment(keys.daily, this.msUntilNextDay()) : currentDaily,
+      limits.burst ? this.store.increment(keys.burst, limits.burstWindowMs) : currentBurst
+    ]);
+
+    this.stats.allowed++;
+    return this.buildStatus(tier, daily, burst);
+  }
+
+  /**
+   * Set X-RateLimit-* headers for the limit that will run out first
+   * @param {Object} res - Express response
+   * @param {Object} status - Quota status from getStatus or consume
+   */
+  setHeaders(res, status) {
+    const limited = [status.daily, status.burst].filter(limit => limit.limit !== null);
+    if (limited.length === 0) {
+      return;
+    }
+
+    const binding = limited.reduce((tightest, limit) => (limit.remaining < tightest.remaining ? limit : tightest));
+    res.set({
+      'X-RateLimit-Limit': String(binding.limit),
+      'X-RateLimit-Remaining': String(binding.remaining),
+      ...(binding.resetAt && { 'X-RateLimit-Reset': String(Math.ceil(Date.parse(binding.resetAt) / 1000)) })
+    });
+  }
+
+  /**
+   * Express middleware that counts a generation before the route runs
+   *
+   * Place after auth (so signed-in users get their tier) and after any
+   * idempotency middleware (so replays are free). Rejected requests get 429
+   * with `Retry-After`.
+   *
+   * @param {Object} options - Middleware options
+   * @param {Function} options.skip - (req) => true for requests that should not count (e.g. invalid ones)
+   * @returns {Function} Express middleware
+   */
+  middleware({ skip = () => false } = {}) {
+    return async (req, res, next) => {
+      if (!this.enabled || skip(req)) {
+        return next();
+      }
+
+      try {
+        const status = await this.consume({ user: req.user, clientIp: req.ip });
+        this.setHeaders(res, status);
+        next();
+      } catch (error) {
+        if (error.status !== 429) {
+          return next(error);
+        }
+
+        const status = error.details;
+        const resetAt = error.code === 'RATE_LIMITED' ? status.burst.resetAt : status.daily.resetAt;
+        const retryAfter = Math.max(1, Math.ceil((Date.parse(resetAt) - Date.now()) / 1000));
+
+        this.setHeaders(res, status);
+        res.set('Retry-After', String(retryAfter));
+        res.status(429).json({
+          success: false,
+          error: 'Rate limit exceeded',
+          message: error.message,
+          code: error.code,
+          details: status,
+          retryAfter,
+          timestamp: new Date().toISOString()
+        });
+      }
+    };
+  }
+
+  /**
+   * Quota statistics for health reporting
+   * @returns {Object} Enabled flag, tier limits and request counts
+   */
+  getStats() {
+    return {
+      enabled: this.enabled,
+      tiers: this.tiers,
+      ...this.stats
+    };
+  }
+}
+
+/**
+ * Parse QUOTA_TIERS
+ * @param {string} value - JSON text
+ * @returns {Object} Tier overrides ({} when unset or invalid)
+ */
+function parseTierOverrides(value) {
+  if (!value) return {};
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    apiLogger.warn('Ignoring invalid QUOTA_TIERS', { error: error.message });
+    return {};
+  }
+}
+
+// Export singleton instance configured from environment
+const quotaService = new QuotaService({
+  enabled: process.env.QUOTA_ENABLED !== 'false',
+  tiers: parseTierOverrides(process.env.QUOTA_TIERS)
+});
+
+export default quotaService;
+export { QuotaService };
@@ -0,0 +1,246 @@
+/**
+ * Prompt Refinement Experiments for Coloring Book Creator
+ *
+ * Runs an A/B test between refinement variants. An experiment has an `id` and
+ * named variants with traffic weights; each variant sets some of the knobs in
+ * REFINEMENT_VARIANT_OPTIONS (refinement strategy, meta-prompt style, template
+ * set) and an optional `specSuffix`:
+ *
+ *   {"id":"concise-2025-06","variants":[
+ *     {"id":"control","weight":50},
+ *     {"id":"concise","weight":50,"metaPrompt":"concise","templateSet":"minimal"}]}
+ *
+ * Assignment is sticky: a hash of the experiment ID and the requester (user
+ * UID, or IP for anonymous requests) picks the variant, so the same person
+ * keeps seeing the same variant without storing anything. The assignment is
+ * recorded in the refinement metadata and the generation recipe.
+ *
+ * Outcomes are counted per variant for the admin comparison: quality check
+ * pass rate, gallery ratings and how often pages are regenerated. Counts live
+ * in memory and start from zero when the server restarts.
+ */
+
+import { createHash } from 'crypto';
+import { REFINEMENT_VARIANT_OPTIONS } from './promptRefinement.js';
+import { ServiceError } from '../utils/errors.js';
+import { apiLogger } from '../utils/logger.js';
+
+/**
+ * Check an experiment definition and fill in defaults
+ * @param {Object} definition - { id, enabled, variants: [{ id, weight, ...settings }] }
+ * @returns {Object} Normalized experiment
+ * @throws {ServiceError} 400 INVALID_EXPERIMENT describing the first problem found
+ */
+export function normalizeExperiment(definition) {
+  const invalid = (message) => new ServiceError(`Invalid refinement experiment: ${message}`, {
+    status: 400,
+    code: 'INVALID_EXPERIMENT'
+  });
+
+  if (!definition || typeof definition.id !== 'string' || !definition.id) {
+    throw invalid('an id is required');
+  }
+  if (!Array.isArray(definition.variants) || definition.variants.length < 2) {
+    throw invalid('at least two variants are required');
+  }
+
+  const seen = new Set();
+  const variants = definition.variants.map(({ id, weight = 1, specSuffix, ...knobs }) => {
+    if (typeof id !== 'string' || !id || seen.has(id)) {
+      throw invalid('every variant needs a unique id');
+    }
+    seen.add(id);
+
+    if (typeof weight !== 'number' || !(weight >= 0)) {
+      throw invalid(`variant ${id} has an invalid weight`);
+    }
+    if (specSuffix !== undefined && (typeof specSuffix !== 'string' || specSuffix.length > 300)) {
+      throw invalid(`variant ${id} specSuffix must be text of at most 300 characters`);
+    }
+
+    for (const [knob, value] of Object.entries(knobs)) {
+      if (!REFINEMENT_VARIANT_OPTIONS[knob]?.includes(value)) {
+        throw invalid(`variant ${id} has an unknown ${knob} "${value}"`);
+      }
+    }
+
+    return { id, weight, settings: { ...knobs, ...(specSuffix && { specSuffix }) } };
+  });
+
+  if (variants.every(variant => variant.weight === 0)) {
+    throw invalid('at least one variant needs traffic');
+  }
+
+  return { id: definition.id, enabled: definition.enabled !== false, variants };
+}
+
+/**
+ * Variant assignment and outcome counts for one refinement experiment
+ */
+class RefinementExperiments {
+  /**
+   * @param {Object} options - Experiment options
+   * @param {Object|null} options.experiment - Experiment definition, or null for none
+   */
+  constructor({ experiment = null } = {}) {
+    this.experiment = experiment ? normalizeExperiment(experiment) : null;
+
+    // `${experimentId}/${variantId}` → outcome counts
+    this.results = new Map();
+  }
+
+  /**
+   * Pick the variant for a requester
+   * @param {string} subjectId - Stable requester key (e.g. `user:<uid>` or `ip:<address>`)
+   * @returns {Object|null} { id, variant, settings }, or null when no experiment is running
+   */
+  assign(subjectId) {
+    const { experiment } = this;
+    if (!experiment?.enabled) {
+      return null;
+    }
+
+    // Uniform point in [0, 1) from the first 32 bits of the hash
+    const hash = createHash('sha256').update(`${experiment.id}:${subjectId}`).digest();
+    const point = hash.readUInt32BE(0) / 0x100000000;
+
+    const totalWeight = experiment.variants.reduce((sum, variant) => sum + variant.weight, 0);
+    let cumulative = 0;
+    const variant = experiment.variants.find(candidate => {
+      cumulative += candidate.weight / totalWeight;
+      return point < cumulative;
+    }) || experiment.variants.findLast(candidate => candidate.weight > 0);
+
+    return { id: experiment.id, variant: variant.id, settings: variant.settings };
+  }
+
+  /**
+   * Outcome counts for a variant, created on first use
+   * @param {Object} assignment - { id, variant } from the refinement metadata or recipe
+   * @returns {Object|null} Mutable counts, or null when the generation was not in an experiment
+   */
+  resultsFor(assignment) {
+    if (!assignment?.id || !assignment.variant) {
+      return null;
+    }
+
+    const key = `${assignment.id}/${assignment.variant}`;
+    if (!this.results.has(key)) {
+      this.results.set(key, {
+        experiment: assignment.id,
+        variant: assignment.variant,
+        generations: 0,
+        qualityChecked: 0,
+        qualityPassed: 0,
+        ratingCount: 0,
+        ratingTotal: 0,
+        regenerations: 0
+      });
+    }
+    return this.results.get(key);
+  }
+
+  /**
+   * Count a completed generation
+   * @param {Object} assignment - Experiment assignment of the generation
+   * @param {boolean|null} qualityPassed - Quality check outcome, null when not checked
+   */
+  recordGeneration(assignment, qualityPassed = null) {
+    const results = this.resultsFor(assignment);
+    if (!results) return;
+
+    results.generations++;
+    if (qualityPassed !== null) {
+      results.qualityChecked++;
+      if (qualityPassed) results.qualityPassed++;
+    }
+  }
+
+  /**
+   * Count a regeneration of a page made by a variant
+   * @param {Object} assignment - Experiment assignment of the original page
+   */
+  recordRegeneration(assignment) {
+    const results = this.resultsFor(assignment);
+    if (results) results.regenerations++;
+  }
+
+  /**
+   * Count a gallery rating; a changed rating replaces the previous one
+   * @param {Object} assignment - Experiment assignment of the rated page
+   * @param {number} rating - New rating (1-5)
+   * @param {number|null} previousRating - Rating the user gave before, if any
+   */
+  recordRating(assignment, rating, previousRating = null) {
+    const results = this.resultsFor(assignment);
+    if (!results) return;
+
+    // After a restart the previous rating was never counted here
+    if (previousRating && results.ratingCount > 0) {
+      results.ratingTotal -= previousRating;
+    } else {
+      results.ratingCount++;
+    }
+    results.ratingTotal += rating;
+  }
+
+  /**
+   * Compare variants by quality pass rate, ratings and regeneration rate
+   * @returns {Object} { experiment, variants: [...] } with one row per variant seen
+   */
+  getReport() {
+    const rate = (count, total) => (total > 0 ? Number((count / total).toFixed(4)) : null);
+
+    const variants = [...this.results.values()].map(results => ({
+      ...results,
+      qualityPassRate: rate(results.qualityPassed, results.qualityChecked),
+      averageRating: results.ratingCount > 0 ? Number((results.ratingTotal / results.ratingCount).toFixed(2)) : null,
+      regenerationRate: rate(results.regenerations, results.generations)
+    }));
+
+    return {
+      experiment: this.experiment && {
+        id: this.experiment.id,
+        enabled: this.experiment.enabled,
+        variants: this.experiment.variants.map(({ id, weight, settings }) => ({ id, weight, settings }))
+      },
+      variants
+    };
+  }
+
+  /**
+   * Experiment summary for health reporting
+   * @returns {Object} Running experiment ID and number of variants with results
+   */
+  getStats() {
+    return {
+      experiment: this.experiment?.enabled ? this.experiment.id : null,
+      variantsWithResults: this.results.size
+    };
+  }
+}
+
+/**
+ * Parse REFINEMENT_EXPERIMENT
+ * @param {string} value - JSON text
+ * @returns {Object|null} Experiment definition, or null when unset or invalid
+ */
+function parseExperiment(value) {
+  if (!value) return null;
+  try {
+    const definition = JSON.parse(value);
+    normalizeExperiment(definition);
+    return definition;
+  } catch (error) {
+    apiLogger.warn('Ignoring invalid REFINEMENT_EXPERIMENT', { error: error.message });
+    return null;
+  }
+}
+
+// Export singleton instance configured from environment
+const refinementExperiments = new RefinementExperiments({
+  experiment: parseExperiment(process.env.REFINEMENT_EXPERIMENT)
+});
+
+export default refinementExperiments;
+export { RefinementExperiments };
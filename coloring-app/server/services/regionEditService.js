@@ -0,0 +1,201 @@
+/**
+ * Region Edit Service for Coloring Book Creator
+ *
+ * Fixes one part of a generated page (a malformed paw, stray text) without
+ * regenerating the whole thing. The client sends the current page, a mask
+ * painted over the bad area and an instruction; the masked region is redrawn
+ * through the image edit API (inpainting) and, for signed-in users, the
+ * result is saved as a new version of the original gallery image.
+ *
+ * Mask format: a PNG the size of the page (it is resized if not) where
+ * transparent pixels mark the area to redraw, as the OpenAI edit API expects.
+ */
+
+import sharp from 'sharp';
+import openaiImageService from './openaiService.js';
+import costLedger, { CostLedger } from './costLedger.js';
+import moderationService from './moderationService.js';
+import { orientationOfSize } from './providers/imageProvider.js';
+import { getGalleryImage, saveImageVersion, isGalleryAvailable } from './galleryService.js';
+import { ServiceError } from '../utils/errors.js';
+import { loadImageInput } from '../utils/imageInput.js';
+import { apiLogger, loggerUtils } from '../utils/logger.js';
+
+/**
+ * Turn the request's page and mask into edit API inputs
+ * @param {Object} input - { imageUrl, mask }
+ * @returns {Promise<Object>} { image, mask, width, height } - PNG buffers of equal size
+ * @throws {ServiceError} 400 INVALID_IMAGE, INVALID_MASK or EMPTY_MASK
+ */
+export async function prepareEditSource({ imageUrl, mask }) {
+  const imageBuffer = await loadImageInput(imageUrl, 'image');
+  const maskBuffer = await loadImageInput(mask, 'mask');
+
+  let image;
+  try {
+    // Flatten onto white: transparent page pixels would read as "edit here"
+    image = await sharp(imageBuffer)
+      .flatten({ background: '#ffffff' })
+      .png()
+      .toBuffer({ resolveWithObject: true });
+  } catch (error) {
+    throw new ServiceError('The image could not be read', { status: 400, code: 'INVALID_IMAGE', details: { reason: error.message } });
+  }
+
+  const { width, height } = image.info;
+
+  let maskPng;
+  let alpha;
+  try {
+    maskPng = await sharp(maskBuffer)
+      .resize(width, height, { fit: 'fill' })
+      .ensureAlpha()
+      .png()
+      .toBuffer();
+    ({ channels: [, , , alpha] } = await sharp(maskPng).stats());
+  } catch (error) {
+    throw new ServiceError('The mask could not be read', { status: 400, code: 'INVALID_MASK', details: { reason: error.message } });
+  }
+
+  if (alpha.min === 255) {
+    throw new ServiceError('Paint over the part of the page you want to change', { status: 400, code: 'EMPTY_MASK' });
+  }
+
+  return { image: image.data, mask: maskPng, width, height };
+}
+
+/**
+ * Build the edit prompt that keeps the redrawn area in coloring book style
+ * @param {string} instruction - What the user wants in the masked area
+ * @param {string} refinedPrompt - Prompt the page was generated from, for context
+ * @returns {string} Edit prompt
+ */
+export function buildEditPrompt(instruction, refinedPrompt = '') {
+  return [
+    `Redraw only the masked area of this coloring book page: ${instruction.trim()}.`,
+    'Match the surrounding black-and-white line art: same line weight, clean closed outlines, white fill, no shading, no color, no text.',
+    refinedPrompt ? `The page shows: ${refinedPrompt.substring(0, 500)}` : null
+  ].filter(Boolean).join(' ');
+}
+
+/**
+ * Redraw the masked region of a page and store it as a new gallery version
+ * @param {Object} request - Validated edit request
+ * @param {string} request.imageUrl - Current page (data URL or URL)
+ * @param {string} request.mask - PNG data URL; transparent pixels are redrawn
+ * @param {string} request.instruction - What to draw in the masked area
+ * @param {string} request.refinedPrompt - Prompt the page was generated from (optional)
+ * @param {string} request.ageGroup - Audience of the page, for the content policy (optional, default kids)
+ * @param {string|null} request.galleryImageId - Gallery image the page came from (optional)
+ * @param {Object|null} request.user - Authenticated user or null
+ * @param {string|null} request.clientIp - Client IP, the spend bucket for anonymous requests
+ * @param {string} request.requestId - Request identifier used for log correlation
+ * @param {Object} hooks - Optional { onStage, onEvent } callbacks, as for the generation pipeline
+ * @returns {Promise<Object>} { success, imageUrl, instruction, metadata, galleryImageId, parentImageId, version, savedToGallery }
+ * @throws {ModerationError} MODERATION_FLAGGED when the instruction (400) or the redrawn page (422) is flagged
+ */
+export async function runRegionEdit(
+  { imageUrl, mask, instruction, refinedPrompt = '', ageGroup, galleryImageId = null, user = null, clientIp = null, requestId },
+  { onStage = () => {}, onEvent = () => {} } = {}
+) {
+  const startTime = Date.now();
+
+  apiLogger.info('Region edit started', {
+    requestId,
+    instruction: instruction.substring(0, 100),
+    galleryImageId,
+    userId: user?.uid
+  });
+
+  onStage('generating');
+
+  // Check the version link before paying for the edit
+  if (user && galleryImageId && isGalleryAvailable() && !(await getGalleryImage(user.uid, galleryImageId))) {
+    throw new ServiceError('The original image was not found in your gallery', { status: 404, code: 'IMAGE_NOT_FOUND' });
+  }
+
+  const source = await prepareEditSource({ imageUrl, mask });
+  const editPrompt = buildEditPrompt(instruction, refinedPrompt);
+
+  // The instruction is free text like a prompt; moderate it before paying for the edit
+  await moderationService.checkPrompts({ prompt: instruction, refinedPrompt: editPrompt }, { requestId });
+
+  // Reserve for the size the edit is requested at, not the square default
+  const size = `${source.width}x${source.height}`;
+  const orientation = orientationOfSize(size);
+  const estimate = openaiImageService.estimateRequestCost({ size, orientation, variations: 1 });
+  const reservation = costLedger.authorize(CostLedger.bucketFor({ user, clientIp }), estimate.totalCost);
+  const ledgerDetails = { requestId, userId: user?.uid || null, operation: 'edit-region' };
+
+  let editResult;
+  try {
+    editResult = await openaiImageService.editImage(editPrompt, source, {
+      requestId,
+      size,
+      orientation,
+      ageGroup,
+      onProgress: onEvent
+    });
+  } catch (error) {
+    costLedger.recordFailure(reservation, { ...ledgerDetails, processingTime: Date.now() - startTime });
+    throw error;
+  }
+
+  const { metadata } = editResult;
+  costLedger.record(reservation, metadata.costs, {
+    ...ledgerDetails,
+    model: editResult.model,
+    provider: metadata.provider,
+    imageCount: 1,
+    processingTime: metadata.processingTime
+  });
+
+  // A flagged redraw is never returned or saved as a version
+  await moderationService.checkImages(editResult, { requestId });
+
+  onEvent('image-received', {
+    model: editResult.model,
+    apiMode: metadata.apiMode,
+    variationCount: 1,
+    processingTime: Date.now() - startTime
+  });
+
+  const editMetadata = {
+    ...metadata,
+    editInstruction: instruction,
+    // Kept so further edits of this page use the same content policy profile
+    ageGroup: ageGroup || null,
+    apiEndpointUsed: '/api/edit-region'
+  };
+
+  let version = null;
+  if (user && galleryImageId) {
+    onStage('saving');
+    version = await saveImageVersion(user.uid, galleryImageId, {
+      imageUrl: editResult.imageUrl,
+      metadata: editMetadata
+    });
+    onEvent('gallery-saved', { galleryImageId: version?.imageId || null, saved: !!version });
+  }
+
+  loggerUtils.logPerformance(apiLogger, 'region-edit', Date.now() - startTime, {
+    requestId,
+    modelUsed: editResult.model,
+    userId: user?.uid,
+    costs: metadata.costs,
+    savedVersion: version?.version || null
+  });
+
+  return {
+    success: true,
+    imageUrl: editResult.imageUrl,
+    instruction,
+    metadata: editMetadata,
+    galleryImageId: version?.imageId || null,
+    parentImageId: galleryImageId,
+    version: version?.version || null,
+    savedToGallery: !!version
+  };
+}
+
+export default { runRegionEdit, prepareEditSource, buildEditPrompt };
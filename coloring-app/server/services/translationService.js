@@ -0,0 +1,280 @@
+/**
+ * Prompt Translation for Coloring Book Creator
+ *
+ * Refinement templates, subject detection and the content policy word lists
+ * are English, so prompts in other languages are translated before they are
+ * refined. The language is guessed locally first (script, then common short
+ * words for Latin-script languages) so prompts written with English function
+ * words never wait for a translator; anything else is translated.
+ *
+ * TRANSLATION_PROVIDER picks the translator:
+ *
+ *   TRANSLATION_PROVIDER=gpt    GPT chat model (default with a real OpenAI key)
+ *   TRANSLATION_PROVIDER=http   LibreTranslate-compatible server at TRANSLATION_URL
+ *                               (default without a real key when the URL is set)
+ *   TRANSLATION_PROVIDER=off    prompts are refined as written
+ *
+ * TRANSLATOR CONTRACT:
+ * - translate(text, { signal }) → { text, language } with the English text and,
+ *   when the translator reports it, the detected source language
+ * - id → name recorded with each translation
+ *
+ * A failed translation is logged and the prompt is refined as written.
+ */
+
+import OpenAI from 'openai';
+import { tokenize } from '../../shared/contentPolicy.js';
+import { throwIfCancelled } from '../utils/errors.js';
+import { apiLogger } from '../utils/logger.js';
+
+export const TRANSLATION_PROVIDER_TYPES = ['gpt', 'http', 'off'];
+
+// Checked in order: kana marks Japanese even though it also uses Han
+const SCRIPT_LANGUAGES = [
+  [/[\p{Script=Hiragana}\p{Script=Katakana}]/u, 'ja'],
+  [/\p{Script=Hangul}/u, 'ko'],
+  [/\p{Script=Han}/u, 'zh'],
+  [/\p{Script=Cyrillic}/u, 'ru'],
+  [/\p{Script=Arabic}/u, 'ar'],
+  [/\p{Script=Hebrew}/u, 'he'],
+  [/\p{Script=Greek}/u, 'el'],
+  [/\p{Script=Devanagari}/u, 'hi'],
+  [/\p{Script=Thai}/u, 'th']
+];
+
+// Short words that give away a Latin-script language (accents already removed)
+const COMMON_WORDS = {
+  en: ['the', 'a', 'an', 'with', 'of', 'and', 'in', 'on', 'under', 'at', 'for', 'is', 'to', 'my'],
+  es: ['el', 'los', 'las', 'una', 'con', 'del', 'y', 'en', 'por', 'para', 'sobre', 'bajo', 'mi'],
+  fr: ['le', 'les', 'une', 'avec', 'du', 'et', 'dans', 'sur', 'sous', 'au', 'aux', 'mon', 'ma'],
+  de: ['der', 'die', 'das', 'ein', 'eine', 'mit', 'und', 'im', 'auf', 'unter', 'dem', 'einem', 'mein'],
+  it: ['il', 'lo', 'gli', 'uno', 'con', 'di', 'della', 'e', 'nel', 'sul', 'sotto', 'mio'],
+  pt: ['o', 'os', 'um', 'uma', 'com', 'do', 'da', 'e', 'no', 'na', 'em', 'meu'],
+  nl: ['het', 'een', 'met', 'en', 'op', 'onder', 'van', 'mijn']
+};
+
+/**
+ * Guess the language of a prompt
+ * @param {string} text - Prompt as written
+ * @returns {string} ISO 639-1 code; 'und' for Latin text without telltale words
+ *   ("crème brûlée", "pistola sangrienta"), which is left to the translator since
+ *   only English reaches the word lists unchecked
+ */
+export function detectLanguage(text) {
+  const input = String(text ?? '');
+
+  for (const [pattern, language] of SCRIPT_LANGUAGES) {
+    if (pattern.test(input)) return language;
+  }
+
+  const words = tokenize(input);
+  const scores = Object.entries(COMMON_WORDS).map(([language, common]) => [
+    language,
+    words.filter(word => common.includes(word)).length
+  ]);
+  const [best, bestScore] = scores.reduce((top, entry) => (entry[1] > top[1] ? entry : top));
+
+  return bestScore > 0 ? best : 'und';
+}
+
+/**
+ * Translation with a GPT chat model
+ */
+export class GptTranslator {
+  /**
+   * @param {Object} options - Translator options
+   * @param {Object} options.client - OpenAI SDK client
+   * @param {string} options.model - Chat model (default: gpt-4o-mini)
+   */
+  constructor({ client, model = 'gpt-4o-mini' }) {
+    this.client = client;
+    this.model = model;
+    this.id = `gpt:${model}`;
+  }
+
+  async translate(text, { signal } = {}) {
+    const response = await this.client.chat.completions.create({
+      model: this.model,
+      messages: [
+        {
+          role: 'system',
+          content: 'You translate short coloring page descriptions into natural English. Keep names, dishes and places that English speakers use untranslated (e.g. "crème brûlée"). Do not add details.'
+        },
+        {
+          role: 'user',
+          content: `Translate this description. Reply with JSON only: {"language": "<ISO 639-1 code of the original>", "text": "<English translation>"}\n\n${text}`
+        }
+      ],
+      response_format: { type: 'json_object' },
+      max_tokens: 300,
+      temperature: 0
+    }, { signal });
+
+    const result = JSON.parse(response.choices[0].message.content);
+    if (typeof result.text !== 'string' || !result.text.trim()) {
+      throw new Error('Translation response had no text');
+    }
+    return { text: result.text.trim(), language: typeof result.language === 'string' ? result.language : null };
+  }
+}
+
+/**
+ * Translation through a LibreTranslate-compatible server
+ * POST { q, source: "auto", target: "en", format: "text" } → { translatedText, detectedLanguage }
+ */
+export class HttpTranslator {
+  /**
+   * @param {Object} options - Translator options (defaults come from the environment)
+   * @param {string} options.url - Translate endpoint (TRANSLATION_URL)
+   * @param {string} options.apiKey - Sent as `api_key` when set (TRANSLATION_API_KEY)
+   * @param {number} options.timeoutMs - Request timeout (TRANSLATION_TIMEOUT_MS, default: 10000)
+   */
+  constructor({
+    url = process.env.TRANSLATION_URL,
+    apiKey = process.env.TRANSLATION_API_KEY,
+    timeoutMs = parseInt(process.env.TRANSLATION_TIMEOUT_MS, 10) || 10000
+  } = {}) {
+    this.url = url;
+    this.apiKey = apiKey;
+    this.timeoutMs = timeoutMs;
+    this.id = 'http';
+  }
+
+  async translate(text, { signal } = {}) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        q: text,
+        source: 'auto',
+        target: 'en',
+        format: 'text',
+        ...(this.apiKey && { api_key: this.apiKey })
+      }),
+      signal: signal
+        ? AbortSignal.any([signal, AbortSignal.timeout(this.timeoutMs)])
+        : AbortSignal.timeout(this.timeoutMs)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Translation server responded with ${response.status}`);
+    }
+
+    const body = await response.json();
+    if (typeof body.translatedText !== 'string' || !body.translatedText.trim()) {
+      throw new Error('Translation server returned no text');
+    }
+    return { text: body.translatedText.trim(), language: body.detectedLanguage?.language || null };
+  }
+}
+
+/**
+ * Language detection and translation to English with counts per language
+ */
+class TranslationService {
+  /**
+   * @param {Object} options - Translation options
+   * @param {Object|null} options.translator - Translator (see TRANSLATOR CONTRACT); null refines prompts as written
+   */
+  constructor({ translator = null } = {}) {
+    this.translator = translator;
+    this.stats = { translated: 0, failed: 0, untranslated: 0, languages: {} };
+  }
+
+  /**
+   * English version of a prompt
+   * @param {string} text - Sanitized prompt
+   * @param {Object} options - { requestId, signal }
+   * @returns {Promise<Object>} { text, language, translated, translator }; `text`
+   *   is the prompt as written when it is English or could not be translated
+   * @throws {CancelledError} When the signal is aborted
+   */
+  async toEnglish(text, { requestId, signal = null } = {}) {
+    const detected = detectLanguage(text);
+    const untranslated = { text, language: detected, translated: false, translator: null };
+
+    if (detected === 'en') {
+      return untranslated;
+    }
+
+    this.stats.languages[detected] = (this.stats.languages[detected] || 0) + 1;
+
+    if (!this.translator) {
+      this.stats.untranslated++;
+      apiLogger.info('No translator configured, refining the prompt as written', { requestId, language: detected });
+      return untranslated;
+    }
+
+    try {
+      const result = await this.translator.translate(text, { signal });
+      const language = result.language && result.language !== 'auto' ? result.language : detected;
+      this.stats.translated++;
+
+      apiLogger.info('Prompt translated to English', {
+        requestId,
+        language,
+        translator: this.translator.id,
+        originalLength: text.length,
+        translatedLength: result.text.length
+      });
+
+      return { text: result.text, language, translated: result.text !== text, translator: this.translator.id };
+    } catch (error) {
+      throwIfCancelled(signal);
+      this.stats.failed++;
+      apiLogger.warn('Prompt translation failed, refining the prompt as written', {
+        requestId,
+        language: detected,
+        translator: this.translator.id,
+        error: error.message
+      });
+      return untranslated;
+    }
+  }
+
+  /**
+   * Translation statistics for health reporting
+   * @returns {Object} Translator, outcome counts and prompts per detected language
+   */
+  getStats() {
+    return {
+      translator: this.translator?.id || null,
+      ...this.stats
+    };
+  }
+}
+
+/**
+ * Translator from TRANSLATION_PROVIDER
+ * @param {string} value - 'gpt', 'http' or 'off'; unset picks gpt with a real key,
+ *   then http when TRANSLATION_URL is set, otherwise off
+ * @returns {Object|null} Translator, or null when translation is off
+ */
+function createConfiguredTranslator(value) {
+  const hasRealKey = process.env.OPENAI_API_KEY &&
+                    process.env.OPENAI_API_KEY !== 'sk-mock-key-for-testing' &&
+                    process.env.OPENAI_API_KEY.startsWith('sk-');
+  let type = value || (hasRealKey ? 'gpt' : process.env.TRANSLATION_URL ? 'http' : 'off');
+
+  if (!TRANSLATION_PROVIDER_TYPES.includes(type)) {
+    apiLogger.warn('Ignoring invalid TRANSLATION_PROVIDER, prompts are refined as written', { value });
+    type = 'off';
+  }
+
+  switch (type) {
+    case 'gpt':
+      return new GptTranslator({ client: new OpenAI({ apiKey: process.env.OPENAI_API_KEY }) });
+    case 'http':
+      return process.env.TRANSLATION_URL ? new HttpTranslator() : null;
+    default:
+      return null;
+  }
+}
+
+// Export singleton instance configured from environment
+const translationService = new TranslationService({
+  translator: createConfiguredTranslator(process.env.TRANSLATION_PROVIDER)
+});
+
+export default translationService;
+export { TranslationService };
@@ -0,0 +1,115 @@
+/**
+ * Usage Report Builder for Coloring Book Creator
+ *
+ * Turns cost ledger entries into spend reports: totals plus breakdowns by
+ * day, model, detected category, complexity and outcome (success, fallback
+ * or failed). Each aggregate sums costs with CostCalculator.combineCosts and
+ * reports the average processing time. Reports can be exported as CSV.
+ */
+
+import { CostCalculator } from './providers/costCalculator.js';
+
+/**
+ * Breakdown dimensions, keyed by report field, with the entry value to group on
+ */
+export const USAGE_DIMENSIONS = {
+  byDay: entry => entry.timestamp.substring(0, 10),
+  byModel: entry => entry.model || 'none',
+  byCategory: entry => entry.category || 'unknown',
+  byComplexity: entry => entry.complexity || 'unknown',
+  byOutcome: entry => entry.outcome || 'success'
+};
+
+const CSV_COLUMNS = [
+  'dimension',
+  'key',
+  'generations',
+  'images',
+  'imageCost',
+  'tokenCost',
+  'totalCost',
+  'avgProcessingTimeMs'
+];
+
+const costCalculator = new CostCalculator();
+
+/**
+ * Aggregate a group of ledger entries
+ * @param {Array<Object>} entries - Ledger entries
+ * @returns {Object} { generations, images, imageCost, tokenCost, totalCost, avgProcessingTimeMs }
+ */
+function aggregate(entries) {
+  const { imageCost, tokenCost, totalCost, imageCount } = costCalculator.combineCosts(entries);
+  const timed = entries.filter(entry => Number.isFinite(entry.processingTime));
+
+  return {
+    generations: imageCount,
+    images: entries.reduce((total, entry) => total + (entry.imageCount || 0), 0),
+    imageCost,
+    tokenCost,
+    totalCost,
+    avgProcessingTimeMs: timed.length
+      ? Math.round(timed.reduce((total, entry) => total + entry.processingTime, 0) / timed.length)
+      : null
+  };
+}
+
+/**
+ * Build a usage report from ledger entries
+ * @param {Array<Object>} entries - Ledger entries (see CostLedger.getEntries)
+ * @param {Object} range - Reported period ({ from, to }) echoed in the report
+ * @returns {Object} { range, totals, byDay, byModel, byCategory, byComplexity, byOutcome }
+ */
+export function buildUsageReport(entries, range = {}) {
+  const report = {
+    range: { from: range.from || null, to: range.to || null },
+    totals: aggregate(entries)
+  };
+
+  for (const [dimension, keyOf] of Object.entries(USAGE_DIMENSIONS)) {
+    const groups = new Map();
+    for (const entry of entries) {
+      const key = keyOf(entry);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(entry);
+    }
+
+    report[dimension] = [...groups.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([key, group]) => ({ key, ...aggregate(group) }));
+  }
+
+  return report;
+}
+
+/**
+ * Quote a CSV field when it contains separators, quotes or newlines
+ * @param {*} value - Field value
+ * @returns {string} CSV-safe field
+ */
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Flatten a usage report into CSV, one row per aggregate
+ * @param {Object} report - Result of buildUsageReport
+ * @returns {string} CSV text with a header row
+ */
+export function usageReportToCsv(report) {
+  const rows = [{ dimension: 'total', key: 'all', ...report.totals }];
+
+  for (const dimension of Object.keys(USAGE_DIMENSIONS)) {
+    for (const row of report[dimension]) {
+      rows.push({ dimension: dimension.replace(/^by/, '').toLowerCase(), ...row });
+    }
+  }
+
+  return [
+    CSV_COLUMNS.join(','),
+    ...rows.map(row => CSV_COLUMNS.map(column => csvField(row[column])).join(','))
+  ].join('\n') + '\n';
+}
+
+export default { buildUsageReport, usageReportToCsv, USAGE_DIMENSIONS };
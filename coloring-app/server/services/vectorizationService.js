@@ -0,0 +1,400 @@
+/**
+ * Vectorization Service for Coloring Book Creator
+ *
+ * Print shops want vector files: a 1024px raster looks jagged once it is
+ * scaled to letter size. This service traces a line art page into filled
+ * outlines that stay crisp at any size:
+ *
+ * 1. ink mask  - flatten onto white, grayscale, threshold at `inkThreshold`
+ * 2. despeckle - drop ink specks and fill pinholes smaller than `minSpeckArea`
+ * 3. contours  - walk the pixel edges between ink and paper into closed loops
+ *                (diagonal ink pixels stay joined, so thin strokes don't break)
+ * 4. smoothing - moving average along each loop to remove the pixel staircase
+ * 5. simplify  - Ramer-Douglas-Peucker down to points `tolerance` px apart
+ * 6. curves    - Catmull-Rom cubic Béziers through the points, keeping sharp
+ *                turns as corners
+ *
+ * The trace is format-neutral (loops of cubic segments in pixel units): it
+ * is written out as SVG here and drawn into PDFs by the PDF service.
+ */
+
+import sharp from 'sharp';
+import { ServiceError } from '../utils/errors.js';
+import { loadImageInput } from '../utils/imageInput.js';
+import { apiLogger } from '../utils/logger.js';
+
+export const VECTORIZE_CONFIG = {
+  inkThreshold: 128,
+  minSpeckArea: 12, // Pixels on a 1024px page, scaled by area
+  smoothingRadius: 2, // Points averaged on each side along a contour
+  tolerance: 0.6, // Largest deviation (px) allowed when simplifying
+  cornerAngle: 65, // Turns sharper than this (degrees) stay corners
+  precision: 1, // Decimal places in SVG coordinates
+  referenceWidth: 1024
+};
+
+// Pixel-edge directions: east, south, west, north (image y points down)
+const STEPS = [[1, 0], [0, 1], [-1, 0], [0, -1]];
+
+/**
+ * Read an image into a 0/1 ink mask
+ * @param {Buffer} buffer - Image bytes
+ * @returns {Promise<Object>} { mask, width, height }
+ * @throws {ServiceError} 400 INVALID_IMAGE when the image cannot be decoded
+ */
+async function readInkMask(buffer) {
+  let raw;
+  try {
+    raw = await sharp(buffer)
+      .flatten({ background: '#ffffff' })
+      .grayscale()
+      .extractChannel(0)
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+  } catch (error) {
+    throw new ServiceError('The image could not be read', { status: 400, code: 'INVALID_IMAGE', details: { reason: error.message } });
+  }
+
+  const { data, info } = raw;
+  const mask = new Uint8Array(data.length);
+  for (let i = 0; i < data.length; i++) {
+    mask[i] = data[i] < VECTORIZE_CONFIG.inkThreshold ? 1 : 0;
+  }
+  return { mask, width: info.width, height: info.height };
+}
+
+/**
+ * Flip 4-connected areas of one value that are smaller than a minimum
+ * Used both ways: ink specks become paper, pinholes in strokes become ink.
+ * @param {Uint8Array} mask - Ink mask, modified in place
+ * @param {Object} size - { width, height }
+ * @param {number} value - 1 to remove specks, 0 to fill holes
+ * @param {number} minArea - Areas below this are flipped
+ * @returns {number} Number of areas flipped
+ */
+export function removeSmallAreas(mask, { width }, value, minArea) {
+  const seen = new Uint8Array(mask.length);
+  const stack = new Int32Array(mask.length);
+  const area = [];
+  let flipped = 0;
+
+  for (let start = 0; start < mask.length; start++) {
+    if (mask[start] !== value || seen[start]) continue;
+
+    let top = 0;
+    area.length = 0;
+    stack[top++] = start;
+    seen[start] = 1;
+
+    while (top > 0) {
+      const i = stack[--top];
+      area.push(i);
+      const x = i % width;
+
+      for (const next of [x > 0 ? i - 1 : -1, x < width - 1 ? i + 1 : -1, i - width, i + width]) {
+        if (next >= 0 && next < mask.length && mask[next] === value && !seen[next]) {
+          seen[next] = 1;
+          stack[top++] = next;
+        }
+      }
+    }
+
+    if (area.length < minArea) {
+      for (const i of area) mask[i] = 1 - value;
+      flipped++;
+    }
+  }
+
+  return flipped;
+}
+
+/**
+ * Trace the boundaries between ink and paper into closed loops
+ * Every ink pixel side facing paper is a directed edge with the ink on its
+ * right. Where two ink pixels touch only at a corner the walk turns left,
+ * keeping them in one outline.
+ * @param {Uint8Array} mask - Ink mask
+ * @param {Object} size - { width, height }
+ * @returns {Array<Array<Array<number>>>} Loops of [x, y] pixel-corner points
+ */
+export function traceContours(mask, { width, height }) {
+  const stride = width + 1;
+  const edges = new Uint8Array(stride * (height + 1));
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      if (!mask[i]) continue;
+
+      if (y === 0 || !mask[i - width]) edges[y * stride + x] |= 1; // top, heading east
+      if (x === width - 1 || !mask[i + 1]) edges[y * stride + x + 1] |= 2; // right, heading south
+      if (y === height - 1 || !mask[i + width]) edges[(y + 1) * stride + x + 1] |= 4; // bottom, heading west
+      if (x === 0 || !mask[i - 1]) edges[(y + 1) * stride + x] |= 8; // left, heading north
+    }
+  }
+
+  const loops = [];
+  for (let start = 0; start < edges.length; start++) {
+    while (edges[start]) {
+      const startDirection = Math.log2(edges[start] & -edges[start]);
+      const loop = [];
+      let vertex = start;
+      let direction = startDirection;
+
+      for (;;) {
+        loop.push([vertex % stride, Math.floor(vertex / stride)]);
+        edges[vertex] &= ~(1 << direction);
+        vertex += STEPS[direction][0] + STEPS[direction][1] * stride;
+
+        // Prefer left, then straight, then right
+        const available = vertex === start ? edges[vertex] | (1 << startDirection) : edges[vertex];
+        const next = [(direction + 3) % 4, direction, (direction + 1) % 4].find(turn => available & (1 << turn));
+        if (next === undefined || (vertex === start && next === startDirection)) break;
+        direction = next;
+      }
+
+      loops.push(loop);
+    }
+  }
+
+  return loops;
+}
+
+/**
+ * Moving average along a closed loop
+ * @param {Array<Array<number>>} points - Loop points
+ * @param {number} radius - Points averaged on each side
+ * @returns {Array<Array<number>>} Smoothed loop
+ */
+function smoothLoop(points, radius) {
+  const count = points.length;
+  if (radius < 1 || count <= radius * 4) return points;
+
+  return points.map((_, i) => {
+    let x = 0;
+    let y = 0;
+    for (let offset = -radius; offset <= radius; offset++) {
+      const [px, py] = points[(i + offset + count) % count];
+      x += px;
+      y += py;
+    }
+    return [x / (2 * radius + 1), y / (2 * radius + 1)];
+  });
+}
+
+/**
+ * Ramer-Douglas-Peucker simplification of an open polyline
+ * @param {Array<Array<number>>} points - Polyline points
+ * @param {number} tolerance - Largest distance a dropped point may be from the result
+ * @returns {Array<Array<number>>} Kept points, including both ends
+ */
+function simplifyPolyline(points, tolerance) {
+  const keep = new Uint8Array(points.length);
+  keep[0] = 1;
+  keep[points.length - 1] = 1;
+  const ranges = [[0, points.length - 1]];
+
+  while (ranges.length > 0) {
+    const [first, last] = ranges.pop();
+    const [ax, ay] = points[first];
+    const [bx, by] = points[last];
+    const length = Math.hypot(bx - ax, by - ay) || 1;
+
+    let farthest = -1;
+    let maxDistance = tolerance;
+    for (let i = first + 1; i < last; i++) {
+      const [px, py] = points[i];
+      const distance = Math.abs((bx - ax) * (ay - py) - (ax - px) * (by - ay)) / length;
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        farthest = i;
+      }
+    }
+
+    if (farthest !== -1) {
+      keep[farthest] = 1;
+      ranges.push([first, farthest], [farthest, last]);
+    }
+  }
+
+  return points.filter((_, i) => keep[i]);
+}
+
+/**
+ * Simplify a closed loop by splitting it at the point farthest from its start
+ * @param {Array<Array<number>>} points - Loop points
+ * @param {number} tolerance - Simplification tolerance in pixels
+ * @returns {Array<Array<number>>} Simplified loop (not repeating the first point)
+ */
+function simplifyLoop(points, tolerance) {
+  const [sx, sy] = points[0];
+  let split = 0;
+  let maxDistance = -1;
+  points.forEach(([x, y], i) => {
+    const distance = Math.hypot(x - sx, y - sy);
+    if (distance > maxDistance) {
+      maxDistance = distance;
+      split = i;
+    }
+  });
+
+  const firstHalf = simplifyPolyline(points.slice(0, split + 1), tolerance);
+  const secondHalf = simplifyPolyline([...points.slice(split), points[0]], tolerance);
+  return [...firstHalf, ...secondHalf.slice(1, -1)];
+}
+
+/**
+ * Fit cubic Béziers through a closed polygon (Catmull-Rom)
+ * Control points are kept within a third of their segment; without that, a
+ * short segment between long ones (the tip of an acute turn) overshoots
+ * into a spike.
+ * @param {Array<Array<number>>} points - Simplified loop
+ * @param {number} cornerCos - Cosine of the corner angle; sharper turns get no tangent
+ * @returns {Array<Array<number>>} Segments [c1x, c1y, c2x, c2y, x, y], starting from points[0]
+ */
+function fitCurves(points, cornerCos) {
+  const count = points.length;
+  const at = (i) => points[(i + count) % count];
+
+  const isCorner = points.map((point, i) => {
+    const [px, py] = at(i - 1);
+    const [nx, ny] = at(i + 1);
+    const inX = point[0] - px;
+    const inY = point[1] - py;
+    const outX = nx - point[0];
+    const outY = ny - point[1];
+    const lengths = Math.hypot(inX, inY) * Math.hypot(outX, outY) || 1;
+    return (inX * outX + inY * outY) / lengths < cornerCos;
+  });
+
+  const tangent = (i, limit) => {
+    if (isCorner[(i + count) % count]) return [0, 0];
+    const tx = (at(i + 1)[0] - at(i - 1)[0]) / 6;
+    const ty = (at(i + 1)[1] - at(i - 1)[1]) / 6;
+    const shrink = Math.min(1, limit / (Math.hypot(tx, ty) || 1));
+    return [tx * shrink, ty * shrink];
+  };
+
+  return points.map((point, i) => {
+    const next = at(i + 1);
+    const limit = Math.hypot(next[0] - point[0], next[1] - point[1]) / 3;
+    const [tx1, ty1] = tangent(i, limit);
+    const [tx2, ty2] = tangent(i + 1, limit);
+    return [point[0] + tx1, point[1] + ty1, next[0] - tx2, next[1] - ty2, next[0], next[1]];
+  });
+}
+
+/**
+ * Trace a line art raster into smooth closed outlines
+ * @param {Buffer} buffer - Image bytes (PNG, JPEG, WebP)
+ * @returns {Promise<Object>} { width, height, contours: [{ start, segments }], stats }
+ */
+export async function traceLineArt(buffer) {
+  const { mask, width, height } = await readInkMask(buffer);
+  const size = { width, height };
+  const scale = width / VECTORIZE_CONFIG.referenceWidth;
+  const minArea = Math.max(1, Math.round(VECTORIZE_CONFIG.minSpeckArea * scale * scale));
+
+  const specksRemoved = removeSmallAreas(mask, size, 1, minArea);
+  const holesFilled = removeSmallAreas(mask, size, 0, minArea);
+
+  const cornerCos = Math.cos((VECTORIZE_CONFIG.cornerAngle * Math.PI) / 180);
+  const contours = [];
+  for (const loop of traceContours(mask, size)) {
+    const smoothed = smoothLoop(loop, VECTORIZE_CONFIG.smoothingRadius);
+    const points = simplifyLoop(smoothed, VECTORIZE_CONFIG.tolerance);
+    if (points.length < 3) continue;
+
+    contours.push({ start: points[0], segments: fitCurves(points, cornerCos) });
+  }
+
+  return {
+    width,
+    height,
+    contours,
+    stats: {
+      contours: contours.length,
+      segments: contours.reduce((total, contour) => total + contour.segments.length, 0),
+      specksRemoved,
+      holesFilled
+    }
+  };
+}
+
+/**
+ * Format a coordinate compactly ("12.5", "3", "-0.4")
+ * @param {number} value - Coordinate
+ * @returns {string} Rounded coordinate
+ */
+function formatNumber(value) {
+  const rounded = Number(value.toFixed(VECTORIZE_CONFIG.precision));
+  return String(rounded === 0 ? 0 : rounded);
+}
+
+/**
+ * Escape text for use inside SVG markup
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return text.replace(/[<>&"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Write a trace as an SVG document
+ * All outlines go into one even-odd path: ink shapes are filled and the
+ * enclosed paper areas stay white. Curves use relative commands measured
+ * from rounded points so rounding errors don't accumulate.
+ * @param {Object} trace - Result of traceLineArt
+ * @param {Object} options - { title }
+ * @returns {string} SVG markup
+ */
+export function traceToSvg({ width, height, contours }, { title = 'Coloring page' } = {}) {
+  const round = (value) => Number(value.toFixed(VECTORIZE_CONFIG.precision));
+
+  const commands = contours.map(({ start, segments }) => {
+    let [x, y] = start.map(round);
+    const curves = segments.map(segment => {
+      const [c1x, c1y, c2x, c2y, ex, ey] = segment.map(round);
+      const relative = [c1x - x, c1y - y, c2x - x, c2y - y, ex - x, ey - y].map(formatNumber).join(' ');
+      [x, y] = [ex, ey];
+      return relative;
+    });
+    return `M${formatNumber(start[0])} ${formatNumber(start[1])}c${curves.join(' ')}z`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    `<title>${escapeXml(title)}</title>`,
+    `<rect width="${width}" height="${height}" fill="#fff"/>`,
+    `<path fill="#000" fill-rule="evenodd" d="${commands.join('')}"/>`,
+    '</svg>'
+  ].join('\n');
+}
+
+/**
+ * Turn a coloring page into an SVG file
+ * @param {string} imageUrl - Page as a data URL or http(s) URL
+ * @param {Object} options - { title, requestId }
+ * @returns {Promise<Object>} { svg, trace, stats }
+ */
+export async function vectorizePage(imageUrl, { title, requestId } = {}) {
+  const startTime = Date.now();
+  const trace = await traceLineArt(await loadImageInput(imageUrl, 'image'));
+  const svg = traceToSvg(trace, { title });
+
+  const stats = {
+    ...trace.stats,
+    width: trace.width,
+    height: trace.height,
+    svgBytes: Buffer.byteLength(svg),
+    processingTime: Date.now() - startTime
+  };
+
+  apiLogger.info('Page vectorized', { requestId, ...stats });
+
+  return { svg, trace, stats };
+}
+
+export default { vectorizePage, traceLineArt, traceToSvg, traceContours, removeSmallAreas, VECTORIZE_CONFIG };
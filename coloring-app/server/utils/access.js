@@ -0,0 +1,19 @@
+/**
+ * Access helpers for the Coloring Book Creator API
+ *
+ * Shared by the admin-only routes and the quota tiers, so both agree on who
+ * counts as an admin.
+ */
+
+/**
+ * Whether a signed-in user may see deployment-wide reports
+ * Admins carry the `admin` custom claim or are listed in ADMIN_UIDS.
+ * @param {Object|null} user - req.user
+ * @returns {boolean} True for admins
+ */
+export function isAdminUser(user) {
+  const adminUids = (process.env.ADMIN_UIDS || '').split(',').map(uid => uid.trim()).filter(Boolean);
+  return !!user && (user.admin === true || adminUids.includes(user.uid));
+}
+
+export default { isAdminUser };
@@ -0,0 +1,122 @@
+/**
+ * Shared error types for the Coloring Book Creator API
+ *
+ * Services throw ServiceError when a failure should reach the client with a
+ * specific HTTP status and a machine-readable code, instead of the generic
+ * 500 response produced for unexpected errors.
+ */
+
+import { checkContent, describeViolation } from '../../shared/contentPolicy.js';
+import { suggestSafeRewrites } from '../../shared/safeRewrites.js';
+
+/**
+ * Error carrying an HTTP status and stable error code
+ */
+export class ServiceError extends Error {
+  /**
+   * @param {string} message - Human-readable message safe to show to users
+   * @param {Object} options - Error options
+   * @param {number} options.status - HTTP status code (default: 500)
+   * @param {string} options.code - Machine-readable error code (e.g. QUEUE_FULL)
+   * @param {Object} options.details - Extra structured data for the response body
+   */
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', details } = {}) {
+    super(message);
+    this.name = 'ServiceError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, ServiceError);
+    }
+  }
+}
+
+/**
+ * Error for work stopped because the client cancelled the request
+ * Status 499 follows the "client closed request" convention; nobody is
+ * waiting for the response, so it is logged as a cancellation, not a failure.
+ */
+export class CancelledError extends ServiceError {
+  /**
+   * @param {string} message - What was cancelled
+   */
+  constructor(message = 'Generation cancelled') {
+    super(message, { status: 499, code: 'CANCELLED' });
+    this.name = 'CancelledError';
+  }
+}
+
+/**
+ * Stop early when the request has been cancelled
+ * @param {AbortSignal|null} signal - Cancellation signal of the request
+ * @throws {CancelledError} When the signal is aborted
+ */
+export function throwIfCancelled(signal) {
+  if (signal?.aborted) {
+    throw new CancelledError();
+  }
+}
+
+/**
+ * Error for text the shared content policy does not allow
+ * The details carry the policy version, one reason per blocked term and
+ * suggested rewrites, so clients can point at the words to change and offer
+ * an allowed prompt instead.
+ */
+export class ContentPolicyError extends ServiceError {
+  /**
+   * @param {Object} result - Rejecting result of checkContent
+   * @param {Array<string>} suggestions - Allowed rewrites of the rejected text
+   */
+  constructor(result, suggestions = []) {
+    super(describeViolation(result), {
+      status: 400,
+      code: 'CONTENT_NOT_ALLOWED',
+      details: { policyVersion: result.version, profile: result.profile, reasons: result.reasons, suggestions }
+    });
+    this.name = 'ContentPolicyError';
+  }
+}
+
+/**
+ * Error for a prompt or generated image the moderation provider flagged
+ * Separate from ContentPolicyError: the words passed the policy, but the
+ * moderation step read the meaning (or the picture) as unsafe.
+ */
+export class ModerationError extends ServiceError {
+  /**
+   * @param {string} stage - 'prompt', 'refined-prompt' or 'image'
+   * @param {Object} verdict - { provider, categories } of the flagged check
+   */
+  constructor(stage, { provider, categories }) {
+    super(
+      stage === 'image'
+        ? 'The coloring page did not pass the safety check. Please try a different description.'
+        : 'This description did not pass the safety check. Please try a different one.',
+      {
+        status: stage === 'image' ? 422 : 400,
+        code: 'MODERATION_FLAGGED',
+        details: { stage, provider, categories }
+      }
+    );
+    this.name = 'ModerationError';
+  }
+}
+
+/**
+ * Reject text the content policy does not allow
+ * @param {string} text - Prompt, instruction or title
+ * @param {Object} options - { ageGroup } picking the audience profile (default: kids)
+ * @throws {ContentPolicyError} When the text contains terms blocked for the audience,
+ *   with local rewrite suggestions
+ */
+export function assertContentAllowed(text, options = {}) {
+  const result = checkContent(text, options);
+  if (!result.allowed) {
+    throw new ContentPolicyError(result, suggestSafeRewrites(text, options));
+  }
+}
+
+export default ServiceError;
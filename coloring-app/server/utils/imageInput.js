@@ -0,0 +1,44 @@
+/**
+ * Image input helpers for the Coloring Book Creator API
+ *
+ * Pages travel between client, providers and services either as base64 data
+ * URLs (gpt-image-1, mock provider, uploads) or as short-lived http(s) URLs
+ * (dall-e-3). These helpers turn either form into bytes.
+ */
+
+import { ServiceError } from './errors.js';
+
+const IMAGE_FETCH_TIMEOUT_MS = 15000;
+
+/**
+ * Read an image given as a data URL or an http(s) URL
+ * @param {string} imageUrl - Data URL or remote URL
+ * @param {string} field - Request field name used in error messages and codes
+ * @returns {Promise<Buffer>} Image bytes
+ * @throws {ServiceError} 400 INVALID_<FIELD> when the image cannot be read
+ */
+export async function loadImageInput(imageUrl, field = 'image') {
+  const invalid = (message) => new ServiceError(message, { status: 400, code: `INVALID_${field.toUpperCase()}` });
+
+  if (imageUrl.startsWith('data:')) {
+    const match = imageUrl.match(/^data:image\/[a-z+.-]+;base64,(.+)$/i);
+    if (!match) {
+      throw invalid(`The ${field} must be a base64 image data URL`);
+    }
+    return Buffer.from(match[1], 'base64');
+  }
+
+  let response;
+  try {
+    response = await fetch(imageUrl, { signal: AbortSignal.timeout(IMAGE_FETCH_TIMEOUT_MS) });
+  } catch (error) {
+    throw invalid(`The ${field} could not be downloaded: ${error.message}`);
+  }
+
+  if (!response.ok) {
+    throw invalid(`The ${field} could not be downloaded (${response.status})`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+}
+
+export default { loadImageInput };
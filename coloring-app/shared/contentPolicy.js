@@ -0,0 +1,168 @@
+/**
+ * Family-Friendly Content Policy
+ *
+ * The one content check used by the prompt form, the API validators, prompt
+ * refinement and the image service, so a prompt the form accepts is never
+ * rejected later for a different reason. Rules are data: categories of
+ * blocked terms and exception phrases in contentPolicyRules.js, versioned
+ * so a rejection can be traced to the rules that made it.
+ *
+ * The audience picks a profile by age group. Kids get every base term and a
+ * few extras; teens and adults may use some base terms (knights' swords,
+ * Halloween ghosts). Each profile words its own rejection message. Unknown
+ * or missing age groups get the default (strictest) profile.
+ *
+ * Text is split into words before matching. A term matches whole words only
+ * ("kill" blocks "killer" and "killing" but not "skill"), multi-word terms
+ * match consecutive words, and exception phrases ("pillow fight") exempt
+ * the blocked words inside them. Runs unchanged in the browser and in Node.
+ */
+
+import rules from './contentPolicyRules.js';
+
+export const CONTENT_POLICY_VERSION = rules.version;
+
+// Endings that still count as the blocked word; "es" only after s, x, z, ch, sh
+const ENDINGS = ['s', 'ed', 'ing', 'er', 'ers'];
+const ES_ENDING = /(s|x|z|ch|sh)$/;
+
+/**
+ * Split text into lowercase words
+ * Accents are dropped and apostrophes joined ("don't" → "dont"); a trailing
+ * "+" stays with its word so age ratings like "18+" survive.
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Words in order
+ */
+export function tokenize(text) {
+  return String(text ?? '')
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .match(/[\p{L}\p{N}]+\+?/gu) || [];
+}
+
+/**
+ * Whether a word is a rule word or one of its plural and verb forms
+ * @param {string} token - Word from the text
+ * @param {string} word - Word from a rule
+ * @returns {boolean} True when it matches
+ */
+function matchesWord(token, word) {
+  if (token === word) return true;
+  if (!token.startsWith(word.slice(0, -1))) return false;
+
+  if (ES_ENDING.test(word) && token === `${word}es`) return true;
+
+  // "killer", "stabbing" (doubled consonant), "hated" (dropped e)
+  const stems = [word, word + word.at(-1)];
+  return ENDINGS.some(ending =>
+    stems.some(stem => token === stem + ending) ||
+    (ending !== 's' && word.endsWith('e') && token === word.slice(0, -1) + ending)
+  );
+}
+
+/**
+ * Whether a rule's words appear at a position in the text
+ * @param {Array<string>} tokens - Words of the text
+ * @param {number} start - Position to test
+ * @param {Array<string>} words - Words of the rule
+ * @returns {boolean} True when every rule word matches in order
+ */
+function matchesAt(tokens, start, words) {
+  return start + words.length <= tokens.length &&
+    words.every((word, offset) => matchesWord(tokens[start + offset], word));
+}
+
+const toRule = (category, term) => ({ category, term, words: tokenize(term) });
+
+const toRules = (categories) => Object.entries(categories)
+  .flatMap(([category, terms]) => terms.map(term => toRule(category, term)));
+
+const BASE_RULES = toRules(rules.categories);
+const EXCEPTIONS = rules.exceptions.map(term => toRule('exception', term));
+
+export const AUDIENCE_PROFILES = Object.keys(rules.profiles);
+
+/**
+ * Blocked terms and message of every audience profile
+ * Allowing a term that is not a base term is a mistake in the rules file and
+ * fails at load, so a typo cannot silently leave a term blocked.
+ */
+const PROFILES = Object.fromEntries(Object.entries(rules.profiles).map(([name, profile]) => {
+  const unknown = profile.allow.filter(term => !BASE_RULES.some(rule => rule.term === term));
+  if (unknown.length > 0) {
+    throw new Error(`Content policy profile ${name} allows unknown terms: ${unknown.join(', ')}`);
+  }
+
+  return [name, {
+    blocked: [
+      ...BASE_RULES.filter(rule => !profile.allow.includes(rule.term)),
+      ...toRules(profile.deny)
+    ],
+    message: profile.message
+  }];
+}));
+
+/**
+ * Profile name for an age group
+ * @param {string} ageGroup - kids, teens or adults
+ * @returns {string} Profile name; the default profile for unknown age groups
+ */
+export function profileFor(ageGroup) {
+  return Object.hasOwn(PROFILES, ageGroup) ? ageGroup : rules.defaultProfile;
+}
+
+/**
+ * Check text against the content policy
+ * @param {string} text - Prompt, instruction or title
+ * @param {Object} options - Check options
+ * @param {string} options.ageGroup - Audience of the page (kids, teens, adults; default: kids)
+ * @returns {Object} { allowed, version, profile, reasons }; each reason is
+ *   { category, term, match } with the rule term and the words that matched it
+ */
+export function checkContent(text, { ageGroup } = {}) {
+  const profile = profileFor(ageGroup);
+  const tokens = tokenize(text);
+
+  // Positions covered by an exception phrase
+  const exempt = new Set();
+  tokens.forEach((_, start) => {
+    for (const rule of EXCEPTIONS) {
+      if (matchesAt(tokens, start, rule.words)) {
+        rule.words.forEach((_, offset) => exempt.add(start + offset));
+      }
+    }
+  });
+
+  const reasons = [];
+  tokens.forEach((_, start) => {
+    for (const rule of PROFILES[profile].blocked) {
+      if (!matchesAt(tokens, start, rule.words)) continue;
+
+      const span = rule.words.map((_, offset) => start + offset);
+      if (span.every(position => exempt.has(position))) continue;
+      if (reasons.some(reason => reason.term === rule.term)) continue;
+
+      reasons.push({
+        category: rule.category,
+        term: rule.term,
+        match: span.map(position => tokens[position]).join(' ')
+      });
+    }
+  });
+
+  return { allowed: reasons.length === 0, version: CONTENT_POLICY_VERSION, profile, reasons };
+}
+
+/**
+ * Explanation of a rejection in the wording of its profile, shown to users as is
+ * @param {Object} result - Result of checkContent
+ * @returns {string} Message naming the words that were not allowed
+ */
+export function describeViolation(result) {
+  const words = [...new Set(result.reasons.map(reason => `"${reason.match}"`))];
+  return PROFILES[profileFor(result.profile)].message.replace('{words}', words.join(', '));
+}
+
+export default { CONTENT_POLICY_VERSION, AUDIENCE_PROFILES, tokenize, profileFor, checkContent, describeViolation };
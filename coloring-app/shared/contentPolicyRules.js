@@ -0,0 +1,80 @@
+/**
+ * Content Policy Rules
+ *
+ * Data for shared/contentPolicy.js, used by the client form and the server.
+ * Terms are matched as whole words (plus simple plural and verb endings);
+ * multi-word terms match as consecutive words. Phrases under `exceptions`
+ * exempt the blocked words inside them. Each audience profile may `allow`
+ * base terms, `deny` extra ones and word its own rejection (`{words}` is
+ * replaced by the words found).
+ *
+ * Bump `version` on every change; it is returned with each rejection.
+ */
+
+export default {
+  version: 2,
+  defaultProfile: 'kids',
+  categories: {
+    violence: [
+      'violence', 'violent', 'blood', 'bloody', 'gore', 'gory', 'weapon', 'gun',
+      'knife', 'knives', 'sword', 'blade', 'death', 'kill', 'murder', 'fight', 'war',
+      'bomb', 'explosive', 'attack', 'assault', 'shoot', 'stab', 'terrorism',
+      'terrorist'
+    ],
+    adult: [
+      'sex', 'sexual', 'sexy', 'nude', 'naked', 'explicit', 'inappropriate', 'porn',
+      'pornography', 'breast', 'genital', 'erotic', 'intimate', 'seductive', 'nsfw',
+      '18+', 'adult content', 'adult material', 'adult theme', 'adult entertainment',
+      'mature content', 'mature theme', 'not suitable for children'
+    ],
+    substances: [
+      'drug', 'alcohol', 'alcoholic', 'beer', 'wine', 'cigarette', 'smoking',
+      'marijuana', 'cocaine', 'heroin', 'methamphetamine', 'addiction', 'overdose'
+    ],
+    scary: [
+      'scary', 'horror', 'demon', 'devil', 'evil', 'dark magic', 'satanic', 'occult',
+      'zombie', 'ghost', 'haunted', 'nightmare', 'terror'
+    ],
+    'self-harm': [
+      'suicide', 'self harm', 'depression', 'anxiety', 'abuse'
+    ],
+    hate: [
+      'hate', 'racist', 'racism', 'discrimination', 'prejudice', 'bigotry',
+      'extremist'
+    ]
+  },
+  exceptions: [
+    'pillow fight', 'snowball fight', 'water fight', 'water gun', 'glue gun',
+    'fire fighter', 'killer whale'
+  ],
+  profiles: {
+    kids: {
+      description: 'Strict: every base term plus a few spooky extras',
+      allow: [],
+      deny: {
+        scary: ['skull', 'vampire']
+      },
+      message: 'Coloring pages for kids must be family-friendly. Please try different words than {words}.'
+    },
+    teens: {
+      description: 'Moderate: knights, battles and Halloween ghosts',
+      allow: [
+        'sword', 'blade', 'fight', 'attack', 'scary', 'ghost', 'haunted', 'zombie',
+        'nightmare'
+      ],
+      deny: {},
+      message: 'Teen coloring pages stay family-friendly. Please try different words than {words}.'
+    },
+    adults: {
+      description: 'Relaxed but printable-safe: fantasy weapons, war scenes, horror art and still lifes; nothing sexual, gory, hateful or about self-harm',
+      allow: [
+        'weapon', 'sword', 'blade', 'knife', 'knives', 'fight', 'attack', 'war',
+        'death', 'scary', 'horror', 'demon', 'devil', 'evil', 'dark magic', 'occult',
+        'ghost', 'haunted', 'zombie', 'nightmare', 'wine', 'beer', 'depression',
+        'anxiety'
+      ],
+      deny: {},
+      message: 'Pages must stay printable and safe to share. Please try different words than {words}.'
+    }
+  }
+};
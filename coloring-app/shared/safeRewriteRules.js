@@ -0,0 +1,70 @@
+/**
+ * Safe Rewrite Rules
+ *
+ * Data for shared/safeRewrites.js. When the content policy blocks a prompt,
+ * these swaps turn it into prompts that pass ("pirate with a sword" →
+ * "pirate with a telescope"). Replacement lists are tried in order, one
+ * suggestion per position, so put the closest swap first.
+ *
+ * - `phrases`: whole phrases replaced before single words, for swaps that
+ *   depend on context ("haunted house" → "friendly autumn cottage")
+ * - `words`: keyed by a policy term or by one of its forms; plurals of a
+ *   term are derived ("swords" → "telescopes"), other forms need their own key
+ * - `excludedCategories`: no rewrites are suggested for prompts blocked in
+ *   these categories, not even by GPT
+ */
+
+export default {
+  phrases: {
+    'haunted house': ['friendly autumn cottage', 'cozy cottage with pumpkins'],
+    'haunted castle': ['fairytale castle', 'enchanted castle'],
+    'shooting star': ['falling star', 'twinkling star'],
+    'blood moon': ['harvest moon', 'full moon'],
+    'war horse': ['parade horse', 'circus horse'],
+    'sword fight': ['pillow fight', 'snowball fight'],
+    'ghost story': ['bedtime story', 'campfire story'],
+    'smoking a cigarette': ['blowing bubbles', 'licking a lollipop']
+  },
+  words: {
+    violence: ['adventure', 'teamwork'],
+    violent: ['wild', 'stormy'],
+    blood: ['red paint', 'strawberry jam'],
+    bloody: ['muddy', 'messy'],
+    weapon: ['magic wand', 'toolbox'],
+    gun: ['water gun', 'bubble wand'],
+    knife: ['spoon', 'paintbrush'],
+    knives: ['spoons', 'paintbrushes'],
+    sword: ['telescope', 'treasure map', 'shield'],
+    blade: ['feather', 'leaf'],
+    kill: ['tickle', 'catch'],
+    killing: ['tickling', 'catching'],
+    fight: ['dance', 'race'],
+    fighting: ['dancing', 'racing'],
+    war: ['parade', 'tournament'],
+    bomb: ['balloon', 'confetti popper'],
+    explosive: ['sparkly', 'bubbly'],
+    attack: ['visit', 'surprise'],
+    attacking: ['visiting', 'surprising'],
+    shoot: ['photograph', 'throw'],
+    shooting: ['photographing', 'throwing'],
+    scary: ['silly', 'friendly'],
+    horror: ['mystery', 'adventure'],
+    demon: ['dragon', 'goblin'],
+    devil: ['little dragon', 'imp'],
+    evil: ['grumpy', 'mischievous'],
+    'dark magic': ['rainbow magic', 'star magic'],
+    zombie: ['robot', 'friendly monster'],
+    ghost: ['friendly monster', 'kite'],
+    haunted: ['enchanted', 'friendly'],
+    nightmare: ['dream', 'daydream'],
+    skull: ['seashell', 'pumpkin'],
+    vampire: ['friendly bat', 'magician'],
+    alcohol: ['lemonade', 'juice'],
+    beer: ['lemonade', 'milkshake'],
+    wine: ['grape juice', 'lemonade'],
+    cigarette: ['lollipop', 'candy cane'],
+    smoking: ['puffing', 'steaming'],
+    drug: ['medicine', 'vitamin']
+  },
+  excludedCategories: ['adult', 'self-harm', 'hate']
+};
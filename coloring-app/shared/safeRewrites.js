@@ -0,0 +1,147 @@
+/**
+ * Safe Rewrite Suggestions
+ *
+ * Turns a prompt the content policy blocks into prompts it allows by swapping
+ * the blocked words for family-friendly ones (rules in safeRewriteRules.js).
+ * Every suggestion is checked against the same profile before it is offered,
+ * so applying one never leads to another rejection. Used by the prompt form
+ * and, together with GPT rewrites, by the server's rejections.
+ */
+
+import rules from './safeRewriteRules.js';
+import { checkContent, tokenize } from './contentPolicy.js';
+
+const WORD_CHAR = '[\\p{L}\\p{N}]';
+
+const PHRASES = Object.entries(rules.phrases).map(([phrase, options]) => ({ phrase, words: tokenize(phrase), options }));
+
+// A replacement the strictest profile blocks is a mistake in the rules file
+const blockedReplacements = [...Object.values(rules.phrases), ...Object.values(rules.words)]
+  .flat()
+  .filter(replacement => !checkContent(replacement).allowed);
+if (blockedReplacements.length > 0) {
+  throw new Error(`Safe rewrite rules use blocked replacements: ${blockedReplacements.join(', ')}`);
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+/**
+ * Plural of a replacement; only the last word changes ("treasure map" → "treasure maps")
+ * @param {string} phrase - Singular replacement
+ * @returns {string} Plural replacement
+ */
+function pluralize(phrase) {
+  if (/(s|x|z|ch|sh)$/.test(phrase)) return `${phrase}es`;
+  if (/[^aeiou]y$/.test(phrase)) return `${phrase.slice(0, -1)}ies`;
+  return `${phrase}s`;
+}
+
+/**
+ * Replace consecutive words in text, keeping "a"/"an" and capitals right
+ * @param {string} text - Text to change
+ * @param {Array<string>} words - Words to find, as returned by tokenize
+ * @param {string} replacement - Text to put in their place
+ * @returns {string} Changed text (unchanged when the words are not found as written)
+ */
+function replaceWords(text, words, replacement) {
+  const pattern = new RegExp(
+    `(?<!${WORD_CHAR})(?:(a|an)(\\s+))?${words.map(escapeRegExp).join(`[^\\p{L}\\p{N}]+`)}(?!${WORD_CHAR})`,
+    'giu'
+  );
+
+  return text.replace(pattern, (found, article, space) => {
+    if (article) {
+      const fitting = /^[aeiou]/i.test(replacement) ? 'an' : 'a';
+      return `${article[0] === 'A' ? capitalize(fitting) : fitting}${space}${replacement}`;
+    }
+    return /^\p{Lu}/u.test(found) ? capitalize(replacement) : replacement;
+  });
+}
+
+/**
+ * Replacement for a blocked word
+ * @param {Object} reason - Reason from checkContent ({ term, match })
+ * @param {number} index - Which of the listed replacements to use
+ * @returns {string|null} Replacement, or null when the rules have none for this form
+ */
+function replacementFor(reason, index) {
+  const pick = (options) => options[index % options.length];
+
+  if (Object.hasOwn(rules.words, reason.match)) {
+    return pick(rules.words[reason.match]);
+  }
+  if (!Object.hasOwn(rules.words, reason.term)) {
+    return null;
+  }
+
+  const replacement = pick(rules.words[reason.term]);
+  if (reason.match === reason.term) {
+    return replacement;
+  }
+  return [`${reason.term}s`, `${reason.term}es`].includes(reason.match) ? pluralize(replacement) : null;
+}
+
+/**
+ * One rewrite of a blocked text
+ * @param {string} text - Blocked text
+ * @param {string} ageGroup - Audience profile
+ * @param {number} index - Which of the listed replacements to use
+ * @returns {string|null} Allowed rewrite, or null when some blocked word has no replacement
+ */
+function rewriteAt(text, ageGroup, index) {
+  let rewritten = text;
+
+  for (const { phrase, words, options } of PHRASES) {
+    if (!checkContent(phrase, { ageGroup }).allowed) {
+      rewritten = replaceWords(rewritten, words, options[index % options.length]);
+    }
+  }
+
+  for (const reason of checkContent(rewritten, { ageGroup }).reasons) {
+    const replacement = replacementFor(reason, index);
+    if (!replacement) {
+      return null;
+    }
+    rewritten = replaceWords(rewritten, reason.match.split(' '), replacement);
+  }
+
+  return rewritten !== text && checkContent(rewritten, { ageGroup }).allowed ? rewritten : null;
+}
+
+/**
+ * Whether rewrites may be suggested for a rejection
+ * Prompts blocked as sexual, hateful or about self-harm get no suggestions.
+ * @param {Object} result - Rejecting result of checkContent
+ * @returns {boolean} True when no reason is in an excluded category
+ */
+export function isRewritable(result) {
+  return result.reasons.every(reason => !rules.excludedCategories.includes(reason.category));
+}
+
+/**
+ * Suggest allowed rewrites of a blocked text
+ * @param {string} text - Prompt, instruction or title
+ * @param {Object} options - Suggestion options
+ * @param {string} options.ageGroup - Audience of the page (kids, teens, adults; default: kids)
+ * @param {number} options.limit - Most suggestions to return (default: 3)
+ * @returns {Array<string>} Rewrites the profile allows; empty when the text is
+ *   allowed, not rewritable or has a blocked word without a replacement
+ */
+export function suggestSafeRewrites(text, { ageGroup, limit = 3 } = {}) {
+  const result = checkContent(text, { ageGroup });
+  if (result.allowed || !isRewritable(result)) {
+    return [];
+  }
+
+  const suggestions = [];
+  for (let index = 0; index < limit; index++) {
+    const rewrite = rewriteAt(String(text), ageGroup, index);
+    if (rewrite && !suggestions.includes(rewrite)) {
+      suggestions.push(rewrite);
+    }
+  }
+  return suggestions;
+}
+
+export default { isRewritable, suggestSafeRewrites };
@@ -24,6 +24,7 @@ import {
   getDocs
 } from 'firebase/firestore';
 import { db } from '../../firebase-config.js';
+import { downloadPageExport, regenerateGalleryImage, rateGalleryImage, formatApiError } from '../utils';
 
 const GalleryComponent = ({ user }) => {
   const [images, setImages] = useState([]);
@@ -34,6 +35,10 @@ const GalleryComponent = ({ user }) => {
   const [deleteTarget, setDeleteTarget] = useState(null); // 'single' or 'bulk'
   const [deleteImageId, setDeleteImageId] = useState(null);
   const [isDeleting, setIsDeleting] = useState(false);
+  const [exporting, setExporting] = useState(null); // { imageId, format } while a download is prepared
+  const [regenerating, setRegenerating] = useState(null); // image ID while a new version is generated
+  const [rating, setRating] = useState(null); // image ID while a rating is saved
+  const [actionError, setActionError] = useState(null); // Last export, regenerate or rating failure
 
   // Real-time listener for user's images with fallback strategies
   useEffect(() => {
@@ -160,6 +165,59 @@ const GalleryComponent = ({ user }) => {
     }
   };
 
+  // Download a gallery image as a print file (PDF or SVG)
+  const handleExport = async (image, format) => {
+    setExporting({ imageId: image.id, format });
+    setActionError(null);
+
+    try {
+      await downloadPageExport(format, {
+        imageUrl: image.imageUrl,
+        title: image.originalPrompt || 'Coloring Page',
+        metadata: {
+          originalPrompt: image.originalPrompt,
+          refinedPrompt: image.refinedPrompt,
+          generatedAt: image.metadata?.generatedAt
+        }
+      });
+    } catch (error) {
+      console.error('Error exporting image:', error);
+      setActionError(formatApiError(error));
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  // Make a new page from the image's recipe; the listener picks up the saved result
+  const handleRegenerate = async (image) => {
+    setRegenerating(image.id);
+    setActionError(null);
+
+    try {
+      await regenerateGalleryImage(image.id, { idToken: await user.getIdToken() });
+    } catch (error) {
+      console.error('Error regenerating image:', error);
+      setActionError(formatApiError(error));
+    } finally {
+      setRegenerating(null);
+    }
+  };
+
+  // Save a star rating; the listener picks up the stored value
+  const handleRate = async (image, stars) => {
+    setRating(image.id);
+    setActionError(null);
+
+    try {
+      await rateGalleryImage(image.id, { idToken: await user.getIdToken(), rating: stars });
+    } catch (error) {
+      console.error('Error rating image:', error);
+      setActionError(formatApiError(error));
+    } finally {
+      setRating(null);
+    }
+  };
+
   // Show delete confirmation for single image
   const handleSingleDelete = (imageId) => {
     setDeleteImageId(imageId);
@@ -336,6 +394,12 @@ const GalleryComponent = ({ user }) => {
         )}
       </div>
 
+      {actionError && (
+        <div className="mb-4 bg-red-50 border border-red-200 text-red-700 text-sm rounded-md px-4 py-2">
+          {actionError}
+        </div>
+      )}
+
       {/* Gallery Grid */}
       <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4">
         {images.map((image) => (
@@ -383,6 +447,22 @@ const GalleryComponent = ({ user }) => {
               <p className="text-xs text-gray-400">
                 {formatDate(image.createdAt)}
               </p>
+
+              {/* Rating */}
+              <div className="mt-1 flex gap-0.5" role="group" aria-label="Rate this page">
+                {[1, 2, 3, 4, 5].map((stars) => (
+                  <button
+                    key={stars}
+                    onClick={() => handleRate(image, stars)}
+                    disabled={rating === image.id}
+                    className={`text-base leading-none disabled:opacity-50 ${stars <= (image.rating || 0) ? 'text-yellow-500' : 'text-gray-300 hover:text-yellow-400'}`}
+                    title={`Rate ${stars} star${stars > 1 ? 's' : ''}`}
+                    aria-pressed={image.rating === stars}
+                  >
+                    ★
+                  </button>
+                ))}
+              </div>
               
               {/* Metadata */}
               {image.metadata && (
@@ -399,6 +479,29 @@ const GalleryComponent = ({ user }) => {
                   )}
                 </div>
               )}
+
+              {/* Downloads */}
+              <div className="mt-3 flex gap-2">
+                {['pdf', 'svg'].map((format) => (
+                  <button
+                    key={format}
+                    onClick={() => handleExport(image, format)}
+                    disabled={!!exporting}
+                    className="flex-1 text-xs font-medium border border-gray-300 rounded px-2 py-1 text-gray-700 hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
+                    title={format === 'pdf' ? 'Download a print-ready PDF' : 'Download an SVG vector file'}
+                  >
+                    {exporting?.imageId === image.id && exporting.format === format ? 'Preparing...' : format.toUpperCase()}
+                  </button>
+                ))}
+              </div>
+              <button
+                onClick={() => handleRegenerate(image)}
+                disabled={!!regenerating}
+                className="mt-2 w-full text-xs font-medium border border-gray-300 rounded px-2 py-1 text-gray-700 hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
+                title="Make a new page with the same prompt and settings"
+              >
+                {regenerating === image.id ? 'Regenerating...' : 'Regenerate'}
+              </button>
             </div>
           </div>
         ))}
@@ -3,15 +3,17 @@
  * 
  * Dedicated component for displaying generated coloring page images.
  * Handles image display, zoom functionality, and success animations.
+ * The zoom view has a mask brush mode for redrawing one part of the page.
  * 
  * Evidence: architecture.md Section 3.3 - Preview Display
  * Best Practice: Component separation for better maintainability
  */
 
-import React from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { TransformWrapper, TransformComponent } from 'react-zoom-pan-pinch';
 import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
 import { useResponsive } from '../hooks';
+import { describeGenerationStage } from '../utils';
 
 /**
  * PreviewArea Component
@@ -20,12 +22,34 @@ import { useResponsive } from '../hooks';
  * @param {boolean} props.isGenerating - Loading state
  * @param {string} props.refinedPrompt - AI-refined prompt text
  * @param {Object} props.formData - Original form data for context
+ * @param {number} props.progress - Generation progress (0-100)
+ * @param {Array} props.stages - Live pipeline stage events for the current job
+ * @param {Array} props.variations - Generated variations ({ index, imageUrl, costs }) to pick from
+ * @param {number} props.selectedVariation - Index of the picked variation
+ * @param {Function} props.onSelectVariation - Called with the index of a clicked variation
+ * @param {Function} props.onConfirmVariation - Called when the user settles on the picked variation
+ * @param {Function} props.onEditRegion - Called with (maskDataUrl, instruction) to redraw a painted area
+ * @param {boolean} props.isEditing - Whether a region edit is in progress
+ * @param {boolean} props.hasOriginal - Whether the uncleaned provider image is available
+ * @param {boolean} props.showingOriginal - Whether the uncleaned image is shown
+ * @param {Function} props.onToggleOriginal - Switches between cleaned and uncleaned image
  */
 export const PreviewArea = ({
   imageUrl = null,
   isGenerating = false,
   refinedPrompt = '',
-  formData = {}
+  formData = {},
+  progress = 0,
+  stages = [],
+  variations = [],
+  selectedVariation = 0,
+  onSelectVariation,
+  onConfirmVariation,
+  onEditRegion,
+  isEditing = false,
+  hasOriginal = false,
+  showingOriginal = false,
+  onToggleOriginal
 }) => {
   const { classes } = useResponsive();
 
@@ -41,24 +65,101 @@ export const PreviewArea = ({
       </CardHeader>
       
       <CardContent className="p-6">
+        {imageUrl && variations.length > 1 && (
+          <VariationPicker
+            variations={variations}
+            selectedVariation={selectedVariation}
+            onSelect={onSelectVariation}
+            onConfirm={onConfirmVariation}
+          />
+        )}
+
         {imageUrl ? (
           <GeneratedImageDisplay 
             imageUrl={imageUrl}
             refinedPrompt={refinedPrompt}
             formData={formData}
+            onEditRegion={onEditRegion}
+            isEditing={isEditing}
+            hasOriginal={hasOriginal}
+            showingOriginal={showingOriginal}
+            onToggleOriginal={onToggleOriginal}
           />
         ) : (
-          <PreviewPlaceholder isGenerating={isGenerating} />
+          <PreviewPlaceholder
+            isGenerating={isGenerating}
+            progress={progress}
+            stages={stages}
+          />
         )}
       </CardContent>
     </Card>
   );
 };
 
+// Brush sizes in image pixels (pages are usually 1024px wide)
+const MASK_BRUSH_SIZES = { small: 24, medium: 56, large: 110 };
+
+/**
+ * Turn painted brush strokes into an image edit mask
+ * The edit API redraws transparent pixels, so painted areas are cut out of
+ * an opaque layer the size of the page.
+ * @param {HTMLCanvasElement} strokeCanvas - Canvas holding the brush strokes
+ * @returns {string} PNG data URL
+ */
+const createEditMask = (strokeCanvas) => {
+  const mask = document.createElement('canvas');
+  mask.width = strokeCanvas.width;
+  mask.height = strokeCanvas.height;
+
+  const context = mask.getContext('2d');
+  context.fillStyle = '#000000';
+  context.fillRect(0, 0, mask.width, mask.height);
+  context.globalCompositeOperation = 'destination-out';
+  context.drawImage(strokeCanvas, 0, 0);
+
+  return mask.toDataURL('image/png');
+};
+
 /**
  * Generated Image Display with zoom functionality
+ * In mask mode panning is disabled and pointer drags paint the area to redraw.
  */
-const GeneratedImageDisplay = ({ imageUrl, refinedPrompt, formData }) => {
+const GeneratedImageDisplay = ({
+  imageUrl,
+  refinedPrompt,
+  formData,
+  onEditRegion,
+  isEditing = false,
+  hasOriginal = false,
+  showingOriginal = false,
+  onToggleOriginal
+}) => {
+  const [maskMode, setMaskMode] = useState(false);
+  const [hasMask, setHasMask] = useState(false);
+  const [imageSize, setImageSize] = useState(null);
+  const [brushSize, setBrushSize] = useState(MASK_BRUSH_SIZES.medium);
+  const maskCanvasRef = useRef(null);
+
+  // A new page (variation pick or finished edit) starts with a clean mask
+  useEffect(() => {
+    setHasMask(false);
+    setMaskMode(false);
+  }, [imageUrl]);
+
+  const clearMask = () => {
+    const canvas = maskCanvasRef.current;
+    canvas?.getContext('2d')?.clearRect(0, 0, canvas.width, canvas.height);
+    setHasMask(false);
+  };
+
+  const submitEdit = async (instruction) => {
+    const result = await onEditRegion(createEditMask(maskCanvasRef.current), instruction);
+    if (result?.success) {
+      setMaskMode(false);
+    }
+  };
+
   return (
     <div className="animate-fade-in relative celebrate-success">
       {/* Zoomable Image Container */}
@@ -67,18 +168,35 @@ const GeneratedImageDisplay = ({ imageUrl, refinedPrompt, formData }) => {
         minScale={0.5}
         maxScale={3}
         centerOnInit={true}
+        panning={{ disabled: maskMode }}
+        doubleClick={{ disabled: maskMode }}
       >
         <TransformComponent
           wrapperClass="w-full h-80 rounded-lg overflow-hidden"
           contentClass="flex items-center justify-center"
         >
-          <img
-            src={imageUrl}
-            alt="Generated coloring page"
-            className="max-w-full max-h-full object-contain rounded-lg shadow-sm"
-            aria-label="Generated coloring book page preview"
-            style={{ imageRendering: 'crisp-edges' }}
-          />
+          <div className="relative inline-block">
+            <img
+              src={imageUrl}
+              alt="Generated coloring page"
+              className="block max-w-full max-h-80 object-contain rounded-lg shadow-sm"
+              aria-label="Generated coloring book page preview"
+              style={{ imageRendering: 'crisp-edges' }}
+              onLoad={(event) => setImageSize({
+                width: event.currentTarget.naturalWidth,
+                height: event.currentTarget.naturalHeight
+              })}
+            />
+            {maskMode && imageSize && (
+              <MaskBrushCanvas
+                canvasRef={maskCanvasRef}
+                width={imageSize.width}
+                height={imageSize.height}
+                brushSize={brushSize}
+                onPaint={() => setHasMask(true)}
+              />
+            )}
+          </div>
         </TransformComponent>
       </TransformWrapper>
 
@@ -92,10 +210,54 @@ const GeneratedImageDisplay = ({ imageUrl, refinedPrompt, formData }) => {
       {/* Zoom Instructions */}
       <div className="mt-4 text-center">
         <p className="text-sm text-gray-600 font-handlee">
-          ✨ Use mouse wheel or pinch to zoom ✨
+          {maskMode
+            ? '🖌️ Paint over the part you want to redraw (zoom still works)'
+            : '✨ Use mouse wheel or pinch to zoom ✨'}
         </p>
       </div>
 
+      {onEditRegion && (
+        maskMode ? (
+          <EditRegionPanel
+            hasMask={hasMask}
+            isEditing={isEditing}
+            brushSize={brushSize}
+            onBrushSizeChange={setBrushSize}
+            onClear={clearMask}
+            onSubmit={submitEdit}
+            onCancel={() => {
+              clearMask();
+              setMaskMode(false);
+            }}
+          />
+        ) : (
+          <div className="mt-3 text-center">
+            <button
+              type="button"
+              onClick={() => setMaskMode(true)}
+              disabled={isEditing || !imageSize}
+              className="font-handlee text-sm text-pastel-blue underline hover:opacity-80 disabled:opacity-50"
+            >
+              🖌️ Fix one part of the page
+            </button>
+          </div>
+        )
+      )}
+
+      {/* Cleaned line art is shown by default; the model's own image is one click away */}
+      {hasOriginal && onToggleOriginal && !maskMode && (
+        <div className="mt-2 text-center">
+          <button
+            type="button"
+            onClick={onToggleOriginal}
+            aria-pressed={showingOriginal}
+            className="font-handlee text-xs text-gray-600 underline hover:opacity-80"
+          >
+            {showingOriginal ? '✨ Show cleaned-up lines' : '👀 Show original image'}
+          </button>
+        </div>
+      )}
+
       {/* Image Metadata Display */}
       {(refinedPrompt || Object.keys(formData).length > 0) && (
         <ImageMetadata 
@@ -108,9 +270,197 @@ const GeneratedImageDisplay = ({ imageUrl, refinedPrompt, formData }) => {
 };
 
 /**
- * Preview Placeholder for empty state
+ * Transparent canvas over the page that records brush strokes
+ * The canvas has the page's natural size, so strokes map 1:1 to image pixels
+ * whatever the zoom level.
  */
-const PreviewPlaceholder = ({ isGenerating }) => {
+const MaskBrushCanvas = ({ canvasRef, width, height, onPaint, brushSize = MASK_BRUSH_SIZES.medium }) => {
+  const lastPointRef = useRef(null);
+
+  const toCanvasPoint = (event) => {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    return {
+      x: (event.clientX - rect.left) * (canvas.width / rect.width),
+      y: (event.clientY - rect.top) * (canvas.height / rect.height)
+    };
+  };
+
+  const paintTo = (point) => {
+    const context = canvasRef.current.getContext('2d');
+    const from = lastPointRef.current || point;
+
+    context.strokeStyle = '#ec4899';
+    context.lineWidth = brushSize;
+    context.lineCap = 'round';
+    context.lineJoin = 'round';
+    context.beginPath();
+    context.moveTo(from.x, from.y);
+    context.lineTo(point.x, point.y);
+    context.stroke();
+
+    lastPointRef.current = point;
+    onPaint();
+  };
+
+  const stopPainting = () => {
+    lastPointRef.current = null;
+  };
+
+  return (
+    <canvas
+      ref={canvasRef}
+      width={width}
+      height={height}
+      className="absolute inset-0 w-full h-full cursor-crosshair opacity-50 touch-none"
+      aria-label="Mask painter: paint over the area to redraw"
+      onPointerDown={(event) => {
+        event.stopPropagation();
+        event.currentTarget.setPointerCapture?.(event.pointerId);
+        lastPointRef.current = null;
+        paintTo(toCanvasPoint(event));
+      }}
+      onPointerMove={(event) => {
+        if (lastPointRef.current) {
+          event.stopPropagation();
+          paintTo(toCanvasPoint(event));
+        }
+      }}
+      onPointerUp={stopPainting}
+      onPointerCancel={stopPainting}
+    />
+  );
+};
+
+/**
+ * Instruction and actions for a region edit in progress
+ */
+const EditRegionPanel = ({ hasMask, isEditing, brushSize, onBrushSizeChange, onClear, onSubmit, onCancel }) => {
+  const [instruction, setInstruction] = useState('');
+  const canSubmit = hasMask && instruction.trim().length >= 3 && !isEditing;
+
+  return (
+    <form
+      className="mt-3 p-3 bg-gray-50 rounded-lg border border-gray-200 space-y-2"
+      onSubmit={(event) => {
+        event.preventDefault();
+        if (canSubmit) {
+          onSubmit(instruction.trim());
+        }
+      }}
+    >
+      <div className="flex items-center gap-2 font-handlee text-sm text-gray-700" role="group" aria-label="Brush size">
+        <span>Brush:</span>
+        {Object.entries(MASK_BRUSH_SIZES).map(([name, size]) => (
+          <button
+            key={name}
+            type="button"
+            onClick={() => onBrushSizeChange(size)}
+            aria-pressed={brushSize === size}
+            className={`px-2 py-1 rounded-lg border ${brushSize === size ? 'border-pastel-blue bg-white' : 'border-gray-300'}`}
+          >
+            {name}
+          </button>
+        ))}
+      </div>
+      <label htmlFor="edit-region-instruction" className="block font-handlee text-sm text-gray-700">
+        What should the painted area show instead?
+      </label>
+      <input
+        id="edit-region-instruction"
+        type="text"
+        value={instruction}
+        maxLength={500}
+        onChange={(event) => setInstruction(event.target.value)}
+        placeholder="e.g. a round paw with four toes"
+        className="w-full rounded-lg border border-gray-300 px-3 py-2 text-sm font-handlee"
+        disabled={isEditing}
+      />
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          disabled={!canSubmit}
+          className="flex-1 bg-pastel-blue text-white font-handlee rounded-lg py-2 hover:opacity-90 disabled:opacity-50"
+        >
+          {isEditing ? 'Redrawing...' : 'Redraw painted area'}
+        </button>
+        <button
+          type="button"
+          onClick={onClear}
+          disabled={!hasMask || isEditing}
+          className="px-3 font-handlee text-sm text-gray-600 rounded-lg border border-gray-300 disabled:opacity-50"
+        >
+          Clear
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          disabled={isEditing}
+          className="px-3 font-handlee text-sm text-gray-600 rounded-lg border border-gray-300 disabled:opacity-50"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+/**
+ * Selectable grid of generated variations
+ * Only the picked variation is downloaded or saved to the gallery.
+ */
+const VariationPicker = ({ variations, selectedVariation, onSelect, onConfirm }) => {
+  return (
+    <div className="mb-6">
+      <p className="font-handlee text-gray-700 mb-3">
+        Pick your favorite version:
+      </p>
+      <div className="grid grid-cols-2 gap-3" role="radiogroup" aria-label="Generated variations">
+        {variations.map(variation => {
+          const isSelected = variation.index === selectedVariation;
+          return (
+            <button
+              key={variation.index}
+              type="button"
+              role="radio"
+              aria-checked={isSelected}
+              aria-label={`Version ${variation.index + 1}`}
+              onClick={() => onSelect?.(variation.index)}
+              className={`relative rounded-lg overflow-hidden border-4 transition-all duration-200 ${
+                isSelected ? 'border-pastel-blue shadow-md' : 'border-transparent hover:border-gray-200'
+              }`}
+            >
+              <img
+                src={variation.imageUrl}
+                alt={`Coloring page version ${variation.index + 1}`}
+                className="w-full h-32 object-contain bg-white"
+              />
+              <span className="absolute top-1 left-1 bg-white/90 text-xs px-2 py-0.5 rounded-full font-handlee">
+                {isSelected ? '✓ ' : ''}Version {variation.index + 1}
+              </span>
+            </button>
+          );
+        })}
+      </div>
+      {onConfirm && (
+        <button
+          type="button"
+          onClick={onConfirm}
+          className="mt-3 w-full bg-pastel-blue text-white font-handlee rounded-lg py-2 hover:opacity-90"
+        >
+          Use Version {selectedVariation + 1}
+        </button>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Preview Placeholder for empty state and live generation progress
+ */
+const PreviewPlaceholder = ({ isGenerating, progress = 0, stages = [] }) => {
+  const latestStage = stages[stages.length - 1];
+
   return (
     <div className="preview-placeholder">
       <div className={`emoji ${isGenerating ? 'animate-spin' : ''}`}>
@@ -134,12 +484,25 @@ const PreviewPlaceholder = ({ isGenerating }) => {
           <div className="bg-gray-200 rounded-full h-2 overflow-hidden">
             <div 
               className="bg-pastel-blue h-full rounded-full transition-all duration-1000 animate-pulse"
-              style={{ width: '70%' }}
+              style={{ width: `${Math.max(progress, 5)}%` }}
+              role="progressbar"
+              aria-valuenow={progress}
+              aria-valuemin={0}
+              aria-valuemax={100}
             ></div>
           </div>
-          <p className="text-xs text-gray-500 mt-2 font-handlee">
-            AI is working its magic...
+          <p className="text-xs text-gray-500 mt-2 font-handlee" aria-live="polite">
+            {latestStage ? describeGenerationStage(latestStage) : 'AI is working its magic...'}
           </p>
+
+          {/* Completed pipeline stages */}
+          {stages.length > 1 && (
+            <ul className="mt-3 space-y-1 text-left text-xs text-gray-400 font-handlee">
+              {stages.slice(0, -1).map(stage => (
+                <li key={stage.id}>✓ {describeGenerationStage(stage)}</li>
+              ))}
+            </ul>
+          )}
         </div>
       )}
     </div>
@@ -201,6 +564,11 @@ const ImageMetadata = ({ refinedPrompt, formData }) => {
               {formData.lineThickness} lines
             </span>
           )}
+          {formData.orientation && formData.orientation !== 'square' && (
+            <span className="inline-block bg-gray-100 text-gray-700 text-xs px-2 py-1 rounded-full font-handlee">
+              {formData.orientation} page
+            </span>
+          )}
           {formData.theme && (
             <span className="inline-block bg-accent-pink/20 text-pink-800 text-xs px-2 py-1 rounded-full font-handlee">
               {formData.theme} theme
@@ -220,4 +588,4 @@ const ImageMetadata = ({ refinedPrompt, formData }) => {
 /**
  * Export individual components for flexible usage
  */
-export { GeneratedImageDisplay, PreviewPlaceholder, ImageMetadata };
\ No newline at end of file
+export { GeneratedImageDisplay, PreviewPlaceholder, ImageMetadata, VariationPicker, MaskBrushCanvas, EditRegionPanel };
\ No newline at end of file
@@ -16,8 +16,8 @@ import { Button } from './ui/button';
 import { Card, CardContent } from './ui/card';
 import { PromptForm } from './PromptForm';
 import { PreviewArea } from './PreviewArea';
-import { useGeneration, useResponsive } from '../hooks';
-import { DEFAULT_FORM_STATE } from '../utils';
+import { useGeneration, useQuota, useResponsive } from '../hooks';
+import { DEFAULT_FORM_STATE, getContentSuggestions } from '../utils';
 import '../styles/index.css';
 
 const PromptComponent = ({ user }) => {
@@ -32,16 +32,30 @@ const PromptComponent = ({ user }) => {
     generatedImage,
     refinedPrompt,
     error,
+    progress,
+    stages,
+    variations,
+    selectedVariation,
+    selectVariation,
+    isEditing,
+    editRegion,
+    createFromPhoto,
+    hasOriginal,
+    showingOriginal,
+    toggleOriginal,
     generateImage,
     downloadPDF,
+    downloadSVG,
     saveToGallery
   } = useGeneration({ user });
   
   const { isMobile, isDesktop, classes } = useResponsive();
+  const { quota, refreshQuota } = useQuota(user);
   
   // Local state for UI
   const [showModal, setShowModal] = useState(false);
   const [showErrorModal, setShowErrorModal] = useState(false);
+  const [rejectedPrompt, setRejectedPrompt] = useState(null);
   const [isHighContrast, setIsHighContrast] = useState(false);
 
   // High contrast toggle handler
@@ -68,16 +82,42 @@ const PromptComponent = ({ user }) => {
     
     try {
       console.log('[PromptComponent] Calling generateImage...');
+      setRejectedPrompt(null);
       const result = await generateImage(formValues);
       console.log('[PromptComponent] Generate result:', result);
+
+      // Offer the server's rewrites of a blocked prompt in the form
+      const suggestions = getContentSuggestions(result?.originalError);
+      if (suggestions.length > 0) {
+        setRejectedPrompt({ prompt: formValues.prompt, suggestions });
+      }
       
       if (result.success) {
+        // With several variations the user picks one in the preview first
+        if (result.variations?.length > 1) {
+          console.log('[PromptComponent] Generation successful, waiting for variation pick');
+          return;
+        }
         console.log('[PromptComponent] Generation successful, showing modal');
         setShowModal(true);
       }
     } catch (err) {
       console.error('[PromptComponent] Generation error:', err);
       setShowErrorModal(true);
+    } finally {
+      refreshQuota();
+    }
+  };
+
+  // Photo upload handler - the converted page opens the same dialog as a generated one
+  const handlePhotoSelected = async (file, formValues) => {
+    console.log('[PromptComponent] Photo selected', { type: file.type, size: file.size });
+    const result = await createFromPhoto(file, formValues);
+
+    if (result?.success) {
+      setShowModal(true);
+    } else if (result) {
+      setShowErrorModal(true);
     }
   };
 
@@ -96,6 +136,15 @@ const PromptComponent = ({ user }) => {
     }
   };
 
+  // SVG download handler - vector file for print shops
+  const handleDownloadSVG = async () => {
+    console.log('[PromptComponent] SVG download clicked');
+    const result = await downloadSVG();
+    if (result) {
+      setShowModal(false);
+    }
+  };
+
   // Gallery save handler - Evidence: architecture.md Section 3.4 Modal Actions
   const handleSaveToGallery = async () => {
     console.log('[PromptComponent] Gallery save clicked', { user: !!user });
@@ -161,6 +210,9 @@ const PromptComponent = ({ user }) => {
           onSubmit={handleSubmit}
           isGenerating={isGenerating}
           initialValues={DEFAULT_FORM_STATE}
+          onPhotoSelected={handlePhotoSelected}
+          quota={quota}
+          rejectedPrompt={rejectedPrompt}
         />
 
         {/* Preview Section using extracted PreviewArea component */}
@@ -169,6 +221,17 @@ const PromptComponent = ({ user }) => {
           isGenerating={isGenerating}
           refinedPrompt={refinedPrompt}
           formData={DEFAULT_FORM_STATE}
+          progress={progress}
+          stages={stages}
+          variations={variations}
+          selectedVariation={selectedVariation}
+          onSelectVariation={selectVariation}
+          onConfirmVariation={() => setShowModal(true)}
+          onEditRegion={editRegion}
+          isEditing={isEditing}
+          hasOriginal={hasOriginal}
+          showingOriginal={showingOriginal}
+          onToggleOriginal={toggleOriginal}
         />
       </div>
 
@@ -247,7 +310,7 @@ const PromptComponent = ({ user }) => {
                       </div>
                       <div className="flex-1">
                         <h5 className="font-handlee font-medium text-gray-900">Download PDF</h5>
-                        <p className="text-sm text-gray-600 font-handlee">Get a high-quality 300 DPI PDF perfect for printing</p>
+                        <p className="text-sm text-gray-600 font-handlee">Get a print-ready PDF with crisp vector lines at any size</p>
                         <Button
                           onClick={(e) => {
                             console.log('[PromptComponent] Download PDF button clicked');
@@ -275,6 +338,14 @@ const PromptComponent = ({ user }) => {
                             </div>
                           )}
                         </Button>
+                        <Button
+                          onClick={handleDownloadSVG}
+                          disabled={isGenerating}
+                          variant="outline"
+                          className="mt-2 w-full font-handlee"
+                        >
+                          Download SVG (vector, for print shops)
+                        </Button>
                       </div>
                     </div>
                   </CardContent>
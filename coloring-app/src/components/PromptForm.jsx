@@ -79,11 +79,18 @@ const CheckIcon = () => (
  * @param {Function} props.onSubmit - Form submission handler
  * @param {boolean} props.isGenerating - Loading state
  * @param {Object} props.initialValues - Initial form values
+ * @param {Function} props.onPhotoSelected - Called with (file, values) to turn a photo into a page
+ * @param {Object|null} props.quota - Quota status from GET /api/quota, shown under the button
+ * @param {Object|null} props.rejectedPrompt - { prompt, suggestions } from a server content
+ *   policy rejection; the suggestions are offered while the prompt is unchanged
  */
 export const PromptForm = ({
   onSubmit,
   isGenerating = false,
-  initialValues = DEFAULT_FORM_STATE
+  initialValues = DEFAULT_FORM_STATE,
+  onPhotoSelected,
+  quota = null,
+  rejectedPrompt = null
 }) => {
   // Custom hooks for form logic
   const {
@@ -94,11 +101,18 @@ export const PromptForm = ({
     validateAll,
     isValid,
     getFieldError,
+    getFieldSuggestions,
     shouldShowError
   } = useValidation(initialValues);
 
   const { isMobile, classes } = useResponsive();
 
+  // Allowed rewrites of a blocked prompt, from the form's own check or from
+  // the server's rejection of the prompt as submitted
+  const promptSuggestions = shouldShowError('prompt')
+    ? getFieldSuggestions('prompt')
+    : rejectedPrompt?.prompt === values.prompt ? rejectedPrompt.suggestions : [];
+
   /**
    * Handles form submission
    * @param {Event} e - Form event
@@ -200,6 +214,24 @@ export const PromptForm = ({
                 Great description!
               </p>
             ) : null}
+            {promptSuggestions.length > 0 && (
+              <div className="mt-2" aria-live="polite">
+                <p className="text-sm text-gray-600 font-handlee">Try one of these instead:</p>
+                <div className="flex flex-wrap gap-2 mt-1">
+                  {promptSuggestions.map(suggestion => (
+                    <button
+                      key={suggestion}
+                      type="button"
+                      className="radio-enhanced text-sm"
+                      onClick={() => updateField('prompt', suggestion)}
+                      disabled={isGenerating}
+                    >
+                      {suggestion}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
           </div>
 
           {/* Theme Dropdown - Evidence: architecture.md Section 3.2.2 Theme Selection */}
@@ -387,6 +419,73 @@ export const PromptForm = ({
                   ) : null}
                 </div>
 
+                {/* Page Orientation Selection */}
+                <div>
+                  <TooltipProvider>
+                    <Tooltip>
+                      <TooltipTrigger asChild>
+                        <label className="label-enhanced cursor-help">
+                          Page Shape
+                        </label>
+                      </TooltipTrigger>
+                      <TooltipContent className="tooltip-custom">
+                        Tall or wide pages fill a printed sheet; the PDF turns to match
+                      </TooltipContent>
+                    </Tooltip>
+                  </TooltipProvider>
+                  <Select 
+                    value={values.orientation || 'square'} 
+                    onValueChange={(value) => updateField('orientation', value)}
+                    disabled={isGenerating}
+                  >
+                    <SelectTrigger className="select-enhanced w-full">
+                      <SelectValue placeholder="Select page shape" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="square">Square</SelectItem>
+                      <SelectItem value="portrait">Portrait (Tall)</SelectItem>
+                      <SelectItem value="landscape">Landscape (Wide)</SelectItem>
+                    </SelectContent>
+                  </Select>
+                  {shouldShowError('orientation') && (
+                    <p className="error-message mt-1">{getFieldError('orientation')}</p>
+                  )}
+                </div>
+
+                {/* Variations Selection */}
+                <div>
+                  <TooltipProvider>
+                    <Tooltip>
+                      <TooltipTrigger asChild>
+                        <label className="label-enhanced cursor-help">
+                          Variations
+                        </label>
+                      </TooltipTrigger>
+                      <TooltipContent className="tooltip-custom">
+                        Create several versions and pick your favorite
+                      </TooltipContent>
+                    </Tooltip>
+                  </TooltipProvider>
+                  <Select 
+                    value={values.variations || '1'} 
+                    onValueChange={(value) => updateField('variations', value)}
+                    disabled={isGenerating}
+                  >
+                    <SelectTrigger className="select-enhanced w-full">
+                      <SelectValue placeholder="How many versions?" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="1">1 Page</SelectItem>
+                      <SelectItem value="2">2 Versions to Choose From</SelectItem>
+                      <SelectItem value="3">3 Versions to Choose From</SelectItem>
+                      <SelectItem value="4">4 Versions to Choose From</SelectItem>
+                    </SelectContent>
+                  </Select>
+                  {shouldShowError('variations') && (
+                    <p className="error-message mt-1">{getFieldError('variations')}</p>
+                  )}
+                </div>
+
               </AccordionContent>
             </AccordionItem>
           </Accordion>
@@ -473,8 +572,49 @@ export const PromptForm = ({
                 </TooltipContent>
               </Tooltip>
             </TooltipProvider>
+
+            {/* Remaining generations - hidden for unlimited plans */}
+            {quota?.enabled && quota.daily.limit !== null && (
+              <p className="text-center text-sm text-gray-600 font-handlee mt-2" aria-live="polite">
+                {quota.daily.remaining > 0
+                  ? `${quota.daily.remaining} of ${quota.daily.limit} coloring pages left today`
+                  : 'No coloring pages left today. More are available tomorrow!'}
+              </p>
+            )}
           </div>
 
+          {/* Photo upload - uses the complexity and line thickness chosen above */}
+          {onPhotoSelected && (
+            <div className="text-center border-t border-gray-200 pt-4">
+              <label
+                htmlFor="photo-upload"
+                className={`inline-block font-handlee text-pastel-blue underline ${
+                  isGenerating ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer hover:opacity-80'
+                }`}
+              >
+                📷 Or turn a photo into a coloring page
+              </label>
+              <input
+                id="photo-upload"
+                type="file"
+                accept="image/jpeg,image/png"
+                className="sr-only"
+                disabled={isGenerating}
+                onChange={(e) => {
+                  const file = e.target.files?.[0];
+                  // Reset so picking the same photo again still fires onChange
+                  e.target.value = '';
+                  if (file) {
+                    onPhotoSelected(file, values);
+                  }
+                }}
+              />
+              <p className="text-xs text-gray-500 font-handlee mt-1">
+                JPEG or PNG up to 7MB. Uses your complexity and line thickness settings.
+              </p>
+            </div>
+          )}
+
         </form>
       </CardContent>
     </Card>
@@ -30,7 +30,8 @@ const initialState = {
     generatedImage: null,
     refinedPrompt: '',
     metadata: null,
-    progress: 0
+    progress: 0,
+    stages: [] // Live pipeline stage events from /api/jobs/:jobId/events
   },
   
   // UI state
@@ -75,6 +76,7 @@ export const ACTION_TYPES = {
   // Generation actions
   START_GENERATION: 'START_GENERATION',
   UPDATE_GENERATION_PROGRESS: 'UPDATE_GENERATION_PROGRESS',
+  ADD_GENERATION_STAGE: 'ADD_GENERATION_STAGE',
   COMPLETE_GENERATION: 'COMPLETE_GENERATION',
   FAIL_GENERATION: 'FAIL_GENERATION',
   RESET_GENERATION: 'RESET_GENERATION',
@@ -143,6 +145,7 @@ function appReducer(state, action) {
             ...state.generationState,
             isGenerating: true,
             progress: 0,
+            stages: [],
             generatedImage: null,
             refinedPrompt: '',
             metadata: null
@@ -159,6 +162,19 @@ function appReducer(state, action) {
           }
         };
         
+      case ACTION_TYPES.ADD_GENERATION_STAGE:
+        // Stage events may be replayed on reconnect; keep each event once
+        if (state.generationState.stages.some(stage => stage.id === action.payload.id)) {
+          return state;
+        }
+        return {
+          ...state,
+          generationState: {
+            ...state.generationState,
+            stages: [...state.generationState.stages, action.payload]
+          }
+        };
+        
       case ACTION_TYPES.COMPLETE_GENERATION:
         return {
           ...state,
@@ -407,6 +423,10 @@ export function AppProvider({ children }) {
       dispatch({ type: ACTION_TYPES.UPDATE_GENERATION_PROGRESS, payload: progress });
     }, []),
     
+    addStage: useCallback((stage) => {
+      dispatch({ type: ACTION_TYPES.ADD_GENERATION_STAGE, payload: stage });
+    }, []),
+    
     completeGeneration: useCallback((result) => {
       dispatch({ type: ACTION_TYPES.COMPLETE_GENERATION, payload: result });
     }, []),
@@ -12,4 +12,5 @@
 
 export { useValidation } from './useValidation.js';
 export { useGeneration } from './useGeneration.js';
-export { useResponsive } from './useResponsive.js';
\ No newline at end of file
+export { useResponsive } from './useResponsive.js';
+export { useQuota } from './useQuota.js';
\ No newline at end of file
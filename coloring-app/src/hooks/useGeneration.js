@@ -12,15 +12,65 @@ import { useState, useCallback, useRef } from 'react';
 import { auth } from '../../firebase-config.js';
 import { 
   API_CONFIG, 
+  JOB_STATUS_PROGRESS,
+  JOB_STAGE_PROGRESS,
   ERROR_MESSAGES, 
   SUCCESS_MESSAGES,
   formatApiError, 
   retryWithBackoff,
+  createIdempotencyKey,
+  parseApiError,
+  cancelGenerationJob,
+  downloadPageExport,
   createLogger 
 } from '../utils';
 
 const logger = createLogger('useGeneration');
 
+/**
+ * Builds an Error for a job the server reported as failed
+ * @param {Object} job - Public job view with status 'failed'
+ * @returns {Error} Error with status, code and details properties
+ */
+const createJobError = (job) => {
+  const error = new Error(job.error?.message || ERROR_MESSAGES.apiGeneral);
+  error.status = job.error?.status;
+  error.code = job.error?.code;
+  error.details = job.error?.details;
+  return error;
+};
+
+/**
+ * Waits between job status polls, rejecting early if the request is aborted
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} signal - Abort signal for the current generation
+ * @returns {Promise<void>}
+ */
+const waitForNextPoll = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new DOMException('Generation cancelled', 'AbortError'));
+    return;
+  }
+
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(new DOMException('Generation cancelled', 'AbortError'));
+  }, { once: true });
+});
+
+/**
+ * Reads an uploaded file as a data URL
+ * @param {File} file - File from an <input type="file">
+ * @returns {Promise<string>} Data URL
+ */
+const readFileAsDataUrl = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error || new Error('Could not read the photo'));
+  reader.readAsDataURL(file);
+});
+
 /**
  * Custom hook for image generation workflow
  * @param {Object} options - Configuration options
@@ -42,68 +92,207 @@ export const useGeneration = (options = {}) => {
   const [error, setError] = useState(null);
   const [metadata, setMetadata] = useState(null);
   const [progress, setProgress] = useState(0);
+  const [jobStatus, setJobStatus] = useState(null);
+  const [stages, setStages] = useState([]);
+  const [variations, setVariations] = useState([]);
+  const [selectedVariation, setSelectedVariation] = useState(0);
+  const [isEditing, setIsEditing] = useState(false);
+  // Whether the uncleaned provider image is shown instead of the cleaned line art
+  const [showingOriginal, setShowingOriginal] = useState(false);
+  // Gallery document of the current image; region edits are saved as its versions
+  const [galleryImageId, setGalleryImageId] = useState(null);
 
   // Refs for cleanup
   const abortControllerRef = useRef(null);
+  // Job ID of the running generation, so cancelling also stops it on the server
+  const jobIdRef = useRef(null);
+  // Idempotency key of the current generation; gallery saves derive theirs from it
+  const generationKeyRef = useRef(null);
 
   /**
-   * Calls the image generation API
+   * Submits a generation job to the API
    * @param {Object} formData - Form data for generation
-   * @returns {Promise<Object>} API response
+   * @param {string} idempotencyKey - Key shared by all retries of this submission
+   * @returns {Promise<Object>} Queued job ({ jobId, status, statusUrl })
    */
-  const callImageGenerationAPI = useCallback(async (formData) => {
-    // Create abort controller for cancellation
-    abortControllerRef.current = new AbortController();
+  const submitGenerationJob = useCallback(async (formData, idempotencyKey) => {
+    logger.log('Submitting image generation job', { formData });
+
+    const requestData = {
+      prompt: formData.prompt,
+      customizations: {
+        complexity: formData.complexity || 'medium',
+        ageGroup: formData.ageGroup || 'kids',
+        lineThickness: formData.lineThickness || 'medium',
+        border: formData.border ? 'with' : 'without',
+        orientation: formData.orientation || 'square',
+        theme: formData.theme || null
+      },
+      variations: parseInt(formData.variations, 10) || 1
+    };
+
+    // Signed-in users are counted against their own plan quota and own the job
+    const idToken = await auth.currentUser?.getIdToken();
+
+    const response = await fetch(API_CONFIG.endpoints.jobs, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Idempotency-Key': idempotencyKey,
+        ...(idToken && { 'Authorization': `Bearer ${idToken}` })
+      },
+      body: JSON.stringify(requestData),
+      signal: abortControllerRef.current?.signal
+    });
+
+    if (!response.ok) {
+      throw await parseApiError(response, 'API request failed');
+    }
 
-    try {
-      logger.log('Starting image generation API call', { formData });
-      
-      // Debug API call - Evidence: architecture.md Section 4.1 API Integration debugging
-      const requestData = {
-        prompt: formData.prompt,
-        customizations: {
-          complexity: formData.complexity || 'medium',
-          ageGroup: formData.ageGroup || 'kids',
-          lineThickness: formData.lineThickness || 'medium',
-          border: formData.border ? 'with' : 'without',
-          theme: formData.theme || null
-        }
-      };
-      
-      console.log('[useGeneration] Making API call to:', API_CONFIG.endpoints.generate);
-      console.log('[useGeneration] Request data:', requestData);
+    const job = await response.json();
+    logger.log('Generation job queued', { jobId: job.jobId, queuePosition: job.queuePosition });
 
-      const response = await fetch(API_CONFIG.endpoints.generate, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(requestData),
-        signal: abortControllerRef.current.signal
+    return job;
+  }, []);
+
+  /**
+   * Records a pipeline stage event (deduplicated by event ID)
+   * @param {Object} event - Stage event ({ id, type, at, data })
+   */
+  const recordStage = useCallback((event) => {
+    setStages(prev => (prev.some(stage => stage.id === event.id) ? prev : [...prev, event]));
+
+    // Show the refined prompt as soon as it exists, before the image is ready
+    if (event.type === 'prompt-refined' && event.data?.refinedPrompt) {
+      setRefinedPrompt(event.data.refinedPrompt);
+    }
+
+    const stageProgress = JOB_STAGE_PROGRESS[event.type];
+    if (stageProgress) {
+      setProgress(prev => Math.max(prev, stageProgress));
+    }
+  }, []);
+
+  /**
+   * Applies a job snapshot from the status endpoint or event stream
+   * @param {Object} job - Public job view
+   */
+  const applyJobUpdate = useCallback((job) => {
+    setJobStatus(job.status);
+    setProgress(prev => Math.max(prev, JOB_STATUS_PROGRESS[job.status] ?? 0));
+    job.events?.forEach(recordStage);
+  }, [recordStage]);
+
+  /**
+   * Follows a generation job over Server-Sent Events until it finishes
+   * @param {Object} job - Job returned by submitGenerationJob
+   * @returns {Promise<Object>} Generation result (same shape as /api/generate)
+   */
+  const streamGenerationJob = useCallback((job) => new Promise((resolve, reject) => {
+    const signal = abortControllerRef.current?.signal;
+    const source = new EventSource(`${API_CONFIG.endpoints.jobs}/${job.jobId}/events`);
+
+    const finish = (settle) => {
+      clearTimeout(timer);
+      source.close();
+      signal?.removeEventListener('abort', onAbort);
+      settle();
+    };
+
+    const onAbort = () => finish(() => reject(new DOMException('Generation cancelled', 'AbortError')));
+    const timer = setTimeout(
+      () => finish(() => reject(new Error('Generation timeout: the job did not finish in time'))),
+      API_CONFIG.timeout
+    );
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    source.addEventListener('stage', (message) => {
+      recordStage(JSON.parse(message.data));
+    });
+
+    source.addEventListener('status', (message) => {
+      const current = JSON.parse(message.data);
+      applyJobUpdate(current);
+
+      if (current.status === 'done') {
+        finish(() => resolve(current.result));
+      } else if (current.status === 'failed' || current.status === 'cancelled') {
+        finish(() => reject(createJobError(current)));
+      }
+    });
+
+    source.onerror = () => {
+      const error = new Error('Job event stream disconnected');
+      error.streamDisconnected = true;
+      finish(() => reject(error));
+    };
+  }), [recordStage, applyJobUpdate]);
+
+  /**
+   * Polls a generation job until it finishes
+   * @param {Object} job - Job returned by submitGenerationJob
+   * @returns {Promise<Object>} Generation result (same shape as /api/generate)
+   */
+  const pollGenerationJob = useCallback(async (job) => {
+    const statusUrl = job.statusUrl || `${API_CONFIG.endpoints.jobs}/${job.jobId}`;
+    const deadline = Date.now() + API_CONFIG.timeout;
+    const signal = abortControllerRef.current?.signal;
+
+    while (Date.now() < deadline) {
+      const idToken = await auth.currentUser?.getIdToken();
+      const response = await fetch(statusUrl, {
+        signal,
+        ...(idToken && { headers: { 'Authorization': `Bearer ${idToken}` } })
       });
 
       if (!response.ok) {
-        throw new Error(`API request failed: ${response.status} ${response.statusText}`);
+        throw await parseApiError(response, 'Job status request failed');
       }
 
-      const data = await response.json();
-      logger.log('Image generation API response received', { 
-        success: data.success,
-        hasImage: !!data.imageUrl,
-        hasRefinedPrompt: !!data.refinedPrompt
-      });
+      const current = await response.json();
+      applyJobUpdate(current);
 
-      return data;
-    } catch (error) {
-      if (error.name === 'AbortError') {
-        logger.log('Image generation was cancelled');
-        throw new Error('Generation cancelled');
+      if (current.status === 'done') {
+        logger.log('Image generation job completed', {
+          jobId: current.jobId,
+          hasImage: !!current.result?.imageUrl,
+          hasRefinedPrompt: !!current.result?.refinedPrompt
+        });
+        return current.result;
       }
-      
-      logger.error('Image generation API error:', error);
-      throw error;
+
+      if (current.status === 'failed' || current.status === 'cancelled') {
+        throw createJobError(current);
+      }
+
+      await waitForNextPoll(API_CONFIG.jobPollInterval, signal);
     }
-  }, []);
+
+    throw new Error('Generation timeout: the job did not finish in time');
+  }, [applyJobUpdate]);
+
+  /**
+   * Waits for a generation job, preferring live stage events over polling
+   * EventSource cannot send the Authorization header, so jobs owned by a
+   * signed-in user are polled.
+   * @param {Object} job - Job returned by submitGenerationJob
+   * @returns {Promise<Object>} Generation result (same shape as /api/generate)
+   */
+  const waitForGenerationJob = useCallback(async (job) => {
+    if (typeof EventSource !== 'undefined' && !auth.currentUser) {
+      try {
+        return await streamGenerationJob(job);
+      } catch (error) {
+        if (!error.streamDisconnected) {
+          throw error;
+        }
+        logger.warn('Job event stream unavailable, falling back to polling', { jobId: job.jobId });
+      }
+    }
+
+    return pollGenerationJob(job);
+  }, [streamGenerationJob, pollGenerationJob]);
 
   /**
    * Main image generation handler
@@ -119,25 +308,42 @@ export const useGeneration = (options = {}) => {
     setIsGenerating(true);
     setError(null);
     setProgress(0);
+    setJobStatus(null);
+    setStages([]);
+    setVariations([]);
+    setSelectedVariation(0);
+    setShowingOriginal(false);
+    setGalleryImageId(null);
 
-    try {
-      // Update progress
-      setProgress(25);
+    // Create abort controller for cancellation
+    abortControllerRef.current = new AbortController();
 
-      const operation = () => callImageGenerationAPI(formData);
+    try {
+      // Same key for every retry, so a retried submission returns the job the
+      // server already queued instead of paying for a second generation
+      const idempotencyKey = createIdempotencyKey();
+      generationKeyRef.current = idempotencyKey;
+      const operation = () => submitGenerationJob(formData, idempotencyKey);
       
-      // Use retry logic if enabled
-      const result = enableRetry 
+      // Retry only the submission; a job that failed on the server already
+      // went through the server's own model retries and fallbacks
+      const job = enableRetry 
         ? await retryWithBackoff(operation, maxRetries, retryDelay)
         : await operation();
 
-      setProgress(75);
+      jobIdRef.current = job.jobId;
+      applyJobUpdate(job);
 
-      if (result.success) {
+      const result = await waitForGenerationJob(job);
+
+      if (result?.success) {
         // Update state with successful result
         setRefinedPrompt(result.refinedPrompt || '');
         setGeneratedImage(result.imageUrl);
         setMetadata(result.metadata || null);
+        setVariations(result.variations || []);
+        setSelectedVariation(0);
+        setGalleryImageId(result.galleryImageId || null);
         setProgress(100);
 
         // Store metadata globally for PDF generation
@@ -154,12 +360,16 @@ export const useGeneration = (options = {}) => {
           success: true,
           image: result.imageUrl,
           refinedPrompt: result.refinedPrompt,
-          metadata: result.metadata
+          metadata: result.metadata,
+          variations: result.variations || []
         };
       } else {
-        throw new Error(result.message || ERROR_MESSAGES.apiGeneral);
+        throw new Error(result?.message || ERROR_MESSAGES.apiGeneral);
       }
-    } catch (error) {
+    } catch (caughtError) {
+      const error = caughtError.name === 'AbortError'
+        ? new Error('Generation cancelled')
+        : caughtError;
       const formattedError = formatApiError(error);
       setError(formattedError);
       
@@ -176,9 +386,132 @@ export const useGeneration = (options = {}) => {
     } finally {
       setIsGenerating(false);
       setProgress(0);
+      setJobStatus(null);
       abortControllerRef.current = null;
+      jobIdRef.current = null;
+    }
+  }, [isGenerating, submitGenerationJob, applyJobUpdate, waitForGenerationJob, enableRetry, maxRetries, retryDelay, onSuccess, onError]);
+
+  /**
+   * Turns an uploaded photo into a coloring page
+   * The result replaces the current image like a generation does, so preview,
+   * PDF download and gallery save work the same way.
+   * @param {File} file - JPEG or PNG photo
+   * @param {Object} formData - Form values (complexity and lineThickness are used)
+   * @returns {Promise<Object>} { success, image?, error? }
+   */
+  const createFromPhoto = useCallback(async (file, formData = {}) => {
+    if (isGenerating) {
+      logger.warn('Generation already in progress');
+      return null;
+    }
+
+    const { accept, maxBytes } = API_CONFIG.photoUpload;
+    const rejection = !accept.includes(file?.type)
+      ? ERROR_MESSAGES.photoInvalid
+      : file.size > maxBytes ? ERROR_MESSAGES.photoTooLarge : null;
+    if (rejection) {
+      setError(rejection);
+      onError?.(rejection);
+      return { success: false, error: rejection };
+    }
+
+    setIsGenerating(true);
+    setError(null);
+    setProgress(JOB_STATUS_PROGRESS.generating);
+    setStages([]);
+    setVariations([]);
+    setSelectedVariation(0);
+    setShowingOriginal(false);
+    setGalleryImageId(null);
+
+    try {
+      logger.log('Converting photo to coloring page', { type: file.type, size: file.size });
+
+      const photo = await readFileAsDataUrl(file);
+      const idToken = await auth.currentUser?.getIdToken();
+      const idempotencyKey = createIdempotencyKey();
+      generationKeyRef.current = idempotencyKey;
+
+      const response = await fetch(API_CONFIG.endpoints.photoToPage, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Idempotency-Key': idempotencyKey,
+          ...(idToken && { 'Authorization': `Bearer ${idToken}` })
+        },
+        body: JSON.stringify({
+          photo,
+          title: formData.prompt || '',
+          customizations: {
+            complexity: formData.complexity || 'medium',
+            lineThickness: formData.lineThickness || 'medium'
+          }
+        })
+      });
+
+      if (!response.ok) {
+        throw await parseApiError(response, 'Photo conversion failed');
+      }
+
+      const result = await response.json();
+
+      setRefinedPrompt(result.refinedPrompt || '');
+      setGeneratedImage(result.imageUrl);
+      setMetadata(result.metadata || null);
+      setVariations(result.variations || []);
+      setGalleryImageId(result.galleryImageId || null);
+      setProgress(100);
+      window.lastGeneratedMetadata = result.metadata;
+
+      logger.log('Photo converted successfully', { savedToGallery: result.savedToGallery });
+      onSuccess?.(result);
+
+      return { success: true, image: result.imageUrl, metadata: result.metadata };
+    } catch (error) {
+      const formattedError = formatApiError(error);
+      setError(formattedError);
+      logger.error('Photo conversion failed:', error);
+      onError?.(formattedError, error);
+      return { success: false, error: formattedError, originalError: error };
+    } finally {
+      setIsGenerating(false);
+      setProgress(0);
+    }
+  }, [isGenerating, onSuccess, onError]);
+
+  /**
+   * Picks one of several generated variations as the current image
+   * The picked image is what PDF download and gallery save use.
+   * @param {number} index - Variation index
+   */
+  const selectVariation = useCallback((index) => {
+    const variation = variations[index];
+    if (!variation) {
+      logger.warn('Unknown variation selected', { index });
+      return;
     }
-  }, [isGenerating, callImageGenerationAPI, enableRetry, maxRetries, retryDelay, onSuccess, onError]);
+
+    setSelectedVariation(index);
+    setGeneratedImage(variation.imageUrl);
+    setShowingOriginal(false);
+    logger.log('Variation selected', { index, totalCost: variation.costs?.totalCost });
+  }, [variations]);
+
+  /**
+   * Switches the current image between the cleaned line art and the
+   * provider's original image (`rawImageUrl`)
+   */
+  const toggleOriginal = useCallback(() => {
+    const variation = variations[selectedVariation];
+    if (!variation?.rawImageUrl) {
+      return;
+    }
+
+    const next = !showingOriginal;
+    setShowingOriginal(next);
+    setGeneratedImage(next ? variation.rawImageUrl : variation.imageUrl);
+  }, [variations, selectedVariation, showingOriginal]);
 
   /**
    * Cancels the current generation
@@ -188,17 +521,28 @@ export const useGeneration = (options = {}) => {
       abortControllerRef.current.abort();
       logger.log('Generation cancelled by user');
     }
+
+    // Aborting the fetch only stops waiting; the server keeps the job running
+    if (jobIdRef.current) {
+      const jobId = jobIdRef.current;
+      jobIdRef.current = null;
+      Promise.resolve(auth.currentUser?.getIdToken())
+        .catch(() => null)
+        .then(idToken => cancelGenerationJob(jobId, { idToken }));
+    }
     
     setIsGenerating(false);
     setProgress(0);
+    setJobStatus(null);
     setError('Generation cancelled');
   }, []);
 
   /**
-   * Downloads generated image as PDF
+   * Downloads the generated page as a print file
+   * @param {string} format - 'pdf' (vector outlines embedded) or 'svg'
    * @returns {Promise<boolean>} Success status
    */
-  const downloadPDF = useCallback(async () => {
+  const downloadExport = useCallback(async (format) => {
     if (!generatedImage) {
       const error = ERROR_MESSAGES.pdfMissingImage;
       setError(error);
@@ -210,7 +554,7 @@ export const useGeneration = (options = {}) => {
     setError(null);
 
     try {
-      logger.log('Starting PDF generation');
+      logger.log(`Starting ${format.toUpperCase()} export`);
       
       const enhancedMetadata = window.lastGeneratedMetadata || {};
       const pdfMetadata = {
@@ -223,36 +567,13 @@ export const useGeneration = (options = {}) => {
         processingTime: enhancedMetadata.processingTime || null
       };
 
-      const response = await fetch(API_CONFIG.endpoints.generatePdf, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          imageUrl: generatedImage,
-          title: `Coloring Page: ${metadata?.originalPrompt || 'Generated'}`,
-          metadata: pdfMetadata
-        })
+      await downloadPageExport(format, {
+        imageUrl: generatedImage,
+        title: `Coloring Page: ${metadata?.originalPrompt || 'Generated'}`,
+        metadata: pdfMetadata
       });
-
-      if (!response.ok) {
-        throw new Error(`PDF generation failed: ${response.status}`);
-      }
-
-      const pdfBlob = await response.blob();
-      
-      // Create download link
-      const downloadUrl = window.URL.createObjectURL(pdfBlob);
-      const link = document.createElement('a');
-      link.href = downloadUrl;
-      link.download = `coloring-page-${Date.now()}.pdf`;
-      
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-      window.URL.revokeObjectURL(downloadUrl);
       
-      logger.log('PDF downloaded successfully');
+      logger.log(`${format.toUpperCase()} downloaded successfully`);
       return true;
     } catch (error) {
       const formattedError = formatApiError(error);
@@ -264,6 +585,18 @@ export const useGeneration = (options = {}) => {
     }
   }, [generatedImage, refinedPrompt, metadata, onError]);
 
+  /**
+   * Downloads generated image as PDF
+   * @returns {Promise<boolean>} Success status
+   */
+  const downloadPDF = useCallback(() => downloadExport('pdf'), [downloadExport]);
+
+  /**
+   * Downloads generated image as an SVG vector file
+   * @returns {Promise<boolean>} Success status
+   */
+  const downloadSVG = useCallback(() => downloadExport('svg'), [downloadExport]);
+
   /**
    * Saves generated image to user's gallery
    * @param {Object} user - User object
@@ -284,6 +617,12 @@ export const useGeneration = (options = {}) => {
       return false;
     }
 
+    // Single pages made while signed in were already saved by the server
+    if (galleryImageId && variations.length <= 1) {
+      logger.log('Image already in gallery', { galleryImageId });
+      return true;
+    }
+
     setIsGenerating(true);
     setError(null);
 
@@ -297,6 +636,7 @@ export const useGeneration = (options = {}) => {
       
       const idToken = await currentUser.getIdToken();
       const enhancedMetadata = window.lastGeneratedMetadata || {};
+      const pickedVariation = variations.length > 1 ? variations[selectedVariation] : null;
       
       const imageData = {
         imageUrl: generatedImage,
@@ -310,7 +650,20 @@ export const useGeneration = (options = {}) => {
           generatedAt: enhancedMetadata.generatedAt || new Date().toISOString(),
           processingTime: enhancedMetadata.processingTime || null,
           retryCount: enhancedMetadata.retryCount || 0,
-          quality: enhancedMetadata.quality || 'standard'
+          quality: enhancedMetadata.quality || 'standard',
+          // Only the picked variation is saved; record which one and its own cost
+          ...(pickedVariation && {
+            costs: pickedVariation.costs,
+            revisedPrompt: pickedVariation.revisedPrompt,
+            variationIndex: selectedVariation,
+            variationCount: variations.length,
+            ...(metadata?.recipe && {
+              recipe: {
+                ...metadata.recipe,
+                generation: { ...metadata.recipe.generation, revisedPrompt: pickedVariation.revisedPrompt }
+              }
+            })
+          })
         }
       };
 
@@ -318,7 +671,12 @@ export const useGeneration = (options = {}) => {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
-          'Authorization': `Bearer ${idToken}`
+          'Authorization': `Bearer ${idToken}`,
+          // One key per generated image and picked variation: saving it twice
+          // returns the existing gallery entry instead of creating a duplicate
+          ...(generationKeyRef.current && {
+            'Idempotency-Key': `${generationKeyRef.current}-save-${selectedVariation}`
+          })
         },
         body: JSON.stringify(imageData)
       });
@@ -331,6 +689,7 @@ export const useGeneration = (options = {}) => {
       
       if (result.success) {
         logger.log('Image saved to gallery successfully:', result.imageId);
+        setGalleryImageId(result.imageId);
         return true;
       } else {
         throw new Error(result.message || ERROR_MESSAGES.gallerySave);
@@ -343,7 +702,80 @@ export const useGeneration = (options = {}) => {
     } finally {
       setIsGenerating(false);
     }
-  }, [generatedImage, refinedPrompt, metadata, onError]);
+  }, [generatedImage, refinedPrompt, metadata, variations, selectedVariation, galleryImageId, onError]);
+
+  /**
+   * Redraws the masked area of the current image (inpainting)
+   * Signed-in users get the result saved as a new version of the gallery image.
+   * @param {string} mask - PNG data URL; transparent pixels mark the area to redraw
+   * @param {string} instruction - What to draw in the masked area
+   * @returns {Promise<Object>} { success, image?, version?, error? }
+   */
+  const editRegion = useCallback(async (mask, instruction) => {
+    if (!generatedImage) {
+      const error = ERROR_MESSAGES.pdfMissingImage;
+      setError(error);
+      onError?.(error);
+      return { success: false, error };
+    }
+
+    setIsEditing(true);
+    setError(null);
+
+    try {
+      logger.log('Starting region edit', { galleryImageId, instructionLength: instruction.length });
+
+      const idToken = await auth.currentUser?.getIdToken();
+      const idempotencyKey = createIdempotencyKey();
+
+      const response = await fetch(API_CONFIG.endpoints.editRegion, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Idempotency-Key': idempotencyKey,
+          ...(idToken && { 'Authorization': `Bearer ${idToken}` })
+        },
+        body: JSON.stringify({
+          imageUrl: generatedImage,
+          mask,
+          instruction,
+          refinedPrompt,
+          galleryImageId,
+          // Edits follow the content policy of the page's audience
+          customizations: {
+            ageGroup: metadata?.ageGroup || metadata?.refinementData?.appliedSettings?.ageGroup || 'kids'
+          }
+        })
+      });
+
+      if (!response.ok) {
+        throw await parseApiError(response, 'Region edit failed');
+      }
+
+      const result = await response.json();
+
+      // The edited page replaces the picked variation; later saves must not
+      // replay the save of the unedited image, so they derive from this key
+      setGeneratedImage(result.imageUrl);
+      setMetadata(result.metadata || null);
+      setVariations([]);
+      setShowingOriginal(false);
+      setGalleryImageId(result.galleryImageId || null);
+      generationKeyRef.current = idempotencyKey;
+      window.lastGeneratedMetadata = result.metadata;
+
+      logger.log('Region edit completed', { version: result.version, savedToGallery: result.savedToGallery });
+
+      return { success: true, image: result.imageUrl, version: result.version };
+    } catch (error) {
+      const formattedError = formatApiError(error);
+      setError(formattedError);
+      onError?.(formattedError, error);
+      return { success: false, error: formattedError, originalError: error };
+    } finally {
+      setIsEditing(false);
+    }
+  }, [generatedImage, refinedPrompt, metadata, galleryImageId, onError]);
 
   /**
    * Resets the generation state
@@ -354,6 +786,13 @@ export const useGeneration = (options = {}) => {
     setError(null);
     setMetadata(null);
     setProgress(0);
+    setJobStatus(null);
+    setStages([]);
+    setVariations([]);
+    setSelectedVariation(0);
+    setShowingOriginal(false);
+    setGalleryImageId(null);
+    generationKeyRef.current = null;
     
     // Cancel any ongoing generation
     if (abortControllerRef.current) {
@@ -379,11 +818,23 @@ export const useGeneration = (options = {}) => {
     error,
     metadata,
     progress,
+    jobStatus,
+    stages,
+    variations,
+    selectedVariation,
+    isEditing,
+    galleryImageId,
+    showingOriginal,
     
     // Actions
     generateImage,
+    selectVariation,
+    editRegion,
+    createFromPhoto,
+    toggleOriginal,
     cancelGeneration,
     downloadPDF,
+    downloadSVG,
     saveToGallery,
     reset,
     clearError,
@@ -393,6 +844,9 @@ export const useGeneration = (options = {}) => {
     hasError: !!error,
     canDownload: !!generatedImage && !isGenerating,
     canSave: !!generatedImage && !isGenerating,
+    hasVariations: variations.length > 1,
+    canEdit: !!generatedImage && !isGenerating && !isEditing,
+    hasOriginal: !!variations[selectedVariation]?.rawImageUrl,
     
     // For debugging (development only)
     ...(process.env.NODE_ENV === 'development' && {
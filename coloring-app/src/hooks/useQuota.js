@@ -0,0 +1,39 @@
+/**
+ * useQuota Hook
+ * 
+ * Loads how many coloring pages the current user (or guest) can still create
+ * today from GET /api/quota. Reloads when the user signs in or out; call
+ * refreshQuota after a generation to show the new count.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { auth } from '../../firebase-config.js';
+import { fetchQuota, createLogger } from '../utils';
+
+const logger = createLogger('useQuota');
+
+/**
+ * Custom hook for the generation quota
+ * @param {Object|null} user - Signed-in user, or null for guests
+ * @returns {Object} { quota, refreshQuota }; quota is null until loaded or when unavailable
+ */
+export const useQuota = (user) => {
+  const [quota, setQuota] = useState(null);
+
+  const refreshQuota = useCallback(async () => {
+    try {
+      const idToken = await auth.currentUser?.getIdToken();
+      setQuota(await fetchQuota({ idToken }));
+    } catch (error) {
+      // The form works without the count; the server still enforces the limits
+      logger.warn('Could not load generation quota', error);
+      setQuota(null);
+    }
+  }, []);
+
+  useEffect(() => {
+    refreshQuota();
+  }, [user?.uid, refreshQuota]);
+
+  return { quota, refreshQuota };
+};
@@ -27,9 +27,10 @@ export const useValidation = (initialValues = {}, validationConfig = VALIDATION_
    * Validates a single field and updates error state
    * @param {string} fieldName - Name of the field to validate
    * @param {any} value - Value to validate
+   * @param {Object} formValues - All form values, for rules that depend on other fields
    */
-  const validateSingleField = useCallback((fieldName, value) => {
-    const result = validateField(fieldName, value, validationConfig);
+  const validateSingleField = useCallback((fieldName, value, formValues = {}) => {
+    const result = validateField(fieldName, value, validationConfig, formValues);
     
     setErrors(prev => ({
       ...prev,
@@ -56,12 +57,17 @@ export const useValidation = (initialValues = {}, validationConfig = VALIDATION_
       
       // Validate the field if it has been touched
       if (touched[fieldName] || value !== initialValues[fieldName]) {
-        validateSingleField(fieldName, value);
+        validateSingleField(fieldName, value, newValues);
       }
       
+      // Revalidate touched fields whose rules depend on this one
+      Object.entries(validationConfig)
+        .filter(([dependent, config]) => config.dependsOn?.includes(fieldName) && touched[dependent])
+        .forEach(([dependent]) => validateSingleField(dependent, newValues[dependent], newValues));
+      
       return newValues;
     });
-  }, [touched, initialValues, validateSingleField]);
+  }, [touched, initialValues, validationConfig, validateSingleField]);
 
   /**
    * Updates multiple field values at once
@@ -83,7 +89,7 @@ export const useValidation = (initialValues = {}, validationConfig = VALIDATION_
       // Validate all updated fields
       const newErrors = { ...errors };
       updatedFields.forEach(fieldName => {
-        const result = validateSingleField(fieldName, newValues[fieldName]);
+        const result = validateSingleField(fieldName, newValues[fieldName], updatedValues);
         newErrors[fieldName] = result.isValid ? undefined : result;
       });
       setErrors(newErrors);
@@ -101,7 +107,7 @@ export const useValidation = (initialValues = {}, validationConfig = VALIDATION_
     
     // Validate the field when it's touched
     const currentValue = values[fieldName];
-    validateSingleField(fieldName, currentValue);
+    validateSingleField(fieldName, currentValue, values);
   }, [values, validateSingleField]);
 
   /**
@@ -174,6 +180,16 @@ export const useValidation = (initialValues = {}, validationConfig = VALIDATION_
     return error && !error.isValid && touched[fieldName] ? error.message : null;
   }, [errors, touched]);
 
+  /**
+   * Gets suggested replacement values for a field with a shown error
+   * @param {string} fieldName - Name of the field
+   * @returns {Array<string>} Suggestions (e.g. allowed rewrites of a blocked prompt)
+   */
+  const getFieldSuggestions = useCallback((fieldName) => {
+    const error = errors[fieldName];
+    return error && !error.isValid && touched[fieldName] ? error.suggestions || [] : [];
+  }, [errors, touched]);
+
   /**
    * Checks if a specific field is valid
    * @param {string} fieldName - Name of the field
@@ -216,6 +232,7 @@ export const useValidation = (initialValues = {}, validationConfig = VALIDATION_
     
     // Helpers
     getFieldError,
+    getFieldSuggestions,
     isFieldValid,
     shouldShowError,
     
@@ -44,6 +44,8 @@ export const VALIDATION_CONFIG = {
     minLength: 1,
     maxLength: 500,
     required: true,
+    contentPolicy: true, // Same family-friendly rules as the server
+    dependsOn: ['ageGroup'], // The age group picks the content policy profile
     errorMessage: 'Please enter a description'
   },
   complexity: {
@@ -60,6 +62,16 @@ export const VALIDATION_CONFIG = {
     required: false, // Made optional - will use medium as default
     options: ['thin', 'medium', 'thick'],
     errorMessage: 'Select line thickness'
+  },
+  orientation: {
+    required: false, // Optional - square pages by default
+    options: ['square', 'portrait', 'landscape'],
+    errorMessage: 'Select a page shape'
+  },
+  variations: {
+    required: false, // Optional - a single page by default
+    options: ['1', '2', '3', '4'],
+    errorMessage: 'Choose between 1 and 4 variations'
   }
 };
 
@@ -127,11 +139,24 @@ export const ANIMATION_CONFIG = {
 export const API_CONFIG = {
   endpoints: {
     generate: '/api/generate',
+    jobs: '/api/jobs',
     generatePdf: '/api/generate-pdf',
-    saveImage: '/api/auth/save-image'
+    saveImage: '/api/auth/save-image',
+    editRegion: '/api/edit-region',
+    photoToPage: '/api/photo-to-page',
+    exportSvg: '/api/export-svg',
+    regenerate: '/api/regenerate',
+    gallery: '/api/gallery',
+    quota: '/api/quota'
   },
   
-  timeout: 120000, // 2 minutes
+  timeout: 120000, // 2 minutes - upper bound for a generation job to finish
+  jobPollInterval: 1500, // How often to poll /api/jobs/:jobId while a job runs
+  
+  photoUpload: {
+    accept: ['image/jpeg', 'image/png'],
+    maxBytes: 7 * 1024 * 1024 // Matches the server limit for /api/photo-to-page
+  },
   
   retryConfig: {
     attempts: 3,
@@ -139,6 +164,27 @@ export const API_CONFIG = {
   }
 };
 
+// Progress shown for each server-side generation job status
+export const JOB_STATUS_PROGRESS = {
+  queued: 10,
+  refining: 25,
+  generating: 50,
+  saving: 90,
+  done: 100
+};
+
+// Progress shown when a live pipeline stage event arrives (GET /api/jobs/:jobId/events)
+export const JOB_STAGE_PROGRESS = {
+  'prompt-refined': 35,
+  'cache-hit': 80,
+  'model-attempt': 50,
+  'quality-retry': 60,
+  'quality-checked': 82,
+  'image-received': 85,
+  'image-cleaned': 88,
+  'gallery-saved': 95
+};
+
 // Responsive breakpoints - Evidence: architecture.md Section 2.4 Responsive Design
 export const BREAKPOINTS = {
   mobile: 768,
@@ -155,7 +201,9 @@ export const DEFAULT_FORM_STATE = {
   complexity: 'medium', // Default to medium complexity for balanced detail
   ageGroup: 'kids', // Default to kid-friendly for family content
   border: false,
-  lineThickness: 'medium' // Default to medium thickness for general use
+  lineThickness: 'medium', // Default to medium thickness for general use
+  orientation: 'square', // Square art fits either page orientation
+  variations: '1' // Number of pages to pick from (Select values are strings)
 };
 
 // Error messages - Evidence: architecture.md Section 3.4 Error Handling
@@ -166,14 +214,27 @@ export const ERROR_MESSAGES = {
   apiRateLimit: 'Too many requests. Please wait a moment and try again.',
   apiContentPolicy: 'Content violates AI safety guidelines. Please try a different prompt.',
   apiFamilyFriendly: 'Please use family-friendly content only.',
+  apiQueueFull: 'Lots of pages are being created right now. Please try again in a minute.',
+  apiBudgetExceeded: 'The monthly limit for new coloring pages has been reached. Please try again next month.',
+  apiQuotaExceeded: "You've made all of today's coloring pages. More are available tomorrow!",
+  
+  // Region edit errors
+  editEmptyMask: 'Paint over the part of the page you want to change first.',
+  editNotSupported: 'Fixing part of a page is not available right now.',
+  
+  // Photo upload errors
+  photoInvalid: 'Please choose a JPEG or PNG photo.',
+  photoTooLarge: 'That photo is too large. Please choose one under 7MB.',
   
   // PDF errors
   pdfGeneration: 'Failed to generate PDF. Please try again.',
   pdfMissingImage: 'No image available for PDF generation',
+  exportInvalidImage: 'This page could not be read for download. Please try generating it again.',
   
   // Gallery errors
   galleryAuth: 'Please sign in to save images to your gallery',
   gallerySave: 'Failed to save image to gallery. Please try again.',
+  regenerateUnavailable: 'This page was not made from a description, so it cannot be regenerated.',
   
   // Form validation
   formInvalid: 'Please fill in all required fields',
@@ -231,6 +292,7 @@ export const A11Y_CONFIG = {
     ageGroupSelect: 'Select target age group',
     highContrastToggle: 'Toggle high contrast mode',
     downloadPdf: 'Download coloring page as PDF',
+    downloadSvg: 'Download coloring page as an SVG vector file',
     saveToGallery: 'Save coloring page to gallery'
   }
 };
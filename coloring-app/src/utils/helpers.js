@@ -8,7 +8,9 @@
  * Best Practice: DRY principle - Don't Repeat Yourself
  */
 
-import { VALIDATION_CONFIG, ERROR_MESSAGES, BREAKPOINTS } from './constants.js';
+import { VALIDATION_CONFIG, ERROR_MESSAGES, BREAKPOINTS, API_CONFIG } from './constants.js';
+import { checkContent, describeViolation } from '../../shared/contentPolicy.js';
+import { suggestSafeRewrites } from '../../shared/safeRewrites.js';
 
 /**
  * Form Validation Helpers
@@ -20,9 +22,11 @@ import { VALIDATION_CONFIG, ERROR_MESSAGES, BREAKPOINTS } from './constants.js';
  * @param {string} fieldName - The name of the field to validate
  * @param {any} value - The value to validate
  * @param {Object} config - Validation configuration (optional, uses VALIDATION_CONFIG by default)
- * @returns {Object} { isValid: boolean, message: string }
+ * @param {Object} formValues - Other form values (optional; ageGroup picks the content policy profile)
+ * @returns {Object} { isValid: boolean, message: string }; content policy failures
+ *   also carry `suggestions`, rewrites that would pass
  */
-export const validateField = (fieldName, value, config = VALIDATION_CONFIG) => {
+export const validateField = (fieldName, value, config = VALIDATION_CONFIG, formValues = {}) => {
   const fieldConfig = config[fieldName];
   
   if (!fieldConfig) {
@@ -48,6 +52,18 @@ export const validateField = (fieldName, value, config = VALIDATION_CONFIG) => {
     if (fieldConfig.maxLength && value.length > fieldConfig.maxLength) {
       return { isValid: false, message: `Maximum ${fieldConfig.maxLength} characters allowed` };
     }
+    
+    // Family-friendly check, identical to the server's validation
+    if (fieldConfig.contentPolicy) {
+      const policy = checkContent(value, { ageGroup: formValues.ageGroup });
+      if (!policy.allowed) {
+        return {
+          isValid: false,
+          message: describeViolation(policy),
+          suggestions: suggestSafeRewrites(value, { ageGroup: formValues.ageGroup })
+        };
+      }
+    }
   }
   
   // Options validation (for select fields)
@@ -75,16 +91,18 @@ export const validateForm = (formData = {}) => {
     ageGroup: 'kids',
     border: false,
     lineThickness: 'medium',
+    variations: '1',
     ...formData,
     // Override with defaults only if empty
     complexity: formData.complexity || 'medium',
     ageGroup: formData.ageGroup || 'kids', 
-    lineThickness: formData.lineThickness || 'medium'
+    lineThickness: formData.lineThickness || 'medium',
+    orientation: formData.orientation || 'square'
   };
   
   // Validate each field
   Object.keys(VALIDATION_CONFIG).forEach(fieldName => {
-    const result = validateField(fieldName, formDataWithDefaults[fieldName]);
+    const result = validateField(fieldName, formDataWithDefaults[fieldName], VALIDATION_CONFIG, formDataWithDefaults);
     if (!result.isValid) {
       errors[fieldName] = result;
       isValid = false;
@@ -231,6 +249,42 @@ export const cleanText = (str) => {
  * Evidence: architecture.md Section 4.1 API Integration
  */
 
+/**
+ * Builds an Error from a failed API response, keeping the server's message and code
+ * @param {Response} response - Failed fetch response
+ * @param {string} fallbackMessage - Message prefix when the body has no message
+ * @returns {Promise<Error>} Error with status and code properties
+ */
+export const parseApiError = async (response, fallbackMessage) => {
+  let body = null;
+  try {
+    body = await response.json();
+  } catch {
+    // Non-JSON error body (e.g. proxy error page)
+  }
+
+  const error = new Error(
+    body?.message || body?.error || `${fallbackMessage}: ${response.status} ${response.statusText}`
+  );
+  error.status = response.status;
+  error.code = body?.code;
+  error.details = body?.details;
+  error.contentPolicy = body?.contentPolicy;
+  return error;
+};
+
+/**
+ * Rewrite suggestions the server sent with a content policy rejection
+ * Validation rejections carry them in `contentPolicy`, rejections later in
+ * the pipeline in `details`.
+ * @param {Error} error - Error from parseApiError or a failed job
+ * @returns {Array<string>} Suggested prompts (empty for other errors)
+ */
+export const getContentSuggestions = (error) => {
+  if (error?.code !== 'CONTENT_NOT_ALLOWED') return [];
+  return error.contentPolicy?.suggestions || error.details?.suggestions || [];
+};
+
 /**
  * Formats API errors into user-friendly messages
  * @param {Error} error - The error object
@@ -241,6 +295,54 @@ export const formatApiError = (error) => {
   
   const message = error.message?.toLowerCase() || '';
   
+  if (error.code === 'QUEUE_FULL') {
+    return ERROR_MESSAGES.apiQueueFull;
+  }
+  
+  if (error.code === 'BUDGET_EXCEEDED') {
+    return ERROR_MESSAGES.apiBudgetExceeded;
+  }
+  
+  if (error.code === 'CONTENT_NOT_ALLOWED') {
+    return error.message || ERROR_MESSAGES.apiFamilyFriendly;
+  }
+  
+  if (error.code === 'MODERATION_FLAGGED') {
+    return ERROR_MESSAGES.apiContentPolicy;
+  }
+  
+  if (error.code === 'QUOTA_EXCEEDED') {
+    return ERROR_MESSAGES.apiQuotaExceeded;
+  }
+  
+  if (error.code === 'RATE_LIMITED') {
+    return ERROR_MESSAGES.apiRateLimit;
+  }
+  
+  if (error.code === 'EMPTY_MASK') {
+    return ERROR_MESSAGES.editEmptyMask;
+  }
+  
+  if (error.code === 'EDIT_NOT_SUPPORTED') {
+    return ERROR_MESSAGES.editNotSupported;
+  }
+  
+  if (error.code === 'INVALID_PHOTO') {
+    return ERROR_MESSAGES.photoInvalid;
+  }
+  
+  if (error.code === 'PHOTO_TOO_LARGE') {
+    return ERROR_MESSAGES.photoTooLarge;
+  }
+  
+  if (error.code === 'RECIPE_MISSING' || error.code === 'RECIPE_UNSUPPORTED') {
+    return ERROR_MESSAGES.regenerateUnavailable;
+  }
+  
+  if (error.code === 'INVALID_IMAGE') {
+    return ERROR_MESSAGES.exportInvalidImage;
+  }
+  
   if (message.includes('content_policy') || message.includes('content policy')) {
     return ERROR_MESSAGES.apiContentPolicy;
   }
@@ -260,6 +362,40 @@ export const formatApiError = (error) => {
   return ERROR_MESSAGES.apiGeneral;
 };
 
+/**
+ * Describes a generation pipeline stage event for display in the preview
+ * @param {Object} event - Stage event ({ type, data }) from the job API
+ * @returns {string} Short user-facing description
+ */
+export const describeGenerationStage = (event) => {
+  const data = event?.data || {};
+
+  switch (event?.type) {
+    case 'prompt-refined':
+      return 'Prompt refined for coloring book style';
+    case 'cache-hit':
+      return 'Reusing an identical page made earlier';
+    case 'model-attempt':
+      return data.model === 'mock'
+        ? 'Drawing a preview page (mock mode)'
+        : `Drawing with ${data.model} (attempt ${data.attempt} of ${data.maxAttempts})`;
+    case 'retry-backoff':
+      return `The AI is busy, retrying in ${Math.round((data.delayMs || 0) / 1000)}s`;
+    case 'quality-retry':
+      return 'The first drawing was not a clean coloring page, trying once more';
+    case 'quality-checked':
+      return data.passed ? 'Checked: clean lines and plenty of areas to color' : 'Checked the page quality';
+    case 'image-received':
+      return 'Image received';
+    case 'image-cleaned':
+      return data.applied ? 'Cleaned up into crisp black-and-white lines' : 'Kept the original lines';
+    case 'gallery-saved':
+      return data.saved ? 'Saved to your gallery' : 'Could not save to your gallery';
+    default:
+      return event?.type || '';
+  }
+};
+
 /**
  * Creates a delay promise for retry logic
  * @param {number} ms - Milliseconds to delay
@@ -295,6 +431,19 @@ export const retryWithBackoff = async (operation, maxAttempts = 3, baseDelay = 1
   throw lastError;
 };
 
+/**
+ * Creates a unique value for the Idempotency-Key request header
+ * Send the same key on every retry of one request so the server replays the
+ * first response instead of generating or saving again.
+ * @returns {string} Unique key
+ */
+export const createIdempotencyKey = () => {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+};
+
 /**
  * DOM and Event Helpers
  */
@@ -364,6 +513,120 @@ export const downloadBlob = (blob, filename) => {
   window.URL.revokeObjectURL(url);
 };
 
+/**
+ * Requests a print file for a coloring page and downloads it
+ * PDFs embed the traced vector outlines, so both formats stay crisp when
+ * scaled to paper size.
+ * @param {string} format - 'pdf' or 'svg'
+ * @param {Object} page - { imageUrl, title, metadata }
+ * @returns {Promise<void>}
+ * @throws {Error} Error with status and code when the export fails
+ */
+export const downloadPageExport = async (format, { imageUrl, title = 'Coloring Page', metadata = {} }) => {
+  const isSvg = format === 'svg';
+  const response = await fetch(isSvg ? API_CONFIG.endpoints.exportSvg : API_CONFIG.endpoints.generatePdf, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(isSvg
+      ? { imageUrl, title: truncateText(title, 100) }
+      : { imageUrl, title: truncateText(title, 100), metadata, vector: true })
+  });
+
+  if (!response.ok) {
+    throw await parseApiError(response, `${format.toUpperCase()} export failed`);
+  }
+
+  downloadBlob(await response.blob(), `coloring-page-${Date.now()}.${isSvg ? 'svg' : 'pdf'}`);
+};
+
+/**
+ * Ask the server to stop a generation job
+ * Best effort: the job may already be finished, and failures are only logged
+ * since the client has stopped waiting either way.
+ * @param {string} jobId - Job ID from POST /api/jobs
+ * @param {Object} options - { idToken }; required for jobs submitted while signed in
+ * @returns {Promise<boolean>} Whether the server accepted the cancellation
+ */
+export const cancelGenerationJob = async (jobId, { idToken } = {}) => {
+  try {
+    const response = await fetch(`${API_CONFIG.endpoints.jobs}/${encodeURIComponent(jobId)}/cancel`, {
+      method: 'POST',
+      ...(idToken && { headers: { 'Authorization': `Bearer ${idToken}` } })
+    });
+    return response.ok && (await response.json()).cancelled === true;
+  } catch (error) {
+    console.warn('Could not cancel generation job', jobId, error);
+    return false;
+  }
+};
+
+/**
+ * Regenerate a gallery image from its stored recipe
+ * The new page is saved to the gallery by the server.
+ * @param {string} imageId - Gallery image ID
+ * @param {Object} options - { idToken, refine }; refine re-runs prompt refinement
+ * @returns {Promise<Object>} Generation result in the /api/generate shape
+ * @throws {Error} Error with status and code when regeneration fails
+ */
+export const regenerateGalleryImage = async (imageId, { idToken, refine = false }) => {
+  const response = await fetch(`${API_CONFIG.endpoints.regenerate}/${encodeURIComponent(imageId)}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${idToken}`
+    },
+    body: JSON.stringify({ refine })
+  });
+
+  if (!response.ok) {
+    throw await parseApiError(response, 'Regeneration failed');
+  }
+
+  return response.json();
+};
+
+/**
+ * Rate a gallery image from 1 to 5 stars
+ * @param {string} imageId - Gallery image ID
+ * @param {Object} options - { idToken, rating }
+ * @returns {Promise<Object>} { success, imageId, rating }
+ * @throws {Error} Error with status and code when the rating is not saved
+ */
+export const rateGalleryImage = async (imageId, { idToken, rating }) => {
+  const response = await fetch(`${API_CONFIG.endpoints.gallery}/${encodeURIComponent(imageId)}/rating`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${idToken}`
+    },
+    body: JSON.stringify({ rating })
+  });
+
+  if (!response.ok) {
+    throw await parseApiError(response, 'Rating failed');
+  }
+
+  return response.json();
+};
+
+/**
+ * Fetch how many generations the current user (or guest) has left
+ * @param {Object} options - { idToken }; omit for guests
+ * @returns {Promise<Object>} Quota status ({ tier, enabled, daily, burst })
+ * @throws {Error} Error with status and code when the request fails
+ */
+export const fetchQuota = async ({ idToken } = {}) => {
+  const response = await fetch(API_CONFIG.endpoints.quota, {
+    ...(idToken && { headers: { 'Authorization': `Bearer ${idToken}` } })
+  });
+
+  if (!response.ok) {
+    throw await parseApiError(response, 'Quota request failed');
+  }
+
+  return response.json();
+};
+
 /**
  * Data Processing Helpers
  */
@@ -11,6 +11,7 @@
  */
 
 import DOMPurify from 'dompurify';
+import { checkContent, describeViolation } from '../../shared/contentPolicy.js';
 
 /**
  * Client-side input sanitization utility
@@ -45,12 +46,14 @@ export function sanitizeUserInput(input, options = {}) {
 
 /**
  * Enhanced content safety validator for family-friendly filtering
- * Provides detailed feedback for content moderation
+ * Provides detailed feedback for content moderation; blocked terms come from
+ * the content policy shared with the server
  * 
  * @param {string} text - Text content to validate
- * @returns {Object} Detailed validation result
+ * @param {Object} options - { ageGroup } picking the content policy profile (default: kids)
+ * @returns {Object} Detailed validation result, with the policy `reasons`
  */
-export function validateContentSafety(text) {
+export function validateContentSafety(text, options = {}) {
   if (!text || typeof text !== 'string') {
     return {
       isAppropriate: false,
@@ -63,20 +66,11 @@ export function validateContentSafety(text) {
   const issues = [];
   const suggestions = [];
 
-  // Family-friendly keyword filtering
-  const inappropriateTerms = [
-    'violence', 'blood', 'weapon', 'death', 'kill',
-    'sexual', 'nude', 'explicit', 'inappropriate',
-    'drug', 'alcohol', 'cigarette', 'smoking',
-    'scary', 'horror', 'demon', 'evil'
-  ];
+  // Family-friendly policy, the same check the server runs
+  const policy = checkContent(text, options);
 
-  const foundInappropriate = inappropriateTerms.filter(term => 
-    lowerText.includes(term)
-  );
-
-  if (foundInappropriate.length > 0) {
-    issues.push(`Contains inappropriate terms: ${foundInappropriate.join(', ')}`);
+  if (!policy.allowed) {
+    issues.push(describeViolation(policy));
     suggestions.push('Try using more family-friendly language');
   }
 
@@ -106,6 +100,7 @@ export function validateContentSafety(text) {
     isAppropriate: issues.length === 0,
     issues,
     suggestions,
+    reasons: policy.reasons,
     cleanText: sanitizeUserInput(text)
   };
 }